@@ -0,0 +1,117 @@
+// Assertion detection for mentioned terms: negation, resolved/past status, hypotheticals and who is affected.
+// NegEx-style: triggers are looked for in the same clause as the term, within a few words of it.
+
+// Words before a term that negate it ("no fever", "I don't have chest pain")
+const NEGATION_TRIGGERS = /(?:n't|\b(?:no|not|never|without|deny|denies|denied|none|nor|neither|free of|negative for|absence of|ruled out)\b)/;
+
+// Phrases that look negative but affirm the symptom ("can't stop coughing", "won't go away")
+const PSEUDO_NEGATIONS = /\b(?:can't stop|cannot stop|couldn't stop|won't stop|not only|not sure|no better|not better|not improving|not getting better|no relief|can't get rid of|won't go away|doesn't go away|didn't go away|not going away|not go away)\b/g;
+
+// The symptom is over ("no fever anymore", "the headache went away")
+const RESOLVED_BEFORE = /\b(?:no longer|not anymore|recovered from|got over|gotten over|over my)\b/;
+const RESOLVED_AFTER = /\b(?:anymore|any more|went away|gone|has resolved|resolved|cleared up|has stopped|stopped|has passed|passed|is over|better now)\b/;
+
+// The symptom belongs to the medical history ("I used to get migraines", "a stroke years ago");
+// "in the past 2 days" is recent, not history
+const IN_THE_PAST = 'in the past(?!\\s+(?:\\d+|few|couple|several|two|three|four|five|hour|day|night|week|month))';
+const PAST_BEFORE = new RegExp(`\\b(?:used to|history of|${IN_THE_PAST}|previously|as a (?:child|kid)|when i was)\\b`);
+const PAST_AFTER = new RegExp(`\\b(?:years ago|months ago|last year|as a (?:child|kid)|${IN_THE_PAST}|when i was)\\b`);
+
+// Questions about a situation rather than reports of one ("what should I do if someone has a stroke?").
+// "if my/the ..." refers to something the user already has ("what if my headache won't go away?")
+const HYPOTHETICAL_TRIGGERS = /\b(?:if(?!\s+(?:my|the|this|it)\b)|in case|suppose|supposing|hypothetically|signs? of|symptoms? of|warning signs|risk of|chance of|prevent|avoid|worried about getting|afraid of getting|scared of getting|how do i know|how would i know|what happens|what causes|tell me about|learn about|information about|info about)\b/;
+
+// Someone other than the user is affected ("my dad has chest pain")
+const OTHER_EXPERIENCERS = /\b(?:my (?:father|dad|mother|mom|mum|son|daughter|wife|husband|partner|friend|child|kid|baby|toddler|brother|sister|grandma|grandmother|grandpa|grandfather|uncle|aunt|neighbou?r|coworker|colleague|boyfriend|girlfriend|\d+[- ]?(?:year|yr|month)s?[- ]old)|someone|somebody|he|she|they)\b/;
+
+// Words that end a trigger's scope ("no fever but I have a headache")
+const SCOPE_TERMINATORS = /\b(?:but|however|just|although|though|except|yet|instead|whereas|now|still|also|and (?:a|an|some|my)|i have|i've got|i'm having|i am having|i feel|there is|there's)\b/g;
+
+// How many words before a term a negation trigger may be
+const NEGATION_WINDOW = 6;
+
+function normalize(message) {
+  return message.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Text between the last scope terminator and the term
+function scopeBefore(text) {
+  let start = 0;
+  for (const match of text.matchAll(SCOPE_TERMINATORS)) {
+    start = match.index + match[0].length;
+  }
+  return text.slice(start);
+}
+
+// Text between the term and the next scope terminator
+function scopeAfter(text) {
+  SCOPE_TERMINATORS.lastIndex = 0;
+  const match = SCOPE_TERMINATORS.exec(text);
+  SCOPE_TERMINATORS.lastIndex = 0;
+  return match ? text.slice(0, match.index) : text;
+}
+
+function lastWords(text, count) {
+  return text.trim().split(' ').slice(-count).join(' ');
+}
+
+// Assertion for one occurrence of a term at [start, end) in a normalized message
+function assessOccurrence(msg, start, end) {
+  const sentenceStart = Math.max(...['.', '!', '?', ';', '\n'].map(mark => msg.lastIndexOf(mark, start - 1))) + 1;
+  const nextMarks = ['.', '!', '?', ';', '\n'].map(mark => msg.indexOf(mark, end)).filter(i => i !== -1);
+  const sentenceEnd = nextMarks.length > 0 ? Math.min(...nextMarks) : msg.length;
+
+  const sentenceBefore = msg.slice(sentenceStart, start);
+  const before = scopeBefore(sentenceBefore);
+  const after = scopeAfter(msg.slice(end, sentenceEnd));
+  const window = lastWords(before.replace(PSEUDO_NEGATIONS, ' '), NEGATION_WINDOW);
+
+  let status = 'current';
+  if (HYPOTHETICAL_TRIGGERS.test(sentenceBefore)) status = 'hypothetical';
+  else if (RESOLVED_BEFORE.test(before) || RESOLVED_AFTER.test(after)) status = 'resolved';
+  else if (PAST_BEFORE.test(before) || PAST_AFTER.test(after)) status = 'past';
+
+  return {
+    polarity: NEGATION_TRIGGERS.test(window) ? 'negated' : 'affirmed',
+    status,
+    experiencer: OTHER_EXPERIENCERS.test(sentenceBefore) ? 'other' : 'self'
+  };
+}
+
+// Every occurrence of a term, with its polarity ("affirmed"/"negated"), status
+// ("current"/"resolved"/"past"/"hypothetical") and experiencer ("self"/"other").
+// Terms match at the start of a word, so "headache" also finds "headaches".
+function findMentions(message, term) {
+  const msg = normalize(message);
+  const pattern = new RegExp(`\\b${escapeRegExp(normalize(term))}`, 'g');
+  return [...msg.matchAll(pattern)].map(match => ({
+    term,
+    ...assessOccurrence(msg, match.index, match.index + match[0].length)
+  }));
+}
+
+function isAffirmedCurrent(mention) {
+  return mention.polarity === 'affirmed' && mention.status === 'current';
+}
+
+// The mention that matters most: an affirmed, current one if there is one, else the first; null if absent
+function assessMention(message, term) {
+  const mentions = findMentions(message, term);
+  return mentions.find(isAffirmedCurrent) || mentions[0] || null;
+}
+
+// True when the term is mentioned as something happening now (to the user or someone else)
+function isAsserted(message, term) {
+  return findMentions(message, term).some(isAffirmedCurrent);
+}
+
+module.exports = {
+  findMentions,
+  assessMention,
+  isAsserted,
+  isAffirmedCurrent
+};
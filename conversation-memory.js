@@ -0,0 +1,152 @@
+// Rolling memory for long conversations. Once the in-memory history has SUMMARIZE_EVERY messages beyond the
+// RECENT_MESSAGES kept verbatim, the older ones are taken out of it and condensed into the session's memory:
+// structured facts read from the entities the rules extracted, and a short summary written by the AI provider
+// (or from the facts when there is none). The messages themselves stay in the database.
+const { isAffirmedCurrent } = require('./assertions');
+
+const RECENT_MESSAGES = parseInt(process.env.MEMORY_RECENT_MESSAGES) || 20;
+const SUMMARIZE_EVERY = parseInt(process.env.MEMORY_SUMMARIZE_EVERY) || 10;
+
+// Memories with a summary being written, so a slow provider never runs two at once for a session
+const summarizing = new WeakSet();
+
+function emptyMemory() {
+  return {
+    summary: null,
+    method: null,
+    facts: {
+      symptoms: [],
+      deniedSymptoms: [],
+      medications: [],
+      conditions: [],
+      allergies: [],
+      age: null,
+      vitals: {},
+      topics: []
+    },
+    summarizedMessages: 0,
+    coveredFrom: null,
+    coveredUntil: null,
+    coveredUntilId: null,
+    updatedAt: null
+  };
+}
+
+function add(list, value) {
+  if (value && !list.includes(value)) list.push(value);
+}
+
+function remove(list, value) {
+  const index = list.indexOf(value);
+  if (index !== -1) list.splice(index, 1);
+}
+
+// The user's own symptoms (latest statement wins), medications, conditions, allergies, age and readings
+function foldFacts(facts, turns) {
+  turns.forEach(turn => {
+    if (turn.intent) add(facts.topics, turn.intent);
+    if (turn.role !== 'user' || !turn.entities) return;
+    const entities = turn.entities;
+    (entities.symptomMentions || [])
+      .filter(mention => mention.experiencer === 'self')
+      .forEach(mention => {
+        if (isAffirmedCurrent(mention)) {
+          add(facts.symptoms, mention.term);
+          remove(facts.deniedSymptoms, mention.term);
+        } else if (mention.polarity === 'negated') {
+          add(facts.deniedSymptoms, mention.term);
+          remove(facts.symptoms, mention.term);
+        }
+      });
+    (entities.medications || []).forEach(name => add(facts.medications, name));
+    (entities.conditions || []).forEach(condition => add(facts.conditions, condition));
+    (entities.allergies || []).forEach(allergy => add(facts.allergies, allergy));
+    if (entities.age !== null && entities.age !== undefined) facts.age = entities.age;
+    Object.assign(facts.vitals, entities.vitals || {});
+  });
+}
+
+// One line per kind of fact, for the rule-based summary and the AI prompt
+function describeFacts(facts) {
+  return [
+    facts.symptoms.length > 0 && `Symptoms reported: ${facts.symptoms.join(', ')}`,
+    facts.deniedSymptoms.length > 0 && `Symptoms denied: ${facts.deniedSymptoms.join(', ')}`,
+    facts.medications.length > 0 && `Medications mentioned: ${facts.medications.join(', ')}`,
+    facts.conditions.length > 0 && `Conditions: ${facts.conditions.join(', ')}`,
+    facts.allergies.length > 0 && `Allergies: ${facts.allergies.join(', ')}`,
+    facts.age !== null && `Age: ${facts.age}`,
+    Object.keys(facts.vitals).length > 0 && `Readings: ${Object.keys(facts.vitals).join(', ')}`,
+    facts.topics.length > 0 && `Topics: ${facts.topics.join(', ')}`
+  ].filter(Boolean);
+}
+
+function ruleSummary(memory) {
+  const facts = describeFacts(memory.facts);
+  return `Earlier in this conversation (${memory.summarizedMessages} messages)` +
+    (facts.length > 0 ? `: ${facts.join('; ')}.` : ', nothing medically specific was mentioned.');
+}
+
+// True when a stored message (a messages row) is covered by the memory rather than the in-memory history
+function isSummarized(memory, message) {
+  return Boolean(memory && memory.coveredUntilId) && message.id <= memory.coveredUntilId;
+}
+
+// Every stored message before the first one kept is covered; messages carry their row id once saved
+function lastCoveredId(memory, turns, history) {
+  if (history.length > 0 && history[0].id) return history[0].id - 1;
+  return Math.max(memory.coveredUntilId || 0, ...turns.map(turn => turn.id || 0)) || null;
+}
+
+// Takes the older messages out of the history, leaving RECENT_MESSAGES or a few more so it starts at a user message
+function takeOlderTurns(history) {
+  if (history.length < RECENT_MESSAGES + SUMMARIZE_EVERY) return [];
+  let cut = history.length - RECENT_MESSAGES;
+  while (cut < history.length && history[cut].role !== 'user') cut++;
+  return cut < history.length ? history.splice(0, cut) : [];
+}
+
+// Condenses older turns into context.memory. The history and facts change straight away; with summarize
+// (async (previousSummary, turns) => text or null) the summary is then rewritten by the AI provider.
+// Resolves to true when the memory changed.
+async function compact(context, { summarize = null } = {}) {
+  const memory = context.memory || emptyMemory();
+  if (summarizing.has(memory)) return false;
+
+  const turns = takeOlderTurns(context.conversationHistory);
+  if (turns.length === 0) return false;
+
+  const previousSummary = memory.summary;
+  foldFacts(memory.facts, turns);
+  memory.summarizedMessages += turns.length;
+  memory.coveredFrom = memory.coveredFrom || turns[0].timestamp;
+  memory.coveredUntil = turns[turns.length - 1].timestamp;
+  memory.coveredUntilId = lastCoveredId(memory, turns, context.conversationHistory);
+  memory.summary = ruleSummary(memory);
+  memory.method = 'rules';
+  memory.updatedAt = new Date();
+  context.memory = memory;
+
+  if (summarize) {
+    summarizing.add(memory);
+    try {
+      const summary = await summarize(previousSummary, turns);
+      if (summary) {
+        memory.summary = summary;
+        memory.method = 'ai';
+        memory.updatedAt = new Date();
+      }
+    } finally {
+      summarizing.delete(memory);
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  RECENT_MESSAGES,
+  SUMMARIZE_EVERY,
+  emptyMemory,
+  describeFacts,
+  isSummarized,
+  compact
+};
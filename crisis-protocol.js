@@ -0,0 +1,253 @@
+// Mental-health crisis protocol: regional crisis lines, a calm scripted response sequence and staff alerts.
+// Crisis turns are always rule-based; the AI path and unrelated quick actions are suppressed.
+const crypto = require('crypto');
+const { medicalKnowledge } = require('./knowledge-base');
+
+// Region used when the user has not set one
+const DEFAULT_REGION = (process.env.CRISIS_REGION || 'US').toUpperCase();
+
+// Socket.IO room that only crisis-trained staff can join
+const STAFF_ROOM = 'crisis-staff';
+
+// Replies to "Are you safe right now?". Clear "not safe" phrases win over "safe" (which they contain);
+// a bare "no" only counts when nothing says the user is safe ("no, I'm okay")
+const UNSAFE_REPLY = /\b(?:not safe|unsafe|i'm not ok(?:ay)?|i am not ok(?:ay)?|can't keep myself safe|cannot keep myself safe|i have a plan|going to do it)\b/;
+const SAFE_REPLY = /\b(?:i'm safe|i am safe|safe (?:right )?now|yes|yeah|yep|i'm ok(?:ay)?|i am ok(?:ay)?|i'm fine|i am fine)\b/;
+const NO_REPLY = /\b(?:no|nope|not really)\b/;
+
+// Requests for the crisis lines at any point in the sequence
+const SHOW_LINES = /\b(?:crisis lines?|helplines?|hotlines?|show (?:me )?(?:the )?(?:lines|numbers|resources)|who can i (?:call|talk to)|talk to someone|someone to talk to)\b/;
+
+// Supportive replies once the user has said they are safe, used in turn
+const SUPPORT_MESSAGES = [
+  (resources) => `Thank you for sharing that with me. What you're feeling matters. A trained counselor can talk it through with you in a way I can't - ${lineText(resources.lines[0])}.`,
+  () => "That sounds really hard. You don't have to go through it alone. Is there someone you trust - a friend, a family member or your doctor - you could reach out to today?",
+  (resources) => `I'm here with you. If things start to feel worse or you don't feel safe, please call **${resources.emergencyNumber}** or ${lineText(resources.lines[0])} straight away.`
+];
+
+function normalize(message) {
+  return message.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+// Crisis resources for a region code, falling back to the default region and then the generic entry
+function getResources(region) {
+  const resources = medicalKnowledge.crisisResources || {};
+  const code = String(region || DEFAULT_REGION).toUpperCase();
+  if (resources[code] && code !== 'DEFAULT') {
+    return { code, ...resources[code] };
+  }
+  if (resources[DEFAULT_REGION]) {
+    return { code: DEFAULT_REGION, ...resources[DEFAULT_REGION] };
+  }
+  return { code: 'DEFAULT', ...resources.default };
+}
+
+// The region's poison control line, or null where the resources list none
+function poisonControlLine(region) {
+  return getResources(region).lines.find(line => /poison/i.test(line.name)) || null;
+}
+
+function isKnownRegion(region) {
+  const code = String(region || '').toUpperCase();
+  return code !== 'DEFAULT' && Boolean((medicalKnowledge.crisisResources || {})[code]);
+}
+
+function lineText(line) {
+  return line ? `${line.name}: ${line.contact}` : 'a local crisis line';
+}
+
+function formatLines(resources) {
+  const lines = resources.lines.map(line => {
+    const details = [line.hours, line.url].filter(Boolean).join(', ');
+    return `- **${line.name}**: ${line.contact}${details ? ` (${details})` : ''}`;
+  });
+  return `**Crisis support (${resources.name}):**\n${lines.join('\n')}`;
+}
+
+// "safe", "unsafe" or null when the reply does not answer the safety question.
+// Yes/no only count as answers right after the question was asked.
+function detectSafetyReply(message, askedSafety = true) {
+  const msg = normalize(message);
+  if (UNSAFE_REPLY.test(msg)) return 'unsafe';
+  if (!askedSafety) return null;
+  if (SAFE_REPLY.test(msg)) return 'safe';
+  if (NO_REPLY.test(msg)) return 'unsafe';
+  return null;
+}
+
+function wantsCrisisLines(message) {
+  return SHOW_LINES.test(normalize(message));
+}
+
+function startCrisis(region) {
+  return {
+    active: true,
+    region: getResources(region).code,
+    step: 'check_safety',
+    safety: null,
+    safetyPrompts: 0,
+    supportTurns: 0,
+    disclosures: 1,
+    startedAt: new Date().toISOString(),
+    alertedAt: null,
+    resolvedAt: null,
+    resolvedBy: null,
+    resolutionNote: null
+  };
+}
+
+// While a crisis is active every turn stays in the protocol, except medical emergencies (which take the
+// emergency path) and a confident switch to a concrete topic once the user has said they are safe
+function continuesCrisis(crisis, intent, confidence) {
+  if (!crisis || !crisis.active || intent === 'emergency') return false;
+  if (intent === 'crisis' || crisis.step === 'check_safety' || crisis.safety === 'unsafe') return true;
+  const concreteTopics = ['appointment', 'medication', 'symptom', 'specialty', 'wellness'];
+  return !(concreteTopics.includes(intent) && confidence >= 0.7);
+}
+
+function openingResponse(resources) {
+  return "I'm really glad you reached out, and I'm sorry you're going through this. You don't have to face it alone.\n\n" +
+    `If you are in immediate danger or have already hurt yourself, please call **${resources.emergencyNumber}** now.\n\n` +
+    `${formatLines(resources)}\n\n` +
+    'Are you safe right now?';
+}
+
+function unsafeResponse(resources) {
+  return 'Thank you for telling me. Your safety is what matters most right now.\n\n' +
+    `Please call **${resources.emergencyNumber}** or go to the nearest emergency room now. ` +
+    'If you can, stay with someone you trust or ask them to come to you, and move away from anything you could use to hurt yourself.\n\n' +
+    `You can also reach ${lineText(resources.lines[0])} - they are there to help.\n\n` +
+    "I'm still here with you.";
+}
+
+function safeResponse(resources) {
+  return "I'm glad you're safe right now. Thank you for trusting me with this.\n\n" +
+    `Talking with a trained counselor can really help, even when things feel a little calmer - ${lineText(resources.lines[0])}.\n\n` +
+    "If you'd like, you can tell me more about what's been going on. I'm here to listen.";
+}
+
+// Next scripted reply. Updates the crisis state and reports whether staff need an escalated alert.
+function respond(crisis, message, { isNew = false } = {}) {
+  const resources = getResources(crisis.region);
+
+  if (isNew) {
+    return { response: openingResponse(resources), escalate: false };
+  }
+
+  const safety = detectSafetyReply(message, crisis.step === 'check_safety');
+  if (safety === 'unsafe' && crisis.safety !== 'unsafe') {
+    crisis.safety = 'unsafe';
+    crisis.step = 'support';
+    return { response: unsafeResponse(resources), escalate: true };
+  }
+
+  if (wantsCrisisLines(message)) {
+    const question = crisis.step === 'check_safety' ? '\n\nAre you safe right now?' : '';
+    return { response: `${formatLines(resources)}${question}`, escalate: false };
+  }
+
+  if (crisis.step === 'check_safety') {
+    if (safety === 'safe') {
+      crisis.safety = 'safe';
+      crisis.step = 'support';
+      return { response: safeResponse(resources), escalate: false };
+    }
+    // Ask once more, then carry on supporting without insisting
+    crisis.safetyPrompts++;
+    if (crisis.safetyPrompts < 2) {
+      return {
+        response: "I want to make sure I understand, and there's no wrong answer. Are you safe right now?",
+        escalate: false
+      };
+    }
+    crisis.step = 'support';
+  }
+
+  if (crisis.safety === 'unsafe') {
+    return {
+      response: `I'm still here with you. Please call **${resources.emergencyNumber}** now if you haven't been able to yet, or ${lineText(resources.lines[0])}.`,
+      escalate: false
+    };
+  }
+
+  const reply = SUPPORT_MESSAGES[crisis.supportTurns % SUPPORT_MESSAGES.length](resources);
+  crisis.supportTurns++;
+  return { response: reply, escalate: false };
+}
+
+// Quick actions offered during a crisis; unrelated ones are never shown
+function quickActions(crisis) {
+  const resources = getResources(crisis.region);
+  if (crisis.step === 'check_safety') {
+    return ["I'm Safe Right Now", "I'm Not Safe", 'Show Crisis Lines'];
+  }
+  return ['Show Crisis Lines', `Call ${resources.emergencyNumber}`];
+}
+
+// Crisis quick actions plus any emergency ones from the regular flow
+function filterQuickActions(crisis, actions = []) {
+  const emergencyActions = actions.filter(action => /^(?:call |find er)/i.test(action));
+  return [...new Set([...quickActions(crisis), ...emergencyActions])];
+}
+
+// Alert sent to the staff room; reason is crisis_detected, repeat_disclosure or user_not_safe
+function buildAlert(sessionId, crisis, reason, message) {
+  return {
+    sessionId,
+    reason,
+    priority: reason === 'user_not_safe' ? 'immediate' : 'high',
+    message,
+    region: crisis.region,
+    safety: crisis.safety,
+    startedAt: crisis.startedAt,
+    timestamp: new Date()
+  };
+}
+
+function resolveCrisis(crisis, resolvedBy, note) {
+  crisis.active = false;
+  crisis.resolvedAt = new Date().toISOString();
+  crisis.resolvedBy = resolvedBy;
+  crisis.resolutionNote = note || null;
+  return crisis;
+}
+
+// Only staff holding CRISIS_STAFF_TOKEN may join the staff room
+function isStaffToken(token) {
+  const expected = process.env.CRISIS_STAFF_TOKEN;
+  if (!expected || typeof token !== 'string') return false;
+  const given = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+// Crisis state as returned to the client
+function publicState(crisis) {
+  if (!crisis || !crisis.active) return null;
+  const resources = getResources(crisis.region);
+  return {
+    active: true,
+    step: crisis.step,
+    safety: crisis.safety,
+    region: crisis.region,
+    emergencyNumber: resources.emergencyNumber,
+    lines: resources.lines
+  };
+}
+
+module.exports = {
+  STAFF_ROOM,
+  getResources,
+  poisonControlLine,
+  isKnownRegion,
+  detectSafetyReply,
+  startCrisis,
+  continuesCrisis,
+  respond,
+  quickActions,
+  filterQuickActions,
+  buildAlert,
+  resolveCrisis,
+  isStaffToken,
+  publicState
+};
@@ -9,8 +9,8 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Initialize database
-const db = new Database(path.join(dataDir, 'chatbot.db'));
+// Initialize database (DATABASE_PATH points elsewhere, e.g. ':memory:' for the tests)
+const db = new Database(process.env.DATABASE_PATH || path.join(dataDir, 'chatbot.db'));
 
 // Enable WAL mode for better concurrency
 db.pragma('journal_mode = WAL');
@@ -34,6 +34,8 @@ db.exec(`
     entities TEXT,
     sentiment TEXT,
     triage_level TEXT,
+    intent_confidence REAL,
+    intent_scores TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (session_id) REFERENCES sessions(session_id)
   );
@@ -56,12 +58,154 @@ db.exec(`
     FOREIGN KEY (session_id) REFERENCES sessions(session_id)
   );
 
+  CREATE TABLE IF NOT EXISTS medications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    dose TEXT,
+    frequency TEXT,
+    start_date TEXT,
+    status TEXT DEFAULT 'active',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    stopped_at DATETIME,
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    medication TEXT NOT NULL,
+    times TEXT NOT NULL,
+    email TEXT,
+    time_zone TEXT,
+    next_run_at TEXT NOT NULL,
+    last_sent_at TEXT,
+    status TEXT DEFAULT 'active',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    cancelled_at DATETIME,
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS providers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    specialty TEXT NOT NULL,
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS provider_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    provider_id INTEGER NOT NULL,
+    day_of_week INTEGER NOT NULL,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    slot_minutes INTEGER DEFAULT 30,
+    FOREIGN KEY (provider_id) REFERENCES providers(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS appointments (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    provider_id INTEGER NOT NULL,
+    appointment_type TEXT,
+    reason TEXT,
+    start_time TEXT NOT NULL,
+    end_time TEXT NOT NULL,
+    status TEXT DEFAULT 'booked',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id),
+    FOREIGN KEY (provider_id) REFERENCES providers(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS knowledge_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    section TEXT NOT NULL,
+    entry_key TEXT NOT NULL,
+    action TEXT NOT NULL,
+    before_data TEXT,
+    after_data TEXT,
+    changed_by TEXT NOT NULL,
+    comment TEXT,
+    version TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    format TEXT NOT NULL,
+    source_url TEXT,
+    content_hash TEXT NOT NULL,
+    chunk_count INTEGER DEFAULT 0,
+    ingested_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS document_chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    section TEXT,
+    content TEXT NOT NULL,
+    FOREIGN KEY (document_id) REFERENCES documents(id)
+  );
+
+  -- One row per LLM call; day is the UTC date, cost is in USD at the prices configured when the call was made
+  CREATE TABLE IF NOT EXISTS llm_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT,
+    day TEXT NOT NULL,
+    purpose TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER NOT NULL,
+    completion_tokens INTEGER NOT NULL,
+    total_tokens INTEGER NOT NULL,
+    estimated INTEGER DEFAULT 0,
+    cost REAL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Full-text index over the chunks; rowid is document_chunks.id
+  CREATE VIRTUAL TABLE IF NOT EXISTS document_chunks_fts USING fts5(
+    content, section, title, tokenize = 'porter unicode61'
+  );
+
   CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(session_id);
   CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at);
   CREATE INDEX IF NOT EXISTS idx_analytics_type ON analytics(event_type);
   CREATE INDEX IF NOT EXISTS idx_analytics_created ON analytics(created_at);
+  CREATE INDEX IF NOT EXISTS idx_medications_session ON medications(session_id, status);
+  CREATE INDEX IF NOT EXISTS idx_reminders_session ON reminders(session_id, status);
+  CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(status, next_run_at);
+  CREATE INDEX IF NOT EXISTS idx_schedules_provider ON provider_schedules(provider_id);
+  CREATE INDEX IF NOT EXISTS idx_appointments_session ON appointments(session_id);
+  CREATE INDEX IF NOT EXISTS idx_appointments_provider_start ON appointments(provider_id, start_time);
+  CREATE INDEX IF NOT EXISTS idx_revisions_entry ON knowledge_revisions(section, entry_key);
+  CREATE INDEX IF NOT EXISTS idx_chunks_document ON document_chunks(document_id, position);
+  CREATE INDEX IF NOT EXISTS idx_llm_usage_session ON llm_usage(session_id);
+  CREATE INDEX IF NOT EXISTS idx_llm_usage_day ON llm_usage(day);
 `);
 
+// Add columns introduced after a database was first created
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Added column ${table}.${column}`);
+  }
+}
+
+addColumnIfMissing('messages', 'intent_confidence', 'REAL');
+addColumnIfMissing('messages', 'intent_scores', 'TEXT');
+addColumnIfMissing('user_profiles', 'allergies', 'TEXT');
+addColumnIfMissing('messages', 'citations', 'TEXT');
+addColumnIfMissing('reminders', 'time_zone', 'TEXT');
+
 // Database operations
 const dbOps = {
   // Session operations
@@ -86,8 +230,8 @@ const dbOps = {
 
   // Message operations
   saveMessage: db.prepare(`
-    INSERT INTO messages (session_id, role, message, intent, entities, sentiment, triage_level)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO messages (session_id, role, message, intent, entities, sentiment, triage_level, intent_confidence, intent_scores, citations)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
   getMessages: db.prepare(`
@@ -120,16 +264,387 @@ const dbOps = {
 
   // Profile operations
   saveProfile: db.prepare(`
-    INSERT OR REPLACE INTO user_profiles (session_id, medications, symptoms, conditions, preferences)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT OR REPLACE INTO user_profiles (session_id, medications, symptoms, conditions, preferences, allergies)
+    VALUES (?, ?, ?, ?, ?, ?)
   `),
 
   getProfile: db.prepare(`
     SELECT * FROM user_profiles WHERE session_id = ?
+  `),
+
+  // Medication list operations
+  addMedication: db.prepare(`
+    INSERT INTO medications (session_id, name, dose, frequency, start_date)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+
+  getMedication: db.prepare(`
+    SELECT * FROM medications WHERE id = ?
+  `),
+
+  getMedicationsBySession: db.prepare(`
+    SELECT * FROM medications
+    WHERE session_id = ?
+    ORDER BY created_at ASC, id ASC
+  `),
+
+  countMedicationsBySession: db.prepare(`
+    SELECT COUNT(*) as count FROM medications WHERE session_id = ?
+  `),
+
+  updateMedication: db.prepare(`
+    UPDATE medications
+    SET dose = ?, frequency = ?, start_date = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'active'
+  `),
+
+  stopMedication: db.prepare(`
+    UPDATE medications
+    SET status = 'stopped', stopped_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'active'
+  `),
+
+  // Reminder operations
+  createReminder: db.prepare(`
+    INSERT INTO reminders (session_id, medication, times, email, time_zone, next_run_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+
+  getReminder: db.prepare(`
+    SELECT * FROM reminders WHERE id = ?
+  `),
+
+  getRemindersBySession: db.prepare(`
+    SELECT * FROM reminders
+    WHERE session_id = ? AND status = 'active'
+    ORDER BY created_at ASC, id ASC
+  `),
+
+  getDueReminders: db.prepare(`
+    SELECT * FROM reminders
+    WHERE status = 'active' AND next_run_at <= ?
+    ORDER BY next_run_at ASC
+  `),
+
+  markReminderRun: db.prepare(`
+    UPDATE reminders
+    SET next_run_at = ?, last_sent_at = COALESCE(?, last_sent_at), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'active'
+  `),
+
+  cancelReminder: db.prepare(`
+    UPDATE reminders
+    SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'active'
+  `),
+
+  // Scheduling operations
+  countProviders: db.prepare(`
+    SELECT COUNT(*) as count FROM providers
+  `),
+
+  createProvider: db.prepare(`
+    INSERT INTO providers (name, specialty) VALUES (?, ?)
+  `),
+
+  createProviderSchedule: db.prepare(`
+    INSERT INTO provider_schedules (provider_id, day_of_week, start_time, end_time, slot_minutes)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+
+  getProviders: db.prepare(`
+    SELECT * FROM providers WHERE active = 1 ORDER BY id ASC
+  `),
+
+  getProviderSchedules: db.prepare(`
+    SELECT s.*, p.name as provider_name, p.specialty
+    FROM provider_schedules s
+    JOIN providers p ON p.id = s.provider_id
+    WHERE p.active = 1
+    ORDER BY s.provider_id ASC, s.day_of_week ASC, s.start_time ASC
+  `),
+
+  getBookedAppointmentsInRange: db.prepare(`
+    SELECT * FROM appointments
+    WHERE status = 'booked' AND start_time < ? AND end_time > ?
+  `),
+
+  findProviderConflict: db.prepare(`
+    SELECT id FROM appointments
+    WHERE status = 'booked' AND provider_id = ? AND start_time < ? AND end_time > ? AND id != ?
+    LIMIT 1
+  `),
+
+  findSessionConflict: db.prepare(`
+    SELECT id FROM appointments
+    WHERE status = 'booked' AND session_id = ? AND start_time < ? AND end_time > ? AND id != ?
+    LIMIT 1
+  `),
+
+  createAppointment: db.prepare(`
+    INSERT INTO appointments (id, session_id, provider_id, appointment_type, reason, start_time, end_time)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getAppointment: db.prepare(`
+    SELECT a.*, p.name as provider_name, p.specialty
+    FROM appointments a
+    JOIN providers p ON p.id = a.provider_id
+    WHERE a.id = ?
+  `),
+
+  getAppointmentsBySession: db.prepare(`
+    SELECT a.*, p.name as provider_name, p.specialty
+    FROM appointments a
+    JOIN providers p ON p.id = a.provider_id
+    WHERE a.session_id = ?
+    ORDER BY a.start_time ASC
+  `),
+
+  rescheduleAppointment: db.prepare(`
+    UPDATE appointments
+    SET provider_id = ?, start_time = ?, end_time = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'booked'
+  `),
+
+  updateAppointmentReason: db.prepare(`
+    UPDATE appointments
+    SET reason = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'booked'
+  `),
+
+  cancelAppointment: db.prepare(`
+    UPDATE appointments
+    SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'booked'
+  `),
+
+  // Knowledge base audit operations
+  saveKnowledgeRevision: db.prepare(`
+    INSERT INTO knowledge_revisions (section, entry_key, action, before_data, after_data, changed_by, comment, version)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  getKnowledgeRevision: db.prepare(`
+    SELECT * FROM knowledge_revisions WHERE id = ?
+  `),
+
+  getKnowledgeRevisions: db.prepare(`
+    SELECT * FROM knowledge_revisions
+    WHERE (? IS NULL OR section = ?) AND (? IS NULL OR entry_key = ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `),
+
+  // Document corpus operations (retrieval)
+  getDocuments: db.prepare(`
+    SELECT * FROM documents ORDER BY path ASC
+  `),
+
+  getDocumentByPath: db.prepare(`
+    SELECT * FROM documents WHERE path = ?
+  `),
+
+  createDocument: db.prepare(`
+    INSERT INTO documents (path, title, format, source_url, content_hash, chunk_count)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+
+  deleteDocument: db.prepare(`
+    DELETE FROM documents WHERE id = ?
+  `),
+
+  createChunk: db.prepare(`
+    INSERT INTO document_chunks (document_id, position, section, content)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  indexChunk: db.prepare(`
+    INSERT INTO document_chunks_fts (rowid, content, section, title)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  unindexChunks: db.prepare(`
+    DELETE FROM document_chunks_fts
+    WHERE rowid IN (SELECT id FROM document_chunks WHERE document_id = ?)
+  `),
+
+  deleteChunks: db.prepare(`
+    DELETE FROM document_chunks WHERE document_id = ?
+  `),
+
+  // bm25 is lower for better matches; the content column weighs more than section and title
+  searchChunks: db.prepare(`
+    SELECT c.id AS chunk_id, c.position, c.section, c.content,
+           d.id AS document_id, d.title, d.path, d.source_url,
+           bm25(document_chunks_fts, 1.0, 0.5, 0.5) AS score
+    FROM document_chunks_fts
+    JOIN document_chunks c ON c.id = document_chunks_fts.rowid
+    JOIN documents d ON d.id = c.document_id
+    WHERE document_chunks_fts MATCH ?
+    ORDER BY score
+    LIMIT ?
+  `),
+
+  saveLLMUsage: db.prepare(`
+    INSERT INTO llm_usage (session_id, day, purpose, provider, model, prompt_tokens, completion_tokens, total_tokens, estimated, cost)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+
+  sumLLMUsageForSession: db.prepare(`
+    SELECT COUNT(*) AS calls, COALESCE(SUM(total_tokens), 0) AS tokens, COALESCE(SUM(cost), 0) AS cost
+    FROM llm_usage WHERE session_id = ?
+  `),
+
+  sumLLMUsageForDay: db.prepare(`
+    SELECT COUNT(*) AS calls, COALESCE(SUM(prompt_tokens), 0) AS promptTokens,
+           COALESCE(SUM(completion_tokens), 0) AS completionTokens,
+           COALESCE(SUM(total_tokens), 0) AS tokens, COALESCE(SUM(cost), 0) AS cost
+    FROM llm_usage WHERE day = ?
+  `),
+
+  llmUsageByDay: db.prepare(`
+    SELECT day, COUNT(*) AS calls, SUM(prompt_tokens) AS promptTokens, SUM(completion_tokens) AS completionTokens,
+           SUM(total_tokens) AS tokens, SUM(cost) AS cost
+    FROM llm_usage WHERE day >= ? GROUP BY day ORDER BY day DESC
+  `),
+
+  llmUsageByPurpose: db.prepare(`
+    SELECT purpose, COUNT(*) AS calls, SUM(total_tokens) AS tokens, SUM(cost) AS cost
+    FROM llm_usage WHERE day >= ? GROUP BY purpose ORDER BY tokens DESC
+  `),
+
+  llmUsageByModel: db.prepare(`
+    SELECT provider, model, COUNT(*) AS calls, SUM(prompt_tokens) AS promptTokens,
+           SUM(completion_tokens) AS completionTokens, SUM(cost) AS cost, SUM(estimated) AS estimatedCalls
+    FROM llm_usage WHERE day >= ? GROUP BY provider, model ORDER BY cost DESC, calls DESC
+  `),
+
+  topLLMUsageSessions: db.prepare(`
+    SELECT session_id AS sessionId, COUNT(*) AS calls, SUM(total_tokens) AS tokens, SUM(cost) AS cost
+    FROM llm_usage WHERE day >= ? AND session_id IS NOT NULL
+    GROUP BY session_id ORDER BY tokens DESC LIMIT ?
   `)
 };
 
+function parseRevision(row) {
+  return {
+    ...row,
+    before_data: row.before_data ? JSON.parse(row.before_data) : null,
+    after_data: row.after_data ? JSON.parse(row.after_data) : null
+  };
+}
+
+// Book an appointment atomically, rejecting overlaps for the provider or the session
+const bookAppointmentTx = db.transaction((appointment) => {
+  const { id, sessionId, providerId, type, reason, startTime, endTime } = appointment;
+
+  if (dbOps.findProviderConflict.get(providerId, endTime, startTime, id)) {
+    return { success: false, error: 'provider_conflict' };
+  }
+  if (dbOps.findSessionConflict.get(sessionId, endTime, startTime, id)) {
+    return { success: false, error: 'session_conflict' };
+  }
+
+  dbOps.createAppointment.run(id, sessionId, providerId, type, reason, startTime, endTime);
+  return { success: true, appointment: dbOps.getAppointment.get(id) };
+});
+
+// Move a booked appointment, with the same overlap rules as a new booking
+const rescheduleAppointmentTx = db.transaction((id, providerId, startTime, endTime) => {
+  const existing = dbOps.getAppointment.get(id);
+  if (!existing) {
+    return { success: false, error: 'not_found' };
+  }
+  if (existing.status !== 'booked') {
+    return { success: false, error: 'not_active' };
+  }
+
+  if (dbOps.findProviderConflict.get(providerId, endTime, startTime, id)) {
+    return { success: false, error: 'provider_conflict' };
+  }
+  if (dbOps.findSessionConflict.get(existing.session_id, endTime, startTime, id)) {
+    return { success: false, error: 'session_conflict' };
+  }
+
+  dbOps.rescheduleAppointment.run(providerId, startTime, endTime, id);
+  return { success: true, appointment: dbOps.getAppointment.get(id), previous: existing };
+});
+
+// Move medications from the old user_profiles.medications JSON column into the medications table,
+// for sessions that have never had a medication list
+const migrateProfileMedicationsTx = db.transaction(() => {
+  let moved = 0;
+  db.prepare(`SELECT session_id, medications FROM user_profiles WHERE medications IS NOT NULL AND medications != '[]'`)
+    .all()
+    .filter(row => dbOps.countMedicationsBySession.get(row.session_id).count === 0)
+    .forEach(row => {
+      JSON.parse(row.medications).forEach(name => {
+        dbOps.addMedication.run(row.session_id, name, null, null, null);
+        moved++;
+      });
+    });
+  return moved;
+});
+
+try {
+  const moved = migrateProfileMedicationsTx();
+  if (moved > 0) {
+    console.log(`✅ Moved ${moved} profile medications into the medications table`);
+  }
+} catch (error) {
+  console.error('Error migrating profile medications:', error);
+}
+
+// Remove a document with its chunks and their full-text entries
+const removeDocumentTx = db.transaction((documentId) => {
+  dbOps.unindexChunks.run(documentId);
+  dbOps.deleteChunks.run(documentId);
+  dbOps.deleteDocument.run(documentId);
+});
+
+// Replace a document (matched by path) and its chunks in one transaction
+const replaceDocumentTx = db.transaction((document, chunks) => {
+  const existing = dbOps.getDocumentByPath.get(document.path);
+  if (existing) {
+    removeDocumentTx(existing.id);
+  }
+  const { lastInsertRowid } = dbOps.createDocument.run(
+    document.path,
+    document.title,
+    document.format,
+    document.sourceUrl || null,
+    document.hash,
+    chunks.length
+  );
+  chunks.forEach((chunk, position) => {
+    const chunkId = dbOps.createChunk.run(lastInsertRowid, position, chunk.section || null, chunk.content).lastInsertRowid;
+    dbOps.indexChunk.run(chunkId, chunk.content, chunk.section || '', document.title);
+  });
+  return lastInsertRowid;
+});
+
+// Seed providers and weekly schedules in one transaction
+const seedProvidersTx = db.transaction((providers) => {
+  providers.forEach(provider => {
+    const { lastInsertRowid } = dbOps.createProvider.run(provider.name, provider.specialty);
+    provider.schedule.forEach(block => {
+      dbOps.createProviderSchedule.run(
+        lastInsertRowid,
+        block.dayOfWeek,
+        block.start,
+        block.end,
+        block.slotMinutes || 30
+      );
+    });
+  });
+});
+
 // Wrapper functions with error handling
+function parseReminder(row) {
+  return row ? { ...row, times: JSON.parse(row.times) } : null;
+}
+
 const database = {
   createSession: (sessionId, userInfo = {}, metadata = {}) => {
     try {
@@ -190,18 +705,22 @@ const database = {
     }
   },
 
-  saveMessage: (sessionId, role, message, intent = null, entities = null, sentiment = null, triageLevel = null) => {
+  // Returns the new message's id, or false when it could not be saved
+  saveMessage: (sessionId, role, message, intent = null, entities = null, sentiment = null, triageLevel = null, intentScores = null, citations = null) => {
     try {
-      dbOps.saveMessage.run(
+      const result = dbOps.saveMessage.run(
         sessionId,
         role,
         message,
         intent,
         entities ? JSON.stringify(entities) : null,
         sentiment,
-        triageLevel
+        triageLevel,
+        intentScores ? intentScores.confidence : null,
+        intentScores ? JSON.stringify(intentScores) : null,
+        citations && citations.length > 0 ? JSON.stringify(citations) : null
       );
-      return true;
+      return Number(result.lastInsertRowid);
     } catch (error) {
       console.error('Error saving message:', error);
       return false;
@@ -213,7 +732,9 @@ const database = {
       const rows = dbOps.getMessages.all(sessionId);
       return rows.map(row => ({
         ...row,
-        entities: row.entities ? JSON.parse(row.entities) : null
+        entities: row.entities ? JSON.parse(row.entities) : null,
+        intent_scores: row.intent_scores ? JSON.parse(row.intent_scores) : null,
+        citations: row.citations ? JSON.parse(row.citations) : null
       }));
     } catch (error) {
       console.error('Error getting messages:', error);
@@ -227,7 +748,9 @@ const database = {
       const rows = dbOps.searchMessages.all(searchTerm, searchTerm);
       return rows.map(row => ({
         ...row,
-        entities: row.entities ? JSON.parse(row.entities) : null
+        entities: row.entities ? JSON.parse(row.entities) : null,
+        intent_scores: row.intent_scores ? JSON.parse(row.intent_scores) : null,
+        citations: row.citations ? JSON.parse(row.citations) : null
       }));
     } catch (error) {
       console.error('Error searching messages:', error);
@@ -258,14 +781,15 @@ const database = {
     }
   },
 
-  saveProfile: (sessionId, medications = [], symptoms = [], conditions = [], preferences = {}) => {
+  saveProfile: (sessionId, medications = [], symptoms = [], conditions = [], preferences = {}, allergies = []) => {
     try {
       dbOps.saveProfile.run(
         sessionId,
         JSON.stringify(medications),
         JSON.stringify(symptoms),
         JSON.stringify(conditions),
-        JSON.stringify(preferences)
+        JSON.stringify(preferences),
+        JSON.stringify(allergies)
       );
       return true;
     } catch (error) {
@@ -283,7 +807,8 @@ const database = {
           medications: JSON.parse(row.medications || '[]'),
           symptoms: JSON.parse(row.symptoms || '[]'),
           conditions: JSON.parse(row.conditions || '[]'),
-          preferences: JSON.parse(row.preferences || '{}')
+          preferences: JSON.parse(row.preferences || '{}'),
+          allergies: JSON.parse(row.allergies || '[]')
         };
       }
       return null;
@@ -293,6 +818,348 @@ const database = {
     }
   },
 
+  // Medication list
+  addMedication: (sessionId, { name, dose = null, frequency = null, startDate = null }) => {
+    try {
+      const { lastInsertRowid } = dbOps.addMedication.run(sessionId, name, dose, frequency, startDate);
+      return dbOps.getMedication.get(lastInsertRowid);
+    } catch (error) {
+      console.error('Error adding medication:', error);
+      return null;
+    }
+  },
+
+  getMedication: (medicationId) => {
+    try {
+      return dbOps.getMedication.get(medicationId) || null;
+    } catch (error) {
+      console.error('Error getting medication:', error);
+      return null;
+    }
+  },
+
+  // Active medications only unless asked otherwise
+  getMedicationsBySession: (sessionId, options = {}) => {
+    try {
+      return dbOps.getMedicationsBySession.all(sessionId).filter(med => options.all || med.status === 'active');
+    } catch (error) {
+      console.error('Error getting medications:', error);
+      return [];
+    }
+  },
+
+  updateMedication: (medicationId, { dose = null, frequency = null, startDate = null }) => {
+    try {
+      return dbOps.updateMedication.run(dose, frequency, startDate, medicationId).changes > 0;
+    } catch (error) {
+      console.error('Error updating medication:', error);
+      return false;
+    }
+  },
+
+  stopMedication: (medicationId) => {
+    try {
+      return dbOps.stopMedication.run(medicationId).changes > 0;
+    } catch (error) {
+      console.error('Error stopping medication:', error);
+      return false;
+    }
+  },
+
+  // Medication reminders (times are a JSON array of "HH:MM" in timeZone, or in the server's time zone without one)
+  createReminder: (sessionId, { medication, times, email = null, timeZone = null, nextRunAt }) => {
+    try {
+      const { lastInsertRowid } = dbOps.createReminder.run(sessionId, medication, JSON.stringify(times), email, timeZone, nextRunAt);
+      return parseReminder(dbOps.getReminder.get(lastInsertRowid));
+    } catch (error) {
+      console.error('Error creating reminder:', error);
+      return null;
+    }
+  },
+
+  getReminder: (reminderId) => {
+    try {
+      return parseReminder(dbOps.getReminder.get(reminderId));
+    } catch (error) {
+      console.error('Error getting reminder:', error);
+      return null;
+    }
+  },
+
+  getRemindersBySession: (sessionId) => {
+    try {
+      return dbOps.getRemindersBySession.all(sessionId).map(parseReminder);
+    } catch (error) {
+      console.error('Error getting reminders:', error);
+      return [];
+    }
+  },
+
+  getDueReminders: (now) => {
+    try {
+      return dbOps.getDueReminders.all(now).map(parseReminder);
+    } catch (error) {
+      console.error('Error getting due reminders:', error);
+      return [];
+    }
+  },
+
+  // Move a reminder on to its next time; sentAt is null when the reminder was skipped
+  markReminderRun: (reminderId, nextRunAt, sentAt = null) => {
+    try {
+      return dbOps.markReminderRun.run(nextRunAt, sentAt, reminderId).changes > 0;
+    } catch (error) {
+      console.error('Error updating reminder:', error);
+      return false;
+    }
+  },
+
+  cancelReminder: (reminderId) => {
+    try {
+      return dbOps.cancelReminder.run(reminderId).changes > 0;
+    } catch (error) {
+      console.error('Error cancelling reminder:', error);
+      return false;
+    }
+  },
+
+  // Scheduling
+  seedProviders: (providers) => {
+    try {
+      if (dbOps.countProviders.get().count > 0) {
+        return false;
+      }
+      seedProvidersTx(providers);
+      return true;
+    } catch (error) {
+      console.error('Error seeding providers:', error);
+      return false;
+    }
+  },
+
+  getProviders: () => {
+    try {
+      return dbOps.getProviders.all();
+    } catch (error) {
+      console.error('Error getting providers:', error);
+      return [];
+    }
+  },
+
+  getProviderSchedules: () => {
+    try {
+      return dbOps.getProviderSchedules.all();
+    } catch (error) {
+      console.error('Error getting provider schedules:', error);
+      return [];
+    }
+  },
+
+  getBookedAppointmentsInRange: (from, to) => {
+    try {
+      return dbOps.getBookedAppointmentsInRange.all(to, from);
+    } catch (error) {
+      console.error('Error getting booked appointments:', error);
+      return [];
+    }
+  },
+
+  bookAppointment: (appointment) => {
+    try {
+      return bookAppointmentTx(appointment);
+    } catch (error) {
+      console.error('Error booking appointment:', error);
+      return { success: false, error: 'database_error' };
+    }
+  },
+
+  getAppointment: (appointmentId) => {
+    try {
+      return dbOps.getAppointment.get(appointmentId) || null;
+    } catch (error) {
+      console.error('Error getting appointment:', error);
+      return null;
+    }
+  },
+
+  getAppointmentsBySession: (sessionId) => {
+    try {
+      return dbOps.getAppointmentsBySession.all(sessionId);
+    } catch (error) {
+      console.error('Error getting appointments:', error);
+      return [];
+    }
+  },
+
+  rescheduleAppointment: (appointmentId, providerId, startTime, endTime) => {
+    try {
+      return rescheduleAppointmentTx(appointmentId, providerId, startTime, endTime);
+    } catch (error) {
+      console.error('Error rescheduling appointment:', error);
+      return { success: false, error: 'database_error' };
+    }
+  },
+
+  updateAppointmentReason: (appointmentId, reason) => {
+    try {
+      return dbOps.updateAppointmentReason.run(reason, appointmentId).changes > 0;
+    } catch (error) {
+      console.error('Error updating appointment:', error);
+      return false;
+    }
+  },
+
+  cancelAppointment: (appointmentId) => {
+    try {
+      return dbOps.cancelAppointment.run(appointmentId).changes > 0;
+    } catch (error) {
+      console.error('Error cancelling appointment:', error);
+      return false;
+    }
+  },
+
+  // Knowledge base audit
+  saveKnowledgeRevision: (revision) => {
+    try {
+      const { lastInsertRowid } = dbOps.saveKnowledgeRevision.run(
+        revision.section,
+        revision.key,
+        revision.action,
+        revision.before === null || revision.before === undefined ? null : JSON.stringify(revision.before),
+        revision.after === null || revision.after === undefined ? null : JSON.stringify(revision.after),
+        revision.changedBy,
+        revision.comment || null,
+        revision.version || null
+      );
+      return parseRevision(dbOps.getKnowledgeRevision.get(lastInsertRowid));
+    } catch (error) {
+      console.error('Error saving knowledge revision:', error);
+      return null;
+    }
+  },
+
+  getKnowledgeRevision: (revisionId) => {
+    try {
+      const row = dbOps.getKnowledgeRevision.get(revisionId);
+      return row ? parseRevision(row) : null;
+    } catch (error) {
+      console.error('Error getting knowledge revision:', error);
+      return null;
+    }
+  },
+
+  getKnowledgeRevisions: ({ section = null, key = null, limit = 100 } = {}) => {
+    try {
+      return dbOps.getKnowledgeRevisions.all(section, section, key, key, limit).map(parseRevision);
+    } catch (error) {
+      console.error('Error getting knowledge revisions:', error);
+      return [];
+    }
+  },
+
+  getDocuments: () => {
+    try {
+      return dbOps.getDocuments.all();
+    } catch (error) {
+      console.error('Error getting documents:', error);
+      return [];
+    }
+  },
+
+  getDocumentByPath: (documentPath) => {
+    try {
+      return dbOps.getDocumentByPath.get(documentPath) || null;
+    } catch (error) {
+      console.error('Error getting document:', error);
+      return null;
+    }
+  },
+
+  // document: { path, title, format, sourceUrl, hash }; chunks: [{ section, content }]
+  replaceDocument: (document, chunks) => {
+    try {
+      return replaceDocumentTx(document, chunks);
+    } catch (error) {
+      console.error('Error saving document:', error);
+      return null;
+    }
+  },
+
+  removeDocument: (documentId) => {
+    try {
+      removeDocumentTx(documentId);
+      return true;
+    } catch (error) {
+      console.error('Error removing document:', error);
+      return false;
+    }
+  },
+
+  // ftsQuery is an FTS5 MATCH expression; best matches first
+  searchDocumentChunks: (ftsQuery, limit = 3) => {
+    try {
+      return dbOps.searchChunks.all(ftsQuery, limit);
+    } catch (error) {
+      console.error('Error searching documents:', error);
+      return [];
+    }
+  },
+
+  // usage: { sessionId, day, purpose, provider, model, promptTokens, completionTokens, estimated, cost }
+  saveLLMUsage: (usage) => {
+    try {
+      dbOps.saveLLMUsage.run(
+        usage.sessionId || null,
+        usage.day,
+        usage.purpose,
+        usage.provider,
+        usage.model,
+        usage.promptTokens,
+        usage.completionTokens,
+        usage.promptTokens + usage.completionTokens,
+        usage.estimated ? 1 : 0,
+        usage.cost
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving LLM usage:', error);
+      return false;
+    }
+  },
+
+  getSessionLLMUsage: (sessionId) => {
+    try {
+      return dbOps.sumLLMUsageForSession.get(sessionId);
+    } catch (error) {
+      console.error('Error getting session LLM usage:', error);
+      return { calls: 0, tokens: 0, cost: 0 };
+    }
+  },
+
+  getDailyLLMUsage: (day) => {
+    try {
+      return dbOps.sumLLMUsageForDay.get(day);
+    } catch (error) {
+      console.error('Error getting daily LLM usage:', error);
+      return { calls: 0, promptTokens: 0, completionTokens: 0, tokens: 0, cost: 0 };
+    }
+  },
+
+  // Usage from sinceDay (YYYY-MM-DD) on: per day, per purpose, per model and the heaviest sessions
+  getLLMUsageReport: (sinceDay, topSessions = 10) => {
+    try {
+      return {
+        byDay: dbOps.llmUsageByDay.all(sinceDay),
+        byPurpose: dbOps.llmUsageByPurpose.all(sinceDay),
+        byModel: dbOps.llmUsageByModel.all(sinceDay),
+        topSessions: dbOps.topLLMUsageSessions.all(sinceDay, topSessions)
+      };
+    } catch (error) {
+      console.error('Error getting LLM usage report:', error);
+      return { byDay: [], byPurpose: [], byModel: [], topSessions: [] };
+    }
+  },
+
   // Statistics
   getStats: () => {
     try {
@@ -0,0 +1,250 @@
+// Drug database: generic and brand names, active ingredients and graded interaction checks
+const { medicalKnowledge, INTERACTION_SEVERITIES } = require('./knowledge-base');
+
+const SEVERITY_LABELS = {
+  contraindicated: '⛔ Contraindicated',
+  major: '🔴 Major',
+  moderate: '🟠 Moderate',
+  minor: '🟡 Minor'
+};
+
+// Two products with the same active ingredient (Tylenol and Percocet) double the dose
+const DUPLICATE_INGREDIENT = {
+  severity: 'major',
+  mechanism: 'Both products contain the same active ingredient.',
+  effect: 'Taking both doubles the dose and can lead to an overdose.'
+};
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every known name (generic, brand or alias) -> { display, generics, brand }.
+// Rebuilt when the knowledge base reloads, which swaps in a new drugs object.
+let nameIndex = new Map();
+let indexedDrugs = null;
+function getNameIndex() {
+  if (indexedDrugs === medicalKnowledge.drugs) return nameIndex;
+
+  nameIndex = new Map();
+  const add = (name, generic, brand) => {
+    const key = normalizeName(name);
+    const existing = nameIndex.get(key);
+    if (existing) {
+      if (!existing.generics.includes(generic)) existing.generics.push(generic);
+      return;
+    }
+    nameIndex.set(key, { display: brand ? name : generic, generics: [generic], brand });
+  };
+  Object.entries(medicalKnowledge.drugs || {}).forEach(([generic, drug]) => {
+    add(generic, generic, false);
+    (drug.aliases || []).forEach(alias => add(alias, generic, false));
+    drug.brands.forEach(brand => add(brand, generic, true));
+  });
+  indexedDrugs = medicalKnowledge.drugs;
+  return nameIndex;
+}
+
+// A medication name as { name, generics, brand }; names not in the database stand for themselves
+function resolveMedication(name) {
+  const match = getNameIndex().get(normalizeName(name));
+  return match
+    ? { name: match.display, generics: [...match.generics], brand: match.brand }
+    : { name: normalizeName(name), generics: [normalizeName(name)], brand: false, unknown: true };
+}
+
+function isKnownMedication(name) {
+  return getNameIndex().has(normalizeName(name));
+}
+
+// Medications named in a message, longest names first so "potassium chloride" beats "potassium"
+function extractMedications(message) {
+  const msg = normalizeName(message);
+  const names = [...getNameIndex().keys()].sort((a, b) => b.length - a.length);
+  const taken = [];
+  const mentions = [];
+
+  names.forEach(name => {
+    const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(name)}(?![a-z0-9])`, 'g');
+    for (const match of msg.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + name.length;
+      if (taken.some(([s, e]) => start < e && end > s)) continue;
+      taken.push([start, end]);
+      mentions.push({ start, ...resolveMedication(name) });
+    }
+  });
+
+  return mentions
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, ...mention }) => mention)
+    .filter((mention, i, all) => all.findIndex(other => other.name === mention.name) === i);
+}
+
+function drugClass(generic) {
+  const drug = (medicalKnowledge.drugs || {})[generic];
+  return drug ? normalizeName(drug.class) : null;
+}
+
+function findRule(a, b) {
+  const entry = (medicalKnowledge.medicationInteractions || {})[a];
+  return entry ? entry.interactions.find(interaction => normalizeName(interaction.with) === b) : null;
+}
+
+// The most specific rule for two ingredients: drug-drug, then drug-class, then class-class
+function findInteraction(genericA, genericB) {
+  const classA = drugClass(genericA);
+  const classB = drugClass(genericB);
+  const candidates = [
+    [genericA, genericB],
+    [genericA, classB],
+    [classA, genericB],
+    [classA, classB]
+  ].filter(([x, y]) => x && y);
+
+  for (const [x, y] of candidates) {
+    const rule = findRule(x, y) || findRule(y, x);
+    if (rule) return { ...rule, matchedOn: [x, y] };
+  }
+  return null;
+}
+
+function ingredientLabel(medication, generic) {
+  return medication.brand ? `${medication.name} (${generic})` : generic;
+}
+
+function formatWarning(interaction) {
+  const title = interaction.duplicate
+    ? `${SEVERITY_LABELS[interaction.severity]}: duplicate ingredient in ${interaction.names.join(' + ')}`
+    : `${SEVERITY_LABELS[interaction.severity]} ${interaction.severity === 'contraindicated' ? 'combination' : 'interaction'}: ${interaction.names.join(' + ')}`;
+  return `**${title}** - ${interaction.effect} Why: ${interaction.mechanism}`;
+}
+
+// Graded interactions between medications (generic or brand names), most severe first
+function checkMedicationInteractions(medications) {
+  const resolved = [...new Set(medications.map(normalizeName))].map(resolveMedication);
+  const found = new Map();
+
+  for (let i = 0; i < resolved.length; i++) {
+    for (let j = i + 1; j < resolved.length; j++) {
+      resolved[i].generics.forEach(genericA => {
+        resolved[j].generics.forEach(genericB => {
+          const key = [genericA, genericB].sort().join('|');
+          if (found.has(key)) return;
+
+          const names = [ingredientLabel(resolved[i], genericA), ingredientLabel(resolved[j], genericB)];
+          if (genericA === genericB) {
+            found.set(key, { drugs: [genericA], names, ...DUPLICATE_INGREDIENT, duplicate: true });
+            return;
+          }
+          const rule = findInteraction(genericA, genericB);
+          if (rule) {
+            found.set(key, {
+              drugs: [genericA, genericB],
+              names,
+              severity: rule.severity,
+              mechanism: rule.mechanism,
+              effect: rule.effect,
+              matchedOn: rule.matchedOn
+            });
+          }
+        });
+      });
+    }
+  }
+
+  const rank = severity => INTERACTION_SEVERITIES.indexOf(severity);
+  const interactions = [...found.values()].sort((a, b) => rank(a.severity) - rank(b.severity));
+  return {
+    interactions,
+    warnings: interactions.map(formatWarning),
+    unknown: resolved.filter(medication => medication.unknown).map(medication => medication.name)
+  };
+}
+
+// Most specific avoid rule for a drug: by its generic name, then by its class
+function findAvoidRule(avoid, generic) {
+  return avoid.find(item => normalizeName(item.drug) === generic) ||
+    avoid.find(item => normalizeName(item.drug) === drugClass(generic)) || null;
+}
+
+// An allergy to the same drug, a whole class ("allergic to NSAIDs", "penicillins" for every penicillin antibiotic)
+// or another drug in the same class
+function findAllergy(generic, allergy) {
+  const drug = (medicalKnowledge.drugs || {})[generic];
+  const known = getNameIndex().get(normalizeName(allergy));
+  if (known && known.generics.includes(generic)) {
+    return { severity: 'contraindicated', reason: `You mentioned an allergy to ${allergy}.` };
+  }
+  if (!drug) return null;
+
+  const drugClassName = drugClass(generic);
+  const allergen = normalizeName(allergy);
+  const familyName = drugClassName.replace(/ antibiotic$/, '');
+  if ([drugClassName, `${drugClassName}s`, familyName, `${familyName}s`].includes(allergen)) {
+    return { severity: 'contraindicated', reason: `You mentioned an allergy to ${allergy}, which includes this medicine.` };
+  }
+  if (known && known.generics.some(other => drugClass(other) === drugClassName)) {
+    return { severity: 'major', reason: `It is in the same class as ${allergy} (${drug.class}), so it may cause the same allergic reaction.` };
+  }
+  return null;
+}
+
+function formatContraindication(item) {
+  const against = item.type === 'allergy' ? `your ${item.against} allergy` : item.against;
+  return `**${SEVERITY_LABELS[item.severity]}: ${item.name} with ${against}** - ${item.reason}`;
+}
+
+// Medications that should be avoided with the user's conditions or allergies, most severe first
+function checkContraindications(medications, { conditions = [], allergies = [] } = {}) {
+  const rules = medicalKnowledge.drugContraindications || {};
+  const found = new Map();
+
+  [...new Set(medications.map(normalizeName))].map(resolveMedication).forEach(medication => {
+    medication.generics.forEach(generic => {
+      const name = ingredientLabel(medication, generic);
+      conditions.filter(condition => rules[condition]).forEach(condition => {
+        const rule = findAvoidRule(rules[condition].avoid, generic);
+        if (rule) {
+          found.set(`${generic}|${condition}`, {
+            drug: generic, name, type: 'condition', against: condition, severity: rule.severity, reason: rule.reason
+          });
+        }
+      });
+      allergies.forEach(allergy => {
+        const match = findAllergy(generic, allergy);
+        if (match) {
+          found.set(`${generic}|${allergy}`, { drug: generic, name, type: 'allergy', against: allergy, ...match });
+        }
+      });
+    });
+  });
+
+  const rank = severity => INTERACTION_SEVERITIES.indexOf(severity);
+  const contraindications = [...found.values()].sort((a, b) => rank(a.severity) - rank(b.severity));
+  return { contraindications, warnings: contraindications.map(formatContraindication) };
+}
+
+// "Advil contains ibuprofen (NSAID)" for brand names
+function describeIngredients(medication) {
+  const ingredients = medication.generics.map(generic => {
+    const drug = (medicalKnowledge.drugs || {})[generic];
+    return drug ? `${generic} (${drug.class})` : generic;
+  });
+  return `**${medication.name}** contains ${ingredients.join(', ')}`;
+}
+
+module.exports = {
+  SEVERITY_LABELS,
+  resolveMedication,
+  isKnownMedication,
+  extractMedications,
+  findInteraction,
+  checkMedicationInteractions,
+  checkContraindications,
+  describeIngredients
+};
@@ -0,0 +1,335 @@
+// Merges entities extracted by the LLM (aiService.extractEntitiesAI) into the rule-based ones from nlp.js.
+// The model's output is untrusted: it is checked against a schema, then against the drug and symptom
+// vocabularies and the message itself. The model can add what the rules missed ("ibuprofin",
+// "my head is pounding") but cannot invent medications or symptoms or overturn a negation the rules found.
+const { medicalKnowledge } = require('./knowledge-base');
+const { findMentions, isAffirmedCurrent } = require('./assertions');
+const { resolveMedication } = require('./drug-database');
+const { BODY_PARTS } = require('./nlp');
+
+// The JSON the model is asked for (the subset of JSON Schema that validate() understands)
+const AI_ENTITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    medications: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 60 } },
+    symptoms: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', maxLength: 60 },
+          present: { type: 'boolean' },
+          experiencer: { type: 'string', enum: ['self', 'other'] }
+        }
+      }
+    },
+    bodyParts: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 30 } },
+    numbers: { type: 'array', maxItems: 20, items: { type: 'number' } },
+    timeExpressions: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: 40 } }
+  }
+};
+
+// Spelled-out numbers the model may turn into digits ("three days" -> 3)
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'];
+
+// First schema violation in a value, or null when it is valid
+function validate(value, schema, path = 'value') {
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (type !== schema.type) return `${path} should be ${schema.type}, got ${type}`;
+
+  if (schema.enum && !schema.enum.includes(value)) return `${path} should be one of ${schema.enum.join(', ')}`;
+  if (type === 'number' && !Number.isFinite(value)) return `${path} should be a finite number`;
+  if (type === 'string' && schema.maxLength && value.length > schema.maxLength) return `${path} is longer than ${schema.maxLength}`;
+  if (type === 'string' && !value.trim()) return `${path} is empty`;
+  if (type === 'array' && schema.maxItems && value.length > schema.maxItems) return `${path} has more than ${schema.maxItems} items`;
+  if (type === 'array' && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = validate(value[i], schema.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+  if (type === 'object') {
+    const missing = (schema.required || []).find(key => value[key] === undefined);
+    if (missing) return `${path}.${missing} is required`;
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const error = validate(value[key], property, `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Models often answer "headache" where an object is asked for, or "3" where a number is
+function coerce(field, item) {
+  if (field === 'symptoms' && typeof item === 'string') return { name: item };
+  if (field === 'numbers' && typeof item === 'string' && /^\d+(?:\.\d+)?$/.test(item.trim())) return Number(item);
+  return item;
+}
+
+// The schema-valid items of each field; invalid items are dropped one by one rather than the whole answer
+function validItems(raw, rejected) {
+  const items = {};
+  for (const [field, schema] of Object.entries(AI_ENTITY_SCHEMA.properties)) {
+    const value = raw[field];
+    if (value === undefined || value === null) continue;
+    if (!Array.isArray(value)) {
+      rejected.push({ type: field, value, reason: 'schema', detail: `${field} should be array` });
+      continue;
+    }
+    items[field] = [];
+    value.slice(0, schema.maxItems).forEach((item, i) => {
+      const coerced = coerce(field, item);
+      const error = validate(coerced, schema.items, `${field}[${i}]`);
+      if (error) {
+        rejected.push({ type: field, value: item, reason: 'schema', detail: error });
+      } else {
+        items[field].push(coerced);
+      }
+    });
+  }
+  return items;
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// The name, or a misspelling of it, appears in the message ("ibuprofin" for ibuprofen)
+function appearsIn(message, name) {
+  const msg = normalize(message);
+  const target = normalize(name);
+  if (msg.includes(target)) return true;
+
+  const allowed = target.length >= 8 ? 2 : target.length >= 5 ? 1 : 0;
+  if (allowed === 0) return false;
+  const words = msg.split(/[^a-z0-9'-]+/).filter(Boolean);
+  const size = target.split(' ').length;
+  for (let i = 0; i + size <= words.length; i++) {
+    if (editDistance(words.slice(i, i + size).join(' '), target) <= allowed) return true;
+  }
+  return false;
+}
+
+const FILLER_WORDS = new Set(['a', 'an', 'and', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Words that are forms of each other: "head" and "headache", "nauseous" and "nausea", "dizzy" and "dizziness"
+function sameStem(a, b) {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) < 4) return false;
+  let common = 0;
+  while (common < Math.min(a.length, b.length) && a[common] === b[common]) common++;
+  return common >= 4 && common >= Math.min(a.length, b.length) - 2;
+}
+
+// The symptom appears in the message, or every word of its name has a form there ("my head is pounding"
+// for headache); a symptom the message gives no sign of ("chest pain" for "I feel tired") does not
+function symptomInMessage(message, term) {
+  if (appearsIn(message, term)) return true;
+  const words = normalize(message).split(/[^a-z0-9']+/).filter(Boolean);
+  return term.split(/[^a-z0-9']+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .every(word => words.some(other => sameStem(word, other)));
+}
+
+// Symptom names the rules also look for: knowledge base symptoms and triage keywords
+function symptomVocabulary() {
+  const levels = medicalKnowledge.triageLevels;
+  return new Set([
+    ...Object.keys(medicalKnowledge.commonSymptoms),
+    ...levels.emergency.keywords,
+    ...levels.urgent.keywords
+  ]);
+}
+
+function addSource(sources, field, key, source) {
+  sources[field] = sources[field] || {};
+  const list = sources[field][String(key)] = sources[field][String(key)] || [];
+  if (!list.includes(source)) list.push(source);
+}
+
+// Which extractor produced each entity, for the rule-based entities alone
+function ruleSources(entities) {
+  const sources = {};
+  entities.medications.forEach(name => addSource(sources, 'medications', name, 'rules'));
+  entities.symptomMentions.forEach(mention => addSource(sources, 'symptoms', mention.term, 'rules'));
+  entities.bodyParts.forEach(part => addSource(sources, 'bodyParts', part, 'rules'));
+  entities.numbers.forEach(number => addSource(sources, 'numbers', number, 'rules'));
+  entities.timeExpressions.forEach(expression => addSource(sources, 'timeExpressions', normalize(expression), 'rules'));
+  return sources;
+}
+
+function mergeMedications(entities, names, message, result) {
+  names.forEach(name => {
+    const medication = resolveMedication(name);
+    if (medication.unknown) {
+      result.rejected.push({ type: 'medications', value: name, reason: 'unknown_medication' });
+      return;
+    }
+    if (medication.generics.every(generic => entities.medications.includes(generic))) {
+      medication.generics.forEach(generic => addSource(entities.sources, 'medications', generic, 'ai'));
+      return;
+    }
+    if (medication.generics.some(generic => entities.allergies.includes(generic))) {
+      result.rejected.push({ type: 'medications', value: name, reason: 'allergen' });
+      return;
+    }
+    if (!appearsIn(message, name) && !appearsIn(message, medication.name)) {
+      result.rejected.push({ type: 'medications', value: name, reason: 'not_in_message' });
+      return;
+    }
+    entities.medicationMentions.push({ ...medication, source: 'ai' });
+    medication.generics.forEach(generic => {
+      if (!entities.medications.includes(generic)) entities.medications.push(generic);
+      addSource(entities.sources, 'medications', generic, 'ai');
+    });
+    result.added.push({ type: 'medications', value: medication.name });
+  });
+}
+
+// Symptoms the rules found keep the rules' assertion; the model only adds the ones worded differently
+function mergeSymptoms(entities, symptoms, message, result) {
+  const vocabulary = symptomVocabulary();
+  symptoms.forEach(({ name, present = true, experiencer = 'self' }) => {
+    const term = normalize(name);
+    if (!vocabulary.has(term)) {
+      result.rejected.push({ type: 'symptoms', value: name, reason: 'unknown_symptom' });
+      return;
+    }
+
+    const ruleMentions = findMentions(message, term);
+    if (ruleMentions.length > 0) {
+      if (ruleMentions.some(isAffirmedCurrent) === present) {
+        addSource(entities.sources, 'symptoms', term, 'ai');
+      } else {
+        result.rejected.push({ type: 'symptoms', value: name, reason: 'contradicts_rules' });
+      }
+      return;
+    }
+    if (entities.symptomMentions.some(mention => mention.term === term)) return;
+    if (!symptomInMessage(message, term)) {
+      result.rejected.push({ type: 'symptoms', value: name, reason: 'not_in_message' });
+      return;
+    }
+
+    entities.symptomMentions.push({
+      term,
+      polarity: present ? 'affirmed' : 'negated',
+      status: 'current',
+      experiencer,
+      source: 'ai'
+    });
+    if (present && medicalKnowledge.commonSymptoms[term] && !entities.symptoms.includes(term)) {
+      entities.symptoms.push(term);
+    }
+    addSource(entities.sources, 'symptoms', term, 'ai');
+    result.added.push({ type: 'symptoms', value: term, present });
+  });
+}
+
+function mergeBodyParts(entities, parts, result) {
+  parts.map(normalize).forEach(part => {
+    if (!BODY_PARTS.includes(part)) {
+      result.rejected.push({ type: 'bodyParts', value: part, reason: 'unknown_body_part' });
+      return;
+    }
+    if (!entities.bodyParts.includes(part)) {
+      entities.bodyParts.push(part);
+      result.added.push({ type: 'bodyParts', value: part });
+    }
+    addSource(entities.sources, 'bodyParts', part, 'ai');
+  });
+}
+
+function mergeNumbers(entities, numbers, message, result) {
+  const msg = normalize(message);
+  numbers.forEach(number => {
+    const spelled = NUMBER_WORDS[number];
+    if (!entities.numbers.includes(number) && !(spelled && new RegExp(`\\b${spelled}\\b`).test(msg))) {
+      result.rejected.push({ type: 'numbers', value: number, reason: 'not_in_message' });
+      return;
+    }
+    if (!entities.numbers.includes(number)) {
+      entities.numbers.push(number);
+      result.added.push({ type: 'numbers', value: number });
+    }
+    addSource(entities.sources, 'numbers', number, 'ai');
+  });
+}
+
+function mergeTimeExpressions(entities, expressions, message, result) {
+  const msg = normalize(message);
+  expressions.forEach(expression => {
+    const text = normalize(expression);
+    if (!msg.includes(text)) {
+      result.rejected.push({ type: 'timeExpressions', value: expression, reason: 'not_in_message' });
+      return;
+    }
+    if (!entities.timeExpressions.some(existing => normalize(existing) === text)) {
+      entities.timeExpressions.push(expression.trim());
+      result.added.push({ type: 'timeExpressions', value: expression.trim() });
+    }
+    addSource(entities.sources, 'timeExpressions', text, 'ai');
+  });
+}
+
+// Rule-based entities with `sources` ({ medications: { aspirin: ['rules', 'ai'] }, ... }) and the valid
+// AI-extracted entities added. Returns { entities, added, rejected } so callers can log what the model changed.
+// aiEntities may be null (AI off or failed); the rule-based entities are then returned with their sources.
+function mergeEntities(entities, aiEntities, message) {
+  const merged = {
+    ...entities,
+    medications: [...entities.medications],
+    medicationMentions: [...entities.medicationMentions],
+    symptoms: [...entities.symptoms],
+    symptomMentions: [...entities.symptomMentions],
+    bodyParts: [...entities.bodyParts],
+    numbers: [...entities.numbers],
+    timeExpressions: [...entities.timeExpressions]
+  };
+  merged.sources = ruleSources(merged);
+  const result = { entities: merged, added: [], rejected: [] };
+  if (aiEntities === null || aiEntities === undefined) return result;
+
+  if (validate(aiEntities, { type: 'object' }, 'entities')) {
+    result.rejected.push({ type: 'entities', value: null, reason: 'schema', detail: 'AI answer is not a JSON object' });
+    return result;
+  }
+  const items = validItems(aiEntities, result.rejected);
+  mergeMedications(merged, items.medications || [], message, result);
+  mergeSymptoms(merged, items.symptoms || [], message, result);
+  mergeBodyParts(merged, items.bodyParts || [], result);
+  mergeNumbers(merged, items.numbers || [], message, result);
+  mergeTimeExpressions(merged, items.timeExpressions || [], message, result);
+  return result;
+}
+
+// Affirmed, current symptoms that only the AI extraction found (for triage and the symptom interview)
+function aiReportedSymptoms(entities, { selfOnly = false } = {}) {
+  return (entities.symptomMentions || [])
+    .filter(mention => mention.source === 'ai' && isAffirmedCurrent(mention))
+    .filter(mention => !selfOnly || mention.experiencer === 'self')
+    .map(mention => mention.term);
+}
+
+module.exports = {
+  AI_ENTITY_SCHEMA,
+  validate,
+  mergeEntities,
+  aiReportedSymptoms
+};
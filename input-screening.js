@@ -0,0 +1,103 @@
+// Screens chat input before it reaches the rules or the AI prompt. Control and invisible characters and
+// chat-template role markers are stripped, overlong messages are refused, and prompt-injection attempts
+// ("ignore your previous instructions", "you are now DAN") are kept away from the model - the rule-based
+// responses still answer them. Each problem is reported with a reason code.
+
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH) || 2000;
+
+// C0/C1 controls (except tab and newline), bidi overrides and zero-width characters
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+// Special tokens of common chat templates (ChatML, Llama, XML-style role tags)
+const ROLE_MARKERS = /<\|[a-z_]{2,20}\|>|\[\/?INST\]|<<\/?SYS>>|<\/?s>|<\/?(?:system|assistant|user|developer)>/gi;
+
+// Attempts to change the model's instructions or role, by name for the reason detail
+const INJECTION_PATTERNS = [
+  {
+    name: 'override_instructions',
+    pattern: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+|these\s+|those\s+)?(?:previous|prior|above|earlier|preceding|system|safety|original|existing)\s+(?:instructions?|prompts?|rules|guidelines|directions|programming|restrictions)\b/
+  },
+  {
+    name: 'override_instructions',
+    pattern: /\b(?:ignore|disregard|forget|override|bypass)\s+(?:all\s+)?(?:your|the system'?s?)\s+(?:instructions?|prompts?|rules|guidelines|programming|restrictions)\b/
+  },
+  {
+    name: 'reveal_prompt',
+    pattern: /\b(?:reveal|show|print|repeat|output|display|tell me|what (?:is|are|was|were))\b.{0,30}\b(?:system prompt|your (?:instructions|prompt|rules|guidelines)|(?:initial|hidden|original) (?:prompt|instructions))\b/
+  },
+  {
+    name: 'role_override',
+    pattern: /\b(?:you are now|from now on,? you(?: are|'re| will)|act as|pretend (?:to be|you(?:'re| are))|roleplay as)\b.{0,40}\b(?:dan|unfiltered|uncensored|jailbroken|unrestricted|evil|without (?:any )?(?:restrictions|rules|limits|filters)|no (?:restrictions|rules|limits|filters))\b/
+  },
+  {
+    name: 'jailbreak',
+    pattern: /\b(?:jailbreak|jailbroken|dan mode|developer mode|do anything now|god mode)\b/
+  },
+  {
+    name: 'fake_role',
+    pattern: /(?:^|\n)\s*(?:system|assistant|developer)\s*:/
+  }
+];
+
+// Lowercased and width-folded, with letters spelled out one at a time joined up again, so full-width
+// text and "I g n o r e" or "i.g.n.o.r.e" tricks still match
+function normalizeForDetection(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/\u200D/g, '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\b[a-z](?:[ .\-_][a-z]\b){2,}/g, letters => letters.replace(/[ .\-_]/g, ''));
+}
+
+// Name of the first injection pattern in the text, or null
+function detectInjection(text) {
+  const normalized = normalizeForDetection(String(text || ''));
+  const match = INJECTION_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  return match ? match.name : null;
+}
+
+// Screens one message. Returns { text, action, blocked, skipAI, reasons: [{ code, detail }] } where action is
+// 'allowed', 'modified' (characters removed), 'ai_skipped' (answered by the rules only) or 'blocked'
+function screenMessage(message) {
+  if (typeof message !== 'string') {
+    return { text: '', action: 'blocked', blocked: true, skipAI: true, reasons: [{ code: 'not_text', detail: typeof message }] };
+  }
+
+  const reasons = [];
+  let text = message.replace(/\r\n?/g, '\n');
+
+  const controls = text.match(CONTROL_CHARACTERS);
+  if (controls) {
+    text = text.replace(CONTROL_CHARACTERS, '');
+    reasons.push({ code: 'control_characters', detail: `${controls.length} removed` });
+  }
+
+  const markers = text.match(ROLE_MARKERS);
+  if (markers) {
+    text = text.replace(ROLE_MARKERS, ' ');
+    reasons.push({ code: 'role_markers', detail: [...new Set(markers)].join(' ') });
+  }
+
+  text = text.replace(/[ \t]{2,}/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    reasons.push({ code: 'too_long', detail: `${text.length} characters (max ${MAX_MESSAGE_LENGTH})` });
+    return { text, action: 'blocked', blocked: true, skipAI: true, reasons };
+  }
+
+  const injection = detectInjection(text);
+  if (injection) {
+    reasons.push({ code: 'prompt_injection', detail: injection });
+  }
+
+  const action = injection ? 'ai_skipped' : reasons.length > 0 ? 'modified' : 'allowed';
+  return { text, action, blocked: false, skipAI: Boolean(injection), reasons };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  detectInjection,
+  screenMessage
+};
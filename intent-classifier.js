@@ -0,0 +1,252 @@
+// Scored intent classifier: weighted keyword/phrase features with calibrated confidences
+const { medicalKnowledge } = require('./knowledge-base');
+const { isAsserted, assessMention } = require('./assertions');
+
+// Evidence a message needs before it beats the "general" fallback
+const GENERAL_BASELINE = 0.5;
+
+// Softmax temperature - lower values make confidences sharper
+const TEMPERATURE = 0.5;
+
+// Minimum confidence for an intent to be reported as a secondary intent
+const SECONDARY_MIN_CONFIDENCE = 0.15;
+
+// A strong crisis or emergency phrase always wins, regardless of what else is in the message
+const EMERGENCY_OVERRIDE_SCORE = 3.0;
+const OVERRIDE_INTENTS = ['crisis', 'emergency'];
+
+// Feature weights per intent. A phrase matches on word boundaries;
+// a trailing "*" matches any word starting with it (e.g. "symptom*").
+const intentFeatures = {
+  crisis: {
+    suicide: 3, suicidal: 3, 'kill myself': 3, 'end my life': 3, 'ending my life': 3, 'ending it all': 3, 'take my own life': 3, 'want to die': 3,
+    "don't want to live": 3, 'better off dead': 3, 'no reason to live': 3, 'end it all': 3,
+    'self harm': 3, 'self-harm': 3, 'hurt myself': 3, 'harm myself': 3, 'cutting myself': 3,
+    hopeless: 1
+  },
+  emergency: {
+    'chest pain': 3, "can't breathe": 3, 'cannot breathe': 3, 'not breathing': 3, 'heart attack': 3,
+    stroke: 3, unconscious: 3, poison: 3, poisoned: 3, 'severe bleeding': 3, seizure: 3,
+    emergency: 2, 'difficulty breathing': 2, crushing: 2, bleeding: 1.5,
+    'severe pain': 1, sudden: 1, pressure: 0.5
+  },
+  greeting: {
+    hi: 1.5, hello: 1.5, hey: 1.2, greetings: 1.5, 'good morning': 1.5, 'good afternoon': 1.5,
+    'good evening': 1.5, "what's up": 1
+  },
+  goodbye: {
+    bye: 2, goodbye: 2.5, 'see you': 1.5, farewell: 2, exit: 1.5, quit: 1.5, "that's all": 1.5,
+    'have a good day': 1.5, thanks: 0.6, 'thank you': 0.6, appreciate: 0.5
+  },
+  help: {
+    'what can you do': 2.5, 'how can you help': 2.5, capabilities: 2, features: 1.5, 'get help': 2,
+    help: 1, assist: 0.8
+  },
+  symptom: {
+    'symptom*': 2, headache: 2, headaches: 2, fever: 2, nausea: 2, dizzy: 2, dizziness: 2, cough: 2,
+    vomiting: 2, pain: 1.5, pains: 1.5, 'ache*': 1.5, 'hurt*': 1.5, unwell: 1.5, sick: 1.5, sore: 1.5,
+    fatigue: 1.5, rash: 1.5, stomach: 1, tired: 1, weak: 1, illness: 1, disease: 0.8,
+    feeling: 0.5, condition: 0.5, 'i feel': 0.5,
+    temperature: 2, temp: 2, 'blood pressure': 2, bp: 2, 'heart rate': 2, pulse: 2, bpm: 2,
+    oxygen: 1.5, spo2: 2, 'out of 10': 1
+  },
+  appointment: {
+    'appointment*': 2.5, 'book now': 2.5, 'check availability': 2.5, reschedule: 2.5, 'schedul*': 2,
+    'book*': 2, 'see doctor': 2, 'see a doctor': 2, availability: 2, consultation: 1.5, checkup: 1.5,
+    'find doctor': 1.5, visit: 1, exam: 1, available: 1, when: 0.3
+  },
+  medication: {
+    'medication*': 2, 'medicine*': 2, prescription: 2, dosage: 2, dose: 2, 'side effect*': 2,
+    'interaction*': 2, pharmacy: 2, 'drug*': 1.5, 'pill*': 1.5, taking: 0.8, take: 0.5
+  },
+  wellness: {
+    wellness: 2.5, diet: 2, exercise: 2, fitness: 2, nutrition: 2, healthy: 1.5, sleep: 1.5,
+    'mental health': 1.5, prevention: 1.5, preventive: 1.5, stress: 1.2, weight: 1, tips: 0.5
+  },
+  specialty: {
+    cardiologist: 2, dermatologist: 2, neurologist: 2, orthopedic: 2, pediatrician: 2,
+    psychiatrist: 2, specialist: 1.5, specialty: 1.5
+  },
+  triage: {
+    'how bad': 1.5, 'how serious': 1.5, urgent: 1, priority: 1, severe: 0.5, mild: 0.5, moderate: 0.5
+  }
+};
+
+// Overdose phrases count as a crisis when the user took too much themselves, and as a poisoning emergency when
+// someone else is affected or it was an accident ("my 3 year old swallowed a bottle of pills")
+const OVERDOSE_FEATURES = { overdose: 3, overdosed: 3, overdosing: 3, 'took too many pills': 3 };
+const ACCIDENTAL_OVERDOSE = /\b(?:accident(?:al|ally)?|by mistake|mistakenly|didn't mean to|did not mean to|without realizing|by accident|got into|double dosed?|took (?:it|them|my \w+) twice)\b/;
+
+// Phrases that make an emergency a poisoning, so the reply points to poison control as well
+const POISONING_PHRASES = [...Object.keys(OVERDOSE_FEATURES), 'poison', 'poisoned'];
+
+// Intents we can ask the user to choose between, with their quick action labels
+const CLARIFIABLE_INTENTS = {
+  symptom: 'Symptoms',
+  medication: 'Medications',
+  appointment: 'Appointments',
+  wellness: 'Wellness',
+  specialty: 'Specialists'
+};
+
+// Ask "Did you mean...?" when the top intent is below this confidence
+const CLARIFY_BELOW_CONFIDENCE = 0.7;
+
+// Candidates need at least this confidence to be offered
+const CLARIFY_CANDIDATE_MIN = 0.2;
+
+const MAX_CLARIFY_CANDIDATES = 3;
+
+const ORDINALS = ['first', 'second', 'third'];
+
+const patternCache = new Map();
+function phrasePattern(phrase) {
+  if (!patternCache.has(phrase)) {
+    const prefix = phrase.endsWith('*');
+    const escaped = phrase.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    patternCache.set(phrase, new RegExp(`\\b${escaped}${prefix ? '\\w*' : '\\b'}`));
+  }
+  return patternCache.get(phrase);
+}
+
+// Vocabulary from the knowledge base, so admin-added symptoms and drugs are recognized
+function knowledgeFeatures() {
+  const medications = new Set();
+  Object.entries(medicalKnowledge.drugs || {}).forEach(([generic, drug]) => {
+    [generic, ...drug.brands, ...(drug.aliases || [])].forEach(name => medications.add(name.toLowerCase()));
+  });
+
+  // Red-flag rule terms ("stiff neck", "slurred speech") describe symptoms too
+  const redFlagTerms = Object.values(medicalKnowledge.redFlagRules || {}).flatMap(rule => rule.match.flat());
+
+  return {
+    symptom: Object.fromEntries([
+      ...redFlagTerms.map(term => [term.toLowerCase(), 2]),
+      ...Object.keys(medicalKnowledge.commonSymptoms || {}).map(s => [s, 2])
+    ]),
+    medication: Object.fromEntries([...medications].map(m => [m, 1.5])),
+    specialty: Object.fromEntries(Object.keys(medicalKnowledge.specialties || {}).map(s => [s, 1]))
+  };
+}
+
+function normalizeMessage(message) {
+  return message.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+// The overdose phrases in the message that count toward the intent ('crisis' or 'emergency')
+function overdoseFeatures(msg, intent) {
+  return Object.fromEntries(Object.entries(OVERDOSE_FEATURES).filter(([phrase]) => {
+    if (!phrasePattern(phrase).test(msg)) return false;
+    const selfInflicted = assessMention(msg, phrase).experiencer === 'self' && !ACCIDENTAL_OVERDOSE.test(msg);
+    return intent === (selfInflicted ? 'crisis' : 'emergency');
+  }));
+}
+
+// Score every intent; returns ranked intents with confidences and the features that fired
+function classifyIntent(message) {
+  const msg = normalizeMessage(message);
+  const extra = knowledgeFeatures();
+
+  const scored = Object.keys(intentFeatures).map(intent => {
+    const features = { ...(extra[intent] || {}), ...intentFeatures[intent], ...overdoseFeatures(msg, intent) };
+    const matched = Object.keys(features).filter(phrase => phrasePattern(phrase).test(msg))
+      // "I don't have chest pain" or "what if someone has a stroke?" is not an emergency.
+      // Crisis phrases are never discounted this way: "I'm not suicidal... I think" still gets support.
+      .filter(phrase => intent !== 'emergency' || isAsserted(msg, phrase));
+    const score = matched.reduce((sum, phrase) => sum + features[phrase], 0);
+    return { intent, score, matched };
+  }).filter(result => result.score > 0);
+
+  // Safety override: lift a strong crisis or emergency signal to at least the best competing score
+  const topScore = Math.max(...scored.map(result => result.score));
+  scored
+    .filter(result => OVERRIDE_INTENTS.includes(result.intent) && result.score >= EMERGENCY_OVERRIDE_SCORE)
+    .forEach(result => { result.score = topScore; });
+
+  // Softmax over the matched intents plus the "general" baseline
+  const candidates = [...scored, { intent: 'general', score: GENERAL_BASELINE, matched: [] }];
+  const total = candidates.reduce((sum, c) => sum + Math.exp(c.score / TEMPERATURE), 0);
+  const intents = candidates
+    .map(c => ({
+      intent: c.intent,
+      score: Math.round(c.score * 100) / 100,
+      confidence: Math.round((Math.exp(c.score / TEMPERATURE) / total) * 1000) / 1000,
+      matched: c.matched
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  // Ties go to the earlier intent in intentFeatures, so crisis, then emergency, wins an overridden tie
+  const primary = intents[0];
+  const secondary = intents
+    .filter(i => i !== primary && i.intent !== 'general' && i.confidence >= SECONDARY_MIN_CONFIDENCE)
+    .map(i => i.intent);
+
+  return {
+    intent: primary.intent,
+    confidence: primary.confidence,
+    secondary,
+    intents
+  };
+}
+
+// Candidate intents worth asking about, or [] when the classification is clear enough
+function clarificationCandidates(classification) {
+  // Never second-guess anything that looks like a crisis or an emergency
+  if (classification.intents.some(i => OVERRIDE_INTENTS.includes(i.intent))) return [];
+  if (classification.confidence >= CLARIFY_BELOW_CONFIDENCE) return [];
+
+  const top = classification.intent;
+  if (top !== 'general' && !CLARIFIABLE_INTENTS[top]) return [];
+
+  const candidates = classification.intents
+    .filter(i => CLARIFIABLE_INTENTS[i.intent] && i.confidence >= CLARIFY_CANDIDATE_MIN)
+    .slice(0, MAX_CLARIFY_CANDIDATES)
+    .map(i => i.intent);
+
+  // Two competing intents, or a single one when "general" came out on top
+  if (top !== 'general' && candidates.length < 2) return [];
+  return candidates;
+}
+
+function clarificationLabel(intent) {
+  return CLARIFIABLE_INTENTS[intent] || intent;
+}
+
+// Map the user's answer to one of the offered intents (label, number, ordinal or a short reply)
+function resolveClarification(reply, candidates) {
+  const msg = normalizeMessage(reply).replace(/[.!?]+$/, '');
+
+  const byLabel = candidates.find(intent => clarificationLabel(intent).toLowerCase() === msg);
+  if (byLabel) return byLabel;
+  if (candidates.length === 1 && /^(yes|yeah|yep|sure|correct|right)\b/.test(msg)) return candidates[0];
+
+  const index = /^\d+$/.test(msg) ? parseInt(msg, 10) - 1 : ORDINALS.findIndex(o => msg.includes(o));
+  if (index >= 0 && index < candidates.length) return candidates[index];
+
+  if (msg.split(' ').length <= 3) {
+    const { intent } = classifyIntent(reply);
+    if (candidates.includes(intent)) return intent;
+  }
+  return null;
+}
+
+// True when an emergency classification is an overdose or poisoning
+function isPoisoning(classification) {
+  const emergency = classification.intents.find(i => i.intent === 'emergency');
+  return Boolean(emergency) && emergency.matched.some(phrase => POISONING_PHRASES.includes(phrase));
+}
+
+// Primary intent only (kept for callers that just need a label)
+function detectIntent(message) {
+  return classifyIntent(message).intent;
+}
+
+module.exports = {
+  classifyIntent,
+  detectIntent,
+  clarificationCandidates,
+  clarificationLabel,
+  resolveClarification,
+  isPoisoning,
+  intentFeatures
+};
@@ -0,0 +1,542 @@
+// Medical knowledge base loaded from versioned content files with validation and hot reload
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+
+const knowledgeDir = process.env.KNOWLEDGE_DIR || path.join(__dirname, 'knowledge');
+// The bundled knowledge/ files are part of the source tree, so admin edits need KNOWLEDGE_DIR pointing at a copy
+const EDITABLE = Boolean(process.env.KNOWLEDGE_DIR);
+const MANIFEST_FILE = 'manifest.json';
+const RELOAD_DEBOUNCE_MS = 300;
+
+// YAML content files are optional - they need js-yaml installed
+let yaml = null;
+try {
+  yaml = require('js-yaml');
+} catch (error) {
+  yaml = null;
+}
+
+const TRIAGE_LEVELS = ['emergency', 'urgent', 'moderate', 'routine'];
+const SYMPTOM_SEVERITIES = ['mild', 'moderate', 'severe'];
+const INTERACTION_SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+
+// Validation helpers - each returns a list of error strings
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkStringArray(value, where, { allowEmpty = false } = {}) {
+  if (!Array.isArray(value)) return [`${where} must be an array of strings`];
+  if (!allowEmpty && value.length === 0) return [`${where} must not be empty`];
+  return value
+    .map((item, i) => (isNonEmptyString(item) ? null : `${where}[${i}] must be a non-empty string`))
+    .filter(Boolean);
+}
+
+function checkEntries(section, data, checkEntry) {
+  if (!isPlainObject(data)) return [`${section} must be an object`];
+  if (Object.keys(data).length === 0) return [`${section} must have at least one entry`];
+  return Object.entries(data).flatMap(([key, entry]) => checkEntry(entry, `${section}.${key}`));
+}
+
+// Schema for every section of medicalKnowledge
+const validators = {
+  commonSymptoms: (data) => checkEntries('commonSymptoms', data, (entry, where) => {
+    if (!isPlainObject(entry)) return [`${where} must be an object`];
+    const errors = [];
+    if (!isNonEmptyString(entry.description)) errors.push(`${where}.description must be a non-empty string`);
+    if (!SYMPTOM_SEVERITIES.includes(entry.severity)) {
+      errors.push(`${where}.severity must be one of: ${SYMPTOM_SEVERITIES.join(', ')}`);
+    }
+    return errors.concat(checkStringArray(entry.recommendations, `${where}.recommendations`));
+  }),
+
+  specialties: (data) => checkEntries('specialties', data, (entry, where) =>
+    isNonEmptyString(entry) ? [] : [`${where} must be a non-empty string`]
+  ),
+
+  wellnessTips: (data) => checkEntries('wellnessTips', data, (entry, where) => checkStringArray(entry, where)),
+
+  // Generic drug name -> class, brand names and other names (a brand may list several ingredients)
+  drugs: (data) => checkEntries('drugs', data, (entry, where) => {
+    if (!isPlainObject(entry)) return [`${where} must be an object`];
+    const errors = [];
+    if (!isNonEmptyString(entry.class)) errors.push(`${where}.class must be a non-empty string`);
+    errors.push(...checkStringArray(entry.brands, `${where}.brands`, { allowEmpty: true }));
+    if (entry.aliases !== undefined) {
+      errors.push(...checkStringArray(entry.aliases, `${where}.aliases`, { allowEmpty: true }));
+    }
+    return errors;
+  }),
+
+  // Keyed by a generic name or a drug class; each pair is listed once, under either side
+  medicationInteractions: (data) => checkEntries('medicationInteractions', data, (entry, where) => {
+    if (!isPlainObject(entry)) return [`${where} must be an object`];
+    if (!Array.isArray(entry.interactions) || entry.interactions.length === 0) {
+      return [`${where}.interactions must be a non-empty array`];
+    }
+    const errors = [];
+    entry.interactions.forEach((interaction, i) => {
+      const at = `${where}.interactions[${i}]`;
+      if (!isPlainObject(interaction)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      ['with', 'mechanism', 'effect'].filter(field => !isNonEmptyString(interaction[field]))
+        .forEach(field => errors.push(`${at}.${field} must be a non-empty string`));
+      if (!INTERACTION_SEVERITIES.includes(interaction.severity)) {
+        errors.push(`${at}.severity must be one of: ${INTERACTION_SEVERITIES.join(', ')}`);
+      }
+    });
+    const partners = entry.interactions.map(interaction => String(interaction.with).toLowerCase());
+    partners.filter((partner, i) => partners.indexOf(partner) !== i)
+      .forEach(partner => errors.push(`${where}.interactions lists "${partner}" more than once`));
+    return errors;
+  }),
+
+  // Condition -> drugs or drug classes to avoid, with a severity and the reason
+  drugContraindications: (data) => checkEntries('drugContraindications', data, (entry, where) => {
+    if (!isPlainObject(entry)) return [`${where} must be an object`];
+    if (!Array.isArray(entry.avoid) || entry.avoid.length === 0) return [`${where}.avoid must be a non-empty array`];
+    const errors = [];
+    entry.avoid.forEach((item, i) => {
+      const at = `${where}.avoid[${i}]`;
+      if (!isPlainObject(item)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      ['drug', 'reason'].filter(field => !isNonEmptyString(item[field]))
+        .forEach(field => errors.push(`${at}.${field} must be a non-empty string`));
+      if (!INTERACTION_SEVERITIES.includes(item.severity)) {
+        errors.push(`${at}.severity must be one of: ${INTERACTION_SEVERITIES.join(', ')}`);
+      }
+    });
+    return errors;
+  }),
+
+  triageLevels: (data) => {
+    const errors = checkEntries('triageLevels', data, (entry, where) => {
+      if (!isPlainObject(entry)) return [`${where} must be an object`];
+      const entryErrors = checkStringArray(entry.keywords, `${where}.keywords`, { allowEmpty: true });
+      if (!Number.isInteger(entry.priority) || entry.priority < 1) {
+        entryErrors.push(`${where}.priority must be a positive integer`);
+      }
+      if (!isNonEmptyString(entry.action)) entryErrors.push(`${where}.action must be a non-empty string`);
+      return entryErrors;
+    });
+    if (isPlainObject(data)) {
+      TRIAGE_LEVELS
+        .filter(level => !data[level])
+        .forEach(level => errors.push(`triageLevels.${level} is required`));
+    }
+    return errors;
+  },
+
+  vitalThresholds: (data) => checkEntries('vitalThresholds', data, (entry, where) => {
+    if (!isPlainObject(entry)) return [`${where} must be an object`];
+    const errors = [];
+    if (!isNonEmptyString(entry.label)) errors.push(`${where}.label must be a non-empty string`);
+    if (!isNonEmptyString(entry.unit)) errors.push(`${where}.unit must be a non-empty string`);
+    if (!Array.isArray(entry.rules) || entry.rules.length === 0) {
+      return errors.concat(`${where}.rules must be a non-empty array`);
+    }
+    entry.rules.forEach((rule, i) => {
+      const ruleWhere = `${where}.rules[${i}]`;
+      if (!isPlainObject(rule)) {
+        errors.push(`${ruleWhere} must be an object`);
+        return;
+      }
+      if (!TRIAGE_LEVELS.includes(rule.level)) errors.push(`${ruleWhere}.level must be one of: ${TRIAGE_LEVELS.join(', ')}`);
+      const bounds = ['min', 'max'].filter(bound => rule[bound] !== undefined);
+      if (bounds.length !== 1) errors.push(`${ruleWhere} must have exactly one of min or max`);
+      bounds
+        .filter(bound => typeof rule[bound] !== 'number' || !Number.isFinite(rule[bound]))
+        .forEach(bound => errors.push(`${ruleWhere}.${bound} must be a number`));
+      if (!isNonEmptyString(rule.finding)) errors.push(`${ruleWhere}.finding must be a non-empty string`);
+    });
+    return errors;
+  }),
+
+  redFlagRules: (data) => checkEntries('redFlagRules', data, (entry, where) => {
+    if (!isPlainObject(entry)) return [`${where} must be an object`];
+    const errors = [];
+    if (!isNonEmptyString(entry.description)) errors.push(`${where}.description must be a non-empty string`);
+    if (!isNonEmptyString(entry.rationale)) errors.push(`${where}.rationale must be a non-empty string`);
+    if (!TRIAGE_LEVELS.includes(entry.level)) errors.push(`${where}.level must be one of: ${TRIAGE_LEVELS.join(', ')}`);
+    if (!Array.isArray(entry.match) || entry.match.length === 0) {
+      errors.push(`${where}.match must be a non-empty array of term lists`);
+    } else {
+      entry.match.forEach((terms, i) => errors.push(...checkStringArray(terms, `${where}.match[${i}]`)));
+    }
+    ['withinHours', 'ageMin', 'ageMax']
+      .filter(field => entry[field] !== undefined && (typeof entry[field] !== 'number' || entry[field] < 0))
+      .forEach(field => errors.push(`${where}.${field} must be a non-negative number`));
+    if (entry.conditions !== undefined) errors.push(...checkStringArray(entry.conditions, `${where}.conditions`));
+    return errors;
+  }),
+
+  crisisResources: (data) => {
+    const errors = checkEntries('crisisResources', data, (entry, where) => {
+      if (!isPlainObject(entry)) return [`${where} must be an object`];
+      const entryErrors = [];
+      if (!isNonEmptyString(entry.name)) entryErrors.push(`${where}.name must be a non-empty string`);
+      if (!isNonEmptyString(entry.emergencyNumber)) entryErrors.push(`${where}.emergencyNumber must be a non-empty string`);
+      if (!Array.isArray(entry.lines) || entry.lines.length === 0) {
+        return entryErrors.concat(`${where}.lines must be a non-empty array`);
+      }
+      entry.lines.forEach((line, i) => {
+        if (!isPlainObject(line)) {
+          entryErrors.push(`${where}.lines[${i}] must be an object`);
+          return;
+        }
+        ['name', 'contact'].filter(field => !isNonEmptyString(line[field]))
+          .forEach(field => entryErrors.push(`${where}.lines[${i}].${field} must be a non-empty string`));
+      });
+      return entryErrors;
+    });
+    if (isPlainObject(data) && !data.default) errors.push('crisisResources.default is required');
+    return errors;
+  }
+};
+
+// Shared, mutable knowledge object - sections are swapped in place on reload
+const medicalKnowledge = {};
+
+// Manifest and content signature of the live knowledge
+let currentManifest = null;
+let currentSignature = null;
+
+const status = {
+  version: null,
+  updatedAt: null,
+  loadedAt: null,
+  directory: knowledgeDir,
+  editable: EDITABLE,
+  files: {},
+  errors: [],
+  reloadCount: 0,
+  lastReloadAt: null,
+  lastReloadSucceeded: null
+};
+
+function readContentFile(filename) {
+  const filepath = path.join(knowledgeDir, filename);
+  const raw = fs.readFileSync(filepath, 'utf8');
+  const ext = path.extname(filename).toLowerCase();
+
+  if (ext === '.yaml' || ext === '.yml') {
+    if (!yaml) {
+      throw new Error(`${filename}: YAML files require js-yaml (npm install js-yaml)`);
+    }
+    return yaml.load(raw);
+  }
+  return JSON.parse(raw);
+}
+
+// Read and validate every section without touching the live knowledge
+function readKnowledge() {
+  const errors = [];
+  const sections = {};
+  const files = {};
+  let manifest = null;
+
+  try {
+    manifest = readContentFile(MANIFEST_FILE);
+  } catch (error) {
+    return { errors: [`${MANIFEST_FILE}: ${error.message}`] };
+  }
+
+  if (!isNonEmptyString(manifest.version)) errors.push(`${MANIFEST_FILE}: version must be a non-empty string`);
+  if (!isPlainObject(manifest.sections)) {
+    return { errors: errors.concat(`${MANIFEST_FILE}: sections must map section names to files`) };
+  }
+
+  Object.keys(validators)
+    .filter(section => !manifest.sections[section])
+    .forEach(section => errors.push(`${MANIFEST_FILE}: missing section "${section}"`));
+
+  for (const [section, filename] of Object.entries(manifest.sections)) {
+    if (!validators[section]) {
+      errors.push(`${MANIFEST_FILE}: unknown section "${section}"`);
+      continue;
+    }
+
+    try {
+      const data = readContentFile(filename);
+      const sectionErrors = validators[section](data).map(message => `${filename}: ${message}`);
+      errors.push(...sectionErrors);
+      sections[section] = data;
+      files[filename] = { section, entries: isPlainObject(data) ? Object.keys(data).length : 0, valid: sectionErrors.length === 0 };
+    } catch (error) {
+      errors.push(`${filename}: ${error.message}`);
+      files[filename] = { section, entries: 0, valid: false };
+    }
+  }
+
+  return { manifest, sections, files, errors };
+}
+
+// Load the knowledge files; the live knowledge only changes if everything validates
+function load() {
+  const result = readKnowledge();
+  const now = new Date();
+
+  status.lastReloadAt = now;
+  status.errors = result.errors;
+  status.lastReloadSucceeded = result.errors.length === 0;
+  if (result.files) status.files = result.files;
+
+  if (result.errors.length > 0) {
+    return false;
+  }
+
+  Object.keys(medicalKnowledge).forEach(key => delete medicalKnowledge[key]);
+  Object.assign(medicalKnowledge, result.sections);
+  currentManifest = result.manifest;
+  currentSignature = JSON.stringify({ manifest: result.manifest, sections: result.sections });
+
+  status.version = result.manifest.version;
+  status.updatedAt = result.manifest.updatedAt || null;
+  status.loadedAt = now;
+  status.reloadCount++;
+  return true;
+}
+
+function reload() {
+  const loaded = load();
+  if (loaded) {
+    console.log(`✅ Knowledge base reloaded (version ${status.version})`);
+  } else {
+    console.error(`⚠️ Knowledge base reload rejected, keeping version ${status.version}:`);
+    status.errors.forEach(error => console.error(`   - ${error}`));
+  }
+  return loaded;
+}
+
+// Reload only if the files differ from what is live (skips our own admin writes)
+function reloadIfChanged() {
+  const result = readKnowledge();
+  if (result.errors.length === 0 &&
+      JSON.stringify({ manifest: result.manifest, sections: result.sections }) === currentSignature) {
+    return false;
+  }
+  return reload();
+}
+
+// Watch the content directory and reload after edits settle
+let watcher = null;
+let reloadTimer = null;
+function watch() {
+  if (watcher) return;
+  try {
+    watcher = fs.watch(knowledgeDir, () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(reloadIfChanged, RELOAD_DEBOUNCE_MS);
+    });
+    watcher.unref();
+  } catch (error) {
+    console.error('⚠️ Knowledge base hot reload unavailable:', error.message);
+  }
+}
+
+function writeContentFile(filename, data) {
+  const filepath = path.join(knowledgeDir, filename);
+  const ext = path.extname(filename).toLowerCase();
+
+  if (ext === '.yaml' || ext === '.yml') {
+    if (!yaml) {
+      throw new Error(`${filename}: YAML files require js-yaml (npm install js-yaml)`);
+    }
+    fs.writeFileSync(filepath, yaml.dump(data));
+    return;
+  }
+  fs.writeFileSync(filepath, JSON.stringify(data, null, 2) + '\n');
+}
+
+// Semantic versions get a patch bump per admin change; other schemes are left alone
+function nextVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version || '');
+  return match ? `${match[1]}.${match[2]}.${parseInt(match[3]) + 1}` : version;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Apply entry changes to one section, validate, write the file, reload and audit.
+ * changes: [{ key, entry, action }] where entry === null retires the key.
+ */
+function applyChanges(section, changes, { changedBy, comment } = {}) {
+  if (!validators[section]) {
+    return { success: false, code: 'unknown_section', errors: [`Unknown section "${section}"`] };
+  }
+  if (!EDITABLE) {
+    return {
+      success: false,
+      code: 'read_only',
+      errors: ['The bundled knowledge/ files are read-only. Copy them outside the repository and set KNOWLEDGE_DIR to edit them.']
+    };
+  }
+  if (!isNonEmptyString(changedBy)) {
+    return { success: false, code: 'missing_user', errors: ['changedBy (or X-Admin-User header) is required'] };
+  }
+
+  const nextSection = clone(medicalKnowledge[section]);
+  const befores = changes.map(change => clone(medicalKnowledge[section][change.key]) || null);
+  changes.forEach(change => {
+    if (change.entry === null) {
+      delete nextSection[change.key];
+    } else {
+      nextSection[change.key] = change.entry;
+    }
+  });
+
+  const errors = validators[section](nextSection);
+  if (errors.length > 0) {
+    return { success: false, code: 'invalid', errors };
+  }
+
+  const version = nextVersion(currentManifest.version);
+  const manifest = { ...currentManifest, version, updatedAt: new Date().toISOString().slice(0, 10) };
+
+  try {
+    writeContentFile(currentManifest.sections[section], nextSection);
+    writeContentFile(MANIFEST_FILE, manifest);
+  } catch (error) {
+    console.error('Error writing knowledge base:', error);
+    return { success: false, code: 'write_failed', errors: [error.message] };
+  }
+
+  if (!load()) {
+    return { success: false, code: 'invalid', errors: status.errors };
+  }
+
+  const revisions = changes.map((change, i) => database.saveKnowledgeRevision({
+    section,
+    key: change.key,
+    action: change.action,
+    before: befores[i],
+    after: change.entry,
+    changedBy,
+    comment,
+    version
+  }));
+
+  console.log(`📝 Knowledge base ${section} updated by ${changedBy} (version ${version})`);
+  return { success: true, version, revisions };
+}
+
+function applyChange(section, key, entry, action, meta) {
+  const result = applyChanges(section, [{ key, entry, action }], meta);
+  return result.success ? { ...result, revision: result.revisions[0], entry } : result;
+}
+
+function createEntry(section, key, entry, meta) {
+  if (medicalKnowledge[section] && medicalKnowledge[section][key] !== undefined) {
+    return { success: false, code: 'exists', errors: [`${section}.${key} already exists`] };
+  }
+  return applyChange(section, key, entry, 'create', meta);
+}
+
+function updateEntry(section, key, entry, meta) {
+  if (!medicalKnowledge[section] || medicalKnowledge[section][key] === undefined) {
+    return { success: false, code: 'not_found', errors: [`${section}.${key} does not exist`] };
+  }
+  return applyChange(section, key, entry, 'update', meta);
+}
+
+function retireEntry(section, key, meta) {
+  if (!medicalKnowledge[section] || medicalKnowledge[section][key] === undefined) {
+    return { success: false, code: 'not_found', errors: [`${section}.${key} does not exist`] };
+  }
+  return applyChange(section, key, null, 'retire', meta);
+}
+
+// Restore an entry to how it was before the given revision
+function rollback(revisionId, meta = {}) {
+  const revision = database.getKnowledgeRevision(revisionId);
+  if (!revision) {
+    return { success: false, code: 'not_found', errors: [`Revision ${revisionId} not found`] };
+  }
+  return applyChange(revision.section, revision.entry_key, revision.before_data, 'rollback', {
+    ...meta,
+    comment: meta.comment || `Rollback of revision #${revision.id}`
+  });
+}
+
+// Highest-priority triage level whose keywords appear in a message
+function matchTriageLevel(message, triageLevels) {
+  const msg = message.toLowerCase();
+  return Object.entries(triageLevels)
+    .sort(([, a], [, b]) => a.priority - b.priority)
+    .map(([level, config]) => ({ level, keyword: config.keywords.find(keyword => msg.includes(keyword.toLowerCase())) }))
+    .find(match => match.keyword) || null;
+}
+
+// Validate a proposed entry and show its effect without saving anything
+function previewChange(section, key, entry, message) {
+  if (!validators[section]) {
+    return { valid: false, errors: [`Unknown section "${section}"`] };
+  }
+
+  const before = clone(medicalKnowledge[section][key]) || null;
+  const nextSection = clone(medicalKnowledge[section]);
+  if (entry === null) {
+    delete nextSection[key];
+  } else {
+    nextSection[key] = entry;
+  }
+
+  const errors = validators[section](nextSection);
+  const preview = {
+    valid: errors.length === 0,
+    errors,
+    action: entry === null ? 'retire' : (before ? 'update' : 'create'),
+    before,
+    after: entry
+  };
+
+  if (section === 'commonSymptoms' && entry && errors.length === 0) {
+    preview.rendered = `${entry.description}\n\n**General recommendations:**\n` +
+      entry.recommendations.map((r, i) => `${i + 1}. ${r}`).join('\n');
+  }
+
+  if (section === 'triageLevels' && message && errors.length === 0) {
+    preview.triage = {
+      current: matchTriageLevel(message, medicalKnowledge.triageLevels),
+      proposed: matchTriageLevel(message, nextSection)
+    };
+  }
+
+  return preview;
+}
+
+// Refuse to start with invalid clinical content
+if (!load()) {
+  const details = status.errors.map(error => `  - ${error}`).join('\n');
+  throw new Error(`Invalid medical knowledge base in ${knowledgeDir}:\n${details}`);
+}
+console.log(`✅ Knowledge base loaded (version ${status.version})`);
+
+module.exports = {
+  medicalKnowledge,
+  reload,
+  watch,
+  createEntry,
+  updateEntry,
+  retireEntry,
+  applyChanges,
+  rollback,
+  previewChange,
+  getRevisions: (filters) => database.getKnowledgeRevisions(filters),
+  getStatus: () => ({ ...status, sections: Object.keys(medicalKnowledge) }),
+  validators,
+  INTERACTION_SEVERITIES,
+  knowledgeDir
+};
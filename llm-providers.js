@@ -0,0 +1,230 @@
+// LLM provider adapters. Every provider has the same interface:
+//   { name, model, timeoutMs, complete({ messages, temperature, maxTokens, onToken, signal }) -> Promise<{ text, usage }> }
+// complete() streams when onToken is given (calling it per token) and resolves to the whole text either way.
+// usage is { promptTokens, completionTokens } as counted by the model server, or null when it reports none.
+// Failed requests reject with an Error carrying `status` (HTTP status, when there is one) and `retryable`.
+
+// Default per-provider request timeouts; hosted APIs answer faster than a model loading on a local machine
+const DEFAULT_TIMEOUTS = {
+  openai: 30000,
+  local: 120000,
+  mock: 5000
+};
+
+function providerError(message, { status = null, retryable = false } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+}
+
+// Rate limits and server errors are worth retrying; other 4xx responses (bad key, bad request) are not
+async function checkResponse(response, provider) {
+  if (response.ok) return;
+  const body = await response.text().catch(() => '');
+  throw providerError(`${provider} request failed with ${response.status}: ${body.slice(0, 200)}`, {
+    status: response.status,
+    retryable: response.status === 429 || response.status >= 500
+  });
+}
+
+// Split a streamed body into lines, across chunk boundaries
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      yield buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+function parseTimeout(value, fallback) {
+  return parseInt(value) > 0 ? parseInt(value) : fallback;
+}
+
+function openAIUsage(usage) {
+  return usage ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 } : null;
+}
+
+// Ollama reports prompt_eval_count and eval_count on the final response
+function ollamaUsage(data) {
+  return data.eval_count !== undefined
+    ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 }
+    : null;
+}
+
+// OpenAI and every server that speaks its /chat/completions API (Azure OpenAI proxies, vLLM,
+// LM Studio, llama.cpp's server with OPENAI_BASE_URL=http://localhost:8080/v1)
+function createOpenAIProvider(env) {
+  const baseUrl = (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = env.OPENAI_API_KEY && env.OPENAI_API_KEY !== 'your_openai_api_key_here' ? env.OPENAI_API_KEY : null;
+
+  return {
+    name: 'openai',
+    model: env.OPENAI_MODEL || 'gpt-3.5-turbo',
+    extractionModel: env.OPENAI_EXTRACTION_MODEL || env.OPENAI_MODEL || 'gpt-3.5-turbo',
+    timeoutMs: parseTimeout(env.OPENAI_TIMEOUT_MS, DEFAULT_TIMEOUTS.openai),
+    async complete({ model, messages, temperature, maxTokens, onToken, signal }) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: model || this.model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          stream: Boolean(onToken),
+          // Ask for token counts in the final streamed chunk
+          ...(onToken ? { stream_options: { include_usage: true } } : {})
+        }),
+        signal
+      });
+      await checkResponse(response, 'openai');
+
+      if (!onToken) {
+        const data = await response.json();
+        return { text: data.choices?.[0]?.message?.content || '', usage: openAIUsage(data.usage) };
+      }
+
+      // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+      let text = '';
+      let usage = null;
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        usage = openAIUsage(chunk.usage) || usage;
+        const token = chunk.choices?.[0]?.delta?.content || '';
+        if (!token) continue;
+        text += token;
+        onToken(token);
+      }
+      return { text, usage };
+    }
+  };
+}
+
+// A local model server with the Ollama /api/chat API
+function createLocalProvider(env) {
+  const baseUrl = (env.LOCAL_LLM_URL || 'http://localhost:11434').replace(/\/+$/, '');
+
+  return {
+    name: 'local',
+    model: env.LOCAL_LLM_MODEL || 'llama3',
+    extractionModel: env.LOCAL_LLM_EXTRACTION_MODEL || env.LOCAL_LLM_MODEL || 'llama3',
+    timeoutMs: parseTimeout(env.LOCAL_LLM_TIMEOUT_MS, DEFAULT_TIMEOUTS.local),
+    async complete({ model, messages, temperature, maxTokens, onToken, signal }) {
+      const response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: model || this.model,
+          messages,
+          stream: Boolean(onToken),
+          options: { temperature, num_predict: maxTokens }
+        }),
+        signal
+      });
+      await checkResponse(response, 'local');
+
+      if (!onToken) {
+        const data = await response.json();
+        return { text: data.message?.content || '', usage: ollamaUsage(data) };
+      }
+
+      // One JSON object per line, the last with "done": true
+      let text = '';
+      let usage = null;
+      for await (const line of readLines(response.body)) {
+        if (!line) continue;
+        const data = JSON.parse(line);
+        if (data.error) throw providerError(`local model error: ${data.error}`, { retryable: false });
+        const token = data.message?.content || '';
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+        if (data.done) {
+          usage = ollamaUsage(data);
+          break;
+        }
+      }
+      return { text, usage };
+    }
+  };
+}
+
+// Deterministic provider for tests and demos: the same messages always give the same answer.
+//   MOCK_LLM_RESPONSE  fixed reply text (default: a canned reply that quotes the user's message and cites
+//                      the first retrieved passage, if any)
+//   MOCK_LLM_MODE      "fail" rejects every request (503), "slow" never answers before the timeout
+//   MOCK_LLM_ENTITIES  JSON returned for entity extraction (default: no entities)
+//   MOCK_LLM_SUMMARY   conversation summary text (default: a canned summary that counts the new messages)
+function createMockProvider(env) {
+  return {
+    name: 'mock',
+    model: 'mock',
+    extractionModel: 'mock',
+    timeoutMs: parseTimeout(env.MOCK_LLM_TIMEOUT_MS, DEFAULT_TIMEOUTS.mock),
+    async complete({ messages, onToken, signal }) {
+      if (env.MOCK_LLM_MODE === 'fail') {
+        throw providerError('mock provider failure', { status: 503, retryable: true });
+      }
+      if (env.MOCK_LLM_MODE === 'slow') {
+        await new Promise((resolve, reject) => {
+          signal?.addEventListener('abort', () => reject(providerError('mock provider timed out', { retryable: true })));
+        });
+      }
+
+      const system = messages.find(message => message.role === 'system')?.content || '';
+      const question = ([...messages].reverse().find(message => message.role === 'user')?.content || '').trim();
+      const text = /extract medical entities/i.test(system)
+        ? env.MOCK_LLM_ENTITIES || JSON.stringify({ medications: [], symptoms: [], bodyParts: [], numbers: [], timeExpressions: [] })
+        : /summarize the conversation/i.test(system)
+        ? env.MOCK_LLM_SUMMARY || `Mock summary: the user and the assistant exchanged ${(question.match(/^(?:User|Assistant): /gm) || []).length} more messages.`
+        : env.MOCK_LLM_RESPONSE || `Mock response: I understand you're asking about "${question.slice(0, 80)}".` +
+          `${/^\[1\] /m.test(system) ? ' See [1] for more.' : ''} Please consult a healthcare professional for personal advice.`;
+
+      if (onToken) {
+        text.split(/(?<= )/).forEach(token => onToken(token));
+      }
+      return { text, usage: null };
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+// The provider named by LLM_PROVIDER. Without it, OpenAI is used when OPENAI_API_KEY is set
+// (the original configuration) and AI is off otherwise. Returns null when AI is off.
+function createProvider(env = process.env) {
+  let name = (env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (!name) {
+    const hasKey = env.OPENAI_API_KEY && env.OPENAI_API_KEY !== 'your_openai_api_key_here';
+    name = hasKey ? 'openai' : 'none';
+  }
+  if (name === 'none') return null;
+  if (!PROVIDERS[name]) {
+    console.warn(`⚠️ Unknown LLM_PROVIDER "${name}" - using rule-based responses (choose ${Object.keys(PROVIDERS).join(', ')} or none)`);
+    return null;
+  }
+  return PROVIDERS[name](env);
+}
+
+module.exports = {
+  createProvider,
+  providerError
+};
@@ -0,0 +1,47 @@
+// Outgoing email over SMTP (optional). Configured from the environment:
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for port 465), SMTP_USER, SMTP_PASS, MAIL_FROM
+// Without SMTP_HOST email is disabled and sendMail resolves to null. Point SMTP_HOST/SMTP_PORT at a
+// local SMTP stub to test delivery without sending real mail.
+require('dotenv').config();
+const nodemailer = require('nodemailer');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let transport = null;
+
+function isEnabled() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+function isValidEmail(value) {
+  return EMAIL_PATTERN.test(String(value || ''));
+}
+
+// Resolves to the transport's info ({ messageId, accepted, ... }), or null when email is disabled
+async function sendMail({ to, subject, text }) {
+  if (!isEnabled()) return null;
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Healthcare Assistant <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+}
+
+module.exports = {
+  isEnabled,
+  isValidEmail,
+  sendMail
+};
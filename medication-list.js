@@ -0,0 +1,277 @@
+// Medication list: the user's curated medications with dose, frequency and start date,
+// managed from chat ("add metformin 500 mg twice a day", "remove ibuprofen") or the REST API
+const database = require('./database');
+const { resolveMedication, extractMedications } = require('./drug-database');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+
+// Strength ("500 mg") and amount ("2 tablets") of a dose
+const DOSE_STRENGTH = /\b(\d+(?:\.\d+)?)\s?(mg|mcg|µg|g|ml|iu|units?)\b/;
+const DOSE_AMOUNT = /\b(\d+|one|two|three|half a)\s?(tablets?|tabs?|pills?|capsules?|caps?|puffs?|drops?|sprays?|patch(?:es)?|teaspoons?|tsp)\b/;
+
+// How often, most specific first; the first match wins
+const FREQUENCIES = [
+  [/\b(?:as needed|when needed|if needed|when i need (?:it|them)|prn)\b/, () => 'as needed'],
+  [/\bevery (\d+|one|two|three|four|six|eight|twelve) ?(?:hours?|hrs?|h)\b/, match => `every ${NUMBER_WORDS[match[1]] || match[1]} hours`],
+  [/\b(?:four times|4 times|4x|qid)\b/, () => '4 times daily'],
+  [/\b(?:three times|3 times|3x|tid)\b/, () => '3 times daily'],
+  [/\b(?:twice|two times|2 times|2x|bid|morning and (?:night|evening))\b/, () => 'twice daily'],
+  [/\b(?:once a week|once weekly|weekly|every week)\b/, () => 'weekly'],
+  [/\b(?:every morning|in the morning|each morning)\b/, () => 'every morning'],
+  [/\b(?:at night|at bedtime|before bed|every night|nightly|in the evening|every evening)\b/, () => 'at bedtime'],
+  [/\b(?:once a day|once daily|daily|every day|each day|a day|qd|od)\b/, () => 'once daily']
+];
+
+// Explicit commands and first-person statements about the user's own medications
+const LIST_COMMAND = /^my (?:medications?|meds|medication list)$|^check(?: my)? interactions$|\b(?:list|show|view|see|what are|what's on|check)\b.*\b(?:my|current)\s+(?:medications?|meds|medicines|medication list|prescriptions)\b|\bmy medication list\b/;
+const ADD_COMMAND = /^(?:please )?(?:add|put)\b|\b(?:add|put)\b.*\b(?:to|on) (?:my )?(?:medication list|medications|meds|list)\b/;
+const REMOVE_COMMAND = /^(?:please )?(?:remove|delete|take off|cross off)\b|\b(?:remove|delete|take)\b.*\b(?:from|off) (?:my )?(?:medication list|medications|meds|list)\b/;
+const STARTED_STATEMENT = /\b(?:i(?:'m| am) (?:now |also |currently |still )?(?:taking|on)|i (?:also |now |currently |still )?take|i(?:'ve| have) (?:been taking|started(?: taking)?|been prescribed|been put on)|i started(?: taking)?|i was (?:prescribed|put on|started on)|i got prescribed|my doctor (?:put me on|prescribed|started me on|has me on))\b/;
+const STOPPED_STATEMENT = /\b(?:i(?:'ve| have)? (?:stopped|quit|finished|come off|came off|discontinued)(?: taking)?|i(?:'m| am) (?:no longer|not) (?:taking|on)|i no longer take|i don't take .* anymore|my doctor (?:stopped|took me off|discontinued))\b/;
+// Words after "add"/"remove" that end a medication name not in the drug database ("add vitamin d 1000 iu daily")
+const NAME_END = /\s(?:\d|(?:to|on|from|off|since|starting|every|once|twice|daily|a day|at|in|as|for|each|when|please)\b)|[,.;!]/;
+const QUESTION = /\?\s*$|^(?:can|could|should|shall|is|are|do|does|did|will|would|what|when|how|why|which|may)\b/;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function normalize(message) {
+  return message.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function parseDose(text) {
+  const msg = normalize(text);
+  const strength = msg.match(DOSE_STRENGTH);
+  const amount = msg.match(DOSE_AMOUNT);
+  const parts = [
+    strength && `${strength[1]} ${strength[2]}`,
+    amount && `${NUMBER_WORDS[amount[1]] || amount[1]} ${amount[2]}`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+function parseFrequency(text) {
+  const msg = normalize(text);
+  for (const [pattern, label] of FREQUENCIES) {
+    const match = msg.match(pattern);
+    if (match) return label(match);
+  }
+  return null;
+}
+
+function monthsAgo(now, months) {
+  return new Date(now.getFullYear(), now.getMonth() - months, now.getDate());
+}
+
+// When the user started a medication ("since March 3", "2 weeks ago", "for the past month"),
+// as YYYY-MM-DD; dates without a year are taken to be in the past
+function parseStartDate(text, now = new Date()) {
+  const msg = normalize(text);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysAgo = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+  const unitDays = { day: 1, week: 7 };
+
+  const iso = msg.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+  const ago = msg.match(/\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve|a few|a couple of) (day|week|month|year)s? ago\b/);
+  const period = msg.match(/\bfor (?:the (?:last|past) )?(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve|a few|a couple of) (day|week|month|year)s?\b/);
+  // "for 2 weeks" is how long the user has been taking it, not how long a new course lasts
+  const relative = ago || (/\b(?:been|had)\b/.test(msg) ? period : null);
+  if (relative) {
+    const count = NUMBER_WORDS[relative[1]] || { 'a few': 3, 'a couple of': 2 }[relative[1]] || parseInt(relative[1]);
+    if (relative[2] === 'month') return formatDate(monthsAgo(today, count));
+    if (relative[2] === 'year') return formatDate(monthsAgo(today, count * 12));
+    return formatDate(daysAgo(count * unitDays[relative[2]]));
+  }
+
+  if (/\b(?:since |starting |from )?today\b/.test(msg)) return formatDate(today);
+  if (/\byesterday\b/.test(msg)) return formatDate(daysAgo(1));
+  if (/\blast week\b/.test(msg)) return formatDate(daysAgo(7));
+  if (/\blast month\b/.test(msg)) return formatDate(monthsAgo(today, 1));
+  if (/\blast year\b/.test(msg)) return formatDate(monthsAgo(today, 12));
+
+  const monthDay = msg.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?\b/) ||
+    msg.match(/\b(\d{1,2})(?:st|nd|rd|th)? (?:of )?(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?(?:,? (\d{4}))?\b/);
+  const monthOnly = msg.match(/\b(?:since|in|from|started(?: taking it)?(?: in)?) (january|february|march|april|may|june|july|august|september|october|november|december)(?: (\d{4}))?\b/);
+  let date = null;
+  let hasYear = false;
+  if (monthDay) {
+    const [monthName, day] = /^\d/.test(monthDay[1]) ? [monthDay[2], monthDay[1]] : [monthDay[1], monthDay[2]];
+    hasYear = Boolean(monthDay[3]);
+    date = new Date(hasYear ? parseInt(monthDay[3]) : today.getFullYear(), MONTHS.indexOf(monthName.slice(0, 3)), parseInt(day));
+  } else if (monthOnly) {
+    hasYear = Boolean(monthOnly[2]);
+    date = new Date(hasYear ? parseInt(monthOnly[2]) : today.getFullYear(), MONTHS.indexOf(monthOnly[1].slice(0, 3)), 1);
+  }
+  if (!date || isNaN(date.getTime())) return null;
+  if (!hasYear && date > today) date.setFullYear(date.getFullYear() - 1);
+  return formatDate(date);
+}
+
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+}
+
+// A medication-list command in a message, or null:
+//   { action: 'list', explicit } | { action: 'add'|'remove', mentions, details, index, explicit }
+// Explicit commands ("add ...", "remove ...") always get a reply; statements ("I started taking ...")
+// update the list quietly unless the conversation is about medications. pendingAction is set when the
+// bot has just asked which medication to add or remove.
+function parseCommand(message, mentions = extractMedications(message), pendingAction = null) {
+  const msg = normalize(message);
+  const question = QUESTION.test(msg);
+
+  if (LIST_COMMAND.test(msg) && !ADD_COMMAND.test(msg) && !REMOVE_COMMAND.test(msg)) {
+    return { action: 'list', explicit: true };
+  }
+  if (REMOVE_COMMAND.test(msg)) {
+    return { action: 'remove', mentions: mentions.length > 0 ? mentions : commandName(msg), explicit: true };
+  }
+  if (ADD_COMMAND.test(msg)) {
+    return { action: 'add', mentions: mentions.length > 0 ? mentions : commandName(msg), details: parseDetails(message), explicit: true };
+  }
+  if (mentions.length > 0 && !question && STOPPED_STATEMENT.test(msg)) {
+    return { action: 'remove', mentions, explicit: false };
+  }
+  if (mentions.length > 0 && !question && STARTED_STATEMENT.test(msg)) {
+    return { action: 'add', mentions, details: parseDetails(message), explicit: false };
+  }
+
+  // The answer to "Which medication would you like to add/remove?": a name, or a number from the list
+  if (pendingAction === 'remove' && /^#?\d+$/.test(msg)) {
+    return { action: 'remove', mentions: [], index: parseInt(msg.replace('#', '')), explicit: true };
+  }
+  if (pendingAction && !question) {
+    const answer = mentions.length > 0 ? mentions : commandName(`${pendingAction} ${msg}`);
+    if (answer.length > 0) {
+      return { action: pendingAction, mentions: answer, details: parseDetails(message), explicit: true };
+    }
+  }
+  return null;
+}
+
+// The name after "add"/"remove" when it is not in the drug database, as a one-item mention list
+function commandName(msg) {
+  const match = msg.match(/^(?:please )?(?:add|put|remove|delete|take off|cross off|take) (?:my )?(.+)$/);
+  if (!match) return [];
+  const name = `${match[1]} `.split(NAME_END)[0].trim().replace(/^(?:(?:a|an|the|another|new|one more) )+/, '');
+  if (!name || name.split(' ').length > 3 || /^(?:a|an|the|it|them|medications?|medicines?|meds|something)$/.test(name)) return [];
+  return [resolveMedication(name)];
+}
+
+function parseDetails(message) {
+  return {
+    dose: parseDose(message),
+    frequency: parseFrequency(message),
+    startDate: parseStartDate(message)
+  };
+}
+
+// Active medications with their active ingredients
+function listMedications(sessionId) {
+  return database.getMedicationsBySession(sessionId).map(withIngredients);
+}
+
+function withIngredients(medication) {
+  const resolved = resolveMedication(medication.name);
+  return { ...medication, generics: resolved.generics, known: !resolved.unknown };
+}
+
+function sameIngredients(a, b) {
+  return a.generics.length === b.generics.length && a.generics.every(generic => b.generics.includes(generic));
+}
+
+// Entries on the list that a medication name refers to: the same name, or the same active ingredients
+// ("remove Advil" when the list has ibuprofen)
+function findOnList(name, list) {
+  const resolved = resolveMedication(name);
+  const byName = list.filter(med => normalize(med.name) === normalize(resolved.name) || normalize(med.name) === normalize(name));
+  return byName.length > 0 ? byName : list.filter(med => sameIngredients(med, resolved));
+}
+
+// Add a medication, or update the dose, frequency and start date of one already on the list.
+// Returns { medication, created, changed } or null when it could not be saved.
+function addMedication(sessionId, { name, dose = null, frequency = null, startDate = null }) {
+  const display = resolveMedication(name).name;
+  const existing = findOnList(display, listMedications(sessionId))[0];
+  if (existing) {
+    const details = {
+      dose: dose || existing.dose,
+      frequency: frequency || existing.frequency,
+      startDate: startDate || existing.start_date
+    };
+    const changed = details.dose !== existing.dose || details.frequency !== existing.frequency ||
+      details.startDate !== existing.start_date;
+    if (changed) database.updateMedication(existing.id, details);
+    return { medication: withIngredients(database.getMedication(existing.id)), created: false, changed };
+  }
+  const medication = database.addMedication(sessionId, { name: display, dose, frequency, startDate });
+  return medication ? { medication: withIngredients(medication), created: true, changed: true } : null;
+}
+
+function updateMedication(medicationId, details) {
+  const updated = database.updateMedication(medicationId, details);
+  return updated ? withIngredients(database.getMedication(medicationId)) : null;
+}
+
+function removeMedication(medicationId) {
+  const stopped = database.stopMedication(medicationId);
+  return stopped ? withIngredients(database.getMedication(medicationId)) : null;
+}
+
+// Names to check for interactions: the whole list plus medications named in the message
+// that are not already on it ("Can I take Advil?" is checked against everything the user takes)
+function namesToCheck(list, mentions = []) {
+  const extra = mentions.filter(mention => !list.some(med => sameIngredients(med, mention)));
+  return [...list.map(med => med.name), ...extra.map(mention => mention.name)];
+}
+
+// Active ingredients of the list, for the user profile
+function listIngredients(list) {
+  return [...new Set(list.flatMap(med => med.generics))];
+}
+
+// "**Lipitor** (atorvastatin) - 20 mg, once daily, since 2026-01-05"
+function formatMedication(medication) {
+  const ingredients = medication.known && normalize(medication.name) !== medication.generics.join(', ')
+    ? ` (${medication.generics.join(', ')})`
+    : '';
+  const details = [
+    medication.dose,
+    medication.frequency,
+    medication.start_date && `since ${medication.start_date}`
+  ].filter(Boolean);
+  return `**${medication.name}**${ingredients}${details.length > 0 ? ` - ${details.join(', ')}` : ''}`;
+}
+
+function formatMedicationList(list) {
+  return list.map((med, i) => `${i + 1}. ${formatMedication(med)}`).join('\n');
+}
+
+module.exports = {
+  parseDose,
+  parseFrequency,
+  parseStartDate,
+  isValidDate,
+  parseCommand,
+  listMedications,
+  findOnList,
+  addMedication,
+  updateMedication,
+  removeMedication,
+  namesToCheck,
+  listIngredients,
+  formatMedication,
+  formatMedicationList
+};
@@ -0,0 +1,277 @@
+// Rule-based NLP: sentiment, entities, symptom details and vital signs
+const { medicalKnowledge } = require('./knowledge-base');
+const { assessMention, isAsserted, isAffirmedCurrent, findMentions } = require('./assertions');
+const { extractMedications, resolveMedication } = require('./drug-database');
+
+// Words allowed between a vital's name and its value ("temp is about 39", "pulse: 130")
+const READING_LINK = '(?:\\s*(?:is|was|of|at|reads|reading|about|around|maybe|:|=))*\\s*';
+
+// Readings outside these ranges are treated as typos rather than vitals
+const PLAUSIBLE = {
+  celsius: [30, 45],
+  fahrenheit: [86, 113],
+  heartRate: [20, 250],
+  systolic: [50, 300],
+  diastolic: [20, 200],
+  oxygenSaturation: [50, 100]
+};
+
+// Long-term conditions recognized in messages, by the name stored on the profile
+const CONDITION_TERMS = {
+  diabetes: ['diabetes', 'diabetic'],
+  pregnancy: ['pregnant', 'pregnancy', 'expecting a baby'],
+  hypertension: ['hypertension', 'high blood pressure'],
+  'heart disease': ['heart disease', 'heart failure', 'coronary artery disease'],
+  asthma: ['asthma', 'asthmatic'],
+  copd: ['copd', 'emphysema'],
+  'kidney disease': ['kidney disease', 'kidney failure', 'renal failure', 'ckd', 'dialysis'],
+  immunocompromised: ['immunocompromised', 'weakened immune system', 'weak immune system', 'chemotherapy', 'chemo', 'transplant'],
+  breastfeeding: ['breastfeeding', 'breast feeding', 'nursing my baby'],
+  'liver disease': ['liver disease', 'cirrhosis', 'hepatitis', 'fatty liver'],
+  'stomach ulcer': ['stomach ulcer', 'peptic ulcer', 'gastric ulcer', 'duodenal ulcer'],
+  'bleeding disorder': ['bleeding disorder', 'hemophilia', 'haemophilia', 'von willebrand']
+};
+
+// Body parts recognized in messages
+const BODY_PARTS = ['head', 'chest', 'stomach', 'back', 'arm', 'leg', 'throat', 'ear', 'eye', 'nose'];
+
+// Allergy statements: "allergic to penicillin and sulfa", "allergies: latex", "penicillin allergy"
+const ALLERGY_LISTS = /\b(?:allergic|allergy|allergies|allergic reactions?)\s+(?:to|from)\s+([^.;!?]+)|\ballergies\s*(?::|are|include)\s*([^.;!?]+)/g;
+const ALLERGY_BEFORE = /\b([a-z][a-z'-]+)\s+allerg(?:y|ies)\b/g;
+// Words that end an allergy list ("allergic to penicillin but I take aspirin")
+const ALLERGY_LIST_END = /\b(?:but|so|which|that|since|because|when|if|though|although|i|i'm|and i|my)\b/;
+// Words that are not allergens ("a", "any", "food" in "food allergies")
+const NOT_ALLERGENS = new Set(['a', 'an', 'the', 'my', 'no', 'any', 'some', 'known', 'anything', 'nothing', 'food', 'drug', 'medication',
+  'seasonal', 'severe', 'bad', 'have', 'has', 'had', 'with', 'of', 'got', 'mild', 'many', 'multiple', 'serious']);
+
+// Advanced NLP: Sentiment Analysis
+function analyzeSentiment(message) {
+  const msg = message.toLowerCase();
+  const positiveWords = ['good', 'great', 'better', 'improving', 'fine', 'ok', 'okay', 'well', 'thanks', 'thank you'];
+  const negativeWords = ['bad', 'worse', 'terrible', 'awful', 'pain', 'hurt', 'sick', 'worried', 'concerned', 'scared'];
+  
+  let score = 0;
+  positiveWords.forEach(word => { if (msg.includes(word)) score++; });
+  negativeWords.forEach(word => { if (msg.includes(word)) score--; });
+  
+  if (score > 0) return 'positive';
+  if (score < 0) return 'negative';
+  return 'neutral';
+}
+
+// Advanced NLP: Entity Extraction
+function extractEntities(message) {
+  const entities = {
+    medications: [],
+    symptoms: [],
+    bodyParts: [],
+    numbers: [],
+    timeExpressions: []
+  };
+  
+  const msg = message.toLowerCase();
+  
+  // Medications by generic, brand or other name; brands are mapped to their active ingredients
+  entities.medicationMentions = extractMedications(message);
+  entities.medications = [...new Set(entities.medicationMentions.flatMap(mention => mention.generics))];
+  
+  // Symptoms with their polarity, status and experiencer; only affirmed, current ones count as symptoms
+  entities.symptomMentions = extractSymptomMentions(message);
+  entities.symptoms = entities.symptomMentions
+    .filter(mention => medicalKnowledge.commonSymptoms[mention.term] && isAffirmedCurrent(mention))
+    .map(mention => mention.term);
+  
+  // Extract body parts
+  BODY_PARTS.forEach(part => {
+    if (msg.includes(part)) entities.bodyParts.push(part);
+  });
+  
+  // Extract numbers
+  const numbers = message.match(/\b\d+\b/g);
+  if (numbers) entities.numbers = numbers.map(n => parseInt(n));
+  
+  // Extract time expressions
+  const timePatterns = message.match(/\b(\d+)\s*(day|days|hour|hours|week|weeks|month|months|year|years)\b/gi);
+  if (timePatterns) entities.timeExpressions = timePatterns;
+  
+  // Pain scores and vital signs with their units
+  entities.vitals = extractVitals(message);
+  
+  // Age and long-term conditions for the user profile
+  entities.age = extractAge(message);
+  entities.conditions = extractConditions(message);
+  entities.allergies = extractAllergies(message);
+  
+  // "I'm allergic to penicillin" names an allergen, not a medication the user takes
+  if (entities.allergies.length > 0) {
+    entities.medicationMentions = entities.medicationMentions
+      .filter(mention => !mention.generics.every(generic => entities.allergies.includes(generic)));
+    entities.medications = [...new Set(entities.medicationMentions.flatMap(mention => mention.generics))];
+  }
+  
+  return entities;
+}
+
+function inRange(value, [min, max]) {
+  return value >= min && value <= max;
+}
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Temperatures need a unit or a temperature word; unitless readings above 45 are Fahrenheit
+function parseTemperature(msg) {
+  const withUnit = msg.match(/\b(\d{2,3}(?:\.\d+)?)\s*(?:°|º|degrees?|deg)?\s*(f|c|fahrenheit|celsius|centigrade)\b/);
+  const withContext = msg.match(new RegExp(`\\b(?:temp|temperature|fever)${READING_LINK}(\\d{2,3}(?:\\.\\d+)?)\\s*(?:°|º|degrees?)?`));
+  const match = withUnit || withContext;
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  const unit = withUnit ? (withUnit[2].startsWith('f') ? 'F' : 'C') : (value > 45 ? 'F' : 'C');
+  const celsius = unit === 'C' ? value : (value - 32) * 5 / 9;
+  if (!inRange(value, unit === 'C' ? PLAUSIBLE.celsius : PLAUSIBLE.fahrenheit)) return null;
+
+  return {
+    value,
+    unit,
+    celsius: roundTo(celsius, 1),
+    fahrenheit: roundTo(unit === 'F' ? value : celsius * 9 / 5 + 32, 1)
+  };
+}
+
+// Extract pain scales and vital signs ("pain is 9/10", "temp 39.4C", "BP 180/110", "pulse 130", "O2 91%")
+function extractVitals(message) {
+  const msg = message.toLowerCase();
+  const vitals = {};
+
+  const scale = msg.match(/\b(\d{1,2})\s*(?:\/|out of)\s*10\b(?!\s*\/)/)
+    || msg.match(new RegExp(`\\bpain(?:\\s*(?:level|score|scale))?${READING_LINK}(\\d{1,2})\\b(?!\\s*(?:days?|hours?|weeks?|months?|years?|%))`));
+  if (scale && parseInt(scale[1], 10) <= 10) {
+    vitals.painScore = parseInt(scale[1], 10);
+  }
+
+  const temperature = parseTemperature(msg);
+  if (temperature) vitals.temperature = temperature;
+
+  const pulse = msg.match(new RegExp(`\\b(?:heart\\s*rate|pulse|hr)${READING_LINK}(\\d{2,3})\\b`))
+    || msg.match(/\b(\d{2,3})\s*bpm\b/);
+  if (pulse && inRange(parseInt(pulse[1], 10), PLAUSIBLE.heartRate)) {
+    vitals.heartRate = parseInt(pulse[1], 10);
+  }
+
+  // Blood pressure needs a BP word or mmHg so dates and scores are not misread
+  const pressure = /\b(?:bp|blood\s*pressure|mm\s*hg)\b/.test(msg) && msg.match(/\b(\d{2,3})\s*\/\s*(\d{2,3})\b/);
+  if (pressure) {
+    const systolic = parseInt(pressure[1], 10);
+    const diastolic = parseInt(pressure[2], 10);
+    if (inRange(systolic, PLAUSIBLE.systolic) && inRange(diastolic, PLAUSIBLE.diastolic) && systolic > diastolic) {
+      vitals.bloodPressure = { systolic, diastolic };
+    }
+  }
+
+  const oxygen = msg.match(new RegExp(`\\b(?:o2|spo2|sp02|oxygen(?:\\s*(?:level|saturation|sats?))?|sats?|saturation)${READING_LINK}(\\d{2,3})\\s*%?`));
+  if (oxygen && inRange(parseInt(oxygen[1], 10), PLAUSIBLE.oxygenSaturation)) {
+    vitals.oxygenSaturation = parseInt(oxygen[1], 10);
+  }
+
+  return vitals;
+}
+
+// Extract symptom information
+function extractSymptomInfo(message) {
+  const msg = message.toLowerCase();
+  const symptoms = [];
+  
+  // Check for specific symptoms in knowledge base (affirmed and current only)
+  for (const symptom of Object.keys(medicalKnowledge.commonSymptoms)) {
+    if (msg.includes(symptom) && isAsserted(message, symptom)) {
+      symptoms.push(symptom);
+    }
+  }
+  
+  // Extract duration if mentioned
+  const durationMatch = message.match(/\b(\d+)\s*(day|days|hour|hours|week|weeks|month|months)\b/i);
+  const duration = durationMatch ? `${durationMatch[1]} ${durationMatch[2]}` : null;
+  
+  // Extract severity indicators ("not severe" does not count)
+  const severity = [...msg.matchAll(/\b(severe|mild|moderate|intense|extreme|slight)\b/gi)]
+    .map(match => match[1])
+    .find(word => assessMention(message, word).polarity === 'affirmed') || null;
+  
+  return { symptoms, duration, severity };
+}
+
+// Knowledge base symptoms and emergency/urgent triage keywords, each with its assertion
+function extractSymptomMentions(message) {
+  const levels = medicalKnowledge.triageLevels;
+  const terms = [...new Set([
+    ...Object.keys(medicalKnowledge.commonSymptoms),
+    ...levels.emergency.keywords,
+    ...levels.urgent.keywords
+  ])];
+  return terms
+    .map(term => assessMention(message, term))
+    .filter(Boolean);
+}
+
+// Age in years ("I'm 72", "72 years old", "aged 40"); infants in months or weeks become fractions
+function extractAge(message) {
+  const msg = message.toLowerCase();
+  const infant = msg.match(/\b(\d{1,2})[-\s]?(month|week)s?[-\s]old\b/);
+  if (infant) {
+    const value = parseInt(infant[1], 10);
+    return roundTo(infant[2] === 'month' ? value / 12 : value / 52, 2);
+  }
+
+  const match = msg.match(/\b(\d{1,3})(?:[-\s]?(?:years?|yrs?)[-\s]old|\s?y\/?o)\b/)
+    || msg.match(/\b(?:aged?|i'm|i am|im)\s+(\d{1,3})\b(?!\s*(?:%|\/|-|minutes?|hours?|days?|weeks?|months?|times?|lbs?|kg|pounds?|mg|out of|bpm|degrees?|°))/);
+  if (!match) return null;
+  const age = parseInt(match[1], 10);
+  return age > 0 && age <= 120 ? age : null;
+}
+
+// Conditions the user says they have now ("I'm not pregnant" and "my mom has diabetes" don't count)
+function extractConditions(message) {
+  return Object.entries(CONDITION_TERMS)
+    .filter(([, terms]) => terms.some(term => findMentions(message, term)
+      .some(mention => isAffirmedCurrent(mention) && mention.experiencer === 'self')))
+    .map(([condition]) => condition);
+}
+
+// Allergies the user reports; known drugs and brands are stored by generic name
+function extractAllergies(message) {
+  const msg = message.toLowerCase().replace(/[‘’]/g, "'");
+  if (!findMentions(message, 'allerg').some(mention => isAffirmedCurrent(mention) && mention.experiencer === 'self')) return [];
+
+  const items = [];
+  for (const match of msg.matchAll(ALLERGY_LISTS)) {
+    const list = (match[1] || match[2]).split(ALLERGY_LIST_END)[0];
+    items.push(...list.split(/,|\band\b|\bor\b|&|\//));
+  }
+  for (const match of msg.matchAll(ALLERGY_BEFORE)) {
+    items.push(match[1]);
+  }
+
+  const allergies = items
+    .map(item => item.trim().split(/\s+/).filter(word => !NOT_ALLERGENS.has(word)).join(' '))
+    .filter(item => item && item.split(' ').length <= 3)
+    .flatMap(item => {
+      const medication = resolveMedication(item);
+      return medication.unknown ? [item] : medication.generics;
+    });
+  return [...new Set(allergies)];
+}
+
+module.exports = {
+  BODY_PARTS,
+  analyzeSentiment,
+  extractEntities,
+  extractSymptomInfo,
+  extractVitals,
+  extractSymptomMentions,
+  extractAge,
+  extractConditions,
+  extractAllergies
+};
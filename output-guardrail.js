@@ -0,0 +1,226 @@
+// Post-generation safety checks for AI answers (aiService.generateAIResponse). The model's text is
+// compared with the rule-based triage for the same message before it is shown: certain diagnoses are
+// softened, specific doses are taken out, missing emergency guidance is added, and an answer that plays
+// down an urgent or emergency triage is replaced by a rule-based reply. Streamed answers are checked a
+// sentence at a time before each sentence is sent (createStreamGuard).
+
+// Certainty about a diagnosis, and the hedged wording that replaces it
+const DIAGNOSIS_REWRITES = [
+  { pattern: /\byou (?:definitely|certainly|clearly|obviously|probably|most likely|likely) have\b/gi, replacement: 'you might have' },
+  { pattern: /\b(?:you are|you're) (?:definitely |clearly |probably )?suffering from\b/gi, replacement: 'you may be experiencing' },
+  { pattern: /\b(this|that|it) (?:is|'s) (?:definitely|certainly|clearly|obviously|almost certainly|most likely)\b/gi, replacement: '$1 could be' },
+  { pattern: /\b(?:my|the|your) diagnosis (?:is|would be)\b/gi, replacement: 'one possibility is' },
+  { pattern: /\bI (?:can )?diagnose (?:you with|this as|it as)\b/gi, replacement: 'this may fit with' }
+];
+
+// Telling the user to start, stop or change a medicine
+const PRESCRIPTION_PATTERNS = [
+  /\bI(?: would|'d)? (?:prescribe|recommend (?:that you )?(?:take|taking|start|starting|stop|stopping))\b/i,
+  /\byou (?:should|must|need to|have to) (?:take|start taking|start on|stop taking|double|increase|decrease|reduce|switch to)\b/i
+];
+
+// An amount of a medicine ("400 mg", "1-2 tablets", "5 ml")
+const DOSE_AMOUNT = /\b\d+(?:[.,]\d+)?(?:\s*(?:-|to)\s*\d+(?:[.,]\d+)?)?\s*(?:mg|mcg|µg|ml|milligrams?|micrograms?|iu|tablets?|pills?|capsules?|puffs?|drops?|teaspoons?|tsp|tablespoons?|tbsp)\b/gi;
+
+// Reassurance that contradicts an urgent or emergency triage
+const REASSURANCE_PATTERNS = [
+  /\bnothing (?:to worry about|serious)\b/i,
+  /\b(?:there's |there is )?no need to (?:see|call|visit|go to|contact|worry)\b/i,
+  /\b(?:don't|do not) need (?:to see |to call |to go to |to visit )?(?:a doctor|medical (?:attention|help|care)|the (?:er|emergency room|hospital)|emergency care|911)\b/i,
+  /\b(?:is|it's|this is|that's) (?:probably |likely |usually )?(?:not serious|harmless|not an emergency)\b/i,
+  /\b(?:can|should) (?:safely )?wait (?:and see|until|a few days)\b/i,
+  /\bwill (?:probably |likely )?(?:go away|pass|settle) on its own\b/i
+];
+
+// Sending the user to emergency care straight away
+const IMMEDIATE_EMERGENCY = /\b(?:call (?:911|999|000|112|an ambulance|emergency services)|go to (?:the |an )?(?:er|emergency room|emergency department|a&e|hospital))(?: now| immediately| right away| straight away)\b|\b(?:immediately|right away) (?:call|go to)\b/i;
+
+// Any mention of emergency help
+const EMERGENCY_GUIDANCE = /\b(?:911|999|000|112|ambulance|emergency (?:services|room|department|number|care|help)|a&e)\b/i;
+
+// Stronger actions win when several rules fire
+const ACTION_RANK = { pass: 0, annotate: 1, rewrite: 2, fallback: 3 };
+
+// Checked answers by the strongest action taken, and interventions by rule
+const stats = {
+  checked: 0,
+  passed: 0,
+  annotate: 0,
+  rewrite: 0,
+  fallback: 0,
+  rules: {}
+};
+
+// Capitalized when the replaced words began a sentence or a list item
+function rewrite(text, pattern, replacement) {
+  return text.replace(pattern, (match, ...args) => {
+    const [offset, whole] = args.slice(-2);
+    const words = replacement.replace('$1', args[0]);
+    const startsSentence = /(?:^|[.!?:]\s*|\n\s*(?:[-*]\s*)?)$/.test(whole.slice(0, offset));
+    return startsSentence ? words[0].toUpperCase() + words.slice(1) : words.toLowerCase();
+  });
+}
+
+// Drops sentences that give a dose the user did not mention themselves
+function removeDoses(text, message) {
+  const said = message.toLowerCase().replace(/\s+/g, '');
+  const doses = [];
+  const lines = text.split('\n').map(line => {
+    const sentences = line.split(/(?<=[.!?])\s+/);
+    const kept = sentences.filter(sentence => {
+      const amounts = (sentence.match(DOSE_AMOUNT) || [])
+        .filter(amount => !said.includes(amount.toLowerCase().replace(/\s+/g, '')));
+      doses.push(...amounts);
+      return amounts.length === 0;
+    });
+    return kept.length === sentences.length ? line : kept.length > 0 ? kept.join(' ') : null;
+  });
+  return {
+    text: lines.filter(line => line !== null).join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    doses
+  };
+}
+
+// Rule-based reply used when the AI answer contradicts the triage
+function fallbackResponse(triage, emergencyNumber) {
+  let response = "I can't give you a reliable answer to that, and from what you've described it shouldn't wait.";
+  if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
+    response = `🚨 **URGENCY: ${triage.urgency}**\n\n${response}`;
+  }
+  response += `\n\n**Triage Level:** ${triage.triageLevel} (priority ${triage.priority})`;
+  response += `\n**Recommended Action:** ${triage.action}`;
+  if (triage.triageLevel === 'emergency') {
+    response += `\n\nIf this is happening now, call **${emergencyNumber}** or go to the nearest emergency department.`;
+  }
+  response += '\n\n⚠️ For proper diagnosis and treatment, please consult with a healthcare professional.';
+  return response;
+}
+
+function finish(text, findings) {
+  const action = findings.reduce((strongest, finding) =>
+    ACTION_RANK[finding.action] > ACTION_RANK[strongest] ? finding.action : strongest, 'pass');
+  stats[action === 'pass' ? 'passed' : action]++;
+  findings.forEach(finding => {
+    stats.rules[finding.rule] = (stats.rules[finding.rule] || 0) + 1;
+  });
+  return { text, action, findings };
+}
+
+// Checks an AI answer against the rule-based triage for the message.
+// guidanceShown: the caller already shows the triage action next to the answer (symptom assessments)
+// Returns { text, action: 'pass' | 'annotate' | 'rewrite' | 'fallback', findings: [{ rule, action, detail }] }
+function checkResponse(text, { message = '', triage = null, emergencyNumber = '911', guidanceShown = false } = {}) {
+  stats.checked++;
+  const level = triage?.triageLevel || 'routine';
+  const findings = [];
+
+  // Playing down an urgent or emergency triage: the answer is not used at all
+  if (triage && (level === 'emergency' || level === 'urgent')) {
+    const reassurance = REASSURANCE_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    if (reassurance) {
+      findings.push({ rule: 'triage_contradiction', action: 'fallback', detail: `"${reassurance[0]}" for ${level} triage` });
+      return finish(fallbackResponse(triage, emergencyNumber), findings);
+    }
+  }
+
+  let checked = text;
+  const notes = [];
+
+  const before = checked;
+  DIAGNOSIS_REWRITES.forEach(({ pattern, replacement }) => {
+    checked = rewrite(checked, pattern, replacement);
+  });
+  if (checked !== before) {
+    findings.push({ rule: 'diagnosis', action: 'rewrite', detail: 'Softened a definite diagnosis' });
+    notes.push('Only a healthcare professional who examines you can diagnose what is causing your symptoms.');
+  }
+
+  const dosing = removeDoses(checked, message);
+  if (dosing.doses.length > 0) {
+    checked = dosing.text;
+    findings.push({ rule: 'dosing', action: 'rewrite', detail: `Removed ${dosing.doses.join(', ')}` });
+    notes.push('I have left out specific doses. Follow the directions on the label, or ask your pharmacist or doctor what dose is right for you.');
+  }
+
+  const prescription = PRESCRIPTION_PATTERNS.map(pattern => checked.match(pattern)).find(Boolean);
+  if (prescription) {
+    findings.push({ rule: 'prescription', action: 'annotate', detail: `"${prescription[0]}"` });
+    notes.push("Please don't start, stop or change a medicine based on this answer alone - check with your doctor or pharmacist first.");
+  }
+
+  if (triage && level === 'routine') {
+    const escalation = checked.match(IMMEDIATE_EMERGENCY);
+    if (escalation) {
+      findings.push({ rule: 'triage_overstated', action: 'annotate', detail: `"${escalation[0]}" for routine triage` });
+      notes.push(`My symptom check didn't find emergency warning signs in your message, but if you feel this is an emergency, don't wait - call ${emergencyNumber}.`);
+    }
+  }
+
+  if (level === 'emergency' && !guidanceShown &&
+      !EMERGENCY_GUIDANCE.test(checked) && !checked.includes(emergencyNumber)) {
+    findings.push({ rule: 'missing_emergency_guidance', action: 'annotate', detail: 'Added emergency guidance' });
+    checked = `🚨 **This could be an emergency. Call ${emergencyNumber} or go to the nearest emergency department now.**\n\n${checked}`;
+  }
+
+  if (notes.length > 0) {
+    checked = [checked, notes.map(note => `ℹ️ ${note}`).join('\n')].filter(Boolean).join('\n\n');
+  }
+  return finish(checked, findings);
+}
+
+// Urgent and emergency answers may be replaced or need guidance put first, so they are not streamed
+function canStream(triage) {
+  const level = triage?.triageLevel || 'routine';
+  return level !== 'emergency' && level !== 'urgent';
+}
+
+// Passes a streamed answer on to onText a sentence at a time, with the checks that work on a sentence by
+// itself: diagnoses are softened and sentences giving doses the user did not mention are held back. The
+// finished text still goes through checkResponse, and that reply replaces the streamed draft.
+// Returns { push(token), end() }; end() sends what is left after the last full sentence.
+function createStreamGuard(onText, { message = '' } = {}) {
+  let buffer = '';
+
+  function send(chunk) {
+    let checked = chunk;
+    DIAGNOSIS_REWRITES.forEach(({ pattern, replacement }) => {
+      checked = rewrite(checked, pattern, replacement);
+    });
+    const dosing = removeDoses(checked, message);
+    if (dosing.doses.length > 0) {
+      checked = dosing.text && `${dosing.text}${chunk.match(/\s*$/)[0]}`;
+    }
+    if (checked.trim()) {
+      onText(checked);
+    }
+  }
+
+  return {
+    push(token) {
+      buffer += token;
+      const boundary = /[\s\S]*(?:[.!?]\s+|\n)/.exec(buffer);
+      if (boundary) {
+        buffer = buffer.slice(boundary[0].length);
+        send(boundary[0]);
+      }
+    },
+    end() {
+      if (buffer) {
+        send(buffer);
+        buffer = '';
+      }
+    }
+  };
+}
+
+function getStats() {
+  return { ...stats, rules: { ...stats.rules } };
+}
+
+module.exports = {
+  checkResponse,
+  fallbackResponse,
+  canStream,
+  createStreamGuard,
+  getStats
+};
@@ -3,6 +3,14 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 
+// Heading colors for interaction severities
+const SEVERITY_COLORS = {
+  contraindicated: '#b00020',
+  major: '#d32f2f',
+  moderate: '#ef6c00',
+  minor: '#9e7700'
+};
+
 // Ensure reports directory exists
 const reportsDir = path.join(__dirname, 'reports');
 if (!fs.existsSync(reportsDir)) {
@@ -41,7 +49,14 @@ function generateConversationPDF(sessionId, conversationData, userProfile) {
       doc.fontSize(11)
          .fillColor('#000000');
 
-      if (userProfile.medications && userProfile.medications.length > 0) {
+      // The medication list with dose, frequency and start date
+      if (userProfile.medicationList && userProfile.medicationList.length > 0) {
+        doc.text('Medications:');
+        userProfile.medicationList.forEach(med => {
+          const details = [med.dose, med.frequency, med.start_date && `since ${med.start_date}`].filter(Boolean);
+          doc.text(`${med.name}${details.length > 0 ? ` - ${details.join(', ')}` : ''}`, { indent: 20 });
+        });
+      } else if (userProfile.medications && userProfile.medications.length > 0) {
         doc.text(`Medications: ${userProfile.medications.join(', ')}`);
       }
       if (userProfile.symptoms && userProfile.symptoms.length > 0) {
@@ -50,6 +65,9 @@ function generateConversationPDF(sessionId, conversationData, userProfile) {
       if (userProfile.conditions && userProfile.conditions.length > 0) {
         doc.text(`Conditions: ${userProfile.conditions.join(', ')}`);
       }
+      if (userProfile.allergies && userProfile.allergies.length > 0) {
+        doc.text(`Allergies: ${userProfile.allergies.join(', ')}`);
+      }
       doc.moveDown(2);
     }
 
@@ -62,8 +80,38 @@ function generateConversationPDF(sessionId, conversationData, userProfile) {
     doc.fontSize(11)
        .fillColor('#000000')
        .text(`Total Messages: ${conversationData.summary?.totalMessages || 0}`)
-       .text(`Topics Discussed: ${conversationData.summary?.topics?.join(', ') || 'None'}`)
-       .moveDown(2);
+       .text(`Topics Discussed: ${conversationData.summary?.topics?.join(', ') || 'None'}`);
+    // Condensed summary of the earlier part of a long conversation
+    if (conversationData.memory?.summary) {
+      doc.moveDown(0.5)
+         .text(conversationData.memory.summary);
+    }
+    doc.moveDown(2);
+
+    // Medication Interactions (most severe first)
+    const interactions = conversationData.summary?.medicationInteractions || [];
+    if (interactions.length > 0) {
+      doc.fontSize(16)
+         .fillColor('#333333')
+         .text('Medication Interactions', { underline: true })
+         .moveDown();
+
+      doc.fontSize(11);
+      interactions.forEach(interaction => {
+        const title = interaction.duplicate
+          ? `${interaction.severity.toUpperCase()}: duplicate ingredient in ${interaction.names.join(' + ')}`
+          : `${interaction.severity.toUpperCase()}: ${interaction.names.join(' + ')}`;
+        doc.fillColor(SEVERITY_COLORS[interaction.severity] || '#000000')
+           .font('Helvetica-Bold')
+           .text(title)
+           .font('Helvetica')
+           .fillColor('#000000')
+           .text(interaction.effect, { indent: 20 })
+           .text(`Why: ${interaction.mechanism}`, { indent: 20 })
+           .moveDown(0.5);
+      });
+      doc.moveDown(1.5);
+    }
 
     // Conversation History
     doc.fontSize(16)
@@ -82,8 +130,17 @@ function generateConversationPDF(sessionId, conversationData, userProfile) {
          .text(`${role} (${timestamp}):`, { continued: false })
          .font('Helvetica')
          .fillColor('#000000')
-         .text(msg.message, { indent: 20 })
-         .moveDown(0.5);
+         .text(msg.message, { indent: 20 });
+      
+      // Corpus documents the AI answer cited
+      const cited = (msg.citations || []).filter(citation => citation.cited);
+      if (cited.length > 0) {
+        doc.fontSize(8)
+           .fillColor('#666666')
+           .text(`Sources: ${cited.map(c => `[${c.number}] ${c.title}${c.section ? ` - ${c.section}` : ''} (${c.source})`).join('; ')}`, { indent: 20 })
+           .fontSize(10);
+      }
+      doc.moveDown(0.5);
     });
 
     // Footer
@@ -16,7 +16,60 @@ function getCurrentTime() {
     });
 }
 
-// Add message to chat with optional quick actions
+// Render bot text with line breaks and **bold** into a message paragraph
+function renderMessageText(messageText, content) {
+    messageText.replaceChildren();
+    const parts = content.split(/(\*\*.*?\*\*|\n)/);
+    parts.forEach(part => {
+        if (part.startsWith('**') && part.endsWith('**')) {
+            const bold = document.createElement('strong');
+            bold.textContent = part.slice(2, -2);
+            messageText.appendChild(bold);
+        } else if (part === '\n') {
+            messageText.appendChild(document.createElement('br'));
+        } else if (part.trim()) {
+            const span = document.createElement('span');
+            span.textContent = part;
+            messageText.appendChild(span);
+        }
+    });
+}
+
+// List the corpus documents an AI answer cited, above the message time
+function addCitations(messageElement, citations) {
+    const cited = (citations || []).filter(citation => citation.cited);
+    if (cited.length === 0) return;
+    
+    const sources = document.createElement('div');
+    sources.className = 'message-sources';
+    const heading = document.createElement('strong');
+    heading.textContent = 'Sources';
+    const list = document.createElement('ol');
+    cited.forEach(citation => {
+        const item = document.createElement('li');
+        item.value = citation.number;
+        const label = citation.section ? `${citation.title} - ${citation.section}` : citation.title;
+        if (/^https?:\/\//.test(citation.source)) {
+            const link = document.createElement('a');
+            link.href = citation.source;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = label;
+            item.appendChild(link);
+        } else {
+            item.textContent = label;
+            item.title = citation.source;
+        }
+        list.appendChild(item);
+    });
+    sources.appendChild(heading);
+    sources.appendChild(list);
+    
+    const content = messageElement.querySelector('.message-content');
+    content.insertBefore(sources, content.querySelector('.message-time'));
+}
+
+// Add message to chat with optional quick actions; returns the message element
 function addMessage(content, isUser = false, quickActions = []) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${isUser ? 'user-message' : 'bot-message'}`;
@@ -31,21 +84,7 @@ function addMessage(content, isUser = false, quickActions = []) {
     const messageText = document.createElement('p');
     // Support line breaks and basic markdown in bot messages
     if (!isUser) {
-        // Simple markdown parser for **bold** and line breaks
-        const parts = content.split(/(\*\*.*?\*\*|\n)/);
-        parts.forEach(part => {
-            if (part.startsWith('**') && part.endsWith('**')) {
-                const bold = document.createElement('strong');
-                bold.textContent = part.slice(2, -2);
-                messageText.appendChild(bold);
-            } else if (part === '\n') {
-                messageText.appendChild(document.createElement('br'));
-            } else if (part.trim()) {
-                const span = document.createElement('span');
-                span.textContent = part;
-                messageText.appendChild(span);
-            }
-        });
+        renderMessageText(messageText, content);
     } else {
         messageText.textContent = content;
     }
@@ -79,6 +118,7 @@ function addMessage(content, isUser = false, quickActions = []) {
     
     chatMessages.appendChild(messageDiv);
     scrollToBottom();
+    return messageDiv;
 }
 
 // Show typing indicator
@@ -119,11 +159,33 @@ function scrollToBottom() {
     chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+// Streamed AI replies this page asked for, and the draft message of each one that has started
+const requestedStreams = new Set();
+const activeStreams = new Map();
+
+// Remove a streamed draft; the final reply from /api/chat takes its place
+function discardStream(streamId) {
+    const stream = activeStreams.get(streamId);
+    if (stream) {
+        stream.element.remove();
+    }
+    activeStreams.delete(streamId);
+    requestedStreams.delete(streamId);
+}
+
 // Send message to server
 async function sendMessage(message) {
+    // Ask for AI tokens over the socket when it is connected
+    const streamId = socket && socket.connected
+        ? `stream_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+        : null;
+    
     try {
         showTypingIndicator();
         sendButton.disabled = true;
+        if (streamId) {
+            requestedStreams.add(streamId);
+        }
         
         const response = await fetch('/api/chat', {
             method: 'POST',
@@ -132,7 +194,11 @@ async function sendMessage(message) {
             },
             body: JSON.stringify({ 
                 message,
-                sessionId: currentSessionId 
+                sessionId: currentSessionId,
+                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                stream: Boolean(streamId),
+                streamId,
+                socketId: streamId ? socket.id : undefined
             }),
         });
         
@@ -146,9 +212,16 @@ async function sendMessage(message) {
         if (data.sessionId && !currentSessionId) {
             currentSessionId = data.sessionId;
             localStorage.setItem('chatbotSessionId', currentSessionId);
+            joinSession();
+        }
+        
+        // Ask once for permission to show reminders while the tab is in the background
+        if (data.reminders && data.reminders.length > 0 && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
         }
         
         removeTypingIndicator();
+        discardStream(streamId);
         
         // Add triage indicator if present
         let messageContent = data.response;
@@ -156,13 +229,18 @@ async function sendMessage(message) {
             const urgencyEmoji = data.triage.urgency === 'CRITICAL' ? '🚨' : 
                                 data.triage.urgency === 'HIGH' ? '⚠️' : 
                                 data.triage.urgency === 'MEDIUM' ? '⚡' : 'ℹ️';
-            messageContent = `${urgencyEmoji} **${data.triage.urgency} Priority**\n\n${messageContent}`;
+            // Show why the urgency was raised
+            const reasons = data.triage.urgency !== 'LOW' && data.triage.rationale ? data.triage.rationale : [];
+            const why = reasons.length > 0 ? `\nWhy: ${reasons.map(r => r.label).join('; ')}` : '';
+            messageContent = `${urgencyEmoji} **${data.triage.urgency} Priority**${why}\n\n${messageContent}`;
         }
         
-        addMessage(messageContent, false, data.quickActions || []);
+        const messageElement = addMessage(messageContent, false, data.quickActions || []);
+        addCitations(messageElement, data.citations);
         
     } catch (error) {
         removeTypingIndicator();
+        discardStream(streamId);
         addMessage('Sorry, I encountered an error. Please try again.', false);
         console.error('Error:', error);
     } finally {
@@ -204,6 +282,51 @@ window.addEventListener('load', () => {
 // Scroll to bottom on initial load
 scrollToBottom();
 
+// Live updates pushed to this session's room: medication reminders and changes made outside the chat
+const socket = typeof io === 'function' ? io() : null;
+
+function joinSession() {
+    if (socket && currentSessionId) {
+        socket.emit('join_session', currentSessionId);
+    }
+}
+
+if (socket) {
+    // Rejoin after every (re)connect; rooms do not survive a dropped connection
+    socket.on('connect', joinSession);
+    
+    socket.on('medication_reminder', (reminder) => {
+        addMessage(reminder.message, false, ['My Reminders']);
+        if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification('Medication reminder', { body: reminder.message.replace(/^⏰ /, '') });
+        }
+    });
+    
+    // AI tokens are shown as a draft while the reply is generated
+    socket.on('ai_stream_start', ({ streamId }) => {
+        if (!requestedStreams.has(streamId) || activeStreams.has(streamId)) return;
+        removeTypingIndicator();
+        const element = addMessage('', false);
+        element.classList.add('streaming');
+        activeStreams.set(streamId, { element, text: '' });
+    });
+    
+    socket.on('ai_token', ({ streamId, token }) => {
+        const stream = activeStreams.get(streamId);
+        if (!stream) return;
+        stream.text += token;
+        renderMessageText(stream.element.querySelector('.message-content p'), stream.text);
+        scrollToBottom();
+    });
+    
+    socket.on('ai_stream_end', ({ streamId }) => {
+        activeStreams.get(streamId)?.element.classList.remove('streaming');
+    });
+    
+    socket.on('medications_updated', (update) => addMessage(update.message, false));
+    socket.on('appointment_updated', (update) => addMessage(update.message, false));
+}
+
 // Export conversation
 document.getElementById('exportBtn')?.addEventListener('click', async () => {
     if (!currentSessionId) {
@@ -248,7 +371,9 @@ Profile Information:
 - Total Messages: ${data.conversationStats.totalMessages}
 - Topics Discussed: ${data.conversationStats.topics.join(', ') || 'None'}
 - Symptoms Mentioned: ${data.conversationStats.symptoms.join(', ') || 'None'}
-- Medications: ${data.conversationStats.medications.join(', ') || 'None'}
+- Medications: ${data.conversationStats.medicationList.map(med => [med.name, med.dose, med.frequency].filter(Boolean).join(' ')).join('; ') || 'None'}
+- Conditions: ${data.conversationStats.conditions.join(', ') || 'None'}
+- Allergies: ${data.conversationStats.allergies.join(', ') || 'None'}
         `.trim();
         
         addMessage(profileInfo, false);
@@ -0,0 +1,362 @@
+// Medication reminders: set from chat ("remind me to take metformin at 8am and 8pm"), stored with their
+// next due time so they survive restarts, and delivered to the session's Socket.IO room and optionally by email
+const database = require('./database');
+const mailer = require('./mailer');
+const medicationList = require('./medication-list');
+const { resolveMedication } = require('./drug-database');
+const { formatDateTime, parseDateTime } = require('./scheduler');
+
+// How often due reminders are checked
+const POLL_INTERVAL_MS = parseInt(process.env.REMINDER_POLL_MS) || 30000;
+
+// Reminders that fell due longer ago than this (the server was down) are skipped rather than sent late
+const MISSED_AFTER_MINUTES = 60;
+
+// Clock times for words and for the frequencies the medication list records
+const NAMED_TIMES = [
+  [/\b(?:noon|midday|lunch(?:time)?)\b/, '12:00'],
+  [/\bmidnight\b/, '00:00'],
+  [/\b(?:morning|breakfast)\b/, '08:00'],
+  [/\bafternoon\b/, '14:00'],
+  [/\b(?:evening|dinner(?:time)?|supper)\b/, '18:00'],
+  [/\b(?:night|bedtime|before bed)\b/, '21:00']
+];
+const FREQUENCY_TIMES = {
+  'once daily': ['08:00'],
+  'every morning': ['08:00'],
+  'at bedtime': ['21:00'],
+  'twice daily': ['08:00', '20:00'],
+  '3 times daily': ['08:00', '14:00', '20:00'],
+  '4 times daily': ['08:00', '12:00', '16:00', '20:00']
+};
+
+// "remind me to take ..." but not "remind me what warfarin is for"
+const REMINDER_REQUEST = /\bremind me (?:to|about|when|at|every|each|daily|twice|in the)\b|\b(?:set|add|create|schedule|make|want|need)(?: me)? (?:up )?(?:a |an )?(?:daily )?(?:medication |medicine |pill )?reminders?\b/;
+const LIST_REMINDERS = /^(?:my )?(?:medication )?reminders$|\b(?:list|show|view|see|what are|check)\b.*\breminders\b/;
+const CANCEL_REMINDERS = /\b(?:cancel|stop|delete|remove|turn off|clear)\b.*\breminders?\b|\b(?:stop|don't|do not) remind(?:ing)? me\b/;
+const EMAIL_ADDRESS = /[^\s@,;<>()]+@[^\s@,;<>()]+\.[a-z]{2,}/i;
+// "remind me to take my vitamins at 9am": the words after "take" up to the time
+const TAKE_NAME = /\btake (?:my |the |a |an )?([a-z][a-z0-9 -]*?)(?=\s(?:at|every|each|in|on|twice|once|three|four|daily|and email|by email|,)\b|[,.!?]|$)/;
+const GENERIC_NAMES = /^(?:medications?|medicines?|meds|pills?|tablets?|dose|prescription|it|them)$/;
+
+let timer = null;
+let running = false;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function normalize(message) {
+  return message.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function everyHours(hours) {
+  const times = [];
+  for (let minutes = 8 * 60; minutes < 32 * 60; minutes += hours * 60) {
+    times.push(`${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`);
+  }
+  return times;
+}
+
+// Default times for a frequency such as "twice daily" or "every 8 hours"; null for "as needed" and "weekly"
+function timesForFrequency(frequency) {
+  if (!frequency) return null;
+  if (FREQUENCY_TIMES[frequency]) return FREQUENCY_TIMES[frequency];
+  const hours = frequency.match(/^every (\d+) hours$/);
+  return hours && parseInt(hours[1]) >= 2 && parseInt(hours[1]) <= 24 ? everyHours(parseInt(hours[1])) : null;
+}
+
+function sortTimes(times) {
+  return [...new Set(times)].sort();
+}
+
+// Every clock time in a message as sorted "HH:MM" ("8am and 8pm", "20:30", "every morning"),
+// falling back to a frequency ("twice a day"); an empty array when there is none
+function parseTimes(text) {
+  let msg = normalize(text);
+  const times = [];
+
+  for (const match of msg.matchAll(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/g)) {
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    if (hour < 1 || hour > 12 || minute > 59) continue;
+    const isPm = match[3].startsWith('p');
+    if (isPm && hour < 12) hour += 12;
+    if (!isPm && hour === 12) hour = 0;
+    times.push(`${pad(hour)}:${pad(minute)}`);
+  }
+  msg = msg.replace(/\b\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)/g, ' ');
+
+  for (const match of msg.matchAll(/\b([01]?\d|2[0-3]):([0-5]\d)\b/g)) {
+    times.push(`${pad(parseInt(match[1]))}:${match[2]}`);
+  }
+  NAMED_TIMES.forEach(([pattern, time]) => {
+    if (pattern.test(msg)) times.push(time);
+  });
+
+  if (times.length > 0) return sortTimes(times);
+  return sortTimes(timesForFrequency(medicationList.parseFrequency(text)) || []);
+}
+
+// The medication a reminder is for when it is not in the drug database ("my vitamins"), or null
+function reminderName(msg) {
+  const match = msg.match(TAKE_NAME);
+  if (!match) return null;
+  const name = match[1].trim();
+  if (!name || name.split(' ').length > 3 || GENERIC_NAMES.test(name)) return null;
+  return name;
+}
+
+// A reminder command in a message, or null:
+//   { action: 'create', medications, times, email } | { action: 'list' } | { action: 'cancel', medications, all }
+// pending is set when the bot has just asked what time a reminder should be for.
+function parseCommand(message, mentions = [], pending = null) {
+  const msg = normalize(message);
+  const names = mentions.map(mention => mention.name);
+  const emailMatch = message.match(EMAIL_ADDRESS);
+  const email = emailMatch ? emailMatch[0] : null;
+
+  if (CANCEL_REMINDERS.test(msg)) {
+    return { action: 'cancel', medications: names, all: /\ball\b|\bstop reminding me\b|\bdon't remind me\b/.test(msg) };
+  }
+  if (LIST_REMINDERS.test(msg) && !REMINDER_REQUEST.test(msg)) {
+    return { action: 'list' };
+  }
+  if (REMINDER_REQUEST.test(msg)) {
+    const name = names.length === 0 ? reminderName(msg) : null;
+    return {
+      action: 'create',
+      medications: names.length > 0 ? names : [name || 'your medication'],
+      times: parseTimes(message),
+      email
+    };
+  }
+
+  // The answer to "What time should I remind you?"
+  if (pending) {
+    const times = parseTimes(message);
+    if (times.length > 0) {
+      return { action: 'create', medications: pending.medications, times, email: email || pending.email };
+    }
+  }
+  return null;
+}
+
+// An IANA time zone name the runtime knows ("Europe/London")
+function isValidTimeZone(value) {
+  if (typeof value !== 'string' || !value || value.length > 64) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The date and clock time of a moment in a time zone (the server's when timeZone is null)
+function zonedParts(date, timeZone) {
+  if (!timeZone) {
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(), hour: date.getHours(), minute: date.getMinutes() };
+  }
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(date);
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute') };
+}
+
+// The moment a date and clock time occur in a time zone. The zone's offset is looked up twice so a time
+// just after a daylight saving change gets the offset in force then.
+function zonedDate(year, month, day, hour, minute, timeZone) {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = date => {
+    const parts = zonedParts(date, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(date.getTime() / 60000) * 60000;
+  };
+  const guess = new Date(wallClock - offsetAt(new Date(wallClock)));
+  return new Date(wallClock - offsetAt(guess));
+}
+
+// The next time after "after" that one of the daily times comes round in the user's time zone, as the
+// server's local "YYYY-MM-DD HH:MM" (the form due reminders are looked up by)
+function nextRunAt(times, after = new Date(), timeZone = null) {
+  const today = zonedParts(after, timeZone);
+  for (let day = 0; day <= 1; day++) {
+    for (const time of sortTimes(times)) {
+      const [hour, minute] = time.split(':').map(Number);
+      const candidate = zonedDate(today.year, today.month, today.day + day, hour, minute, timeZone);
+      if (candidate > after) return formatDateTime(candidate);
+    }
+  }
+  return null;
+}
+
+function listReminders(sessionId) {
+  return database.getRemindersBySession(sessionId);
+}
+
+// "metformin" and "Glucophage" are the same medication
+function sameMedication(reminder, name) {
+  const entry = { name: reminder.medication, generics: resolveMedication(reminder.medication).generics };
+  return medicationList.findOnList(name, [entry]).length > 0;
+}
+
+// Set daily reminders for each medication; an existing reminder for the same medication is replaced.
+// times are in timeZone, the user's IANA time zone, or in the server's when it is not known.
+// Returns { created, replaced }.
+function createReminders(sessionId, { medications, times, email = null, timeZone = null }, now = new Date()) {
+  const existing = listReminders(sessionId);
+  const result = { created: [], replaced: [] };
+
+  medications.forEach(medication => {
+    existing.filter(reminder => sameMedication(reminder, medication)).forEach(reminder => {
+      if (database.cancelReminder(reminder.id)) result.replaced.push(reminder);
+    });
+    const reminder = database.createReminder(sessionId, {
+      medication,
+      times: sortTimes(times),
+      email,
+      timeZone,
+      nextRunAt: nextRunAt(times, now, timeZone)
+    });
+    if (reminder) result.created.push(reminder);
+  });
+  return result;
+}
+
+// Cancel the session's reminders for the named medications, or all of them.
+// Returns { cancelled, notFound, ambiguous }; ambiguous lists the reminders when none was named and there are several.
+function cancelReminders(sessionId, { medications = [], all = false }) {
+  const existing = listReminders(sessionId);
+  if (!all && medications.length === 0 && existing.length > 1) {
+    return { cancelled: [], notFound: [], ambiguous: existing };
+  }
+  const targets = all || medications.length === 0
+    ? existing
+    : existing.filter(reminder => medications.some(name => sameMedication(reminder, name)));
+  const notFound = all ? [] : medications.filter(name => !existing.some(reminder => sameMedication(reminder, name)));
+  return {
+    cancelled: targets.filter(reminder => database.cancelReminder(reminder.id)),
+    notFound,
+    ambiguous: []
+  };
+}
+
+// "8:00 AM"
+function formatTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return `${hour % 12 || 12}:${pad(minute)} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+function formatTimes(times) {
+  const labels = times.map(formatTime);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+}
+
+// "**metformin** - every day at 8:00 AM and 8:00 PM (next: Mon, Oct 19, 8:00 AM), also by email to a@b.com"
+function formatReminder(reminder) {
+  const next = parseDateTime(reminder.next_run_at).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true,
+    timeZone: reminder.time_zone || undefined
+  });
+  const email = reminder.email ? `, also by email to ${reminder.email}` : '';
+  return `**${reminder.medication}** - every day at ${formatTimes(reminder.times)} (next: ${next})${email}`;
+}
+
+// The clock time a reminder was due at, in its time zone ("20:00")
+function dueTime(reminder, dueAt) {
+  const { hour, minute } = zonedParts(parseDateTime(dueAt), reminder.time_zone);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+// The reminder text, with the dose from the medication list when it is there
+function reminderMessage(reminder, dueAt) {
+  const listed = medicationList.findOnList(reminder.medication, medicationList.listMedications(reminder.session_id))[0];
+  const dose = listed && listed.dose ? ` (${listed.dose})` : '';
+  const name = reminder.medication === 'your medication' ? 'your medication' : reminder.medication;
+  return `⏰ Reminder: it's ${formatTime(dueTime(reminder, dueAt))} - time to take ${name}${dose}.`;
+}
+
+// Push one due reminder to the session and email it when the reminder has an address and SMTP is set up
+async function deliver(reminder, dueAt, push) {
+  const message = reminderMessage(reminder, dueAt);
+  const channels = [];
+
+  try {
+    push({ reminderId: reminder.id, sessionId: reminder.session_id, medication: reminder.medication, dueAt, message });
+    channels.push('socket');
+  } catch (error) {
+    console.error('Error pushing reminder:', error);
+  }
+
+  if (reminder.email && mailer.isEnabled() && mailer.isValidEmail(reminder.email)) {
+    try {
+      await mailer.sendMail({
+        to: reminder.email,
+        subject: `Medication reminder: ${reminder.medication}`,
+        text: `${message.replace(/^⏰ /, '')}\n\nTo stop these reminders, say "cancel my ${reminder.medication} reminder" in the chat.`
+      });
+      channels.push('email');
+    } catch (error) {
+      console.error('Error emailing reminder:', error.message);
+      database.logEvent('reminder_email_failed', { reminderId: reminder.id, error: error.message }, reminder.session_id);
+    }
+  }
+
+  database.logEvent('reminder_sent', { reminderId: reminder.id, medication: reminder.medication, dueAt, channels }, reminder.session_id);
+}
+
+// Send every reminder that has fallen due and move each on to its next time. A reminder is moved on
+// before it is sent so a slow email never gets it sent twice.
+async function runDueReminders(push, now = new Date()) {
+  if (running) return;
+  running = true;
+  try {
+    for (const reminder of database.getDueReminders(formatDateTime(now))) {
+      const dueAt = reminder.next_run_at;
+      const late = (now - parseDateTime(dueAt)) / 60000 > MISSED_AFTER_MINUTES;
+      if (!database.markReminderRun(reminder.id, nextRunAt(reminder.times, now, reminder.time_zone), late ? null : formatDateTime(now))) continue;
+
+      if (late) {
+        database.logEvent('reminder_missed', { reminderId: reminder.id, medication: reminder.medication, dueAt }, reminder.session_id);
+        continue;
+      }
+      await deliver(reminder, dueAt, push);
+    }
+  } catch (error) {
+    console.error('Error running reminders:', error);
+  } finally {
+    running = false;
+  }
+}
+
+// Check for due reminders now (catching any that fell due while the server was down) and then every
+// POLL_INTERVAL_MS. push(payload) delivers a reminder to the session.
+function start(push) {
+  stop();
+  runDueReminders(push);
+  timer = setInterval(() => runDueReminders(push), POLL_INTERVAL_MS);
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  parseTimes,
+  timesForFrequency,
+  parseCommand,
+  isValidTimeZone,
+  nextRunAt,
+  listReminders,
+  createReminders,
+  cancelReminders,
+  formatTime,
+  formatReminder,
+  runDueReminders,
+  start,
+  stop
+};
@@ -0,0 +1,140 @@
+// Cache of AI answers to repeated questions, kept in the server's node-cache instance. Answers are keyed on the
+// normalized question, the intent, the profile details and earlier turns the prompt includes and the knowledge
+// base version, and expire after a TTL per intent. Symptom, emergency, crisis and triage questions are never cached, nor are
+// messages that mention symptoms: those answers depend on the whole conversation and the triage.
+const crypto = require('crypto');
+
+// RESPONSE_CACHE=false turns the cache off
+const ENABLED = process.env.RESPONSE_CACHE !== 'false';
+
+// Seconds an answer is reused, per intent; RESPONSE_CACHE_TTL_<INTENT> overrides one (0 stops caching it)
+const DEFAULT_TTLS = {
+  wellness: 6 * 60 * 60,
+  specialty: 24 * 60 * 60,
+  medication: 60 * 60,
+  help: 24 * 60 * 60,
+  greeting: 60 * 60,
+  goodbye: 60 * 60,
+  general: 30 * 60
+};
+
+const EXCLUDED_INTENTS = ['symptom', 'emergency', 'crisis', 'triage'];
+
+const TTLS = Object.fromEntries(Object.entries(DEFAULT_TTLS).map(([intent, ttl]) => {
+  const override = parseInt(process.env[`RESPONSE_CACHE_TTL_${intent.toUpperCase()}`]);
+  return [intent, override >= 0 ? override : ttl];
+}));
+
+const KEY_PREFIX = 'ai_response_';
+
+// "What's a good  bedtime routine??" and "what's a good bedtime routine" share an entry
+function normalizeQuestion(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeList(values) {
+  return [...new Set((values || []).map(value => normalizeQuestion(value)).filter(Boolean))].sort();
+}
+
+// The earlier turns and conversation memory generateAIResponse sends with the question, so an answer is only
+// reused in a conversation that has reached the same point
+function conversationFingerprint(context, message) {
+  const history = (context.conversationHistory || []).slice(-16);
+  const last = history[history.length - 1];
+  if (last && last.role === 'user' && last.message === message) {
+    history.pop();
+  }
+  return {
+    turns: history.slice(-15).map(turn => [turn.role, turn.intent || null, turn.message]),
+    memory: context.memory?.summarizedMessages ? [context.memory.summary, context.memory.summarizedMessages] : null
+  };
+}
+
+function createResponseCache(cache) {
+  const stats = { hits: 0, misses: 0, stored: 0, skipped: 0, byIntent: {} };
+
+  function count(intent, outcome) {
+    stats[outcome]++;
+    if (outcome === 'skipped') return;
+    const byIntent = stats.byIntent[intent] || (stats.byIntent[intent] = { hits: 0, misses: 0 });
+    byIntent[outcome]++;
+  }
+
+  function isCacheable(intent, context, entities) {
+    return ENABLED &&
+      !EXCLUDED_INTENTS.includes(intent) &&
+      TTLS[intent] > 0 &&
+      !context.crisis?.active &&
+      (entities?.symptoms || []).length === 0;
+  }
+
+  // The cache key for a question, or null when its answer must not be cached
+  function keyFor({ message, intent, context, entities, knowledgeVersion = null }) {
+    if (!isCacheable(intent, context, entities)) return null;
+    const question = normalizeQuestion(message);
+    if (!question) return null;
+    const profile = {
+      medications: normalizeList(context.userInfo?.medications),
+      symptoms: normalizeList(context.userInfo?.symptoms),
+      conditions: normalizeList(context.userInfo?.conditions),
+      allergies: normalizeList(context.userInfo?.allergies)
+    };
+    const conversation = conversationFingerprint(context, message);
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ question, intent, profile, conversation, knowledgeVersion }))
+      .digest('hex');
+    return `${KEY_PREFIX}${hash}`;
+  }
+
+  // Cached { text, citations } for the key, or null. Questions that can't be cached count as skipped.
+  function get(key, intent) {
+    if (!key) {
+      count(intent, 'skipped');
+      return null;
+    }
+    const entry = cache.get(key);
+    count(intent, entry ? 'hits' : 'misses');
+    return entry ? { text: entry.text, citations: entry.citations } : null;
+  }
+
+  function set(key, intent, { text, citations = [] }) {
+    if (!key || !text) return false;
+    stats.stored++;
+    return cache.set(key, { text, citations, intent, storedAt: new Date() }, TTLS[intent]);
+  }
+
+  // Drops every cached answer, e.g. after the document corpus changes. Returns how many were removed.
+  function clear() {
+    return cache.del(cache.keys().filter(key => key.startsWith(KEY_PREFIX)));
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+      enabled: ENABLED,
+      entries: cache.keys().filter(key => key.startsWith(KEY_PREFIX)).length,
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null,
+      stored: stats.stored,
+      skipped: stats.skipped,
+      byIntent: Object.fromEntries(Object.entries(stats.byIntent).map(([intent, counts]) => [intent, { ...counts }])),
+      ttls: { ...TTLS },
+      excludedIntents: EXCLUDED_INTENTS
+    };
+  }
+
+  return { keyFor, get, set, clear, getStats };
+}
+
+module.exports = {
+  EXCLUDED_INTENTS,
+  normalizeQuestion,
+  createResponseCache
+};
@@ -0,0 +1,460 @@
+// Retrieval over a local corpus of approved patient-education documents (Markdown, HTML and PDF).
+// Documents are split into chunks of a few paragraphs and indexed with SQLite full-text search;
+// the AI prompt gets the best-matching passages and the reply cites them as [1], [2], ...
+//   CORPUS_DIR  folder with the documents (default: corpus/)
+//   RAG_TOP_K   passages per question (default 3; 0 turns retrieval off)
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const database = require('./database');
+
+const CORPUS_DIR = path.resolve(process.env.CORPUS_DIR || path.join(__dirname, 'corpus'));
+const TOP_K = /^\d+$/.test(process.env.RAG_TOP_K || '') ? parseInt(process.env.RAG_TOP_K) : 3;
+
+// Chunk size in words; a paragraph longer than a chunk is split with some overlap
+const CHUNK_WORDS = 200;
+const OVERLAP_WORDS = 40;
+
+// Passages scoring under this share of the best match are left out as off-topic
+const MIN_RELATIVE_SCORE = 0.5;
+
+const FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.pdf': 'pdf'
+};
+
+// Words too common to help find a passage
+const STOPWORDS = new Set(('a about after all also am an and any are as at be been before being but by can could ' +
+  'did do does doing for from get got had has have having he her how i if in into is it its just me more most my ' +
+  'no not of on or other our out should so some such than that the their them then there these they this to too ' +
+  'up very was we were what when where which while who why will with would you your im ive dont cant tell know ' +
+  'please thanks thank hi hello want need').split(' '));
+
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function titleFromPath(file) {
+  const name = path.basename(file, path.extname(file)).replace(/[-_]+/g, ' ').trim();
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// "---\ntitle: ...\nsource: https://...\n---" at the top of a Markdown file
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: text };
+  const meta = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const field = line.match(/^(\w+):\s*(.*)$/);
+    if (field) meta[field[1].toLowerCase()] = field[2].trim().replace(/^["']|["']$/g, '');
+  });
+  return { meta, body: text.slice(match[0].length) };
+}
+
+// Markdown: sections start at headings; links and emphasis are reduced to their text
+function parseMarkdown(text) {
+  const { meta, body } = parseFrontMatter(text);
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  let title = meta.title || null;
+
+  body.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      if (!title && line.startsWith('# ')) title = heading[1];
+      sections.push(current);
+      current = { heading: heading[1], lines: [] };
+    } else {
+      current.lines.push(line
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`]+/g, '')
+        .replace(/^\s*(?:[-+]|\d+\.)\s+/, '- ')
+        .replace(/^\s*>\s?/, ''));
+    }
+  });
+  sections.push(current);
+
+  return {
+    title,
+    sourceUrl: meta.source || null,
+    sections: sections.map(section => ({ heading: section.heading, text: section.lines.join('\n') }))
+  };
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '-', mdash: '-', rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|div|li|tr|section|article|ul|ol|table|blockquote)>/gi, '\n\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<[^>]+>/g, ''));
+}
+
+// HTML: sections start at <h1>-<h3>; scripts, styles and navigation are dropped
+function parseHtml(html) {
+  const cleaned = html.replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|nav|header|footer|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '');
+  const titleTag = cleaned.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const canonical = cleaned.match(/<link[^>]+rel=["']canonical["'][^>]*>/i);
+  const href = canonical && canonical[0].match(/href=["']([^"']+)["']/i);
+  const bodyMatch = cleaned.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const body = bodyMatch ? bodyMatch[1] : cleaned.replace(/<head[^>]*>[\s\S]*?<\/head>/i, '');
+
+  const sections = [];
+  const headingPattern = /<h([1-3])[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let heading = null;
+  let last = 0;
+  let firstHeading = null;
+  for (const match of body.matchAll(headingPattern)) {
+    sections.push({ heading, text: stripTags(body.slice(last, match.index)) });
+    heading = stripTags(match[2]).replace(/\s+/g, ' ').trim();
+    if (!firstHeading) firstHeading = heading;
+    last = match.index + match[0].length;
+  }
+  sections.push({ heading, text: stripTags(body.slice(last)) });
+
+  return {
+    title: titleTag ? stripTags(titleTag[1]).replace(/\s+/g, ' ').trim() : firstHeading,
+    sourceUrl: href ? href[1] : null,
+    sections
+  };
+}
+
+// A PDF string literal "(...)" starting at index i (just after the open parenthesis)
+function readPdfString(content, i) {
+  let text = '';
+  let depth = 1;
+  for (; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\\') {
+      const next = content[++i];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '', f: '' };
+      if (/[0-7]/.test(next)) {
+        const octal = content.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        if (next === '\r' && content[i + 1] === '\n') i++;
+      } else {
+        text += escapes[next] ?? next;
+      }
+    } else if (char === '(') {
+      depth++;
+      text += char;
+    } else if (char === ')') {
+      if (--depth === 0) break;
+      text += char;
+    } else {
+      text += char;
+    }
+  }
+  return { text, end: i + 1 };
+}
+
+// Content stream tokens, matched in place (sticky) so long streams are not copied per token
+const NAME = /[^\s/<>[\]()]*/y;
+const NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)/y;
+const OPERATOR = /[A-Za-z'"*]+/y;
+
+// Text shown by a content stream's text operators (Tj, TJ, ', ") with line breaks at moves to a new line
+function textFromContentStream(content) {
+  let output = '';
+  let operands = [];
+  for (let i = 0; i < content.length;) {
+    const char = content[i];
+    if (char === '(') {
+      const { text, end } = readPdfString(content, i + 1);
+      operands.push(text);
+      i = end;
+    } else if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end).replace(/\s+/g, '');
+      operands.push(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1'));
+      i = end + 1;
+    } else if (char === '/') {
+      NAME.lastIndex = i + 1;
+      NAME.exec(content);
+      i = Math.max(NAME.lastIndex, i + 1);
+    } else if (/[\d.+-]/.test(char)) {
+      NUMBER.lastIndex = i;
+      const number = NUMBER.exec(content);
+      if (!number) {
+        i++;
+        continue;
+      }
+      operands.push(parseFloat(number[0]));
+      i += number[0].length;
+    } else if (/[A-Za-z'"*]/.test(char)) {
+      OPERATOR.lastIndex = i;
+      const operator = OPERATOR.exec(content)[0];
+      i += operator.length;
+      if (operator === 'Tj' || operator === "'" || operator === '"') {
+        if (operator !== 'Tj') output += '\n';
+        output += operands.filter(operand => typeof operand === 'string').join('');
+      } else if (operator === 'TJ') {
+        // Large negative adjustments inside a TJ array are word gaps
+        operands.forEach(operand => {
+          output += typeof operand === 'string' ? operand : operand < -200 ? ' ' : '';
+        });
+      } else if (operator === 'T*' || operator === 'ET') {
+        output += '\n';
+      } else if (operator === 'Td' || operator === 'TD') {
+        output += operands[operands.length - 1] !== 0 ? '\n' : ' ';
+      }
+      operands = [];
+    } else {
+      i++;
+    }
+  }
+  return output;
+}
+
+// The document title from the Info dictionary: a string, or a reference to an object holding one
+function pdfTitle(raw) {
+  const info = raw.match(/\/Title\s*(?:\(|(\d+)\s+(\d+)\s+R)/);
+  if (!info) return null;
+  let start = info.index + info[0].length;
+  if (info[1]) {
+    const object = raw.match(new RegExp(`(?:^|\\s)${info[1]}\\s+${info[2]}\\s+obj\\s*\\(`));
+    if (!object) return null;
+    start = object.index + object[0].length;
+  }
+  let { text } = readPdfString(raw, start);
+  // UTF-16 titles start with a byte order mark
+  if (text.startsWith('\xfe\xff')) {
+    const bytes = Buffer.from(text.slice(2), 'latin1');
+    text = bytes.subarray(0, bytes.length - (bytes.length % 2)).swap16().toString('utf16le');
+  }
+  return text.trim();
+}
+
+// Best-effort PDF text: uncompressed and Flate-compressed content streams with simple (8-bit) fonts.
+// Scanned PDFs and PDFs with embedded CID fonts yield little or no text and should be converted first.
+function parsePdf(buffer) {
+  const raw = buffer.toString('latin1');
+  const pages = [];
+  const streamPattern = /<<((?:[^<>]|<<(?:[^<>]|<<[^<>]*>>)*>>)*)>>\s*stream\r?\n/g;
+  for (const match of raw.matchAll(streamPattern)) {
+    const dictionary = match[1];
+    if (/\/Subtype\s*\/(?:Image|Form|XML)|\/Type\s*\/(?:XObject|Metadata|EmbeddedFile)|\/Length[123]\b/.test(dictionary)) continue;
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) continue;
+    let data = buffer.subarray(start, end);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (error) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+    const content = data.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+    pages.push(textFromContentStream(content));
+  }
+
+  const title = pdfTitle(raw);
+  return {
+    title: title && /^[\x20-\x7e]+$/.test(title) ? title : null,
+    sourceUrl: null,
+    sections: [{ heading: null, text: pages.join('\n\n').replace(/[^\S\n]+/g, ' ') }]
+  };
+}
+
+function parseDocument(file, buffer) {
+  const format = FORMATS[path.extname(file).toLowerCase()];
+  if (format === 'markdown') return { format, ...parseMarkdown(buffer.toString('utf8')) };
+  if (format === 'html') return { format, ...parseHtml(buffer.toString('utf8')) };
+  return { format, ...parsePdf(buffer) };
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Chunks of up to CHUNK_WORDS words, made of whole paragraphs where possible, never crossing a section
+function chunkSections(sections) {
+  const chunks = [];
+  sections.forEach(({ heading, text }) => {
+    const paragraphs = text.split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/[^\S\n]+/g, ' ').replace(/\n{2,}/g, '\n').trim())
+      .filter(Boolean);
+    let current = [];
+    let words = 0;
+    const flush = () => {
+      if (current.length > 0) chunks.push({ section: heading, content: current.join('\n\n') });
+      current = [];
+      words = 0;
+    };
+
+    paragraphs.forEach(paragraph => {
+      const count = wordCount(paragraph);
+      if (count > CHUNK_WORDS) {
+        flush();
+        const tokens = paragraph.split(/\s+/);
+        for (let i = 0; i < tokens.length; i += CHUNK_WORDS - OVERLAP_WORDS) {
+          chunks.push({ section: heading, content: tokens.slice(i, i + CHUNK_WORDS).join(' ') });
+          if (i + CHUNK_WORDS >= tokens.length) break;
+        }
+        return;
+      }
+      if (words + count > CHUNK_WORDS) flush();
+      current.push(paragraph);
+      words += count;
+    });
+    flush();
+  });
+  return chunks;
+}
+
+function listCorpusFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listCorpusFiles(full);
+    return entry.isFile() && FORMATS[path.extname(entry.name).toLowerCase()] ? [full] : [];
+  });
+}
+
+// Indexed documents are named by their path relative to CORPUS_DIR, or by their absolute path when they
+// were synced from a folder outside it
+function documentPath(file) {
+  return (isWithin(CORPUS_DIR, file) ? path.relative(CORPUS_DIR, file) : file).split(path.sep).join('/');
+}
+
+function isWithin(dir, file) {
+  const relative = path.relative(dir, file);
+  return relative !== '' && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+// Bring the index in line with a corpus folder: new and changed files are (re)indexed, and indexed documents
+// under that folder whose file is gone are removed. Documents synced from other folders are left alone.
+// Unchanged files (same content hash) are skipped unless rebuild is set.
+function syncCorpus({ dir = CORPUS_DIR, rebuild = false } = {}) {
+  const result = { added: [], updated: [], removed: [], unchanged: 0, failed: [] };
+  const seen = new Set();
+  dir = path.resolve(dir);
+
+  listCorpusFiles(dir).forEach(file => {
+    const relative = documentPath(file);
+    seen.add(relative);
+    try {
+      const buffer = fs.readFileSync(file);
+      const hash = hashContent(buffer);
+      const existing = database.getDocumentByPath(relative);
+      if (existing && existing.content_hash === hash && !rebuild) {
+        result.unchanged++;
+        return;
+      }
+
+      const parsed = parseDocument(file, buffer);
+      const title = parsed.title || titleFromPath(file);
+      // The text under the document's own title heading has no section of its own
+      const chunks = chunkSections(parsed.sections)
+        .map(chunk => (chunk.section === title ? { ...chunk, section: null } : chunk));
+      if (chunks.length === 0) {
+        result.failed.push({ path: relative, error: 'no text found' });
+        return;
+      }
+      const saved = database.replaceDocument({
+        path: relative,
+        title,
+        format: parsed.format,
+        sourceUrl: parsed.sourceUrl,
+        hash
+      }, chunks);
+      if (saved === null) {
+        result.failed.push({ path: relative, error: 'could not be saved' });
+        return;
+      }
+      (existing ? result.updated : result.added).push(relative);
+    } catch (error) {
+      result.failed.push({ path: relative, error: error.message });
+    }
+  });
+
+  database.getDocuments()
+    .filter(document => !seen.has(document.path) && isWithin(dir, path.resolve(CORPUS_DIR, document.path)))
+    .forEach(document => {
+      if (database.removeDocument(document.id)) result.removed.push(document.path);
+    });
+  return result;
+}
+
+// An FTS5 query matching any of the question's meaningful words (each quoted, so no FTS syntax gets through)
+function buildQuery(question) {
+  const words = String(question).toLowerCase().replace(/[‘’]/g, "'").replace(/'/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+  return [...new Set(words)].slice(0, 20).map(word => `"${word}"`).join(' OR ');
+}
+
+// The best passages for a question: [{ chunkId, documentId, title, section, path, sourceUrl, content, score }]
+function search(question, { limit = TOP_K } = {}) {
+  const query = buildQuery(question);
+  if (!query || limit <= 0) return [];
+  const rows = database.searchDocumentChunks(query, limit);
+  const best = rows.length > 0 ? -rows[0].score : 0;
+  return rows.filter(row => -row.score >= best * MIN_RELATIVE_SCORE).map(row => ({
+    chunkId: row.chunk_id,
+    documentId: row.document_id,
+    title: row.title,
+    section: row.section,
+    path: row.path,
+    sourceUrl: row.source_url,
+    content: row.content,
+    score: Math.round(-row.score * 1000) / 1000
+  }));
+}
+
+// Passages numbered for the system prompt
+function formatPassages(passages) {
+  return passages.map((passage, i) => {
+    const heading = passage.section ? `${passage.title} - ${passage.section}` : passage.title;
+    return `[${i + 1}] ${heading}\n${passage.content}`;
+  }).join('\n\n');
+}
+
+// Citations for the passages given to the model; `cited` tells whether the reply refers to it by number
+function citationsFor(text, passages) {
+  const referenced = new Set([...String(text).matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10)));
+  return passages.map((passage, i) => ({
+    number: i + 1,
+    title: passage.title,
+    section: passage.section,
+    source: passage.sourceUrl || passage.path,
+    documentId: passage.documentId,
+    chunkId: passage.chunkId,
+    cited: referenced.has(i + 1)
+  }));
+}
+
+module.exports = {
+  CORPUS_DIR,
+  TOP_K,
+  parseDocument,
+  chunkSections,
+  syncCorpus,
+  search,
+  formatPassages,
+  citationsFor
+};
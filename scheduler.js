@@ -0,0 +1,376 @@
+// Appointment scheduling engine: date parsing, availability lookup and booking
+const crypto = require('crypto');
+const database = require('./database');
+
+// Minimum notice before a slot can be booked
+const BOOKING_LEAD_MINUTES = 60;
+
+// How far ahead "next available" style requests search
+const DEFAULT_SEARCH_DAYS = 14;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DAY_PERIODS = {
+  morning: { startHour: 8, endHour: 12 },
+  afternoon: { startHour: 12, endHour: 17 },
+  evening: { startHour: 17, endHour: 21 }
+};
+
+// Keywords used to map a free-text appointment type to a provider specialty
+const SPECIALTY_KEYWORDS = {
+  'general practice': ['general', 'checkup', 'check-up', 'routine', 'follow-up', 'follow up', 'physical', 'primary'],
+  cardiology: ['cardio', 'heart'],
+  dermatology: ['derma', 'skin'],
+  endocrinology: ['endocrin', 'diabetes', 'thyroid', 'hormone'],
+  gastroenterology: ['gastro', 'digestive', 'stomach'],
+  neurology: ['neuro', 'brain', 'migraine'],
+  orthopedics: ['ortho', 'bone', 'joint'],
+  pediatrics: ['pediatr', 'child', 'kid'],
+  psychiatry: ['psych', 'mental']
+};
+
+// Weekday office hours used when seeding a fresh database
+const WEEKDAY_HOURS = [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '17:00', slotMinutes: 30 }));
+
+const DEFAULT_PROVIDERS = [
+  { name: 'Dr. Sarah Chen', specialty: 'general practice', schedule: WEEKDAY_HOURS },
+  { name: 'Dr. James Patel', specialty: 'general practice', schedule: WEEKDAY_HOURS },
+  { name: 'Dr. Maria Lopez', specialty: 'cardiology', schedule: WEEKDAY_HOURS.filter(b => b.dayOfWeek % 2 === 1) },
+  { name: 'Dr. David Kim', specialty: 'dermatology', schedule: WEEKDAY_HOURS.filter(b => b.dayOfWeek % 2 === 0) },
+  { name: 'Dr. Aisha Rahman', specialty: 'endocrinology', schedule: WEEKDAY_HOURS.filter(b => b.dayOfWeek <= 3) },
+  { name: 'Dr. Thomas Becker', specialty: 'gastroenterology', schedule: WEEKDAY_HOURS.filter(b => b.dayOfWeek >= 3) },
+  { name: 'Dr. Emily Brooks', specialty: 'neurology', schedule: WEEKDAY_HOURS },
+  { name: 'Dr. Robert Nguyen', specialty: 'orthopedics', schedule: WEEKDAY_HOURS },
+  { name: 'Dr. Lisa Wong', specialty: 'pediatrics', schedule: WEEKDAY_HOURS },
+  { name: 'Dr. Michael Adams', specialty: 'psychiatry', schedule: WEEKDAY_HOURS }
+];
+
+database.seedProviders(DEFAULT_PROVIDERS);
+
+// Date helpers (all slot times are stored as local "YYYY-MM-DD HH:MM" strings)
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatDateTime(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function parseDateTime(value) {
+  const [datePart, timePart = '00:00'] = value.split(' ');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour, minute] = timePart.split(':').map(Number);
+  return new Date(year, month - 1, day, hour, minute);
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// A date from its parts, or null when they don't name a real day ("Feb 30", "13/40") instead of rolling over
+function calendarDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+}
+
+function formatSlotTime(date) {
+  return date.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+// Extract a clock time ("3pm", "3:30 pm", "15:00", "noon") from text
+function parseTimeOfDay(msg) {
+  if (/\bnoon\b/.test(msg)) {
+    return { hour: 12, minute: 0 };
+  }
+
+  const meridiem = msg.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/);
+  if (meridiem) {
+    let hour = parseInt(meridiem[1]);
+    const minute = meridiem[2] ? parseInt(meridiem[2]) : 0;
+    const isPm = meridiem[3].startsWith('p');
+    if (hour > 12 || minute > 59) return null;
+    if (isPm && hour < 12) hour += 12;
+    if (!isPm && hour === 12) hour = 0;
+    return { hour, minute };
+  }
+
+  const twentyFourHour = msg.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (twentyFourHour) {
+    return { hour: parseInt(twentyFourHour[1]), minute: parseInt(twentyFourHour[2]) };
+  }
+
+  return null;
+}
+
+// Turn "tomorrow", "next week", "friday afternoon" or "Oct 21 at 3pm" into a search window
+function parseDateExpression(text, now = new Date()) {
+  const msg = text.toLowerCase().trim();
+  const today = startOfDay(now);
+  const time = parseTimeOfDay(msg);
+  const periodName = Object.keys(DAY_PERIODS).find(name => msg.includes(name));
+  const period = periodName ? DAY_PERIODS[periodName] : null;
+
+  let from = null;
+  let days = 1;
+
+  const monthDay = msg.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b/);
+  const numericDate = msg.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  const weekday = WEEKDAYS.find(day => new RegExp(`\\b${day}\\b`).test(msg));
+
+  if (/\bday after tomorrow\b/.test(msg)) {
+    from = addDays(today, 2);
+  } else if (/\btomorrow\b/.test(msg)) {
+    from = addDays(today, 1);
+  } else if (/\btoday\b/.test(msg)) {
+    from = today;
+  } else if (monthDay) {
+    const month = MONTHS.indexOf(monthDay[1].slice(0, 3));
+    from = calendarDate(today.getFullYear(), month, parseInt(monthDay[2]));
+    if (!from || from < today) from = calendarDate(today.getFullYear() + 1, month, parseInt(monthDay[2]));
+  } else if (numericDate) {
+    const month = parseInt(numericDate[1]) - 1;
+    const day = parseInt(numericDate[2]);
+    let year = numericDate[3] ? parseInt(numericDate[3]) : today.getFullYear();
+    if (year < 100) year += 2000;
+    from = calendarDate(year, month, day);
+    if (!numericDate[3] && from && from < today) from = calendarDate(year + 1, month, day);
+  } else if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday);
+    let offset = (target - today.getDay() + 7) % 7;
+    if (offset === 0) offset = 7;
+    from = addDays(today, offset);
+  } else if (/\bnext week\b/.test(msg)) {
+    const daysUntilMonday = ((8 - today.getDay()) % 7) || 7;
+    from = addDays(today, daysUntilMonday);
+    days = 7;
+  } else if (/\bthis week\b/.test(msg)) {
+    from = today;
+    days = 7 - today.getDay();
+  } else if (/\b(next available|asap|as soon as possible|soonest|earliest|any ?time|soon)\b/.test(msg) || time || period) {
+    from = today;
+    days = DEFAULT_SEARCH_DAYS;
+  }
+
+  if (!from || isNaN(from.getTime())) {
+    return null;
+  }
+
+  return {
+    from,
+    to: addDays(from, days),
+    time,
+    period
+  };
+}
+
+// Map free-text appointment type ("Specialist Visit", "heart checkup") to a specialty
+function inferSpecialty(text) {
+  if (!text) return null;
+  const msg = text.toLowerCase();
+
+  // Check specific specialties before the general practice catch-all
+  const entries = Object.entries(SPECIALTY_KEYWORDS);
+  const specific = entries.filter(([specialty]) => specialty !== 'general practice');
+  for (const [specialty, keywords] of specific) {
+    if (msg.includes(specialty) || keywords.some(keyword => msg.includes(keyword))) {
+      return specialty;
+    }
+  }
+
+  if (SPECIALTY_KEYWORDS['general practice'].some(keyword => msg.includes(keyword))) {
+    return 'general practice';
+  }
+
+  return null;
+}
+
+// Appointment type shown to the user for a specialty ("general practice" is a general checkup)
+function specialtyLabel(specialty) {
+  if (!specialty || specialty === 'general practice') return 'General Checkup';
+  return specialty.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// List open slots in a window, skipping booked and past times
+function findAvailableSlots(options = {}) {
+  const now = options.now || new Date();
+  const from = options.from || startOfDay(now);
+  const to = options.to || addDays(from, DEFAULT_SEARCH_DAYS);
+  const limit = options.limit || 5;
+  const earliest = new Date(now.getTime() + BOOKING_LEAD_MINUTES * 60000);
+
+  let schedules = database.getProviderSchedules();
+  if (options.specialty) {
+    const matching = schedules.filter(s => s.specialty === options.specialty);
+    schedules = matching.length > 0 ? matching : schedules.filter(s => s.specialty === 'general practice');
+  }
+
+  const booked = database.getBookedAppointmentsInRange(formatDateTime(from), formatDateTime(to));
+  const isBooked = (providerId, start, end) => booked.some(appt =>
+    appt.provider_id === providerId && appt.start_time < end && appt.end_time > start
+  );
+
+  const slots = [];
+  for (let day = startOfDay(from); day < to; day = addDays(day, 1)) {
+    schedules
+      .filter(block => block.day_of_week === day.getDay())
+      .forEach(block => {
+        const [startHour, startMinute] = block.start_time.split(':').map(Number);
+        const [endHour, endMinute] = block.end_time.split(':').map(Number);
+        const blockEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate(), endHour, endMinute);
+        let slotStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startHour, startMinute);
+
+        while (slotStart.getTime() + block.slot_minutes * 60000 <= blockEnd.getTime()) {
+          const slotEnd = new Date(slotStart.getTime() + block.slot_minutes * 60000);
+          const start = formatDateTime(slotStart);
+          const end = formatDateTime(slotEnd);
+
+          const matchesTime = !options.time ||
+            (slotStart.getHours() === options.time.hour && slotStart.getMinutes() === options.time.minute);
+          const matchesPeriod = !options.period ||
+            (slotStart.getHours() >= options.period.startHour && slotStart.getHours() < options.period.endHour);
+
+          if (slotStart >= earliest && matchesTime && matchesPeriod && !isBooked(block.provider_id, start, end)) {
+            slots.push({
+              providerId: block.provider_id,
+              providerName: block.provider_name,
+              specialty: block.specialty,
+              start,
+              end,
+              label: `${formatSlotTime(slotStart)} - ${block.provider_name}`
+            });
+          }
+
+          slotStart = slotEnd;
+        }
+      });
+  }
+
+  return slots
+    .sort((a, b) => a.start.localeCompare(b.start) || a.providerId - b.providerId)
+    .slice(0, limit);
+}
+
+// Human-friendly appointment reference, e.g. APT-7K2QF9
+function generateAppointmentId() {
+  return 'APT-' + crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 6);
+}
+
+// Book a previously offered slot; returns { success, appointment } or { success: false, error }
+function bookSlot({ sessionId, slot, type, reason }) {
+  return database.bookAppointment({
+    id: generateAppointmentId(),
+    sessionId,
+    providerId: slot.providerId,
+    type: type || 'General',
+    reason: reason || null,
+    startTime: slot.start,
+    endTime: slot.end
+  });
+}
+
+// Check that a specific start time is bookable, optionally with a given provider
+function findSlotAt(start, options = {}) {
+  const startDate = typeof start === 'string' ? parseDateTime(start) : start;
+  if (!startDate || isNaN(startDate.getTime())) return null;
+
+  const slots = findAvailableSlots({
+    from: startOfDay(startDate),
+    to: addDays(startOfDay(startDate), 1),
+    time: { hour: startDate.getHours(), minute: startDate.getMinutes() },
+    specialty: options.providerId ? null : options.specialty,
+    limit: 100
+  });
+
+  return slots.find(slot => !options.providerId || slot.providerId === options.providerId) || null;
+}
+
+// Appointments for a session; upcoming booked ones only unless asked otherwise
+function listAppointments(sessionId, options = {}) {
+  const now = formatDateTime(options.now || new Date());
+  return database.getAppointmentsBySession(sessionId).filter(appt =>
+    options.all || (appt.status === 'booked' && appt.end_time > now)
+  );
+}
+
+// Move an appointment into a slot returned by findAvailableSlots/findSlotAt
+function rescheduleToSlot(appointmentId, slot) {
+  return database.rescheduleAppointment(appointmentId, slot.providerId, slot.start, slot.end);
+}
+
+function cancelAppointment(appointmentId) {
+  const cancelled = database.cancelAppointment(appointmentId);
+  return cancelled ? database.getAppointment(appointmentId) : null;
+}
+
+// Narrow a list of appointments by reference ID, weekday or date mentioned in text
+function matchAppointments(text, appointments) {
+  const msg = text.toLowerCase();
+
+  const reference = msg.match(/\bapt-[0-9a-f]{6}\b/);
+  if (reference) {
+    return appointments.filter(appt => appt.id.toLowerCase() === reference[0]);
+  }
+
+  const weekday = WEEKDAYS.find(day => new RegExp(`\\b${day}\\b`).test(msg));
+  if (weekday) {
+    return appointments.filter(appt => parseDateTime(appt.start_time).getDay() === WEEKDAYS.indexOf(weekday));
+  }
+
+  const window = parseDateExpression(msg);
+  if (window && !window.time && !window.period) {
+    const from = formatDateTime(window.from);
+    const to = formatDateTime(window.to);
+    return appointments.filter(appt => appt.start_time >= from && appt.start_time < to);
+  }
+
+  return appointments;
+}
+
+// One-line appointment label used in lists and quick actions
+function appointmentLabel(appointment) {
+  return `${appointment.id}: ${formatSlotTime(parseDateTime(appointment.start_time))} - ${appointment.provider_name}`;
+}
+
+// Render a booked appointment row as chat text
+function formatAppointment(appointment) {
+  const start = parseDateTime(appointment.start_time);
+  let text = `**Confirmation #:** ${appointment.id}\n`;
+  text += `**Provider:** ${appointment.provider_name} (${appointment.specialty})\n`;
+  text += `**When:** ${formatSlotTime(start)}\n`;
+  text += `**Type:** ${appointment.appointment_type || 'General'}\n`;
+  if (appointment.reason) {
+    text += `**Reason:** ${appointment.reason}\n`;
+  }
+  text += `**Status:** ${appointment.status}`;
+  return text;
+}
+
+module.exports = {
+  parseDateExpression,
+  inferSpecialty,
+  specialtyLabel,
+  findAvailableSlots,
+  bookSlot,
+  formatAppointment,
+  appointmentLabel,
+  findSlotAt,
+  listAppointments,
+  rescheduleToSlot,
+  cancelAppointment,
+  matchAppointments,
+  formatDateTime,
+  formatSlotTime,
+  parseDateTime
+};
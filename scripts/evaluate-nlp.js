@@ -0,0 +1,290 @@
+// Evaluates intent detection, entity extraction and triage against the labeled dataset.
+// Usage: node scripts/evaluate-nlp.js [--dataset file] [--thresholds file] [--output report.json] [--errors]
+// Exits with code 1 when a metric falls below evaluation/thresholds.json.
+const fs = require('fs');
+const path = require('path');
+
+const { classifyIntent } = require('../intent-classifier');
+const { extractEntities, extractSymptomInfo, extractAge, extractConditions } = require('../nlp');
+const { performTriage } = require('../triage');
+const { medicalKnowledge } = require('../knowledge-base');
+
+const EVALUATION_DIR = path.join(__dirname, '..', 'evaluation');
+const ENTITY_TYPES = ['symptoms', 'medications'];
+
+function parseArgs(argv) {
+  const options = {
+    dataset: path.join(EVALUATION_DIR, 'utterances.json'),
+    thresholds: path.join(EVALUATION_DIR, 'thresholds.json'),
+    output: null,
+    errors: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dataset') options.dataset = path.resolve(argv[++i]);
+    else if (argv[i] === '--thresholds') options.thresholds = path.resolve(argv[++i]);
+    else if (argv[i] === '--output') options.output = path.resolve(argv[++i]);
+    else if (argv[i] === '--errors') options.errors = true;
+  }
+  return options;
+}
+
+function loadDataset(file) {
+  const examples = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(examples)) {
+    throw new Error(`${file} must contain an array of examples`);
+  }
+  examples.forEach((example, index) => {
+    if (!example.text || !example.intent) {
+      throw new Error(`Example ${index} in ${file} needs "text" and "intent"`);
+    }
+    if (example.triage && !medicalKnowledge.triageLevels[example.triage]) {
+      throw new Error(`Example ${index} in ${file} has unknown triage level "${example.triage}"`);
+    }
+  });
+  return examples;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function ratio(numerator, denominator) {
+  return denominator === 0 ? 0 : round(numerator / denominator);
+}
+
+// Confusion matrix keyed [actual][predicted]
+function buildConfusion(labels, pairs) {
+  const matrix = {};
+  labels.forEach(actual => {
+    matrix[actual] = {};
+    labels.forEach(predicted => { matrix[actual][predicted] = 0; });
+  });
+  pairs.forEach(({ actual, predicted }) => { matrix[actual][predicted]++; });
+  return matrix;
+}
+
+function perLabelMetrics(labels, matrix) {
+  const metrics = {};
+  labels.forEach(label => {
+    const truePositives = matrix[label][label];
+    const predictedCount = labels.reduce((sum, actual) => sum + matrix[actual][label], 0);
+    const support = labels.reduce((sum, predicted) => sum + matrix[label][predicted], 0);
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+    const f1 = precision + recall === 0 ? 0 : round((2 * precision * recall) / (precision + recall));
+    metrics[label] = { precision, recall, f1, support };
+  });
+  return metrics;
+}
+
+function evaluateIntents(examples) {
+  const pairs = examples.map(example => {
+    const classification = classifyIntent(example.text);
+    return {
+      text: example.text,
+      actual: example.intent,
+      predicted: classification.intent,
+      confidence: classification.confidence
+    };
+  });
+
+  const labels = [...new Set([...pairs.map(p => p.actual), ...pairs.map(p => p.predicted)])].sort();
+  const matrix = buildConfusion(labels, pairs);
+  const perIntent = perLabelMetrics(labels, matrix);
+  const supported = labels.filter(label => perIntent[label].support > 0);
+  const correct = pairs.filter(p => p.actual === p.predicted).length;
+
+  return {
+    total: pairs.length,
+    accuracy: ratio(correct, pairs.length),
+    macroF1: round(supported.reduce((sum, label) => sum + perIntent[label].f1, 0) / supported.length),
+    perIntent,
+    labels,
+    confusion: matrix,
+    errors: pairs.filter(p => p.actual !== p.predicted)
+  };
+}
+
+function evaluateTriage(examples) {
+  const labeled = examples.filter(example => example.triage);
+  const levels = Object.keys(medicalKnowledge.triageLevels)
+    .sort((a, b) => medicalKnowledge.triageLevels[a].priority - medicalKnowledge.triageLevels[b].priority);
+
+  // The profile comes from the utterance itself ("I'm 72 and have a fever"), as it would in chat
+  const pairs = labeled.map(example => {
+    const profile = { age: extractAge(example.text), conditions: extractConditions(example.text) };
+    return {
+      text: example.text,
+      actual: example.triage,
+      predicted: performTriage(example.text, extractSymptomInfo(example.text), { profile }).triageLevel
+    };
+  });
+
+  // Under-triage (predicted less urgent than labeled) is the safety-relevant error
+  const priority = level => medicalKnowledge.triageLevels[level].priority;
+  const underTriaged = pairs.filter(p => priority(p.predicted) > priority(p.actual));
+  const correct = pairs.filter(p => p.actual === p.predicted).length;
+
+  return {
+    total: pairs.length,
+    accuracy: ratio(correct, pairs.length),
+    underTriage: underTriaged.length,
+    labels: levels,
+    confusion: buildConfusion(levels, pairs),
+    errors: pairs.filter(p => p.actual !== p.predicted)
+  };
+}
+
+function evaluateEntities(examples) {
+  const labeled = examples.filter(example => example.entities);
+  const counts = {};
+  ENTITY_TYPES.forEach(type => { counts[type] = { truePositives: 0, predicted: 0, expected: 0 }; });
+  const errors = [];
+
+  labeled.forEach(example => {
+    const entities = extractEntities(example.text);
+    const predicted = {
+      symptoms: [...new Set([...entities.symptoms, ...extractSymptomInfo(example.text).symptoms])],
+      medications: entities.medications
+    };
+
+    ENTITY_TYPES.forEach(type => {
+      const expected = example.entities[type] || [];
+      const found = predicted[type].filter(value => expected.includes(value));
+      counts[type].truePositives += found.length;
+      counts[type].predicted += predicted[type].length;
+      counts[type].expected += expected.length;
+      if (found.length !== expected.length || found.length !== predicted[type].length) {
+        errors.push({ text: example.text, type, expected, predicted: predicted[type] });
+      }
+    });
+  });
+
+  const perType = {};
+  ENTITY_TYPES.forEach(type => {
+    perType[type] = {
+      precision: ratio(counts[type].truePositives, counts[type].predicted),
+      recall: ratio(counts[type].truePositives, counts[type].expected)
+    };
+  });
+  const totals = Object.values(counts).reduce((sum, c) => ({
+    truePositives: sum.truePositives + c.truePositives,
+    predicted: sum.predicted + c.predicted,
+    expected: sum.expected + c.expected
+  }), { truePositives: 0, predicted: 0, expected: 0 });
+
+  return {
+    total: labeled.length,
+    precision: ratio(totals.truePositives, totals.predicted),
+    recall: ratio(totals.truePositives, totals.expected),
+    perType,
+    errors
+  };
+}
+
+// Compare results to minimums (and a maximum under-triage count)
+function checkThresholds(report, thresholds) {
+  const checks = [
+    ['intent.accuracy', report.intent.accuracy, thresholds.intent?.accuracy, 'min'],
+    ['intent.macroF1', report.intent.macroF1, thresholds.intent?.macroF1, 'min'],
+    ['triage.accuracy', report.triage.accuracy, thresholds.triage?.accuracy, 'min'],
+    ['triage.underTriage', report.triage.underTriage, thresholds.triage?.maxUnderTriage, 'max'],
+    ['entities.precision', report.entities.precision, thresholds.entities?.precision, 'min'],
+    ['entities.recall', report.entities.recall, thresholds.entities?.recall, 'min']
+  ];
+
+  return checks
+    .filter(([, , limit]) => typeof limit === 'number')
+    .map(([metric, value, limit, kind]) => ({
+      metric,
+      value,
+      limit,
+      kind,
+      passed: kind === 'min' ? value >= limit : value <= limit
+    }));
+}
+
+function formatMatrix(labels, matrix) {
+  const width = Math.max(9, ...labels.map(label => label.length)) + 1;
+  const cell = value => String(value).padStart(6);
+  const header = ''.padEnd(width) + labels.map(label => cell(label.slice(0, 5))).join('');
+  const rows = labels.map(actual =>
+    actual.padEnd(width) + labels.map(predicted => cell(matrix[actual][predicted] || '.')).join('')
+  );
+  return [header, ...rows].join('\n');
+}
+
+function printReport(report, checks, showErrors) {
+  const { intent, triage, entities } = report;
+
+  console.log(`\n📊 Intent detection (${intent.total} utterances)`);
+  console.log(`   Accuracy: ${intent.accuracy}   Macro F1: ${intent.macroF1}\n`);
+  console.log(`   ${'intent'.padEnd(12)}${'prec'.padStart(7)}${'recall'.padStart(8)}${'f1'.padStart(7)}${'n'.padStart(5)}`);
+  intent.labels.forEach(label => {
+    const m = intent.perIntent[label];
+    console.log(`   ${label.padEnd(12)}${String(m.precision).padStart(7)}${String(m.recall).padStart(8)}${String(m.f1).padStart(7)}${String(m.support).padStart(5)}`);
+  });
+  console.log('\n   Confusion matrix (rows = labeled, columns = predicted)');
+  console.log(formatMatrix(intent.labels, intent.confusion).replace(/^/gm, '   '));
+
+  console.log(`\n🚑 Triage (${triage.total} labeled utterances)`);
+  console.log(`   Accuracy: ${triage.accuracy}   Under-triaged: ${triage.underTriage}\n`);
+  console.log(formatMatrix(triage.labels, triage.confusion).replace(/^/gm, '   '));
+
+  console.log(`\n🏷️  Entities (${entities.total} labeled utterances)`);
+  console.log(`   Precision: ${entities.precision}   Recall: ${entities.recall}`);
+  Object.entries(entities.perType).forEach(([type, m]) => {
+    console.log(`   ${type.padEnd(12)} precision ${m.precision}  recall ${m.recall}`);
+  });
+
+  if (showErrors) {
+    console.log('\n❌ Intent errors');
+    intent.errors.forEach(e => console.log(`   [${e.actual} → ${e.predicted} @ ${e.confidence}] ${e.text}`));
+    console.log('\n❌ Triage errors');
+    triage.errors.forEach(e => console.log(`   [${e.actual} → ${e.predicted}] ${e.text}`));
+    console.log('\n❌ Entity errors');
+    entities.errors.forEach(e => console.log(`   [${e.type}: ${e.expected.join(', ') || '-'} → ${e.predicted.join(', ') || '-'}] ${e.text}`));
+  }
+
+  console.log('\n🎯 Regression thresholds');
+  checks.forEach(check => {
+    const symbol = check.kind === 'min' ? '>=' : '<=';
+    console.log(`   ${check.passed ? '✅' : '❌'} ${check.metric} = ${check.value} (${symbol} ${check.limit})`);
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let examples;
+  let thresholds;
+  try {
+    examples = loadDataset(options.dataset);
+    thresholds = fs.existsSync(options.thresholds)
+      ? JSON.parse(fs.readFileSync(options.thresholds, 'utf8'))
+      : {};
+  } catch (error) {
+    console.error('❌ Could not load evaluation data:', error.message);
+    process.exit(2);
+  }
+
+  const report = {
+    dataset: path.relative(process.cwd(), options.dataset),
+    intent: evaluateIntents(examples),
+    triage: evaluateTriage(examples),
+    entities: evaluateEntities(examples)
+  };
+  const checks = checkThresholds(report, thresholds);
+  const passed = checks.every(check => check.passed);
+
+  printReport(report, checks, options.errors);
+  if (options.output) {
+    fs.mkdirSync(path.dirname(options.output), { recursive: true });
+    fs.writeFileSync(options.output, JSON.stringify({ ...report, thresholds: checks, passed }, null, 2));
+    console.log(`\n📝 Report written to ${path.relative(process.cwd(), options.output)}`);
+  }
+  console.log(passed ? '\n✅ All thresholds met' : '\n❌ Evaluation below regression thresholds');
+
+  process.exit(passed ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,199 @@
+// Imports drugs (generic, class, brands) and graded interactions into the knowledge base.
+// Usage: node scripts/import-drugs.js [--drugs file.csv|json] [--interactions file.csv|json] [--user name] [--dry-run]
+//   drugs CSV columns:        generic,class,brands,aliases   (brands and aliases separated by ";")
+//   interactions CSV columns: drug,with,severity,mechanism,effect   ("drug" and "with" may be drug classes)
+//   JSON: drugs as in knowledge/drugs.json; interactions as an array of { drug, with, severity, mechanism, effect }
+// Imported rows are merged into the existing entries, validated, versioned and recorded as knowledge revisions.
+const fs = require('fs');
+const path = require('path');
+
+const knowledgeBase = require('../knowledge-base');
+const { medicalKnowledge, validators } = knowledgeBase;
+
+function parseArgs(argv) {
+  const options = { drugs: null, interactions: null, user: 'drug-import', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--drugs') options.drugs = path.resolve(argv[++i]);
+    else if (argv[i] === '--interactions') options.interactions = path.resolve(argv[++i]);
+    else if (argv[i] === '--user') options.user = argv[++i];
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+  }
+  return options;
+}
+
+// Minimal CSV reader: a header row, comma-separated fields, double quotes around fields with commas
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(value => value.trim()));
+  const columns = header.map(name => name.trim().toLowerCase());
+  return records.map(record => Object.fromEntries(columns.map((name, i) => [name, (record[i] || '').trim()])));
+}
+
+function splitList(value) {
+  return String(value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+function readDrugs(file) {
+  if (path.extname(file).toLowerCase() === '.json') {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return Object.fromEntries(parseCsv(fs.readFileSync(file, 'utf8')).map(row => [
+    row.generic,
+    { class: row.class, brands: splitList(row.brands), aliases: splitList(row.aliases) }
+  ]));
+}
+
+function readInteractions(file) {
+  if (path.extname(file).toLowerCase() === '.json') {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return parseCsv(fs.readFileSync(file, 'utf8'));
+}
+
+function unionNames(existing = [], added = []) {
+  const seen = new Set(existing.map(name => name.toLowerCase()));
+  return [...existing, ...added.filter(name => !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()))];
+}
+
+// Changes for the drugs section: new drugs are created, known ones get the new class and extra names
+function mergeDrugs(imported) {
+  const current = medicalKnowledge.drugs;
+  return Object.entries(imported).flatMap(([name, drug]) => {
+    const key = name.trim().toLowerCase();
+    const before = current[key];
+    const entry = {
+      class: drug.class || (before && before.class),
+      brands: unionNames(before && before.brands, drug.brands || [])
+    };
+    const aliases = unionNames(before && before.aliases, drug.aliases || []);
+    if (aliases.length > 0) entry.aliases = aliases;
+
+    if (before && JSON.stringify(before) === JSON.stringify(entry)) return [];
+    return [{ key, action: before ? 'update' : 'create', entry }];
+  });
+}
+
+// Changes for the interactions section: a known pair is updated where it is listed, a new one goes under "drug"
+function mergeInteractions(rows) {
+  const working = JSON.parse(JSON.stringify(medicalKnowledge.medicationInteractions));
+  const touched = new Set();
+
+  rows.forEach(row => {
+    const drug = String(row.drug || '').trim().toLowerCase();
+    const other = String(row.with || '').trim().toLowerCase();
+    const interaction = { with: other, severity: row.severity, mechanism: row.mechanism, effect: row.effect };
+    const owner = [drug, other].find((key, i) =>
+      working[key] && working[key].interactions.some(item => item.with.toLowerCase() === (i === 0 ? other : drug)));
+
+    if (owner) {
+      const partner = owner === drug ? other : drug;
+      const list = working[owner].interactions;
+      const index = list.findIndex(item => item.with.toLowerCase() === partner);
+      const updated = { ...interaction, with: partner };
+      if (JSON.stringify(list[index]) === JSON.stringify(updated)) return;
+      list[index] = updated;
+      touched.add(owner);
+    } else {
+      working[drug] = working[drug] || { interactions: [] };
+      working[drug].interactions.push(interaction);
+      touched.add(drug);
+    }
+  });
+
+  return [...touched].map(key => ({
+    key,
+    action: medicalKnowledge.medicationInteractions[key] ? 'update' : 'create',
+    entry: working[key]
+  }));
+}
+
+function preview(section, changes) {
+  const next = JSON.parse(JSON.stringify(medicalKnowledge[section]));
+  changes.forEach(change => { next[change.key] = change.entry; });
+  return validators[section](next);
+}
+
+function applySection(section, changes, options) {
+  const created = changes.filter(change => change.action === 'create').length;
+  console.log(`   ${section}: ${created} new, ${changes.length - created} updated`);
+  if (changes.length === 0) return true;
+
+  if (options.dryRun) {
+    const errors = preview(section, changes);
+    errors.forEach(error => console.error(`   ❌ ${error}`));
+    return errors.length === 0;
+  }
+
+  const result = knowledgeBase.applyChanges(section, changes, {
+    changedBy: options.user,
+    comment: `Imported ${changes.length} ${section} entries`
+  });
+  if (!result.success) {
+    result.errors.forEach(error => console.error(`   ❌ ${error}`));
+    return false;
+  }
+  console.log(`   ✅ Saved as knowledge version ${result.version}`);
+  return true;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.drugs && !options.interactions) {
+    console.error('Usage: node scripts/import-drugs.js [--drugs file] [--interactions file] [--user name] [--dry-run]');
+    process.exit(2);
+  }
+
+  let drugChanges = [];
+  let interactionChanges = [];
+  try {
+    if (options.drugs) drugChanges = mergeDrugs(readDrugs(options.drugs));
+    if (options.interactions) interactionChanges = mergeInteractions(readInteractions(options.interactions));
+  } catch (error) {
+    console.error('❌ Could not read import files:', error.message);
+    process.exit(2);
+  }
+
+  console.log(`\n💊 Drug import${options.dryRun ? ' (dry run)' : ''}`);
+  const passed = applySection('drugs', drugChanges, options) &&
+    applySection('medicationInteractions', interactionChanges, options);
+
+  console.log(passed ? '\n✅ Import complete' : '\n❌ Import rejected');
+  process.exit(passed ? 0 : 1);
+}
+
+main();
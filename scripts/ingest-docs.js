@@ -0,0 +1,46 @@
+// Indexes the patient-education corpus (Markdown, HTML and PDF) for retrieval.
+// Usage: node scripts/ingest-docs.js [--dir folder] [--rebuild] [--search "question"]
+//   --dir      corpus folder (default: CORPUS_DIR or corpus/)
+//   --rebuild  re-index every file, not only new and changed ones
+//   --search   after indexing, show the passages retrieved for a question
+// The server also syncs the index at startup; run this after editing documents to check them.
+const path = require('path');
+
+const retrieval = require('../retrieval');
+
+function parseArgs(argv) {
+  const options = { dir: retrieval.CORPUS_DIR, rebuild: false, search: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dir') options.dir = path.resolve(argv[++i]);
+    else if (argv[i] === '--rebuild') options.rebuild = true;
+    else if (argv[i] === '--search') options.search = argv[++i];
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log(`\n📚 Document ingest from ${options.dir}${options.rebuild ? ' (rebuild)' : ''}`);
+  const result = retrieval.syncCorpus({ dir: options.dir, rebuild: options.rebuild });
+  result.added.forEach(file => console.log(`   ➕ ${file}`));
+  result.updated.forEach(file => console.log(`   🔄 ${file}`));
+  result.removed.forEach(file => console.log(`   ➖ ${file}`));
+  result.failed.forEach(failure => console.error(`   ❌ ${failure.path}: ${failure.error}`));
+  console.log(`   ${result.added.length} added, ${result.updated.length} updated, ${result.removed.length} removed, ${result.unchanged} unchanged`);
+
+  if (options.search) {
+    console.log(`\n🔎 "${options.search}"`);
+    const passages = retrieval.search(options.search);
+    if (passages.length === 0) console.log('   No matching passages');
+    passages.forEach((passage, i) => {
+      console.log(`   [${i + 1}] ${passage.title}${passage.section ? ` - ${passage.section}` : ''} (${passage.path}, score ${passage.score})`);
+      console.log(`       ${passage.content.slice(0, 160).replace(/\s+/g, ' ')}...`);
+    });
+  }
+
+  console.log(result.failed.length === 0 ? '\n✅ Ingest complete' : '\n⚠️ Ingest finished with errors');
+  process.exit(result.failed.length === 0 ? 0 : 1);
+}
+
+main();
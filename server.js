@@ -3,6 +3,7 @@ const cors = require('cors');
 const path = require('path');
 const http = require('http');
 const fs = require('fs');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -23,10 +24,34 @@ const PORT = process.env.PORT || 3000;
 const database = require('./database');
 const aiService = require('./ai-service');
 const { generateConversationPDF } = require('./pdf-generator');
+const scheduler = require('./scheduler');
+const knowledgeBase = require('./knowledge-base');
+const { classifyIntent, clarificationCandidates, clarificationLabel, resolveClarification, isPoisoning } = require('./intent-classifier');
+const { analyzeSentiment, extractEntities, extractSymptomInfo } = require('./nlp');
+const { mergeEntities, aiReportedSymptoms } = require('./entity-merge');
+const { performTriage, evaluateRedFlags, describeVitalFindings, describeRedFlags } = require('./triage');
+const symptomInterview = require('./symptom-interview');
+const crisisProtocol = require('./crisis-protocol');
+const { checkMedicationInteractions, checkContraindications, describeIngredients } = require('./drug-database');
+const medicationList = require('./medication-list');
+const reminders = require('./reminders');
+const retrieval = require('./retrieval');
+const outputGuardrail = require('./output-guardrail');
+const inputScreening = require('./input-screening');
+const conversationMemory = require('./conversation-memory');
+const tokenBudget = require('./token-budget');
+const { createResponseCache } = require('./response-cache');
+const mailer = require('./mailer');
+
+// Enrich rule-based entities with AI-extracted ones when an AI provider is configured (AI_ENTITY_EXTRACTION=false turns it off)
+const AI_ENTITY_EXTRACTION = process.env.AI_ENTITY_EXTRACTION !== 'false';
 
 // Cache for frequently accessed data (5 minute TTL)
 const cache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
 
+// AI answers to repeated questions, with a TTL per intent (see response-cache.js)
+const responseCache = createResponseCache(cache);
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: false // Allow inline scripts for development
@@ -50,25 +75,27 @@ const sessions = new Map();
 function syncSessionsFromDB() {
   const dbSessions = database.getAllSessions();
   dbSessions.forEach(dbSession => {
-    const messages = database.getMessages(dbSession.session_id);
+    // Messages already condensed into the session's memory stay in the database only
+    const messages = database.getMessages(dbSession.session_id)
+      .filter(msg => !conversationMemory.isSummarized(dbSession.metadata.memory, msg));
     sessions.set(dbSession.session_id, {
       conversationHistory: messages.map(msg => ({
+        id: msg.id,
         role: msg.role,
         message: msg.message,
         timestamp: new Date(msg.created_at),
         intent: msg.intent,
         entities: msg.entities,
-        sentiment: msg.sentiment
+        sentiment: msg.sentiment,
+        ...(msg.citations ? { citations: msg.citations } : {})
       })),
-      currentTopic: dbSession.metadata.currentTopic || null,
-      askedDuration: dbSession.metadata.askedDuration || false,
-      askedSeverity: dbSession.metadata.askedSeverity || false,
-      askedOtherSymptoms: dbSession.metadata.askedOtherSymptoms || false,
+      ...sessionMetadata(dbSession.metadata),
       userInfo: dbSession.userInfo || {},
       medications: dbSession.userInfo.medications || [],
       symptoms: dbSession.userInfo.symptoms || [],
       createdAt: new Date(dbSession.created_at)
     });
+    syncMedicationList(sessions.get(dbSession.session_id), dbSession.session_id);
   });
   console.log(`✅ Synced ${sessions.size} sessions from database`);
 }
@@ -83,6 +110,7 @@ const analytics = {
   intentDistribution: {},
   symptomFrequency: {},
   emergencyCount: 0,
+  crisisCount: 0,
   averageSessionLength: 0,
   peakHours: {},
   userSatisfaction: []
@@ -93,83 +121,9 @@ const rateLimits = new Map();
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const RATE_LIMIT_MAX_REQUESTS = 30;
 
-// Medical knowledge base
-const medicalKnowledge = {
-  commonSymptoms: {
-    headache: {
-      description: "Headaches can be caused by tension, migraines, dehydration, or other factors.",
-      severity: "moderate",
-      recommendations: ["Stay hydrated", "Rest in a quiet, dark room", "Consider over-the-counter pain relief if appropriate", "See a doctor if severe or persistent"]
-    },
-    fever: {
-      description: "Fever is usually a sign of infection. Normal body temperature is around 98.6°F (37°C).",
-      severity: "moderate",
-      recommendations: ["Rest and stay hydrated", "Monitor temperature regularly", "Use fever-reducing medication if appropriate", "Seek medical care if fever is high (>103°F) or persists"]
-    },
-    cough: {
-      description: "Coughs can be dry or productive, and may indicate respiratory issues.",
-      severity: "mild",
-      recommendations: ["Stay hydrated", "Use a humidifier", "Avoid irritants like smoke", "See a doctor if persistent or accompanied by other symptoms"]
-    },
-    nausea: {
-      description: "Nausea can be caused by various factors including infections, medications, or digestive issues.",
-      severity: "moderate",
-      recommendations: ["Stay hydrated with small sips", "Avoid heavy or spicy foods", "Rest", "Seek care if severe or persistent"]
-    }
-  },
-  specialties: {
-    cardiology: "Heart and cardiovascular system",
-    dermatology: "Skin conditions",
-    endocrinology: "Hormones and metabolism",
-    gastroenterology: "Digestive system",
-    neurology: "Nervous system and brain",
-    orthopedics: "Bones, joints, and muscles",
-    pediatrics: "Children's health",
-    psychiatry: "Mental health"
-  },
-  wellnessTips: {
-    nutrition: ["Eat a balanced diet with fruits and vegetables", "Stay hydrated (8 glasses of water daily)", "Limit processed foods", "Control portion sizes"],
-    exercise: ["Aim for 150 minutes of moderate exercise per week", "Include strength training 2x per week", "Stay active throughout the day", "Find activities you enjoy"],
-    sleep: ["Aim for 7-9 hours of sleep per night", "Maintain a regular sleep schedule", "Create a relaxing bedtime routine", "Avoid screens before bed"],
-    mental: ["Practice stress management techniques", "Stay connected with friends and family", "Take breaks when needed", "Consider meditation or mindfulness"]
-  },
-  medicationInteractions: {
-    'aspirin': {
-      interactions: ['warfarin', 'ibuprofen', 'naproxen'],
-      warnings: 'May increase bleeding risk when combined with blood thinners'
-    },
-    'ibuprofen': {
-      interactions: ['aspirin', 'warfarin', 'lithium'],
-      warnings: 'Can increase risk of stomach bleeding and kidney problems'
-    },
-    'warfarin': {
-      interactions: ['aspirin', 'ibuprofen', 'vitamin k'],
-      warnings: 'Many medications and foods can affect blood thinning levels'
-    }
-  },
-  triageLevels: {
-    emergency: {
-      keywords: ['chest pain', 'can\'t breathe', 'unconscious', 'severe bleeding', 'heart attack', 'stroke'],
-      priority: 1,
-      action: 'Call 911 immediately'
-    },
-    urgent: {
-      keywords: ['high fever', 'severe pain', 'difficulty breathing', 'persistent vomiting'],
-      priority: 2,
-      action: 'Seek emergency care or urgent care within hours'
-    },
-    moderate: {
-      keywords: ['moderate pain', 'fever', 'persistent symptoms'],
-      priority: 3,
-      action: 'Schedule appointment within 24-48 hours'
-    },
-    routine: {
-      keywords: ['mild symptoms', 'wellness', 'preventive'],
-      priority: 4,
-      action: 'Schedule routine appointment'
-    }
-  }
-};
+// Medical knowledge base (loaded from knowledge/ and hot-reloaded on change)
+const medicalKnowledge = knowledgeBase.medicalKnowledge;
+knowledgeBase.watch();
 
 // Healthcare chatbot responses
 const chatbotResponses = {
@@ -196,9 +150,9 @@ const chatbotResponses = {
     "I hear your concern about these symptoms. For your safety, please consult a healthcare professional. If symptoms are severe or life-threatening, seek emergency care immediately."
   ],
   appointment: [
-    "I can help you schedule an appointment! You can book through our online portal or call our scheduling line at (555) 123-4567. What type of appointment do you need?",
-    "To schedule an appointment, you can visit our website, use our mobile app, or call us. What specialty or type of care are you looking for?",
-    "I'd be happy to help you schedule an appointment. You can book online 24/7 or call our office during business hours. What date works best for you?"
+    "I can help you schedule an appointment! I'll check our providers' calendars and book an open time for you right here in the chat.",
+    "Let's get you scheduled. I can look up real openings with our providers and confirm a booking for you.",
+    "I'd be happy to help you book an appointment. I'll show you the available times and confirm your booking once you pick one."
   ],
   medication: [
     "For medication questions, it's best to consult with your pharmacist or prescribing doctor. They can provide specific information about dosages, interactions, and side effects. Is there a specific medication you're asking about?",
@@ -222,523 +176,1081 @@ const chatbotResponses = {
   ]
 };
 
-// Advanced NLP: Sentiment Analysis
-function analyzeSentiment(message) {
-  const msg = message.toLowerCase();
-  const positiveWords = ['good', 'great', 'better', 'improving', 'fine', 'ok', 'okay', 'well', 'thanks', 'thank you'];
-  const negativeWords = ['bad', 'worse', 'terrible', 'awful', 'pain', 'hurt', 'sick', 'worried', 'concerned', 'scared'];
-  
-  let score = 0;
-  positiveWords.forEach(word => { if (msg.includes(word)) score++; });
-  negativeWords.forEach(word => { if (msg.includes(word)) score--; });
-  
-  if (score > 0) return 'positive';
-  if (score < 0) return 'negative';
-  return 'neutral';
+// Conversation state persisted in session metadata (updateSession replaces it as a whole)
+function sessionMetadata(context) {
+  return {
+    currentTopic: context.currentTopic || null,
+    symptomInterview: context.symptomInterview || null,
+    ...appointmentMetadata(context),
+    pendingClarification: context.pendingClarification || null,
+    pendingMedicationAction: context.pendingMedicationAction || null,
+    pendingReminder: context.pendingReminder || null,
+    crisis: context.crisis || null,
+    memory: context.memory || null
+  };
 }
 
-// Advanced NLP: Entity Extraction
-function extractEntities(message) {
-  const entities = {
-    medications: [],
-    symptoms: [],
-    bodyParts: [],
-    numbers: [],
-    timeExpressions: []
-  };
-  
-  const msg = message.toLowerCase();
-  
-  // Extract medications
-  const medicationPatterns = ['aspirin', 'ibuprofen', 'tylenol', 'advil', 'warfarin', 'metformin', 'insulin'];
-  medicationPatterns.forEach(med => {
-    if (msg.includes(med)) entities.medications.push(med);
-  });
-  
-  // Extract body parts
-  const bodyParts = ['head', 'chest', 'stomach', 'back', 'arm', 'leg', 'throat', 'ear', 'eye', 'nose'];
-  bodyParts.forEach(part => {
-    if (msg.includes(part)) entities.bodyParts.push(part);
-  });
-  
-  // Extract numbers
-  const numbers = message.match(/\b\d+\b/g);
-  if (numbers) entities.numbers = numbers.map(n => parseInt(n));
-  
-  // Extract time expressions
-  const timePatterns = message.match(/\b(\d+)\s*(day|days|hour|hours|week|weeks|month|months|year|years)\b/gi);
-  if (timePatterns) entities.timeExpressions = timePatterns;
-  
-  return entities;
+// Medications, symptoms, conditions and allergies for the user_profiles table
+function saveUserProfile(sessionId, userInfo) {
+  const saved = database.saveProfile(
+    sessionId,
+    userInfo.medications || [],
+    userInfo.symptoms || [],
+    userInfo.conditions || [],
+    {},
+    userInfo.allergies || []
+  );
+  if (!saved) {
+    console.error('⚠️ Failed to save user profile to database');
+  }
 }
 
-// Advanced intent detection with confidence scoring
-function detectIntent(message, context) {
-  const msg = message.toLowerCase().trim();
-  const intents = {
-    emergency: /\b(emergency|chest pain|can't breathe|difficulty breathing|severe pain|heart attack|stroke|unconscious|bleeding|poison|overdose|suicide|self harm|crushing|pressure|sudden)\b/,
-    greeting: /\b(hi|hello|hey|greetings|good morning|good afternoon|good evening|what's up)\b/,
-    goodbye: /\b(bye|goodbye|see you|farewell|exit|quit|thanks|thank you|appreciate)\b/,
-    help: /\b(help|what can you do|how can you help|assist|capabilities|features)\b/,
-    symptom: /\b(symptom|pain|ache|hurt|fever|nausea|dizzy|headache|stomach|feeling|unwell|sick|illness|disease|condition|tired|fatigue|weak|sore)\b/,
-    appointment: /\b(appointment|schedule|book|visit|see doctor|see a doctor|consultation|checkup|exam|available|when|book now|check availability|find doctor)\b/,
-    medication: /\b(medication|medicine|drug|pill|prescription|dosage|side effect|interaction|pharmacy|take|taking)\b/,
-    wellness: /\b(wellness|healthy|diet|exercise|fitness|nutrition|sleep|stress|mental health|prevention|preventive|weight|fitness)\b/,
-    specialty: /\b(cardiologist|dermatologist|neurologist|orthopedic|pediatrician|psychiatrist|specialist|specialty)\b/,
-    triage: /\b(urgent|emergency|severe|mild|moderate|how bad|how serious|priority)\b/
+// Appointment flow state persisted in session metadata
+function appointmentMetadata(context) {
+  return {
+    askedAppointmentType: context.askedAppointmentType || false,
+    askedAppointmentDate: context.askedAppointmentDate || false,
+    askedAppointmentSlot: context.askedAppointmentSlot || false,
+    askedAppointmentReason: context.askedAppointmentReason || false,
+    appointmentType: context.appointmentType || null,
+    appointmentSpecialty: context.appointmentSpecialty || null,
+    appointmentDate: context.appointmentDate || null,
+    appointmentSlots: context.appointmentSlots || [],
+    appointmentSlot: context.appointmentSlot || null,
+    appointmentReason: context.appointmentReason || null,
+    lastAppointmentId: context.lastAppointmentId || null,
+    pendingAppointmentAction: context.pendingAppointmentAction || null
   };
-  
-  const matches = [];
-  for (const [intent, pattern] of Object.entries(intents)) {
-    const match = pattern.test(msg);
-    if (match) {
-      matches.push({ intent, confidence: 1.0 });
+}
+
+function resetAppointmentFlow(context) {
+  context.askedAppointmentType = false;
+  context.askedAppointmentDate = false;
+  context.askedAppointmentSlot = false;
+  context.askedAppointmentReason = false;
+  context.appointmentType = null;
+  context.appointmentSpecialty = null;
+  context.appointmentDate = null;
+  context.appointmentSlots = [];
+  context.appointmentSlot = null;
+  context.appointmentReason = null;
+}
+
+// Record a bot turn of the appointment flow and persist the flow state
+function appointmentReply(context, sessionId, response, quickActions) {
+  const botMessage = { role: 'bot', message: response, timestamp: new Date() };
+  context.conversationHistory.push(botMessage);
+  database.saveMessage(sessionId, 'bot', response, 'appointment', null, null, null);
+  context.currentTopic = 'appointment';
+  database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
+  sessions.set(sessionId, context);
+
+  return { response, quickActions };
+}
+
+// Offer open slots for the requested window and move the flow to slot selection
+function offerAppointmentSlots(context, sessionId, window, intro) {
+  let slots = scheduler.findAvailableSlots({ ...window, specialty: context.appointmentSpecialty });
+  let response = intro || '';
+
+  // Requested an exact time that is taken - fall back to the rest of that window
+  if (slots.length === 0 && window.time) {
+    slots = scheduler.findAvailableSlots({ ...window, time: null, specialty: context.appointmentSpecialty });
+    if (slots.length > 0) {
+      response += `That exact time isn't available. `;
     }
   }
-  
-  if (matches.length > 0) {
-    // Return highest confidence intent
-    return matches[0].intent;
+
+  // Nothing on the requested day(s) - offer the next openings after it
+  if (slots.length === 0 && window.to) {
+    slots = scheduler.findAvailableSlots({ from: window.to, specialty: context.appointmentSpecialty });
+    if (slots.length > 0) {
+      response += `There are no openings at that time, but here are the next available ones. `;
+    }
   }
-  
-  return 'general';
+
+  if (slots.length === 0) {
+    context.askedAppointmentDate = true;
+    context.askedAppointmentSlot = false;
+    response += `I couldn't find any open appointments for that time. Would you like to try another date?`;
+    return appointmentReply(context, sessionId, response, ['Next Available', 'Next Week', 'Cancel']);
+  }
+
+  context.appointmentSlots = slots;
+  context.askedAppointmentDate = true;
+  context.askedAppointmentSlot = true;
+
+  response += `Here are the open appointments I found:\n\n`;
+  response += slots.map((slot, i) => `${i + 1}. ${slot.label}`).join('\n');
+  response += `\n\nWhich one works for you? You can also ask for another date.`;
+
+  return appointmentReply(context, sessionId, response, [...slots.map(slot => slot.label), 'Other Date', 'Cancel']);
 }
 
-// Advanced Symptom Triage System
-function performTriage(message, symptomInfo) {
-  const msg = message.toLowerCase();
-  let triageLevel = 'routine';
-  let priority = 4;
-  let action = 'Schedule routine appointment';
-  
-  // Check emergency keywords
-  for (const keyword of medicalKnowledge.triageLevels.emergency.keywords) {
-    if (msg.includes(keyword)) {
-      triageLevel = 'emergency';
-      priority = 1;
-      action = medicalKnowledge.triageLevels.emergency.action;
-      analytics.emergencyCount++;
-      return { triageLevel, priority, action, urgency: 'CRITICAL' };
-    }
-  }
-  
-  // Check urgent keywords
-  for (const keyword of medicalKnowledge.triageLevels.urgent.keywords) {
-    if (msg.includes(keyword)) {
-      triageLevel = 'urgent';
-      priority = 2;
-      action = medicalKnowledge.triageLevels.urgent.action;
-      return { triageLevel, priority, action, urgency: 'HIGH' };
-    }
-  }
-  
-  // Check severity indicators
-  if (symptomInfo.severity) {
-    if (['severe', 'intense', 'extreme'].includes(symptomInfo.severity.toLowerCase())) {
-      triageLevel = 'urgent';
-      priority = 2;
-      action = medicalKnowledge.triageLevels.urgent.action;
-      return { triageLevel, priority, action, urgency: 'HIGH' };
-    }
-    if (['moderate'].includes(symptomInfo.severity.toLowerCase())) {
-      triageLevel = 'moderate';
-      priority = 3;
-      action = medicalKnowledge.triageLevels.moderate.action;
-      return { triageLevel, priority, action, urgency: 'MEDIUM' };
-    }
-  }
-  
-  // Check duration
-  if (symptomInfo.duration) {
-    const durationMatch = symptomInfo.duration.match(/(\d+)\s*(day|days|week|weeks|month|months)/i);
-    if (durationMatch) {
-      const num = parseInt(durationMatch[1]);
-      const unit = durationMatch[2].toLowerCase();
-      if ((unit.includes('week') && num >= 2) || (unit.includes('month'))) {
-        triageLevel = 'moderate';
-        priority = 3;
-        action = medicalKnowledge.triageLevels.moderate.action;
-        return { triageLevel, priority, action, urgency: 'MEDIUM' };
-      }
+// Match the user's pick against the slots offered in the previous turn
+function selectOfferedSlot(message, slots) {
+  const msg = message.toLowerCase().trim();
+  const byLabel = slots.find(slot => slot.label.toLowerCase() === msg);
+  if (byLabel) return byLabel;
+
+  const ordinals = ['first', 'second', 'third', 'fourth', 'fifth'];
+  const number = msg.match(/^(?:option\s*|#)?(\d)$/);
+  const index = number ? parseInt(number[1]) - 1 : ordinals.findIndex(word => msg.includes(word));
+  if (index >= 0 && index < slots.length) return slots[index];
+
+  return null;
+}
+
+// Book the chosen slot and confirm, or re-offer slots if it was taken meanwhile
+function completeAppointmentBooking(context, sessionId) {
+  const result = scheduler.bookSlot({
+    sessionId,
+    slot: context.appointmentSlot,
+    type: context.appointmentType,
+    reason: context.appointmentReason
+  });
+
+  if (!result.success) {
+    database.logEvent('appointment_conflict', { reason: result.error, slot: context.appointmentSlot }, sessionId);
+    context.appointmentSlot = null;
+    context.askedAppointmentReason = false;
+
+    if (result.error === 'session_conflict') {
+      const response = `You already have an appointment that overlaps with that time. Please choose a different time.`;
+      return offerAppointmentSlots(context, sessionId, { from: null, to: null }, response + '\n\n');
     }
+    return offerAppointmentSlots(context, sessionId, { from: null, to: null }, `Sorry, that slot was just taken. `);
   }
-  
-  return { triageLevel, priority, action, urgency: 'LOW' };
+
+  const appointment = result.appointment;
+  database.logEvent('appointment_booked', { appointmentId: appointment.id, providerId: appointment.provider_id }, sessionId);
+
+  let response = `Your appointment is confirmed! ✅\n\n`;
+  response += scheduler.formatAppointment(appointment);
+  response += `\n\nPlease keep your confirmation number for reference. Arrive 10 minutes early and bring your insurance card and a list of current medications.`;
+
+  resetAppointmentFlow(context);
+  context.lastAppointmentId = appointment.id;
+
+  return appointmentReply(context, sessionId, response, ['New Appointment', 'View Details', 'Contact Support']);
 }
 
-// Medication Interaction Checker
-function checkMedicationInteractions(medications) {
-  const interactions = [];
-  const warnings = [];
-  
-  for (let i = 0; i < medications.length; i++) {
-    const med1 = medications[i].toLowerCase();
-    if (medicalKnowledge.medicationInteractions[med1]) {
-      const medInfo = medicalKnowledge.medicationInteractions[med1];
-      
-      for (let j = i + 1; j < medications.length; j++) {
-        const med2 = medications[j].toLowerCase();
-        if (medInfo.interactions.includes(med2)) {
-          interactions.push({
-            medication1: med1,
-            medication2: med2,
-            warning: medInfo.warnings
-          });
-          warnings.push(`⚠️ Potential interaction between ${med1} and ${med2}: ${medInfo.warnings}`);
-        }
-      }
+// Offer new times for an existing appointment, keeping the same specialty
+function offerRescheduleSlots(context, sessionId, appointment, window) {
+  let slots = scheduler.findAvailableSlots({ ...window, specialty: appointment.specialty });
+  let response = '';
+
+  if (slots.length === 0 && window.to) {
+    slots = scheduler.findAvailableSlots({ from: window.to, specialty: appointment.specialty });
+    if (slots.length > 0) {
+      response += `There are no openings at that time, but here are the next available ones. `;
     }
   }
-  
-  return { interactions, warnings };
+
+  if (slots.length === 0) {
+    context.pendingAppointmentAction = { action: 'reschedule', appointmentId: appointment.id, stage: 'date' };
+    response += `I couldn't find any open times for that date. What other date would work for you?`;
+    return appointmentReply(context, sessionId, response, ['Next Available', 'Next Week', 'Keep Appointment']);
+  }
+
+  context.appointmentSlots = slots;
+  context.pendingAppointmentAction = { action: 'reschedule', appointmentId: appointment.id, stage: 'slot' };
+
+  response += `Here are the open times for rescheduling ${appointment.id}:\n\n`;
+  response += slots.map((slot, i) => `${i + 1}. ${slot.label}`).join('\n');
+  response += `\n\nWhich one would you like instead?`;
+
+  return appointmentReply(context, sessionId, response, [...slots.map(slot => slot.label), 'Other Date', 'Keep Appointment']);
 }
 
-// Extract symptom information
-function extractSymptomInfo(message) {
-  const msg = message.toLowerCase();
-  const symptoms = [];
-  
-  // Check for specific symptoms in knowledge base
-  for (const symptom of Object.keys(medicalKnowledge.commonSymptoms)) {
-    if (msg.includes(symptom)) {
-      symptoms.push(symptom);
+// Run a management action once the target appointment is known
+function runAppointmentAction(action, appointment, message, context, sessionId) {
+  if (action === 'view') {
+    context.pendingAppointmentAction = null;
+    const response = `Here are the details of your appointment:\n\n${scheduler.formatAppointment(appointment)}`;
+    return appointmentReply(context, sessionId, response, ['Reschedule Appointment', 'Cancel Appointment', 'New Appointment']);
+  }
+
+  if (action === 'cancel') {
+    context.pendingAppointmentAction = { action: 'cancel', appointmentId: appointment.id };
+    const response = `Are you sure you want to cancel this appointment?\n\n${scheduler.formatAppointment(appointment)}`;
+    return appointmentReply(context, sessionId, response, ['Yes, Cancel It', 'Keep Appointment']);
+  }
+
+  // Reschedule: "reschedule my Tuesday appointment to Friday afternoon"
+  const target = message.toLowerCase().match(/\bto\s+(.+)$/);
+  const window = target ? scheduler.parseDateExpression(target[1]) : null;
+  if (window) {
+    return offerRescheduleSlots(context, sessionId, appointment, window);
+  }
+
+  context.pendingAppointmentAction = { action: 'reschedule', appointmentId: appointment.id, stage: 'date' };
+  const response = `Let's find a new time for ${scheduler.appointmentLabel(appointment)}. What date would work better for you?`;
+  return appointmentReply(context, sessionId, response, ['Tomorrow', 'Next Week', 'Next Available', 'Keep Appointment']);
+}
+
+// Pick the appointment a management request refers to, asking the user when ambiguous
+function resolveAppointmentAction(action, message, context, sessionId) {
+  const appointments = scheduler.listAppointments(sessionId);
+
+  if (appointments.length === 0) {
+    context.pendingAppointmentAction = null;
+    const response = `You don't have any upcoming appointments. Would you like to book one?`;
+    return appointmentReply(context, sessionId, response, ['Book Now', 'Schedule Appointment']);
+  }
+
+  // Only match against the part naming the current appointment, not the new date
+  const reference = message.toLowerCase().split(/\bto\s+/)[0];
+  let matches = scheduler.matchAppointments(reference, appointments);
+
+  // "View Details" right after booking refers to that booking
+  if (matches.length > 1 && reference.trim() === 'view details') {
+    const last = matches.find(appt => appt.id === context.lastAppointmentId);
+    if (last) matches = [last];
+  }
+
+  if (matches.length === 1) {
+    return runAppointmentAction(action, matches[0], message, context, sessionId);
+  }
+
+  const candidates = matches.length > 0 ? matches : appointments;
+  if (action === 'view') {
+    context.pendingAppointmentAction = { action: 'choose', next: 'view', candidates: candidates.map(appt => appt.id) };
+    let response = `You have ${candidates.length} upcoming appointments:\n\n`;
+    response += candidates.map((appt, i) => `${i + 1}. ${scheduler.appointmentLabel(appt)}`).join('\n');
+    response += `\n\nSelect one to see its details.`;
+    return appointmentReply(context, sessionId, response, candidates.map(scheduler.appointmentLabel));
+  }
+
+  context.pendingAppointmentAction = { action: 'choose', next: action, request: message, candidates: candidates.map(appt => appt.id) };
+  const verb = action === 'cancel' ? 'cancel' : 'reschedule';
+  let response = `Which appointment would you like to ${verb}?\n\n`;
+  response += candidates.map((appt, i) => `${i + 1}. ${scheduler.appointmentLabel(appt)}`).join('\n');
+  return appointmentReply(context, sessionId, response, [...candidates.map(scheduler.appointmentLabel), 'Never Mind']);
+}
+
+// Handle viewing, rescheduling and cancelling existing appointments from the chat
+function handleAppointmentManagement(message, context, sessionId) {
+  const msg = message.toLowerCase().trim();
+  const pending = context.pendingAppointmentAction;
+
+  if (pending) {
+    if (['keep appointment', 'never mind', 'no', 'no thanks'].includes(msg)) {
+      context.pendingAppointmentAction = null;
+      context.appointmentSlots = [];
+      const response = `Okay, I've left your appointment as it is. Anything else I can help with?`;
+      return appointmentReply(context, sessionId, response, ['View Details', 'New Appointment', 'Get Help']);
+    }
+
+    if (pending.action === 'choose') {
+      const candidates = scheduler.listAppointments(sessionId).filter(appt => pending.candidates.includes(appt.id));
+      const index = /^\d$/.test(msg) ? parseInt(msg) - 1 : -1;
+      const matches = index >= 0 ? candidates.slice(index, index + 1) : scheduler.matchAppointments(msg, candidates);
+      if (matches.length === 1) {
+        return runAppointmentAction(pending.next, matches[0], pending.request || message, context, sessionId);
+      }
+    }
+
+    if (pending.action === 'cancel' && ['yes', 'yes, cancel it', 'yes cancel it', 'confirm'].includes(msg)) {
+      context.pendingAppointmentAction = null;
+      const cancelled = scheduler.cancelAppointment(pending.appointmentId);
+      if (!cancelled) {
+        const response = `I couldn't cancel that appointment - it may already have been cancelled.`;
+        return appointmentReply(context, sessionId, response, ['View Details', 'New Appointment']);
+      }
+      database.logEvent('appointment_cancelled', { appointmentId: cancelled.id, via: 'chat' }, sessionId);
+      const response = `Your appointment ${cancelled.id} with ${cancelled.provider_name} has been cancelled.`;
+      return appointmentReply(context, sessionId, response, ['New Appointment', 'View Details', 'Get Help']);
+    }
+
+    if (pending.action === 'reschedule') {
+      const appointment = database.getAppointment(pending.appointmentId);
+
+      if (appointment && pending.stage === 'slot') {
+        if (msg === 'other date') {
+          context.pendingAppointmentAction = { ...pending, stage: 'date' };
+          context.appointmentSlots = [];
+          const response = `Sure. What date would work better?`;
+          return appointmentReply(context, sessionId, response, ['Tomorrow', 'Next Week', 'Next Available', 'Keep Appointment']);
+        }
+
+        const slot = selectOfferedSlot(message, context.appointmentSlots || []);
+        if (slot) {
+          const result = scheduler.rescheduleToSlot(appointment.id, slot);
+          if (!result.success) {
+            database.logEvent('appointment_conflict', { reason: result.error, slot }, sessionId);
+            return offerRescheduleSlots(context, sessionId, appointment, { from: null, to: null });
+          }
+          context.pendingAppointmentAction = null;
+          context.appointmentSlots = [];
+          database.logEvent('appointment_rescheduled', {
+            appointmentId: appointment.id,
+            from: appointment.start_time,
+            to: result.appointment.start_time,
+            via: 'chat'
+          }, sessionId);
+          const response = `Your appointment has been rescheduled. ✅\n\n${scheduler.formatAppointment(result.appointment)}`;
+          return appointmentReply(context, sessionId, response, ['View Details', 'New Appointment', 'Get Help']);
+        }
+      }
+
+      const window = appointment ? scheduler.parseDateExpression(message) : null;
+      if (window) {
+        return offerRescheduleSlots(context, sessionId, appointment, window);
+      }
     }
+
+    // Anything else abandons the pending action and is handled normally
+    context.pendingAppointmentAction = null;
   }
-  
-  // Extract duration if mentioned
-  const durationMatch = message.match(/\b(\d+)\s*(day|days|hour|hours|week|weeks|month|months)\b/i);
-  const duration = durationMatch ? `${durationMatch[1]} ${durationMatch[2]}` : null;
-  
-  // Extract severity indicators
-  const severity = msg.match(/\b(severe|mild|moderate|intense|extreme|slight)\b/i)?.[1] || null;
-  
-  return { symptoms, duration, severity };
+
+  const hasReference = /\bapt-[0-9a-f]{6}\b/.test(msg);
+  const aboutAppointment = hasReference || /\bappointments?\b/.test(msg);
+
+  if (/\b(reschedule|move|change|postpone)\b/.test(msg) && aboutAppointment) {
+    return resolveAppointmentAction('reschedule', message, context, sessionId);
+  }
+  if (/\bcancel\b/.test(msg) && aboutAppointment) {
+    return resolveAppointmentAction('cancel', message, context, sessionId);
+  }
+  if (msg === 'view details' || hasReference ||
+      /\b(my|upcoming|view|show|list)\b.*\bappointments?\b/.test(msg) && !/\b(book|schedule|new|make)\b/.test(msg)) {
+    return resolveAppointmentAction('view', message, context, sessionId);
+  }
+
+  return null;
+}
+
+// Appointment type and specialty from the user's words. A short answer ("Follow-up", "Skin check") is kept as
+// given; a sentence ("can I book a checkup tomorrow morning?") is named after the specialty it mentions.
+function setAppointmentType(context, message, { asGiven }) {
+  const specialty = scheduler.inferSpecialty(message);
+  context.appointmentType = asGiven ? message.trim() : scheduler.specialtyLabel(specialty);
+  context.appointmentSpecialty = specialty || (asGiven ? null : 'general practice');
 }
 
 // Handle appointment booking flow with follow-up questions
 function handleAppointmentFlow(message, context, sessionId) {
-  const msg = message.toLowerCase();
+  const msg = message.toLowerCase().trim();
   
   // Ensure sessionId is available
   if (!sessionId && context.sessionId) {
     sessionId = context.sessionId;
   }
   
-  // Check if this is a booking trigger (not an answer)
-  const bookingTriggers = ['book now', 'schedule appointment', 'book', 'schedule', 'check availability'];
-  if (bookingTriggers.includes(msg) && !context.askedAppointmentType) {
-    // User wants to book, start the flow
+  const inFlow = context.askedAppointmentType || context.askedAppointmentDate ||
+    context.askedAppointmentSlot || context.askedAppointmentReason;
+
+  if (inFlow && msg === 'cancel') {
+    resetAppointmentFlow(context);
+    const response = `No problem, I've stopped the booking. Nothing was scheduled. Is there anything else I can help you with?`;
+    return appointmentReply(context, sessionId, response, ['New Appointment', 'Check Symptoms', 'Get Help']);
+  }
+
+  // Emergencies are never booked - redirect to emergency care at any step
+  if (inFlow && /\bemergency\b/.test(msg)) {
+    resetAppointmentFlow(context);
+    const response = chatbotResponses.emergency[0];
+    return appointmentReply(context, sessionId, response, ['Call 911', 'Find ER']);
+  }
+
+  // "Check Availability" and "Book Now" go straight to the next open slots
+  if (['book now', 'check availability', 'next available'].includes(msg)) {
+    resetAppointmentFlow(context);
     context.askedAppointmentType = true;
-    
-    let response = chatbotResponses.appointment[Math.floor(Math.random() * chatbotResponses.appointment.length)];
-    response += `\n\nWhat type of appointment are you looking for?`;
-    
-    const botMessage = { role: 'bot', message: response, timestamp: new Date() };
-    context.conversationHistory.push(botMessage);
-    database.saveMessage(sessionId, 'bot', response, 'appointment', null, null, null);
-    database.updateSession(sessionId, context.userInfo, {
-      currentTopic: 'appointment',
-      askedAppointmentType: context.askedAppointmentType
-    });
-    sessions.set(sessionId, context);
-    
-    return {
-      response: response,
-      quickActions: ['General Checkup', 'Specialist Visit', 'Follow-up', 'Emergency']
-    };
+    context.appointmentType = 'General Checkup';
+    context.appointmentSpecialty = 'general practice';
+    context.appointmentDate = 'next available';
+    return offerAppointmentSlots(context, sessionId, { from: null, to: null });
   }
   
-  // Check if user is responding to appointment questions
-  if (context.askedAppointmentType && !context.askedAppointmentDate) {
-    // User provided appointment type, now ask for date
-    // Don't treat booking triggers as appointment types
-    if (!bookingTriggers.includes(msg)) {
-      context.appointmentType = message; // Store the type
-      context.askedAppointmentDate = true;
-      
-      let response = `Thank you! You're looking for a ${message} appointment. `;
-      response += `What date would work best for you? You can say things like "tomorrow", "next week", or a specific date.`;
+  // Booking triggers (re)start the flow from the beginning
+  const bookingTriggers = ['schedule appointment', 'book', 'schedule', 'new appointment'];
+  if (bookingTriggers.includes(msg)) {
+    resetAppointmentFlow(context);
+  }
+  
+  // Awaiting reason: book the chosen slot
+  if (context.askedAppointmentReason) {
+    context.appointmentReason = message;
+    return completeAppointmentBooking(context, sessionId);
+  }
+  
+  // Awaiting slot pick
+  if (context.askedAppointmentSlot) {
+    if (msg === 'other date') {
+      context.askedAppointmentSlot = false;
+      context.appointmentSlots = [];
+      const response = `Sure. What date would work better? You can say things like "tomorrow", "next Friday afternoon", or "Oct 21 at 3pm".`;
+      return appointmentReply(context, sessionId, response, ['Tomorrow', 'Next Week', 'Next Available', 'Cancel']);
+    }
+    
+    const slot = selectOfferedSlot(message, context.appointmentSlots || []);
+    if (slot) {
+      context.appointmentSlot = slot;
+      context.askedAppointmentSlot = false;
       
-      const botMessage = { role: 'bot', message: response, timestamp: new Date() };
-      context.conversationHistory.push(botMessage);
-      database.saveMessage(sessionId, 'bot', response, 'appointment', null, null, null);
-      database.updateSession(sessionId, context.userInfo, {
-        currentTopic: 'appointment',
-        askedAppointmentType: context.askedAppointmentType,
-        askedAppointmentDate: context.askedAppointmentDate,
-        askedAppointmentReason: context.askedAppointmentReason,
-        appointmentType: context.appointmentType
-      });
-      sessions.set(sessionId, context);
+      // Reason already known (e.g. re-picking after a conflict) - book right away
+      if (context.appointmentReason) {
+        return completeAppointmentBooking(context, sessionId);
+      }
       
-      return {
-        response: response,
-        quickActions: ['Tomorrow', 'Next Week', 'This Week', 'Cancel']
-      };
+      context.askedAppointmentReason = true;
+      const response = `${slot.label} it is. What is the reason for your visit? (e.g., routine checkup, specific symptoms, follow-up)`;
+      return appointmentReply(context, sessionId, response, ['Routine Checkup', 'Follow-up', 'Symptoms', 'Other']);
     }
-    // If it's a booking trigger, restart the flow
-    return null;
+    
+    // Not a pick - maybe a different date
+    const window = scheduler.parseDateExpression(message);
+    if (window) {
+      context.appointmentDate = message;
+      return offerAppointmentSlots(context, sessionId, window);
+    }
+    
+    const response = `Please choose one of the times above, or tell me another date that works for you.`;
+    return appointmentReply(context, sessionId, response, [...(context.appointmentSlots || []).map(s => s.label), 'Other Date', 'Cancel']);
   }
   
-  if (context.askedAppointmentDate && !context.askedAppointmentReason) {
-    // User provided date, now ask for reason
+  // Awaiting date
+  if (context.askedAppointmentDate) {
+    const window = scheduler.parseDateExpression(message);
+    if (!window) {
+      const response = `I didn't catch a date there. You can say things like "tomorrow", "next week", "Friday morning", or "Oct 21 at 3pm".`;
+      return appointmentReply(context, sessionId, response, ['Tomorrow', 'Next Week', 'Next Available', 'Cancel']);
+    }
     context.appointmentDate = message;
-    context.askedAppointmentReason = true;
-    
-    let response = `Great! ${message} works. `;
-    response += `What is the reason for your visit? (e.g., routine checkup, specific symptoms, follow-up)`;
-    
-    const botMessage = { role: 'bot', message: response, timestamp: new Date() };
-    context.conversationHistory.push(botMessage);
-    database.saveMessage(sessionId, 'bot', response, 'appointment', null, null, null);
-    database.updateSession(sessionId, context.userInfo, {
-      currentTopic: 'appointment',
-      askedAppointmentType: context.askedAppointmentType,
-      askedAppointmentDate: context.askedAppointmentDate,
-      askedAppointmentReason: context.askedAppointmentReason,
-      appointmentType: context.appointmentType,
-      appointmentDate: context.appointmentDate
-    });
-    sessions.set(sessionId, context);
-    
-    return {
-      response: response,
-      quickActions: ['Routine Checkup', 'Follow-up', 'Symptoms', 'Other']
-    };
+    return offerAppointmentSlots(context, sessionId, window);
   }
   
-  if (context.askedAppointmentReason) {
-    // User provided reason, complete booking
-    context.appointmentReason = message;
-    
-    let response = `Perfect! I have your appointment details:\n\n`;
-    response += `**Appointment Type:** ${context.appointmentType || 'General'}\n`;
-    response += `**Preferred Date:** ${context.appointmentDate || 'Not specified'}\n`;
-    response += `**Reason:** ${message}\n\n`;
-    response += `To complete your booking, you can:\n`;
-    response += `1. Call our scheduling line at (555) 123-4567\n`;
-    response += `2. Visit our online portal at www.healthcareportal.com\n`;
-    response += `3. Use our mobile app\n\n`;
-    response += `Our team will confirm your appointment within 24 hours.`;
-    
-    const botMessage = { role: 'bot', message: response, timestamp: new Date() };
-    context.conversationHistory.push(botMessage);
-    database.saveMessage(sessionId, 'bot', response, 'appointment', null, null, null);
-    
-    // Reset appointment flow
-    context.askedAppointmentType = false;
-    context.askedAppointmentDate = false;
-    context.askedAppointmentReason = false;
-    context.appointmentType = null;
-    context.appointmentDate = null;
-    context.appointmentReason = null;
+  // Awaiting appointment type. The answer may give the date as well ("a checkup tomorrow morning"), or the
+  // date may have come with the opening message.
+  if (context.askedAppointmentType) {
+    const answerWindow = scheduler.parseDateExpression(message);
+    const asGiven = !answerWindow && message.trim().split(/\s+/).length <= 4;
+    setAppointmentType(context, message, { asGiven });
+    if (answerWindow) {
+      context.appointmentDate = message;
+    }
     
-    database.updateSession(sessionId, context.userInfo, {
-      currentTopic: 'appointment',
-      askedAppointmentType: false,
-      askedAppointmentDate: false,
-      askedAppointmentReason: false,
-      appointmentType: null,
-      appointmentDate: null,
-      appointmentReason: null
-    });
-    sessions.set(sessionId, context);
+    const intro = `Thank you! You're looking for a ${context.appointmentType} appointment. `;
+    const window = answerWindow || (context.appointmentDate ? scheduler.parseDateExpression(context.appointmentDate) : null);
+    if (window) {
+      return offerAppointmentSlots(context, sessionId, window, intro);
+    }
     
-    return {
-      response: response,
-      quickActions: ['New Appointment', 'View Details', 'Contact Support']
-    };
+    context.askedAppointmentDate = true;
+    const response = intro + `What date would work best for you? You can say things like "tomorrow", "next week", or a specific date.`;
+    return appointmentReply(context, sessionId, response, ['Tomorrow', 'Next Week', 'This Week', 'Cancel']);
   }
   
-  // Start appointment flow - ask for type
-  if (!context.askedAppointmentType) {
-    context.askedAppointmentType = true;
-    
-    let response = chatbotResponses.appointment[Math.floor(Math.random() * chatbotResponses.appointment.length)];
-    response += `\n\nWhat type of appointment are you looking for?`;
-    
-    const botMessage = { role: 'bot', message: response, timestamp: new Date() };
-    context.conversationHistory.push(botMessage);
-    database.saveMessage(sessionId, 'bot', response, 'appointment', null, null, null);
-    database.updateSession(sessionId, context.userInfo, {
-      currentTopic: 'appointment',
-      askedAppointmentType: context.askedAppointmentType
-    });
-    sessions.set(sessionId, context);
-    
-    return {
-      response: response,
-      quickActions: ['General Checkup', 'Specialist Visit', 'Follow-up', 'Emergency']
-    };
+  // Start appointment flow. A type or date in the opening message ("a skin check on Oct 21 at 3pm") is used
+  // rather than asked for again.
+  context.askedAppointmentType = true;
+  const window = scheduler.parseDateExpression(message);
+  if (window) {
+    context.appointmentDate = message;
   }
   
-  return null; // Continue with default flow
+  if (scheduler.inferSpecialty(message)) {
+    setAppointmentType(context, message, { asGiven: false });
+    const intro = `Sure, I can book a ${context.appointmentType} appointment for you. `;
+    if (window) {
+      return offerAppointmentSlots(context, sessionId, window, intro);
+    }
+    context.askedAppointmentDate = true;
+    const response = intro + `What date would work best for you? You can say things like "tomorrow", "next week", or a specific date.`;
+    return appointmentReply(context, sessionId, response, ['Tomorrow', 'Next Week', 'This Week', 'Cancel']);
+  }
+  
+  let response = chatbotResponses.appointment[Math.floor(Math.random() * chatbotResponses.appointment.length)];
+  response += window
+    ? `\n\nWhat type of appointment are you looking for? I'll then look for openings at the time you asked for.`
+    : `\n\nWhat type of appointment are you looking for?`;
+  return appointmentReply(context, sessionId, response, ['General Checkup', 'Specialist Visit', 'Follow-up', 'Emergency']);
+}
+
+// Earlier user messages and the profile, for red-flag rules that span turns or depend on age/conditions
+function triageContext(context) {
+  return {
+    history: context.conversationHistory
+      .filter(entry => entry.role === 'user')
+      .map(entry => ({ message: entry.message, timestamp: entry.timestamp })),
+    profile: context.userInfo || {}
+  };
+}
+
+// Rule-based triage for the message, which AI answers to it are checked against
+function guardrailTriage(message, context, entities) {
+  const symptomInfo = extractSymptomInfo(message);
+  symptomInfo.reportedSymptoms = aiReportedSymptoms(entities);
+  return performTriage(message, symptomInfo, triageContext(context));
+}
+
+// Checks an AI answer against the rule-based triage for the message and logs each intervention
+function guardAIResponse(text, message, context, entities, sessionId, intent, triage) {
+  const result = outputGuardrail.checkResponse(text, {
+    message,
+    triage,
+    emergencyNumber: crisisProtocol.getResources(context.userInfo.region).emergencyNumber,
+    // Symptom answers get the urgency banner and recommended action added below
+    guidanceShown: intent === 'symptom'
+  });
+  
+  result.findings.forEach(finding => {
+    database.logEvent('ai_guardrail', { ...finding, intent, triageLevel: triage.triageLevel }, sessionId);
+  });
+  if (result.action !== 'pass') {
+    console.log(`🛡️ AI guardrail ${result.action}: ${result.findings.map(finding => finding.rule).join(', ')}`);
+  }
+  return { ...result, triage };
 }
 
-// Generate advanced symptom assessment with triage
-function generateSymptomAssessment(message, context) {
+// Generate advanced symptom assessment with triage and start the symptom interview
+function generateSymptomAssessment(message, context, entities = extractEntities(message)) {
   const symptomInfo = extractSymptomInfo(message);
-  const { symptoms, duration, severity } = symptomInfo;
   
-  // Extract entities for better understanding
-  const entities = extractEntities(message);
+  // Symptoms only the AI extraction recognized ("my head is pounding") are triaged and interviewed too
+  symptomInfo.reportedSymptoms = aiReportedSymptoms(entities);
+  const symptoms = [...new Set([
+    ...symptomInterview.detectSymptoms(message),
+    ...aiReportedSymptoms(entities, { selfOnly: true }).filter(symptom => medicalKnowledge.commonSymptoms[symptom])
+  ])];
+  
   const sentiment = analyzeSentiment(message);
   
   // Perform triage
-  const triage = performTriage(message, symptomInfo);
+  const triage = performTriage(message, symptomInfo, triageContext(context));
+  if (triage.triageLevel === 'emergency') {
+    analytics.emergencyCount++;
+  }
   
   // Track analytics
-  if (symptoms.length > 0) {
-    symptoms.forEach(symptom => {
-      analytics.symptomFrequency[symptom] = (analytics.symptomFrequency[symptom] || 0) + 1;
-    });
+  symptoms.forEach(symptom => {
+    analytics.symptomFrequency[symptom] = (analytics.symptomFrequency[symptom] || 0) + 1;
+  });
+  
+  // Readings, red flags or warning signs the AI extraction recognized, without a named symptom
+  // ("BP 180/110", "my neck is stiff", "my chest feels crushed") are assessed on their own
+  if (symptoms.length === 0 &&
+      (triage.vitalFindings.length > 0 || triage.redFlags.length > 0 || symptomInfo.reportedSymptoms.length > 0)) {
+    let response = triage.vitalFindings.length > 0
+      ? `Thanks for sharing your readings.\n\n**Readings outside the normal range:**\n${describeVitalFindings(triage.vitalFindings).join('\n')}`
+      : 'Thank you for telling me.';
+    if (symptomInfo.reportedSymptoms.length > 0) {
+      response += `\n\nIt sounds like you may be describing ${symptomInfo.reportedSymptoms.join(' and ')}.`;
+    }
+    if (triage.redFlags.length > 0) {
+      response += `\n\n**Warning signs:**\n${describeRedFlags(triage.redFlags).join('\n')}`;
+    }
+    if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
+      response = `🚨 **URGENCY: ${triage.urgency}**\n\n${response}`;
+    }
+    response += `\n\n**Triage Level:** ${triage.triageLevel} (priority ${triage.priority})`;
+    response += `\n**Recommended Action:** ${triage.action}`;
+    response += "\n\n⚠️ For proper diagnosis and treatment, please consult with a healthcare professional.";
+    
+    const quickActions = ['Schedule Appointment', 'Find Doctor', 'More Info'];
+    if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
+      quickActions.unshift('Call 911');
+    }
+    return { response, context, quickActions, triage, entities, sentiment };
   }
   
   if (symptoms.length > 0) {
-    const symptom = symptoms[0];
-    const knowledge = medicalKnowledge.commonSymptoms[symptom];
+    const knowledge = symptoms.filter(symptom => medicalKnowledge.commonSymptoms[symptom]);
     
-    let response = `I understand you're experiencing ${symptom}. `;
+    let response = `I understand you're experiencing ${symptoms.join(' and ')}. `;
     
     // Add triage information
     if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
       response += `\n\n🚨 **URGENCY: ${triage.urgency}**\n${triage.action}\n\n`;
     }
-    
-    if (knowledge) {
-      response += knowledge.description + " ";
+    if (triage.vitalFindings.length > 0) {
+      response += `**Readings outside the normal range:**\n${describeVitalFindings(triage.vitalFindings).join('\n')}\n\n`;
+    }
+    if (triage.redFlags.length > 0) {
+      response += `**Warning signs:**\n${describeRedFlags(triage.redFlags).join('\n')}\n\n`;
     }
     
+    knowledge.forEach(symptom => {
+      response += medicalKnowledge.commonSymptoms[symptom].description + " ";
+    });
+    
     // Add sentiment-aware response
     if (sentiment === 'negative') {
       response += "I understand this is concerning for you. ";
     }
     
-    // Add context-aware follow-up questions
-    const followUps = [];
+    // Interview the user about each symptom, one question per turn
+    context.symptomInterview = symptomInterview.startInterview(symptoms, message);
+    const followUp = symptomInterview.nextQuestion(context.symptomInterview);
+    if (followUp) {
+      response += `I'll ask a few quick questions so I can put together a summary for you. ${followUp}`;
+    }
+    
+    knowledge.forEach(symptom => {
+      const recommendations = medicalKnowledge.commonSymptoms[symptom].recommendations;
+      const heading = knowledge.length > 1 ? `General recommendations for ${symptom}` : 'General recommendations';
+      response += `\n\n**${heading}:**\n` + recommendations.map((r, i) => `${i + 1}. ${r}`).join("\n");
+    });
     
-    if (!duration && !context.askedDuration) {
-      followUps.push("How long have you been experiencing this?");
-      context.askedDuration = true;
-    } else if (duration) {
-      response += `You mentioned it's been ${duration}. `;
+    // Add triage recommendation
+    response += `\n\n**Recommended Action:** ${triage.action}`;
+    response += "\n\n⚠️ For proper diagnosis and treatment, please consult with a healthcare professional.";
+    
+    const quickActions = followUp ? ['Skip', "That's All", 'Schedule Appointment'] : ['Schedule Appointment', 'Find Doctor', 'More Info'];
+    if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
+      quickActions.unshift('Call 911');
     }
     
-    if (!severity && !context.askedSeverity) {
-      followUps.push("On a scale of 1-10, how would you rate the severity?");
-      context.askedSeverity = true;
-    } else if (severity) {
-      response += `You mentioned it's ${severity}. `;
+    return { 
+      response, 
+      context, 
+      quickActions,
+      followUp,
+      triage: triage,
+      entities: entities,
+      sentiment: sentiment
+    };
+  }
+  
+  return null;
+}
+
+// Quick actions offered with each interview question
+function interviewQuickActions(slot) {
+  if (slot === 'severity') return ['Mild', 'Moderate', 'Severe', 'Skip'];
+  if (slot === 'associated') return ['None', "That's All"];
+  return ['Skip', "That's All"];
+}
+
+// Record a bot turn of the symptom interview and persist the interview state
+function symptomReply(context, sessionId, response, quickActions, triageLevel = null) {
+  context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
+  database.saveMessage(sessionId, 'bot', response, 'symptom', null, null, triageLevel);
+  context.currentTopic = 'symptom';
+  database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
+  sessions.set(sessionId, context);
+  return { response, quickActions };
+}
+
+// Continue an active symptom interview: record the answer, then ask the next question or summarize
+function handleSymptomInterview(message, context, sessionId, intent, confidence) {
+  const interview = context.symptomInterview;
+  if (!interview || interview.status !== 'active') {
+    return null;
+  }
+  
+  let finish = symptomInterview.isFinishRequest(message);
+  let acknowledgement = '';
+  
+  if (!finish) {
+    // A clear change of topic ends the interview
+    const onTopic = ['symptom', 'general', 'triage'].includes(intent);
+    if (!onTopic && confidence >= 0.7 && !symptomInterview.answersPending(interview, message)) {
+      interview.status = 'abandoned';
+      interview.pending = null;
+      database.logEvent('symptom_interview_abandoned', { symptoms: interview.symptoms.map(s => s.name), intent }, sessionId);
+      return null;
     }
     
-    if (!context.askedOtherSymptoms) {
-      followUps.push("Are you experiencing any other symptoms?");
-      context.askedOtherSymptoms = true;
+    const pending = interview.pending;
+    const result = symptomInterview.recordAnswer(interview, message);
+    if (result.added.length > 0) {
+      acknowledgement = `I've added ${result.added.join(' and ')} to the list. `;
+      context.userInfo.symptoms = [...new Set([...context.userInfo.symptoms || [], ...result.added])];
     }
     
-    if (followUps.length > 0) {
-      response += followUps.join(" ");
+    // An emergency red flag ends the questions early so the warning is not delayed
+    const redFlagged = evaluateRedFlags(message, triageContext(context))
+      .some(flag => flag.level === 'emergency');
+    if (result.unanswered && !redFlagged) {
+      const hint = pending.slot === 'severity'
+        ? 'Please rate it from 1 (very mild) to 10 (the worst you can imagine).'
+        : symptomInterview.nextQuestion(interview);
+      return symptomReply(context, sessionId, `${acknowledgement}${hint}`, interviewQuickActions(pending.slot));
+    }
+    acknowledgement = acknowledgement || 'Got it. ';
+    finish = redFlagged;
+  }
+  
+  const question = finish ? null : symptomInterview.nextQuestion(interview);
+  if (question) {
+    return symptomReply(context, sessionId, `${acknowledgement}${question}`, interviewQuickActions(interview.pending.slot));
+  }
+  
+  // All slots answered (or the user asked to finish): summarize and triage
+  const summary = symptomInterview.completeInterview(interview, triageContext(context));
+  const triage = summary.triage;
+  if (triage.triageLevel === 'emergency') {
+    analytics.emergencyCount++;
+  }
+  context.userInfo.symptoms = [...new Set([...context.userInfo.symptoms || [], ...summary.symptomInfo.symptoms])];
+  database.logEvent('symptom_interview_completed', {
+    symptoms: summary.symptomInfo.symptoms,
+    triageLevel: triage.triageLevel
+  }, sessionId);
+  
+  let response = `Thank you. Here's a summary of what you've told me:\n\n${summary.text}`;
+  if (triage.vitalFindings.length > 0) {
+    response += `\n\n**Readings outside the normal range:**\n${describeVitalFindings(triage.vitalFindings).join('\n')}`;
+  }
+  if (triage.redFlags.length > 0) {
+    response += `\n\n**Warning signs:**\n${describeRedFlags(triage.redFlags).join('\n')}`;
+  }
+  if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
+    response += `\n\n🚨 **URGENCY: ${triage.urgency}**`;
+  }
+  response += `\n\n**Triage Level:** ${triage.triageLevel} (priority ${triage.priority})`;
+  response += `\n**Recommended Action:** ${triage.action}`;
+  response += "\n\n⚠️ For proper diagnosis and treatment, please consult with a healthcare professional.";
+  
+  const quickActions = ['Schedule Appointment', 'Find Doctor', 'More Info'];
+  if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
+    quickActions.unshift('Call 911');
+  }
+  
+  return {
+    ...symptomReply(context, sessionId, response, quickActions, triage.triageLevel),
+    triage,
+    symptomSummary: summary
+  };
+}
+
+// Rate limiting middleware
+function checkRateLimit(sessionId) {
+  const now = Date.now();
+  const userLimits = rateLimits.get(sessionId) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
+  
+  if (now > userLimits.resetTime) {
+    userLimits.count = 0;
+    userLimits.resetTime = now + RATE_LIMIT_WINDOW;
+  }
+  
+  if (userLimits.count >= RATE_LIMIT_MAX_REQUESTS) {
+    return { allowed: false, resetIn: userLimits.resetTime - now };
+  }
+  
+  userLimits.count++;
+  rateLimits.set(sessionId, userLimits);
+  return { allowed: true };
+}
+
+// Update analytics
+function updateAnalytics(intent, sessionId) {
+  analytics.totalMessages++;
+  analytics.intentDistribution[intent] = (analytics.intentDistribution[intent] || 0) + 1;
+  
+  const session = sessions.get(sessionId);
+  if (session) {
+    const hour = new Date().getHours();
+    analytics.peakHours[hour] = (analytics.peakHours[hour] || 0) + 1;
+  }
+}
+
+// Alert crisis-trained staff only (never broadcast to every client)
+function alertCrisisStaff(sessionId, crisis, reason, message) {
+  crisis.alertedAt = new Date().toISOString();
+  io.to(crisisProtocol.STAFF_ROOM).emit('crisis_alert', crisisProtocol.buildAlert(sessionId, crisis, reason, message));
+  database.logEvent('crisis_alert', { reason, region: crisis.region, safety: crisis.safety }, sessionId);
+}
+
+// Run one turn of the crisis protocol and persist the crisis flag on the session
+function handleCrisis(message, context, sessionId, intent) {
+  const isNew = !context.crisis || !context.crisis.active;
+  if (isNew) {
+    context.crisis = crisisProtocol.startCrisis(context.userInfo.region);
+    analytics.crisisCount++;
+    database.logEvent('crisis_detected', { region: context.crisis.region }, sessionId);
+    alertCrisisStaff(sessionId, context.crisis, 'crisis_detected', message);
+  } else if (intent === 'crisis') {
+    context.crisis.disclosures++;
+    alertCrisisStaff(sessionId, context.crisis, 'repeat_disclosure', message);
+  }
+
+  const reply = crisisProtocol.respond(context.crisis, message, { isNew });
+  if (reply.escalate) {
+    database.logEvent('crisis_unsafe', { region: context.crisis.region }, sessionId);
+    alertCrisisStaff(sessionId, context.crisis, 'user_not_safe', message);
+  }
+
+  context.conversationHistory.push({ role: 'bot', message: reply.response, timestamp: new Date() });
+  database.saveMessage(sessionId, 'bot', reply.response, 'crisis', null, null, null);
+  database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
+  sessions.set(sessionId, context);
+
+  return {
+    response: reply.response,
+    quickActions: crisisProtocol.quickActions(context.crisis),
+    crisis: crisisProtocol.publicState(context.crisis)
+  };
+}
+
+// Save a clarification turn and persist the pending clarification
+function clarificationReply(context, sessionId, response, quickActions) {
+  context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
+  database.saveMessage(sessionId, 'bot', response, 'clarification', null, null, null);
+  database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
+  sessions.set(sessionId, context);
+  return { response, quickActions };
+}
+
+// Ask the user to pick between intents the classifier couldn't separate
+function askClarification(userMessage, candidates, classification, context, sessionId) {
+  const labels = candidates.map(clarificationLabel);
+  const response = candidates.length === 1
+    ? `Just to make sure I help with the right thing: is this about **${labels[0]}**?`
+    : `I want to make sure I help with the right thing. Did you mean:\n\n${labels.map((label, i) => `${i + 1}. **${label}**`).join('\n')}`;
+
+  context.pendingClarification = { message: userMessage, candidates, askedAt: new Date().toISOString() };
+  database.logEvent('clarification_requested', { candidates, confidence: classification.confidence }, sessionId);
+
+  return {
+    ...clarificationReply(context, sessionId, response, [...labels, 'Something Else']),
+    clarification: { candidates }
+  };
+}
+
+// Keep the profile's medications in step with the medication list and return the list
+function syncMedicationList(context, sessionId) {
+  const list = medicationList.listMedications(sessionId);
+  context.userInfo.medications = medicationList.listIngredients(list);
+  return list;
+}
+
+// Carry out a medication-list command or statement from the message.
+// Returns null when there is none, otherwise what changed.
+function applyMedicationCommand(message, entities, context, sessionId) {
+  const pendingAction = context.pendingMedicationAction;
+  context.pendingMedicationAction = null;
+  const command = medicationList.parseCommand(message, entities.medicationMentions, pendingAction);
+  if (!command) return null;
+
+  const update = { command, added: [], updated: [], unchanged: [], removed: [], notFound: [], needsName: false };
+  const via = command.explicit ? 'chat' : 'chat_statement';
+
+  if (command.action === 'add') {
+    if (command.mentions.length === 0) {
+      update.needsName = true;
+      context.pendingMedicationAction = 'add';
+      return update;
+    }
+    // Dose, frequency and start date only apply when a single medication is named
+    const details = command.mentions.length === 1 ? command.details : {};
+    command.mentions.forEach(mention => {
+      const result = medicationList.addMedication(sessionId, { name: mention.name, ...details });
+      if (!result) return;
+      if (!result.changed) {
+        update.unchanged.push(result.medication);
+        return;
+      }
+      (result.created ? update.added : update.updated).push(result.medication);
+      database.logEvent(result.created ? 'medication_added' : 'medication_updated', { name: result.medication.name, via }, sessionId);
+    });
+  }
+
+  if (command.action === 'remove') {
+    const list = medicationList.listMedications(sessionId);
+    if (command.mentions.length === 0 && !command.index) {
+      update.needsName = list.length > 0;
+      if (update.needsName) context.pendingMedicationAction = 'remove';
+      return update;
+    }
+    const targets = command.index
+      ? [list[command.index - 1]].filter(Boolean)
+      : command.mentions.flatMap(mention => {
+        const found = medicationList.findOnList(mention.name, list);
+        if (found.length === 0) update.notFound.push(mention.name);
+        return found;
+      });
+    if (command.index && targets.length === 0) update.notFound.push(`#${command.index}`);
+    targets.forEach(medication => {
+      const removed = medicationList.removeMedication(medication.id);
+      if (!removed) return;
+      update.removed.push(removed);
+      database.logEvent('medication_removed', { name: removed.name, via }, sessionId);
+    });
+  }
+
+  return update;
+}
+
+// Interactions and condition/allergy contraindications for everything on the medication list
+function checkMedicationList(list, userInfo = {}) {
+  const names = list.map(med => med.name);
+  const interactionCheck = checkMedicationInteractions(names);
+  const contraindicationCheck = checkContraindications(names, {
+    conditions: userInfo.conditions || [],
+    allergies: userInfo.allergies || []
+  });
+  return {
+    interactions: interactionCheck.interactions,
+    contraindications: contraindicationCheck.contraindications,
+    warnings: [...contraindicationCheck.warnings, ...interactionCheck.warnings]
+  };
+}
+
+function joinNames(medications) {
+  const names = medications.map(med => `**${med.name || med}**`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+// Reply to a medication-list command: what changed, the current list and its warnings
+function medicationListReply(update, context, sessionId) {
+  const list = syncMedicationList(context, sessionId);
+  const { command } = update;
+  const lines = [];
+  let quickActions = ['Add Medication', 'Remove Medication', 'Check Interactions'];
+
+  if (update.needsName && command.action === 'add') {
+    lines.push('Which medication would you like to add? You can include the dose, how often you take it and when you started - for example, "lisinopril 10 mg once daily since March".');
+    quickActions = ['My Medications'];
+  } else if (update.needsName) {
+    lines.push(`Which medication would you like to remove? You can say its name or number.\n\n${medicationList.formatMedicationList(list)}`);
+    quickActions = [...list.slice(0, 4).map(med => med.name), 'My Medications'];
+  } else {
+    if (update.added.length > 0) lines.push(`I've added ${joinNames(update.added)} to your medication list.`);
+    if (update.updated.length > 0) lines.push(`I've updated ${joinNames(update.updated)} on your medication list.`);
+    if (update.unchanged.length > 0) lines.push(`${joinNames(update.unchanged)} ${update.unchanged.length > 1 ? 'are' : 'is'} already on your medication list.`);
+    if (update.removed.length > 0) lines.push(`I've removed ${joinNames(update.removed)} from your medication list.`);
+    if (update.notFound.length > 0) lines.push(`${joinNames(update.notFound)} ${update.notFound.length > 1 ? "aren't" : "isn't"} on your medication list.`);
+
+    if (list.length === 0) {
+      lines.push('Your medication list is empty. You can add a medication by saying, for example, "add metformin 500 mg twice a day".');
+      quickActions = ['Add Medication'];
+    } else {
+      lines.push(`**Your medications:**\n${medicationList.formatMedicationList(list)}`);
+      const { warnings } = checkMedicationList(list, context.userInfo);
+      if (warnings.length > 0) {
+        lines.push(warnings.join('\n\n'));
+        lines.push('⚠️ Always consult your pharmacist or doctor about medication interactions.');
+      }
     }
-    
-    if (knowledge && knowledge.recommendations) {
-      response += "\n\n**General recommendations:**\n" + knowledge.recommendations.map((r, i) => `${i + 1}. ${r}`).join("\n");
+  }
+
+  const response = lines.join('\n\n');
+  context.currentTopic = 'medication';
+  context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
+  database.saveMessage(sessionId, 'bot', response, 'medication', null, null, null);
+  database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
+  saveUserProfile(sessionId, context.userInfo);
+  sessions.set(sessionId, context);
+
+  return { response, quickActions, medications: list };
+}
+
+// Reply to a reminder command: set, list or cancel daily medication reminders
+function reminderReply(command, context, sessionId) {
+  const lines = [];
+  let quickActions = ['My Reminders', 'My Medications'];
+
+  if (command.action === 'create') {
+    // Without a time, use the frequency recorded on the medication list ("twice daily" -> 8 AM and 8 PM)
+    let times = command.times;
+    if (times.length === 0 && command.medications.length === 1) {
+      const listed = medicationList.findOnList(command.medications[0], medicationList.listMedications(sessionId))[0];
+      times = (listed && reminders.timesForFrequency(listed.frequency)) || [];
     }
-    
-    // Add triage recommendation
-    response += `\n\n**Recommended Action:** ${triage.action}`;
-    response += "\n\n⚠️ For proper diagnosis and treatment, please consult with a healthcare professional.";
-    
-    const quickActions = ['Schedule Appointment', 'Find Doctor', 'More Info'];
-    if (triage.urgency === 'CRITICAL' || triage.urgency === 'HIGH') {
-      quickActions.unshift('Call 911');
+
+    if (times.length === 0) {
+      context.pendingReminder = { medications: command.medications, email: command.email };
+      lines.push(`What time should I remind you to take ${joinNames(command.medications)}? For example, "8am and 8pm" or "every morning".`);
+      quickActions = ['Every Morning', 'Morning and Evening', 'At Bedtime'];
+    } else {
+      const { created, replaced } = reminders.createReminders(sessionId, { ...command, times, timeZone: context.userInfo.timeZone || null });
+      created.forEach(reminder => {
+        database.logEvent('reminder_created', { reminderId: reminder.id, medication: reminder.medication, times: reminder.times, email: Boolean(reminder.email), via: 'chat' }, sessionId);
+      });
+      if (created.length === 0) {
+        lines.push("Sorry, I couldn't save that reminder. Please try again.");
+      } else {
+        const plural = created.length > 1 ? 's' : '';
+        lines.push(`⏰ ${replaced.length > 0 ? `I've updated your reminder${plural}` : `I've set a daily reminder${plural}`}:\n${created.map(reminders.formatReminder).join('\n')}`);
+        lines.push(command.email && !mailer.isEnabled()
+          ? "Email delivery isn't set up on this server, so your reminders will appear here in the chat."
+          : 'Reminders appear here in the chat while this page is open.');
+      }
     }
-    
-    return { 
-      response, 
-      context, 
-      quickActions,
-      triage: triage,
-      entities: entities,
-      sentiment: sentiment
-    };
   }
-  
-  return null;
-}
 
-// Rate limiting middleware
-function checkRateLimit(sessionId) {
-  const now = Date.now();
-  const userLimits = rateLimits.get(sessionId) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
-  
-  if (now > userLimits.resetTime) {
-    userLimits.count = 0;
-    userLimits.resetTime = now + RATE_LIMIT_WINDOW;
+  if (command.action === 'list') {
+    const list = reminders.listReminders(sessionId);
+    lines.push(list.length === 0
+      ? 'You don\'t have any medication reminders. You can set one by saying, for example, "remind me to take metformin at 8am and 8pm".'
+      : `**Your reminders:**\n${list.map((reminder, i) => `${i + 1}. ${reminders.formatReminder(reminder)}`).join('\n')}`);
   }
-  
-  if (userLimits.count >= RATE_LIMIT_MAX_REQUESTS) {
-    return { allowed: false, resetIn: userLimits.resetTime - now };
+
+  if (command.action === 'cancel') {
+    const { cancelled, notFound, ambiguous } = reminders.cancelReminders(sessionId, command);
+    cancelled.forEach(reminder => {
+      database.logEvent('reminder_cancelled', { reminderId: reminder.id, medication: reminder.medication, via: 'chat' }, sessionId);
+    });
+    if (ambiguous.length > 0) {
+      lines.push(`Which reminder would you like to cancel?\n${ambiguous.map((reminder, i) => `${i + 1}. ${reminders.formatReminder(reminder)}`).join('\n')}`);
+      quickActions = [...ambiguous.slice(0, 3).map(reminder => `Cancel ${reminder.medication} reminder`), 'Cancel all reminders'];
+    } else {
+      if (cancelled.length > 0) lines.push(`I've cancelled your reminder${cancelled.length > 1 ? 's' : ''} for ${joinNames(cancelled.map(reminder => reminder.medication))}.`);
+      if (notFound.length > 0) lines.push(`You don't have a reminder for ${joinNames(notFound)}.`);
+      if (cancelled.length === 0 && notFound.length === 0) lines.push("You don't have any medication reminders to cancel.");
+    }
   }
-  
-  userLimits.count++;
-  rateLimits.set(sessionId, userLimits);
-  return { allowed: true };
+
+  const response = lines.join('\n\n');
+  context.currentTopic = 'medication';
+  context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
+  database.saveMessage(sessionId, 'bot', response, 'medication', null, null, null);
+  database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
+  sessions.set(sessionId, context);
+
+  return { response, quickActions, reminders: reminders.listReminders(sessionId) };
 }
 
-// Update analytics
-function updateAnalytics(intent, sessionId) {
-  analytics.totalMessages++;
-  analytics.intentDistribution[intent] = (analytics.intentDistribution[intent] || 0) + 1;
-  
-  const session = sessions.get(sessionId);
-  if (session) {
-    const hour = new Date().getHours();
-    analytics.peakHours[hour] = (analytics.peakHours[hour] || 0) + 1;
+// Rule-based entities with `sources`, plus the AI-extracted ones that pass validation (see entity-merge.js)
+async function extractAllEntities(message, sessionId, { useAI = true } = {}) {
+  const entities = extractEntities(message);
+  const aiEntities = useAI && AI_ENTITY_EXTRACTION ? await aiService.extractEntitiesAI(message, sessionId) : null;
+  const result = mergeEntities(entities, aiEntities, message);
+  if (result.added.length > 0 || result.rejected.length > 0) {
+    database.logEvent('ai_entities', { added: result.added, rejected: result.rejected }, sessionId);
   }
+  return result.entities;
 }
 
-// Generate intelligent response with context (enhanced with AI)
-async function generateResponse(userMessage, sessionId) {
-  const message = userMessage.toLowerCase().trim();
+// Generate intelligent response with context (enhanced with AI).
+// options.onToken receives AI tokens as they are generated (see createTokenStream).
+async function generateResponse(userMessage, sessionId, options = {}) {
+  let message = userMessage.toLowerCase().trim();
   let context = sessions.get(sessionId);
   
   // Load from database if not in memory
   if (!context) {
     const dbSession = database.getSession(sessionId);
     if (dbSession) {
-      const messages = database.getMessages(sessionId);
+      const messages = database.getMessages(sessionId)
+        .filter(msg => !conversationMemory.isSummarized(dbSession.metadata.memory, msg));
       context = {
         conversationHistory: messages.map(msg => ({
+          id: msg.id,
           role: msg.role,
           message: msg.message,
           timestamp: new Date(msg.created_at),
           intent: msg.intent,
           entities: msg.entities,
-          sentiment: msg.sentiment
+          sentiment: msg.sentiment,
+          ...(msg.citations ? { citations: msg.citations } : {})
         })),
-        currentTopic: dbSession.metadata.currentTopic || null,
-        askedDuration: dbSession.metadata.askedDuration || false,
-        askedSeverity: dbSession.metadata.askedSeverity || false,
-        askedOtherSymptoms: dbSession.metadata.askedOtherSymptoms || false,
+        ...sessionMetadata(dbSession.metadata),
         userInfo: dbSession.userInfo || {},
         medications: dbSession.userInfo.medications || [],
         symptoms: dbSession.userInfo.symptoms || [],
         createdAt: new Date(dbSession.created_at)
       };
+      syncMedicationList(context, sessionId);
       sessions.set(sessionId, context);
     } else {
       context = {
         conversationHistory: [],
-        currentTopic: null,
-        askedDuration: false,
-        askedSeverity: false,
-        askedOtherSymptoms: false,
-        askedAppointmentType: false,
-        askedAppointmentDate: false,
-        askedAppointmentReason: false,
-        appointmentType: null,
-        appointmentDate: null,
-        appointmentReason: null,
+        ...sessionMetadata({}),
         sessionId: sessionId,
         userInfo: {},
         medications: [],
@@ -752,25 +1264,73 @@ async function generateResponse(userMessage, sessionId) {
     context.sessionId = sessionId;
   }
   
+  // Classify intent first so crisis messages are never sent to the AI for entity extraction, and emergencies
+  // get the "call 911" reply without waiting on it. Messages flagged by input screening (options.allowAI
+  // false) are answered by the rules only.
+  const classification = classifyIntent(userMessage);
+  let intent = classification.intent;
+  const useAI = options.allowAI !== false && !['crisis', 'emergency'].includes(intent) && !(context.crisis && context.crisis.active);
+  
   // Extract entities
-  const entities = extractEntities(userMessage);
+  let entities = await extractAllEntities(userMessage, sessionId, { useAI });
   const sentiment = analyzeSentiment(userMessage);
   
+  // Reminder commands come before the medication list so "delete my metformin reminder" leaves metformin on it
+  const pendingReminder = context.pendingReminder;
+  context.pendingReminder = null;
+  const reminderCommand = reminders.parseCommand(userMessage, entities.medicationMentions, pendingReminder);
+  
+  // Medication list commands and statements ("add metformin 500 mg twice a day", "I stopped taking aspirin")
+  const medicationUpdate = reminderCommand ? null : applyMedicationCommand(userMessage, entities, context, sessionId);
+  const medications = syncMedicationList(context, sessionId);
+  
   // Update user profile with extracted information
-  if (entities.medications.length > 0) {
-    context.userInfo.medications = [...new Set([...context.userInfo.medications || [], ...entities.medications])];
+  // Only the user's own current symptoms go on the profile ("my dad has a fever" does not)
+  const ownSymptoms = entities.symptomMentions
+    .filter(mention => mention.experiencer === 'self' && entities.symptoms.includes(mention.term))
+    .map(mention => mention.term);
+  if (ownSymptoms.length > 0) {
+    context.userInfo.symptoms = [...new Set([...context.userInfo.symptoms || [], ...ownSymptoms])];
+  }
+  if (entities.age !== null) {
+    context.userInfo.age = entities.age;
+  }
+  const newConditions = entities.conditions.filter(condition => !(context.userInfo.conditions || []).includes(condition));
+  if (newConditions.length > 0) {
+    context.userInfo.conditions = [...context.userInfo.conditions || [], ...newConditions];
+  }
+  const newAllergies = entities.allergies.filter(allergy => !(context.userInfo.allergies || []).includes(allergy));
+  if (newAllergies.length > 0) {
+    context.userInfo.allergies = [...context.userInfo.allergies || [], ...newAllergies];
   }
-  if (entities.symptoms.length > 0) {
-    context.userInfo.symptoms = [...new Set([...context.userInfo.symptoms || [], ...entities.symptoms])];
+  if (medicationUpdate || ownSymptoms.length > 0 || entities.age !== null ||
+      newConditions.length > 0 || newAllergies.length > 0) {
+    saveUserProfile(sessionId, context.userInfo);
   }
   
-  // Check medication interactions if multiple medications mentioned
+  // Check interactions across the medication list and any medications named in this message
+  const medicationsToCheck = medicationList.namesToCheck(medications, entities.medicationMentions);
   let interactionWarnings = [];
-  if (context.userInfo.medications && context.userInfo.medications.length > 1) {
-    const interactionCheck = checkMedicationInteractions(context.userInfo.medications);
+  if (medicationsToCheck.length > 1) {
+    const interactionCheck = checkMedicationInteractions(medicationsToCheck);
     interactionWarnings = interactionCheck.warnings;
   }
   
+  // Medications to avoid with the user's conditions or allergies: the ones named in this message,
+  // or the whole medication list when a new condition or allergy has just been mentioned
+  const contraindicationCheck = checkContraindications(
+    newConditions.length > 0 || newAllergies.length > 0
+      ? medications.map(med => med.name)
+      : entities.medicationMentions.map(mention => mention.name),
+    { conditions: context.userInfo.conditions || [], allergies: context.userInfo.allergies || [] }
+  );
+  const contraindicationWarnings = contraindicationCheck.warnings;
+  if (contraindicationCheck.contraindications.length > 0) {
+    database.logEvent('contraindication_warning', {
+      contraindications: contraindicationCheck.contraindications.map(({ drug, type, against, severity }) => ({ drug, type, against, severity }))
+    }, sessionId);
+  }
+  
   // Update conversation history
   const userMessageObj = { 
     role: 'user', 
@@ -781,22 +1341,101 @@ async function generateResponse(userMessage, sessionId) {
   };
   context.conversationHistory.push(userMessageObj);
   
-  // Save to database
-  const intent = detectIntent(userMessage, context);
-  const saved = database.saveMessage(sessionId, 'user', userMessage, intent, entities, sentiment, null);
-  if (!saved) {
+  // Save the classified intent (ranked, with confidences) to the database
+  context.lastClassification = classification;
+  const saved = database.saveMessage(sessionId, 'user', userMessage, intent, entities, sentiment, null, {
+    confidence: classification.confidence,
+    secondary: classification.secondary,
+    intents: classification.intents
+  });
+  if (saved) {
+    userMessageObj.id = saved;
+  } else {
     console.error('⚠️ Failed to save user message to database');
   }
-  database.logEvent('user_message', { intent, sentiment }, sessionId);
+  database.logEvent('user_message', {
+    intent,
+    confidence: classification.confidence,
+    secondary: classification.secondary,
+    sentiment
+  }, sessionId);
+  
+  // Resolve a pending "Did you mean...?" by routing the original question to the chosen intent
+  const pendingClarification = context.pendingClarification;
+  context.pendingClarification = null;
+  if (pendingClarification) {
+    const chosen = resolveClarification(userMessage, pendingClarification.candidates);
+    database.logEvent('clarification_resolved', { chosen, candidates: pendingClarification.candidates }, sessionId);
+    if (chosen) {
+      intent = chosen;
+      context.lastClassification = { ...classification, intent: chosen, clarified: true };
+      userMessage = pendingClarification.message;
+      message = userMessage.toLowerCase().trim();
+      entities = await extractAllEntities(userMessage, sessionId, { useAI: useAI && !['crisis', 'emergency'].includes(chosen) });
+    } else if (message.replace(/[.!?]+$/, '') === 'something else') {
+      return clarificationReply(context, sessionId,
+        "No problem. Could you tell me a bit more about what you need? For example, describe a symptom, name a medication, or ask about an appointment.",
+        ['Symptoms', 'Medications', 'Appointments']);
+    }
+  }
+  
+  // A symptom only the AI extraction recognized ("my head is pounding") still gets a symptom assessment
+  if (intent === 'general' && aiReportedSymptoms(entities).length > 0) {
+    intent = 'symptom';
+    context.lastClassification = { ...context.lastClassification, intent };
+  }
   
   context.currentTopic = intent;
+  userMessageObj.intent = intent; // Topics for exports and the conversation memory
   
   // Update analytics
   updateAnalytics(intent, sessionId);
   
+  // Mental-health crisis: scripted and rule-based only, takes precedence over every other flow
+  if (intent === 'crisis' || crisisProtocol.continuesCrisis(context.crisis, intent, classification.confidence)) {
+    return handleCrisis(userMessage, context, sessionId, intent);
+  }
+  
+  if (reminderCommand && intent !== 'emergency') {
+    return reminderReply(reminderCommand, context, sessionId);
+  }
+  
+  // Medication list commands get their own reply; statements ("I'm taking aspirin") only when the message is
+  // about medications alone, so "I'm on warfarin and I have a bad headache" still gets a symptom assessment
+  const medicationStatementOnly = intent === 'medication' && entities.symptoms.length === 0;
+  if (medicationUpdate && intent !== 'emergency' && (medicationUpdate.command.explicit || medicationStatementOnly)) {
+    return medicationListReply(medicationUpdate, context, sessionId);
+  }
+  
+  // Continue an active symptom interview (emergencies always take the emergency path)
+  if (intent !== 'emergency') {
+    try {
+      const interview = handleSymptomInterview(userMessage, context, sessionId, intent, classification.confidence);
+      if (interview && interview.response) {
+        return interview;
+      }
+    } catch (error) {
+      console.error('❌ Error in handleSymptomInterview:', error);
+    }
+  }
+  
+  // Manage existing appointments (view, reschedule, cancel) outside of a new booking
+  const inBookingFlow = context.askedAppointmentType || context.askedAppointmentDate ||
+    context.askedAppointmentSlot || context.askedAppointmentReason;
+  if (!inBookingFlow && intent !== 'emergency') {
+    try {
+      const management = handleAppointmentManagement(userMessage, context, sessionId);
+      if (management && management.response) {
+        return management;
+      }
+    } catch (error) {
+      console.error('❌ Error in handleAppointmentManagement:', error);
+    }
+  }
+  
   // Check appointment flow BEFORE emergency (if already in appointment flow)
   // This handles multi-turn appointment conversations
-  if (context && (context.askedAppointmentType || context.askedAppointmentDate || context.askedAppointmentReason)) {
+  if (context && (context.askedAppointmentType || context.askedAppointmentDate || context.askedAppointmentSlot || context.askedAppointmentReason)) {
     try {
       const appointmentFlow = handleAppointmentFlow(userMessage, context, sessionId);
       if (appointmentFlow && appointmentFlow.response) {
@@ -809,7 +1448,7 @@ async function generateResponse(userMessage, sessionId) {
   }
   
   // Also check if this is a booking trigger (even if not in flow yet)
-  const bookingTriggers = ['book now', 'schedule appointment', 'book', 'schedule', 'check availability'];
+  const bookingTriggers = ['book now', 'schedule appointment', 'book', 'schedule', 'check availability', 'new appointment', 'next available'];
   if (context && bookingTriggers.includes(message) && intent === 'appointment') {
     try {
       const appointmentFlow = handleAppointmentFlow(userMessage, context, sessionId);
@@ -826,15 +1465,23 @@ async function generateResponse(userMessage, sessionId) {
   if (intent === 'emergency') {
     analytics.emergencyCount++;
     database.logEvent('emergency_detected', { message: userMessage }, sessionId);
-    const response = chatbotResponses.emergency[Math.floor(Math.random() * chatbotResponses.emergency.length)];
+    let response = chatbotResponses.emergency[Math.floor(Math.random() * chatbotResponses.emergency.length)];
+    // Overdoses that are accidental or affect someone else, and other poisonings, also go to poison control
+    if (isPoisoning(classification)) {
+      const poisonControl = crisisProtocol.poisonControlLine(context.userInfo.region);
+      response += poisonControl
+        ? `\n\n☎️ For an overdose or poisoning, also call **${poisonControl.name}**: ${poisonControl.contact} (${poisonControl.hours}).`
+        : `\n\n☎️ For an overdose or poisoning, ask the emergency operator for your local poison control centre.`;
+      response += ' Keep the container and say what was taken, how much and when.';
+    }
     const botMessage = { role: 'bot', message: response, timestamp: new Date() };
     context.conversationHistory.push(botMessage);
     database.saveMessage(sessionId, 'bot', response, 'emergency', null, null, 'emergency');
-    database.updateSession(sessionId, context.userInfo, { currentTopic: 'emergency' });
+    database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
     sessions.set(sessionId, context);
     
-    // Emit real-time alert via WebSocket
-    io.emit('emergency_alert', { sessionId, message: userMessage, timestamp: new Date() });
+    // Real-time alert for staff only: the message is the user's own words
+    io.to(crisisProtocol.STAFF_ROOM).emit('emergency_alert', { sessionId, message: userMessage, timestamp: new Date() });
     
     return { 
       response, 
@@ -843,13 +1490,111 @@ async function generateResponse(userMessage, sessionId) {
     };
   }
   
-  // Try AI-enhanced response (for all non-emergency cases)
+  // Ask "Did you mean...?" when the classifier can't separate the top intents
+  if (!pendingClarification) {
+    const candidates = clarificationCandidates(classification);
+    if (candidates.length > 0) {
+      return askClarification(userMessage, candidates, classification, context, sessionId);
+    }
+  }
+  
+  // Other booking requests also start the flow rather than going to the AI, with any type and date they
+  // give ("I need an appointment Oct 21 at 3pm")
+  if (intent === 'appointment') {
+    try {
+      const appointmentFlow = handleAppointmentFlow(userMessage, context, sessionId);
+      if (appointmentFlow && appointmentFlow.response) {
+        return appointmentFlow;
+      }
+    } catch (error) {
+      console.error('❌ Error starting appointment flow:', error);
+      // Continue with normal flow if appointment flow fails
+    }
+  }
+  
+  // The rules own interaction warnings and known specialty and wellness topics. They are answered before the
+  // AI is asked, so no tokens are spent on an answer that would be thrown away.
+  
+  // Medication interaction and contraindication check (brand names are shown with their active ingredients)
+  if (intent === 'medication' && entities.medications.length > 0) {
+    const interactionCheck = checkMedicationInteractions(medicationsToCheck);
+    if (interactionCheck.warnings.length > 0 || contraindicationWarnings.length > 0) {
+      let response = chatbotResponses.medication[Math.floor(Math.random() * chatbotResponses.medication.length)];
+      response += '\n\n' + [...contraindicationWarnings, ...interactionCheck.warnings].join('\n\n');
+      response += '\n\n⚠️ Always consult your pharmacist or doctor about medication interactions.';
+      context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
+      database.saveMessage(sessionId, 'bot', response, intent, null, null, null);
+      sessions.set(sessionId, context);
+      return { 
+        response, 
+        quickActions: ['Find Pharmacy', 'Contact Doctor'],
+        interactions: interactionCheck.interactions,
+        contraindications: contraindicationCheck.contraindications
+      };
+    }
+  }
+  
+  // Specialty information
+  if (intent === 'specialty') {
+    for (const [specialty, description] of Object.entries(medicalKnowledge.specialties)) {
+      if (message.includes(specialty.replace('ology', '')) || message.includes(specialty)) {
+        const response = `A ${specialty} specialist focuses on ${description}. Would you like help finding a ${specialty} specialist or scheduling an appointment?`;
+        context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
+        database.saveMessage(sessionId, 'bot', response, intent, null, null, null);
+        sessions.set(sessionId, context);
+        return { response, quickActions: ['Find Specialist', 'Schedule Appointment'] };
+      }
+    }
+  }
+  
+  // Wellness with specific category
+  if (intent === 'wellness') {
+    for (const [category, tips] of Object.entries(medicalKnowledge.wellnessTips)) {
+      if (message.includes(category)) {
+        const response = `Here are some ${category} tips:\n\n${tips.map((tip, i) => `${i + 1}. ${tip}`).join('\n')}\n\nWould you like more information about ${category}?`;
+        context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
+        database.saveMessage(sessionId, 'bot', response, intent, null, null, null);
+        sessions.set(sessionId, context);
+        return { response, quickActions: ['More Tips', 'Schedule Checkup'] };
+      }
+    }
+  }
+  
+  // Try AI-enhanced response (for all non-emergency cases, never during a crisis)
   let aiResponse = null;
-  if (aiService.isAIAvailable()) {
+  let citations = [];
+  let aiCached = false;
+  let responseCacheKey = null;
+  let answerTriage = null;
+  if (aiService.isAIAvailable() && !context.crisis?.active && options.allowAI !== false) {
     try {
-      console.log('🤖 Generating AI response for intent:', intent);
-      aiResponse = await aiService.generateAIResponse(userMessage, context, medicalKnowledge);
-      if (aiResponse) {
+      // Streamed tokens are checked a sentence at a time before they are sent; urgent and emergency
+      // answers, which the guardrail may replace, are not streamed at all
+      answerTriage = guardrailTriage(userMessage, context, entities);
+      const streamGuard = options.onToken && outputGuardrail.canStream(answerTriage)
+        ? outputGuardrail.createStreamGuard(options.onToken, { message: userMessage })
+        : null;
+      
+      // Repeated questions (not symptoms or emergencies) are answered from the response cache
+      responseCacheKey = responseCache.keyFor({
+        message: userMessage,
+        intent,
+        context,
+        entities,
+        knowledgeVersion: knowledgeBase.getStatus().version
+      });
+      let aiResult = responseCache.get(responseCacheKey, intent);
+      if (aiResult) {
+        aiCached = true;
+        console.log('♻️ Cached AI response for intent:', intent);
+      } else {
+        console.log('🤖 Generating AI response for intent:', intent);
+        aiResult = await aiService.generateAIResponse(userMessage, context, medicalKnowledge, { onToken: streamGuard?.push });
+        streamGuard?.end();
+      }
+      if (aiResult) {
+        aiResponse = aiResult.text;
+        citations = aiResult.citations;
         console.log('✅ AI response generated:', aiResponse.substring(0, 50) + '...');
       } else {
         console.log('⚠️ AI returned null, using rule-based');
@@ -859,12 +1604,32 @@ async function generateResponse(userMessage, sessionId) {
     }
   }
   
+  // Safety-check the AI answer; one that contradicts the triage is replaced by the rule-based reply
+  let guardrailFallback = null;
+  if (aiResponse) {
+    const rawAnswer = { text: aiResponse, citations };
+    const guarded = guardAIResponse(aiResponse, userMessage, context, entities, sessionId, intent, answerTriage);
+    if (guarded.action === 'fallback') {
+      aiResponse = null;
+      citations = [];
+      guardrailFallback = guarded;
+    } else {
+      aiResponse = guarded.text;
+      if (!aiCached) {
+        responseCache.set(responseCacheKey, intent, rawAnswer);
+      } else if (options.onToken && outputGuardrail.canStream(guarded.triage)) {
+        // A cached answer is whole already, so it is sent checked
+        options.onToken(aiResponse);
+      }
+    }
+  }
+  
   // Advanced symptom assessment
   if (intent === 'symptom') {
     // Use AI response if available, otherwise use rule-based assessment
     if (aiResponse) {
       // Enhance AI response with triage and recommendations
-      const assessment = generateSymptomAssessment(userMessage, context);
+      const assessment = generateSymptomAssessment(userMessage, context, entities);
       let enhancedResponse = aiResponse;
       
       if (assessment && assessment.triage) {
@@ -873,48 +1638,46 @@ async function generateResponse(userMessage, sessionId) {
         }
       }
       
-      // Add medication interaction warnings if applicable
-      if (interactionWarnings.length > 0) {
-        enhancedResponse += '\n\n' + interactionWarnings.join('\n');
+      // Add medication interaction and contraindication warnings if applicable
+      if (interactionWarnings.length > 0 || contraindicationWarnings.length > 0) {
+        enhancedResponse += '\n\n' + [...contraindicationWarnings, ...interactionWarnings].join('\n\n');
+      }
+      
+      // Keep the symptom interview going alongside the AI answer
+      if (assessment && assessment.followUp) {
+        enhancedResponse += `\n\n${assessment.followUp}`;
       }
       
       enhancedResponse += '\n\n⚠️ For proper diagnosis and treatment, please consult with a healthcare professional.';
       
-      const botMessage = { role: 'bot', message: enhancedResponse, timestamp: new Date() };
+      const botMessage = { role: 'bot', message: enhancedResponse, timestamp: new Date(), citations };
       context.conversationHistory.push(botMessage);
-      database.saveMessage(sessionId, 'bot', enhancedResponse, 'symptom', null, sentiment, assessment?.triage?.triageLevel || null);
-      database.updateSession(sessionId, context.userInfo, {
-        currentTopic: 'symptom',
-        askedDuration: context.askedDuration,
-        askedSeverity: context.askedSeverity,
-        askedOtherSymptoms: context.askedOtherSymptoms
-      });
+      database.saveMessage(sessionId, 'bot', enhancedResponse, 'symptom', null, sentiment, assessment?.triage?.triageLevel || null, null, citations);
+      database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
       sessions.set(sessionId, context);
       
       return {
         response: enhancedResponse,
-        quickActions: ['Schedule Appointment', 'Find Doctor', 'More Info'],
+        quickActions: assessment?.quickActions || ['Schedule Appointment', 'Find Doctor', 'More Info'],
         triage: assessment?.triage || null,
         entities: entities,
-        sentiment: sentiment
+        sentiment: sentiment,
+        aiEnhanced: true,
+        aiCached,
+        citations
       };
     } else {
       // Fall back to rule-based assessment
-      const assessment = generateSymptomAssessment(userMessage, context);
+      const assessment = generateSymptomAssessment(userMessage, context, entities);
       if (assessment) {
         context.conversationHistory.push({ role: 'bot', message: assessment.response, timestamp: new Date() });
         database.saveMessage(sessionId, 'bot', assessment.response, 'symptom', null, sentiment, assessment.triage?.triageLevel || null);
-        database.updateSession(sessionId, context.userInfo, {
-          currentTopic: 'symptom',
-          askedDuration: context.askedDuration,
-          askedSeverity: context.askedSeverity,
-          askedOtherSymptoms: context.askedOtherSymptoms
-        });
+        database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
         sessions.set(sessionId, context);
         
-        // Add medication interaction warnings if applicable
-        if (interactionWarnings.length > 0) {
-          assessment.response += '\n\n' + interactionWarnings.join('\n');
+        // Add medication interaction and contraindication warnings if applicable
+        if (interactionWarnings.length > 0 || contraindicationWarnings.length > 0) {
+          assessment.response += '\n\n' + [...contraindicationWarnings, ...interactionWarnings].join('\n\n');
         }
         
         // Ensure quickActions are always present
@@ -931,7 +1694,10 @@ async function generateResponse(userMessage, sessionId) {
         };
       } else {
         // If no specific assessment, provide general symptom response with quick actions
-        const response = chatbotResponses.symptoms[Math.floor(Math.random() * chatbotResponses.symptoms.length)];
+        let response = chatbotResponses.symptoms[Math.floor(Math.random() * chatbotResponses.symptoms.length)];
+        if (contraindicationWarnings.length > 0) {
+          response += '\n\n' + contraindicationWarnings.join('\n\n');
+        }
         context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
         database.saveMessage(sessionId, 'bot', response, 'symptom', null, sentiment, null);
         sessions.set(sessionId, context);
@@ -947,47 +1713,6 @@ async function generateResponse(userMessage, sessionId) {
     }
   }
   
-  // Medication interaction check
-  if (intent === 'medication' && entities.medications.length > 0) {
-    const interactionCheck = checkMedicationInteractions(entities.medications);
-    if (interactionCheck.warnings.length > 0) {
-      let response = chatbotResponses.medication[Math.floor(Math.random() * chatbotResponses.medication.length)];
-      response += '\n\n' + interactionCheck.warnings.join('\n');
-      response += '\n\n⚠️ Always consult your pharmacist or doctor about medication interactions.';
-      context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
-      sessions.set(sessionId, context);
-      return { 
-        response, 
-        quickActions: ['Find Pharmacy', 'Contact Doctor'],
-        interactions: interactionCheck.interactions
-      };
-    }
-  }
-  
-  // Specialty information
-  if (intent === 'specialty') {
-    for (const [specialty, description] of Object.entries(medicalKnowledge.specialties)) {
-      if (message.includes(specialty.replace('ology', '')) || message.includes(specialty)) {
-        const response = `A ${specialty} specialist focuses on ${description}. Would you like help finding a ${specialty} specialist or scheduling an appointment?`;
-        context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
-        sessions.set(sessionId, context);
-        return { response, quickActions: ['Find Specialist', 'Schedule Appointment'] };
-      }
-    }
-  }
-  
-  // Wellness with specific category
-  if (intent === 'wellness') {
-    for (const [category, tips] of Object.entries(medicalKnowledge.wellnessTips)) {
-      if (message.includes(category)) {
-        const response = `Here are some ${category} tips:\n\n${tips.map((tip, i) => `${i + 1}. ${tip}`).join('\n')}\n\nWould you like more information about ${category}?`;
-        context.conversationHistory.push({ role: 'bot', message: response, timestamp: new Date() });
-        sessions.set(sessionId, context);
-        return { response, quickActions: ['More Tips', 'Schedule Checkup'] };
-      }
-    }
-  }
-  
   // Standard responses (use AI if available, otherwise rule-based)
   let response = '';
   let quickActions = [];
@@ -1007,7 +1732,7 @@ async function generateResponse(userMessage, sessionId) {
         quickActions = ['Book Now', 'Find Doctor', 'Check Availability'];
         break;
       case 'medication':
-        quickActions = ['Find Pharmacy', 'Contact Doctor'];
+        quickActions = ['Find Pharmacy', 'Contact Doctor', 'My Medications'];
         break;
       case 'wellness':
         quickActions = ['Nutrition Tips', 'Exercise Guide', 'Sleep Advice'];
@@ -1015,6 +1740,11 @@ async function generateResponse(userMessage, sessionId) {
       default:
         quickActions = ['Get Help', 'Find Doctor'];
     }
+  } else if (guardrailFallback) {
+    response = guardrailFallback.text;
+    quickActions = guardrailFallback.triage.triageLevel === 'emergency'
+      ? ['Call 911', 'Find ER']
+      : ['Schedule Appointment', 'Find Doctor'];
   } else {
     // Fall back to rule-based responses
     switch (intent) {
@@ -1033,9 +1763,6 @@ async function generateResponse(userMessage, sessionId) {
         // Try appointment flow first
         const appointmentFlow = handleAppointmentFlow(userMessage, context, sessionId);
         if (appointmentFlow) {
-          const botMessage = { role: 'bot', message: appointmentFlow.response, timestamp: new Date() };
-          context.conversationHistory.push(botMessage);
-          sessions.set(sessionId, context);
           return {
             response: appointmentFlow.response,
             quickActions: appointmentFlow.quickActions || ['Book Now', 'Find Doctor', 'Check Availability']
@@ -1047,7 +1774,12 @@ async function generateResponse(userMessage, sessionId) {
         break;
       case 'medication':
         response = chatbotResponses.medication[Math.floor(Math.random() * chatbotResponses.medication.length)];
-        quickActions = ['Find Pharmacy', 'Contact Doctor'];
+        // Say what brand-name products contain ("Advil contains ibuprofen (NSAID)")
+        const brands = entities.medicationMentions.filter(mention => mention.brand);
+        if (brands.length > 0) {
+          response += '\n\n' + brands.map(describeIngredients).join('\n');
+        }
+        quickActions = ['Find Pharmacy', 'Contact Doctor', 'My Medications'];
         break;
       case 'wellness':
         response = chatbotResponses.wellness[Math.floor(Math.random() * chatbotResponses.wellness.length)];
@@ -1065,63 +1797,105 @@ async function generateResponse(userMessage, sessionId) {
     }
   }
   
-  const finalResponse = response;
+  // Warn about profile medications that clash with a condition or allergy mentioned in this message
+  const finalResponse = contraindicationWarnings.length > 0
+    ? `${response}\n\n${contraindicationWarnings.join('\n\n')}`
+    : response;
   const wasAIEnhanced = !!aiResponse;
   
-  const botMessage = { role: 'bot', message: finalResponse, timestamp: new Date() };
+  const botMessage = { role: 'bot', message: finalResponse, timestamp: new Date(), ...(wasAIEnhanced ? { citations } : {}) };
   context.conversationHistory.push(botMessage);
   
   // Save to database
-  const botSaved = database.saveMessage(sessionId, 'bot', finalResponse, intent, null, sentiment, null);
+  const botSaved = database.saveMessage(sessionId, 'bot', finalResponse, intent, null, sentiment, null, null, wasAIEnhanced ? citations : null);
   if (!botSaved) {
     console.error('⚠️ Failed to save bot message to database');
   }
-  const updated = database.updateSession(sessionId, context.userInfo, {
-    currentTopic: intent,
-    askedDuration: context.askedDuration,
-    askedSeverity: context.askedSeverity,
-    askedOtherSymptoms: context.askedOtherSymptoms,
-    askedAppointmentType: context.askedAppointmentType,
-    askedAppointmentDate: context.askedAppointmentDate,
-    askedAppointmentReason: context.askedAppointmentReason,
-    appointmentType: context.appointmentType,
-    appointmentDate: context.appointmentDate,
-    appointmentReason: context.appointmentReason
-  });
+  const updated = database.updateSession(sessionId, context.userInfo, sessionMetadata(context));
   if (!updated) {
     console.error('⚠️ Failed to update session in database');
   }
   
-  // Update user profile in database
-  if (context.userInfo.medications || context.userInfo.symptoms) {
-    database.saveProfile(
-      sessionId,
-      context.userInfo.medications || [],
-      context.userInfo.symptoms || [],
-      context.userInfo.conditions || [],
-      {}
-    );
-  }
-  
   sessions.set(sessionId, context);
   
   return { 
     response: finalResponse, 
     quickActions,
-    aiEnhanced: wasAIEnhanced
+    aiEnhanced: wasAIEnhanced,
+    aiCached: wasAIEnhanced && aiCached,
+    citations: wasAIEnhanced ? citations : []
   };
 }
 
+// Condense older turns into the session's memory once enough have built up. Runs after the reply is sent;
+// crisis conversations are summarized from the facts only and never sent to the AI.
+function compactMemory(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return;
+  }
+  const summarize = aiService.isAIAvailable() && !session.crisis
+    ? (previousSummary, turns) => aiService.summarizeConversation(previousSummary, turns, sessionId)
+    : null;
+  conversationMemory.compact(session, { summarize })
+    .then(changed => {
+      if (changed) {
+        database.updateSession(sessionId, session.userInfo, sessionMetadata(session));
+        console.log(`🧠 Conversation memory updated for ${sessionId} (${session.memory.summarizedMessages} messages, ${session.memory.method})`);
+      }
+    })
+    .catch(error => console.error('❌ Error updating conversation memory:', error.message));
+}
+
+// The whole conversation for history and exports: messages condensed into the memory are read back from the database
+function fullHistory(sessionId, session) {
+  if (!session.memory || !session.memory.coveredUntilId) {
+    return session.conversationHistory;
+  }
+  const older = database.getMessages(sessionId)
+    .filter(msg => conversationMemory.isSummarized(session.memory, msg))
+    .map(msg => ({
+      role: msg.role,
+      message: msg.message,
+      timestamp: new Date(msg.created_at),
+      ...(msg.citations ? { citations: msg.citations } : {})
+    }));
+  return [...older, ...session.conversationHistory];
+}
+
 // Generate unique session ID
 function generateSessionId() {
   return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+// Stream AI tokens to the session's room as they arrive. They are a draft: the client that asked for the
+// stream shows them and then replaces them with the final reply, which has the triage banner, interaction
+// warnings and disclaimer applied and is the one saved to the database.
+function createTokenStream(sessionId, streamId) {
+  let started = false;
+  return {
+    onToken: (token) => {
+      if (!started) {
+        started = true;
+        io.to(sessionId).emit('ai_stream_start', { sessionId, streamId });
+      }
+      io.to(sessionId).emit('ai_token', { streamId, token });
+    },
+    // Returns whether any tokens were streamed
+    end: () => {
+      if (started) {
+        io.to(sessionId).emit('ai_stream_end', { streamId });
+      }
+      return started;
+    }
+  };
+}
+
 // API endpoint for chat
-app.post('/api/chat', (req, res) => {
-  const { message, sessionId: clientSessionId } = req.body;
+app.post('/api/chat', async (req, res) => {
+  const { message, sessionId: clientSessionId, region, timeZone, stream, streamId, socketId } = req.body;
   
-  if (!message || message.trim() === '') {
+  if (!message || typeof message !== 'string' || message.trim() === '') {
     return res.status(400).json({ error: 'Message is required' });
   }
   
@@ -1137,19 +1911,26 @@ app.post('/api/chat', (req, res) => {
     });
   }
   
+  // Strip control characters and role markers, refuse overlong messages and keep injection attempts from the AI
+  const screening = inputScreening.screenMessage(message);
+  if (screening.action !== 'allowed') {
+    database.logEvent('input_screened', { action: screening.action, reasons: screening.reasons, length: message.length }, sessionId);
+    console.log(`🧹 Input ${screening.action}: ${screening.reasons.map(reason => reason.code).join(', ')}`);
+  }
+  if (screening.blocked) {
+    return res.status(400).json({
+      error: `Message is too long. Please keep it under ${inputScreening.MAX_MESSAGE_LENGTH} characters.`,
+      reason: 'too_long'
+    });
+  }
+  if (!screening.text) {
+    return res.status(400).json({ error: 'Message is required', reason: 'control_characters' });
+  }
+  
   if (!sessions.has(sessionId)) {
     const newSession = {
       conversationHistory: [],
-      currentTopic: null,
-      askedDuration: false,
-      askedSeverity: false,
-      askedOtherSymptoms: false,
-      askedAppointmentType: false,
-      askedAppointmentDate: false,
-      askedAppointmentReason: false,
-      appointmentType: null,
-      appointmentDate: null,
-      appointmentReason: null,
+      ...sessionMetadata({}),
       sessionId: sessionId,
       userInfo: {},
       medications: [],
@@ -1159,56 +1940,88 @@ app.post('/api/chat', (req, res) => {
     sessions.set(sessionId, newSession);
     
     // Create session in database
-    database.createSession(sessionId, newSession.userInfo, {
-      currentTopic: null,
-      askedDuration: false,
-      askedSeverity: false,
-      askedOtherSymptoms: false,
-      askedAppointmentType: false,
-      askedAppointmentDate: false,
-      askedAppointmentReason: false,
-      appointmentType: null,
-      appointmentDate: null,
-      appointmentReason: null
-    });
+    database.createSession(sessionId, newSession.userInfo, sessionMetadata({}));
     database.logEvent('session_created', { sessionId }, sessionId);
     analytics.totalConversations++;
     console.log(`✅ Created new session: ${sessionId}`);
   }
   
-  // Simulate thinking delay for more natural conversation
-  setTimeout(async () => {
-    try {
-      const result = await generateResponse(message, sessionId);
-      const session = sessions.get(sessionId) || { conversationHistory: [] };
-      
-      if (!result || !result.response) {
-        console.error('⚠️ generateResponse returned invalid result:', result);
-        return res.status(500).json({ 
-          error: 'Sorry, I encountered an error. Please try again.',
-          sessionId: sessionId
-        });
-      }
-      
-      res.json({ 
-        response: result.response,
-        quickActions: result.quickActions || [],
-        sessionId: sessionId,
-        triage: result.triage || null,
-        entities: result.entities || null,
-        sentiment: result.sentiment || null,
-        conversationLength: session.conversationHistory.length,
-        aiEnhanced: result.aiEnhanced || false
-      });
-    } catch (error) {
-      console.error('❌ Error generating response:', error);
-      console.error('Error stack:', error.stack);
-      res.status(500).json({ 
+  // Region for crisis resources (e.g. "UK"); unknown regions are ignored
+  if (region && crisisProtocol.isKnownRegion(region)) {
+    sessions.get(sessionId).userInfo.region = String(region).toUpperCase();
+  }
+  
+  // The browser's time zone (e.g. "America/Chicago"), used for reminder times
+  if (reminders.isValidTimeZone(timeZone)) {
+    sessions.get(sessionId).userInfo.timeZone = timeZone;
+  }
+  
+  // Streaming mode: AI tokens go to the session's room under the client's streamId. The requesting
+  // socket joins the room here so the first message of a new session can stream too.
+  let tokenStream = null;
+  if (stream && typeof streamId === 'string' && /^[\w-]{1,64}$/.test(streamId)) {
+    const socket = typeof socketId === 'string' ? io.sockets.sockets.get(socketId) : null;
+    if (socket) {
+      socket.join(sessionId);
+    }
+    tokenStream = createTokenStream(sessionId, streamId);
+  }
+  
+  try {
+    const result = await generateResponse(screening.text, sessionId, { onToken: tokenStream?.onToken, allowAI: !screening.skipAI });
+    const streamed = tokenStream ? tokenStream.end() : false;
+    const session = sessions.get(sessionId) || { conversationHistory: [] };
+    
+    if (!result || !result.response) {
+      console.error('⚠️ generateResponse returned invalid result:', result);
+      return res.status(500).json({ 
         error: 'Sorry, I encountered an error. Please try again.',
         sessionId: sessionId
       });
     }
-  }, 500);
+    
+    // While in crisis only crisis (and emergency) quick actions are offered
+    const quickActions = session.crisis?.active
+      ? crisisProtocol.filterQuickActions(session.crisis, result.quickActions)
+      : result.quickActions || [];
+    
+    res.json({ 
+      response: result.response,
+      quickActions,
+      sessionId: sessionId,
+      triage: result.triage || null,
+      entities: result.entities || null,
+      sentiment: result.sentiment || null,
+      conversationLength: session.conversationHistory.length,
+      aiEnhanced: result.aiEnhanced || false,
+      aiCached: result.aiCached || false,
+      streamed,
+      streamId: streamed ? streamId : null,
+      reminders: result.reminders || null,
+      citations: result.citations || [],
+      screening: screening.action !== 'allowed'
+        ? { action: screening.action, reasons: screening.reasons.map(reason => reason.code) }
+        : null,
+      clarification: result.clarification || null,
+      crisis: crisisProtocol.publicState(session.crisis),
+      intent: session.lastClassification ? {
+        name: session.lastClassification.intent,
+        confidence: session.lastClassification.confidence,
+        secondary: session.lastClassification.secondary,
+        scores: session.lastClassification.intents,
+        clarified: session.lastClassification.clarified || false
+      } : null
+    });
+    compactMemory(sessionId);
+  } catch (error) {
+    tokenStream?.end();
+    console.error('❌ Error generating response:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({ 
+      error: 'Sorry, I encountered an error. Please try again.',
+      sessionId: sessionId
+    });
+  }
 });
 
 // API endpoint to get conversation history
@@ -1220,7 +2033,7 @@ app.get('/api/history/:sessionId', (req, res) => {
     return res.status(404).json({ error: 'Session not found' });
   }
   
-  res.json({ history: session.conversationHistory });
+  res.json({ history: fullHistory(sessionId, session), memory: session.memory || null });
 });
 
 // API endpoint to clear session
@@ -1246,9 +2059,11 @@ app.get('/api/export/:sessionId', (req, res) => {
         conversationHistory: messages.map(msg => ({
           role: msg.role,
           message: msg.message,
-          timestamp: new Date(msg.created_at)
+          timestamp: new Date(msg.created_at),
+          ...(msg.citations ? { citations: msg.citations } : {})
         })),
         userInfo: dbSession.userInfo,
+        memory: dbSession.metadata.memory || null,
         createdAt: new Date(dbSession.created_at)
       };
     }
@@ -1258,16 +2073,25 @@ app.get('/api/export/:sessionId', (req, res) => {
     return res.status(404).json({ error: 'Session not found' });
   }
   
+  const medications = medicationList.listMedications(sessionId);
+  const medicationChecks = checkMedicationList(medications, session.userInfo || {});
+  const history = sessions.has(sessionId) ? fullHistory(sessionId, session) : session.conversationHistory;
   const exportData = {
     sessionId: sessionId,
     createdAt: session.createdAt,
-    conversationHistory: session.conversationHistory,
+    conversationHistory: history,
     userInfo: session.userInfo,
+    memory: session.memory || null,
     summary: {
-      totalMessages: session.conversationHistory.length,
-      topics: [...new Set(session.conversationHistory.map(m => m.intent || 'general'))],
+      totalMessages: history.length,
+      topics: [...new Set(history.map(m => m.intent || 'general'))],
       symptoms: session.userInfo.symptoms || [],
-      medications: session.userInfo.medications || []
+      medications: session.userInfo.medications || [],
+      medicationList: medications,
+      conditions: session.userInfo.conditions || [],
+      allergies: session.userInfo.allergies || [],
+      medicationInteractions: medicationChecks.interactions,
+      contraindications: medicationChecks.contraindications
     }
   };
   
@@ -1289,9 +2113,11 @@ app.get('/api/export-pdf/:sessionId', async (req, res) => {
         conversationHistory: messages.map(msg => ({
           role: msg.role,
           message: msg.message,
-          timestamp: new Date(msg.created_at)
+          timestamp: new Date(msg.created_at),
+          ...(msg.citations ? { citations: msg.citations } : {})
         })),
         userInfo: dbSession.userInfo,
+        memory: dbSession.metadata.memory || null,
         createdAt: new Date(dbSession.created_at)
       };
     }
@@ -1302,14 +2128,19 @@ app.get('/api/export-pdf/:sessionId', async (req, res) => {
   }
   
   try {
-    const userProfile = database.getProfile(sessionId);
+    const medications = medicationList.listMedications(sessionId);
+    const profile = database.getProfile(sessionId);
+    const userProfile = profile || medications.length > 0 ? { ...profile, medicationList: medications } : null;
+    const history = sessions.has(sessionId) ? fullHistory(sessionId, session) : session.conversationHistory;
     const conversationData = {
       sessionId: sessionId,
       createdAt: session.createdAt,
-      conversationHistory: session.conversationHistory,
+      conversationHistory: history,
+      memory: session.memory || null,
       summary: {
-        totalMessages: session.conversationHistory.length,
-        topics: [...new Set(session.conversationHistory.map(m => m.intent || 'general'))]
+        totalMessages: history.length,
+        topics: [...new Set(history.map(m => m.intent || 'general'))],
+        medicationInteractions: checkMedicationList(medications, session.userInfo || {}).interactions
       }
     };
     
@@ -1383,6 +2214,10 @@ app.get('/api/admin/analytics', (req, res) => {
     dbAnalytics: dbAnalytics,
     activeSessions: sessions.size,
     aiEnabled: aiService.isAIAvailable(),
+    ai: aiService.getStatus(),
+    guardrail: outputGuardrail.getStats(),
+    llmUsage: tokenBudget.getUsage(),
+    responseCache: responseCache.getStats(),
     timestamp: new Date()
   };
   
@@ -1390,6 +2225,235 @@ app.get('/api/admin/analytics', (req, res) => {
   res.json(response);
 });
 
+// Admin API: Knowledge base version and validation status
+app.get('/api/admin/knowledge', (req, res) => {
+  res.json(knowledgeBase.getStatus());
+});
+
+// Admin API: Force a knowledge base reload
+app.post('/api/admin/knowledge/reload', requireAdminToken, (req, res) => {
+  const reloaded = knowledgeBase.reload();
+  res.status(reloaded ? 200 : 422).json({ success: reloaded, ...knowledgeBase.getStatus() });
+});
+
+// Admin knowledge API: URL section names mapped to medicalKnowledge sections
+const KNOWLEDGE_SECTIONS = {
+  symptoms: 'commonSymptoms',
+  specialties: 'specialties',
+  wellness: 'wellnessTips',
+  drugs: 'drugs',
+  interactions: 'medicationInteractions',
+  contraindications: 'drugContraindications',
+  triage: 'triageLevels',
+  vitals: 'vitalThresholds',
+  redflags: 'redFlagRules',
+  crisis: 'crisisResources'
+};
+
+// Symptom, drug and condition names are matched case-insensitively, so store them lower-case
+function normalizeKnowledgeKey(section, key) {
+  const trimmed = String(key || '').trim();
+  return ['commonSymptoms', 'drugs', 'medicationInteractions', 'drugContraindications'].includes(section) ? trimmed.toLowerCase() : trimmed;
+}
+
+// Knowledge base changes need the ADMIN_TOKEN from the environment in an X-Admin-Token header; without
+// ADMIN_TOKEN set, editing is turned off. X-Admin-User only names the editor for the audit trail.
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ error: 'Knowledge base editing is turned off. Set ADMIN_TOKEN to enable it.' });
+  }
+  const given = Buffer.from(String(req.get('X-Admin-Token') || ''));
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    return res.status(401).json({ error: 'A valid X-Admin-Token header is required' });
+  }
+  next();
+}
+
+// Who is making an admin change (required for the audit trail)
+function getAdminMeta(req) {
+  return {
+    changedBy: req.get('X-Admin-User') || req.body?.changedBy,
+    comment: req.body?.comment
+  };
+}
+
+function sendKnowledgeResult(res, result, successStatus = 200) {
+  if (result.success) {
+    return res.status(successStatus).json(result);
+  }
+  const statusCodes = { missing_user: 400, read_only: 403, invalid: 422, not_found: 404, unknown_section: 404, exists: 409 };
+  res.status(statusCodes[result.code] || 500).json({ error: result.errors.join('; '), errors: result.errors });
+}
+
+// Admin API: Knowledge change history
+app.get('/api/admin/knowledge/revisions', (req, res) => {
+  const { section, key, limit } = req.query;
+  const sectionName = section ? KNOWLEDGE_SECTIONS[section] || section : null;
+  const revisions = knowledgeBase.getRevisions({
+    section: sectionName,
+    key: key ? normalizeKnowledgeKey(sectionName, key) : null,
+    limit: Math.min(parseInt(limit) || 100, 500)
+  });
+  res.json({ revisions, count: revisions.length });
+});
+
+// Admin API: Roll an entry back to how it was before a revision
+app.post('/api/admin/knowledge/revisions/:id/rollback', requireAdminToken, (req, res) => {
+  sendKnowledgeResult(res, knowledgeBase.rollback(parseInt(req.params.id), getAdminMeta(req)));
+});
+
+// Admin API: Validate a proposed entry and preview its effect without saving
+app.post('/api/admin/knowledge/preview', (req, res) => {
+  const { section, key, entry, message } = req.body;
+  const sectionName = KNOWLEDGE_SECTIONS[section] || section;
+
+  if (!key || entry === undefined) {
+    return res.status(400).json({ error: 'section, key and entry are required' });
+  }
+
+  res.json(knowledgeBase.previewChange(sectionName, normalizeKnowledgeKey(sectionName, key), entry, message));
+});
+
+// The drug (or drug class) entry that lists an interaction pair, if any
+function findInteractionOwner(drug, other) {
+  const interactions = medicalKnowledge.medicationInteractions;
+  return [drug, other].find((owner, i) => {
+    const partner = i === 0 ? other : drug;
+    return interactions[owner] && interactions[owner].interactions.some(item => item.with.toLowerCase() === partner);
+  }) || null;
+}
+
+// Admin API: Add a graded interaction pair (recorded once, under the first drug or class)
+app.post('/api/admin/knowledge/interactions/pairs', requireAdminToken, (req, res) => {
+  const drug = normalizeKnowledgeKey('medicationInteractions', req.body.drug);
+  const other = normalizeKnowledgeKey('medicationInteractions', req.body.interactsWith);
+  const { severity, mechanism, effect } = req.body;
+
+  if (!drug || !other) {
+    return res.status(400).json({ error: 'drug and interactsWith are required' });
+  }
+  if (findInteractionOwner(drug, other)) {
+    return res.status(409).json({ error: `Interaction between ${drug} and ${other} already exists` });
+  }
+
+  const existing = medicalKnowledge.medicationInteractions[drug];
+  const interaction = { with: other, severity, mechanism, effect };
+  const change = {
+    key: drug,
+    action: existing ? 'update' : 'create',
+    entry: existing ? { ...existing, interactions: [...existing.interactions, interaction] } : { interactions: [interaction] }
+  };
+  sendKnowledgeResult(res, knowledgeBase.applyChanges('medicationInteractions', [change], getAdminMeta(req)), 201);
+});
+
+// Admin API: Remove an interaction pair; entries left with no interactions are retired
+app.delete('/api/admin/knowledge/interactions/pairs/:drug/:other', requireAdminToken, (req, res) => {
+  const drug = normalizeKnowledgeKey('medicationInteractions', req.params.drug);
+  const other = normalizeKnowledgeKey('medicationInteractions', req.params.other);
+  const owner = findInteractionOwner(drug, other);
+
+  if (!owner) {
+    return res.status(404).json({ error: `No interaction between ${drug} and ${other}` });
+  }
+
+  const entry = medicalKnowledge.medicationInteractions[owner];
+  const partner = owner === drug ? other : drug;
+  const remaining = entry.interactions.filter(item => item.with.toLowerCase() !== partner);
+  const change = remaining.length > 0
+    ? { key: owner, action: 'update', entry: { ...entry, interactions: remaining } }
+    : { key: owner, action: 'retire', entry: null };
+  sendKnowledgeResult(res, knowledgeBase.applyChanges('medicationInteractions', [change], getAdminMeta(req)));
+});
+
+// Admin API: Add a keyword to a triage level
+app.post('/api/admin/knowledge/triage/:level/keywords', requireAdminToken, (req, res) => {
+  const level = medicalKnowledge.triageLevels[req.params.level];
+  const keyword = String(req.body.keyword || '').trim().toLowerCase();
+
+  if (!level) {
+    return res.status(404).json({ error: `Triage level ${req.params.level} not found` });
+  }
+  if (!keyword) {
+    return res.status(400).json({ error: 'keyword is required' });
+  }
+  if (level.keywords.includes(keyword)) {
+    return res.status(409).json({ error: `${keyword} is already a ${req.params.level} keyword` });
+  }
+
+  const entry = { ...level, keywords: [...level.keywords, keyword] };
+  sendKnowledgeResult(res, knowledgeBase.updateEntry('triageLevels', req.params.level, entry, getAdminMeta(req)), 201);
+});
+
+// Admin API: Remove a keyword from a triage level
+app.delete('/api/admin/knowledge/triage/:level/keywords/:keyword', requireAdminToken, (req, res) => {
+  const level = medicalKnowledge.triageLevels[req.params.level];
+  const keyword = req.params.keyword.toLowerCase();
+
+  if (!level || !level.keywords.includes(keyword)) {
+    return res.status(404).json({ error: `${keyword} is not a ${req.params.level} keyword` });
+  }
+
+  const entry = { ...level, keywords: level.keywords.filter(k => k !== keyword) };
+  sendKnowledgeResult(res, knowledgeBase.updateEntry('triageLevels', req.params.level, entry, getAdminMeta(req)));
+});
+
+// Admin API: List entries of a knowledge section
+app.get('/api/admin/knowledge/:section', (req, res) => {
+  const sectionName = KNOWLEDGE_SECTIONS[req.params.section];
+  if (!sectionName) {
+    return res.status(404).json({ error: `Unknown section ${req.params.section}` });
+  }
+  res.json({ section: req.params.section, version: knowledgeBase.getStatus().version, entries: medicalKnowledge[sectionName] });
+});
+
+// Admin API: Get one knowledge entry
+app.get('/api/admin/knowledge/:section/:key', (req, res) => {
+  const sectionName = KNOWLEDGE_SECTIONS[req.params.section];
+  const key = normalizeKnowledgeKey(sectionName, req.params.key);
+  if (!sectionName || medicalKnowledge[sectionName][key] === undefined) {
+    return res.status(404).json({ error: 'Entry not found' });
+  }
+  res.json({ section: req.params.section, key, entry: medicalKnowledge[sectionName][key] });
+});
+
+// Admin API: Create a knowledge entry
+app.post('/api/admin/knowledge/:section', requireAdminToken, (req, res) => {
+  const sectionName = KNOWLEDGE_SECTIONS[req.params.section];
+  const key = normalizeKnowledgeKey(sectionName, req.body.key);
+  if (!sectionName) {
+    return res.status(404).json({ error: `Unknown section ${req.params.section}` });
+  }
+  if (!key || req.body.entry === undefined) {
+    return res.status(400).json({ error: 'key and entry are required' });
+  }
+  sendKnowledgeResult(res, knowledgeBase.createEntry(sectionName, key, req.body.entry, getAdminMeta(req)), 201);
+});
+
+// Admin API: Replace a knowledge entry
+app.put('/api/admin/knowledge/:section/:key', requireAdminToken, (req, res) => {
+  const sectionName = KNOWLEDGE_SECTIONS[req.params.section];
+  if (!sectionName) {
+    return res.status(404).json({ error: `Unknown section ${req.params.section}` });
+  }
+  if (req.body.entry === undefined) {
+    return res.status(400).json({ error: 'entry is required' });
+  }
+  const key = normalizeKnowledgeKey(sectionName, req.params.key);
+  sendKnowledgeResult(res, knowledgeBase.updateEntry(sectionName, key, req.body.entry, getAdminMeta(req)));
+});
+
+// Admin API: Retire a knowledge entry (recoverable through rollback)
+app.delete('/api/admin/knowledge/:section/:key', requireAdminToken, (req, res) => {
+  const sectionName = KNOWLEDGE_SECTIONS[req.params.section];
+  if (!sectionName) {
+    return res.status(404).json({ error: `Unknown section ${req.params.section}` });
+  }
+  const key = normalizeKnowledgeKey(sectionName, req.params.key);
+  sendKnowledgeResult(res, knowledgeBase.retireEntry(sectionName, key, getAdminMeta(req)));
+});
+
 // Admin API: Get session details
 app.get('/api/admin/sessions', (req, res) => {
   const sessionList = [];
@@ -1397,7 +2461,7 @@ app.get('/api/admin/sessions', (req, res) => {
     sessionList.push({
       sessionId,
       createdAt: session.createdAt,
-      messageCount: session.conversationHistory.length,
+      messageCount: session.conversationHistory.length + (session.memory?.summarizedMessages || 0),
       currentTopic: session.currentTopic,
       userInfo: session.userInfo
     });
@@ -1406,6 +2470,94 @@ app.get('/api/admin/sessions', (req, res) => {
   res.json({ sessions: sessionList, total: sessionList.length });
 });
 
+// Sessions currently in the crisis protocol
+function listActiveCrises() {
+  const active = [];
+  sessions.forEach((session, sessionId) => {
+    if (session.crisis?.active) {
+      active.push({ sessionId, ...session.crisis, lastMessageAt: session.conversationHistory.slice(-1)[0]?.timestamp || null });
+    }
+  });
+  return active;
+}
+
+// Admin API: Active crisis sessions
+// Crisis routes are for crisis-trained staff only: they send CRISIS_STAFF_TOKEN in an X-Crisis-Staff-Token header
+function requireCrisisStaffToken(req, res, next) {
+  if (!process.env.CRISIS_STAFF_TOKEN) {
+    return res.status(403).json({ error: 'Crisis staff access is turned off. Set CRISIS_STAFF_TOKEN to enable it.' });
+  }
+  if (!crisisProtocol.isStaffToken(req.get('X-Crisis-Staff-Token'))) {
+    return res.status(401).json({ error: 'A valid X-Crisis-Staff-Token header is required' });
+  }
+  next();
+}
+
+app.get('/api/admin/crisis', requireCrisisStaffToken, (req, res) => {
+  const crises = listActiveCrises();
+  res.json({ crises, total: crises.length });
+});
+
+// Admin API: Staff close a crisis after follow-up (clears the session's crisis flag)
+app.post('/api/admin/crisis/:sessionId/resolve', requireCrisisStaffToken, (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session || !session.crisis?.active) {
+    return res.status(404).json({ error: 'No active crisis for this session' });
+  }
+  const { changedBy, comment } = getAdminMeta(req);
+  if (!changedBy) {
+    return res.status(400).json({ error: 'changedBy (or X-Admin-User header) is required' });
+  }
+
+  crisisProtocol.resolveCrisis(session.crisis, changedBy, comment);
+  database.updateSession(req.params.sessionId, session.userInfo, sessionMetadata(session));
+  database.logEvent('crisis_resolved', { resolvedBy: changedBy }, req.params.sessionId);
+  io.to(crisisProtocol.STAFF_ROOM).emit('crisis_resolved', { sessionId: req.params.sessionId, resolvedBy: changedBy, timestamp: new Date() });
+  res.json({ sessionId: req.params.sessionId, crisis: session.crisis });
+});
+
+// Admin API: Documents in the retrieval index
+app.get('/api/admin/documents', (req, res) => {
+  const documents = database.getDocuments().map(document => ({
+    id: document.id,
+    path: document.path,
+    title: document.title,
+    format: document.format,
+    sourceUrl: document.source_url,
+    chunks: document.chunk_count,
+    ingestedAt: document.ingested_at
+  }));
+  res.json({ corpusDir: retrieval.CORPUS_DIR, documents, total: documents.length });
+});
+
+// Admin API: Re-scan the corpus folder ({ "rebuild": true } re-indexes unchanged files too)
+app.post('/api/admin/documents/reindex', (req, res) => {
+  const result = retrieval.syncCorpus({ rebuild: req.body?.rebuild === true });
+  // Cached answers may cite passages that changed
+  responseCache.clear();
+  res.json(result);
+});
+
+// Admin API: Response cache hit/miss counts and TTLs
+app.get('/api/admin/response-cache', (req, res) => {
+  res.json(responseCache.getStats());
+});
+
+// Admin API: Drop every cached AI answer
+app.delete('/api/admin/response-cache', (req, res) => {
+  res.json({ success: true, removed: responseCache.clear() });
+});
+
+// Admin API: The passages retrieval returns for a question, to check what the AI would be given
+app.get('/api/admin/documents/search', (req, res) => {
+  const question = String(req.query.q || '').trim();
+  if (!question) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || retrieval.TOP_K || 3, 20);
+  res.json({ question, passages: retrieval.search(question, { limit }) });
+});
+
 // API endpoint to get user profile
 app.get('/api/profile/:sessionId', (req, res) => {
   const { sessionId } = req.params;
@@ -1419,12 +2571,402 @@ app.get('/api/profile/:sessionId', (req, res) => {
     sessionId: sessionId,
     userInfo: session.userInfo,
     conversationStats: {
-      totalMessages: session.conversationHistory.length,
+      totalMessages: session.conversationHistory.length + (session.memory?.summarizedMessages || 0),
       topics: [...new Set(session.conversationHistory.map(m => m.intent || 'general'))],
       symptoms: session.userInfo.symptoms || [],
-      medications: session.userInfo.medications || []
+      medications: session.userInfo.medications || [],
+      medicationList: medicationList.listMedications(sessionId),
+      conditions: session.userInfo.conditions || [],
+      allergies: session.userInfo.allergies || []
+    },
+    symptomInterview: session.symptomInterview || null,
+    memory: session.memory || null
+  });
+});
+
+// Record a medication list change made outside the chat in the session's conversation
+function recordMedicationUpdate(sessionId, text, medication) {
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.conversationHistory.push({ role: 'bot', message: text, timestamp: new Date(), intent: 'medication' });
+    syncMedicationList(session, sessionId);
+    saveUserProfile(sessionId, session.userInfo);
+  }
+  database.saveMessage(sessionId, 'bot', text, 'medication', null, null, null);
+  io.to(sessionId).emit('medications_updated', { sessionId, medication, message: text, timestamp: new Date() });
+}
+
+// Load a medication for a mutating request and check it belongs to the caller's session
+function getOwnedMedication(req, res) {
+  const sessionId = req.body?.sessionId || req.query.sessionId;
+  if (!sessionId) {
+    res.status(400).json({ error: 'sessionId is required' });
+    return null;
+  }
+
+  const medication = database.getMedication(req.params.id);
+  if (!medication) {
+    res.status(404).json({ error: 'Medication not found' });
+    return null;
+  }
+  if (medication.session_id !== sessionId) {
+    res.status(403).json({ error: 'Medication does not belong to this session' });
+    return null;
+  }
+  if (medication.status !== 'active') {
+    res.status(409).json({ error: `Medication is ${medication.status}` });
+    return null;
+  }
+
+  return medication;
+}
+
+// Dose, frequency and start date from a request body; frequencies such as "twice a day" are normalized
+function parseMedicationDetails(body) {
+  const details = {};
+  for (const field of ['dose', 'frequency']) {
+    if (body[field] === undefined || body[field] === null) continue;
+    if (typeof body[field] !== 'string' || body[field].length > 100) {
+      return { error: `${field} must be a string of at most 100 characters` };
     }
+    details[field] = body[field].trim() || null;
+  }
+  if (details.frequency) {
+    details.frequency = medicationList.parseFrequency(details.frequency) || details.frequency;
+  }
+  if (body.startDate !== undefined && body.startDate !== null) {
+    if (!medicationList.isValidDate(body.startDate)) {
+      return { error: 'startDate must be formatted as YYYY-MM-DD' };
+    }
+    details.startDate = body.startDate;
+  }
+  return { details };
+}
+
+// Interactions and contraindications for a session's medication list, as returned by the API
+function medicationListChecks(sessionId, list) {
+  const { interactions, contraindications } = checkMedicationList(list, sessions.get(sessionId)?.userInfo);
+  return { interactions, contraindications };
+}
+
+// API endpoint to list a session's medications
+app.get('/api/medications', (req, res) => {
+  const { sessionId } = req.query;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+
+  const medications = medicationList.listMedications(sessionId);
+  res.json({ sessionId, medications, count: medications.length, ...medicationListChecks(sessionId, medications) });
+});
+
+// API endpoint to add a medication (or update one already on the list)
+app.post('/api/medications', (req, res) => {
+  const { sessionId, name } = req.body;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+  if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return res.status(400).json({ error: 'name is required (at most 100 characters)' });
+  }
+  if (!sessions.has(sessionId) && !database.getSession(sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const { details, error } = parseMedicationDetails(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const result = medicationList.addMedication(sessionId, { name: name.trim(), ...details });
+  if (!result) {
+    return res.status(500).json({ error: 'Error saving medication' });
+  }
+
+  const { medication, created, changed } = result;
+  if (changed) {
+    database.logEvent(created ? 'medication_added' : 'medication_updated', { name: medication.name, via: 'api' }, sessionId);
+    recordMedicationUpdate(
+      sessionId,
+      `${medication.name} has been ${created ? 'added to' : 'updated on'} your medication list: ${medicationList.formatMedication(medication)}`,
+      medication
+    );
+  }
+  const medications = medicationList.listMedications(sessionId);
+  res.status(created ? 201 : 200).json({ success: true, created, medication, ...medicationListChecks(sessionId, medications) });
+});
+
+// API endpoint to change a medication's dose, frequency or start date
+app.patch('/api/medications/:id', (req, res) => {
+  const medication = getOwnedMedication(req, res);
+  if (!medication) return;
+
+  const { details, error } = parseMedicationDetails(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(details).length === 0) {
+    return res.status(400).json({ error: 'Provide a dose, frequency and/or startDate' });
+  }
+
+  const updated = medicationList.updateMedication(medication.id, {
+    dose: medication.dose,
+    frequency: medication.frequency,
+    startDate: medication.start_date,
+    ...details
+  });
+  if (!updated) {
+    return res.status(500).json({ error: 'Error updating medication' });
+  }
+
+  database.logEvent('medication_updated', { name: updated.name, via: 'api' }, medication.session_id);
+  recordMedicationUpdate(medication.session_id, `${updated.name} has been updated on your medication list: ${medicationList.formatMedication(updated)}`, updated);
+  res.json({ success: true, medication: updated });
+});
+
+// API endpoint to remove a medication from the list
+app.delete('/api/medications/:id', (req, res) => {
+  const medication = getOwnedMedication(req, res);
+  if (!medication) return;
+
+  const removed = medicationList.removeMedication(medication.id);
+  if (!removed) {
+    return res.status(500).json({ error: 'Error removing medication' });
+  }
+
+  database.logEvent('medication_removed', { name: removed.name, via: 'api' }, medication.session_id);
+  recordMedicationUpdate(medication.session_id, `${removed.name} has been removed from your medication list.`, removed);
+  res.json({ success: true, medication: removed });
+});
+
+// Deliver a due medication reminder to the session's room and keep it in the conversation
+function pushReminder(payload) {
+  const session = sessions.get(payload.sessionId);
+  if (session) {
+    session.conversationHistory.push({ role: 'bot', message: payload.message, timestamp: new Date(), intent: 'medication' });
+  }
+  database.saveMessage(payload.sessionId, 'bot', payload.message, 'medication', null, null, null);
+  io.to(payload.sessionId).emit('medication_reminder', { ...payload, timestamp: new Date() });
+}
+
+// Load a reminder for a mutating request and check it belongs to the caller's session
+function getOwnedReminder(req, res) {
+  const sessionId = req.body?.sessionId || req.query.sessionId;
+  if (!sessionId) {
+    res.status(400).json({ error: 'sessionId is required' });
+    return null;
+  }
+
+  const reminder = database.getReminder(req.params.id);
+  if (!reminder) {
+    res.status(404).json({ error: 'Reminder not found' });
+    return null;
+  }
+  if (reminder.session_id !== sessionId) {
+    res.status(403).json({ error: 'Reminder does not belong to this session' });
+    return null;
+  }
+  if (reminder.status !== 'active') {
+    res.status(409).json({ error: `Reminder is ${reminder.status}` });
+    return null;
+  }
+
+  return reminder;
+}
+
+// API endpoint to list a session's active reminders
+app.get('/api/reminders', (req, res) => {
+  const { sessionId } = req.query;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+
+  const list = reminders.listReminders(sessionId);
+  res.json({ sessionId, reminders: list, count: list.length, emailEnabled: mailer.isEnabled() });
+});
+
+// API endpoint to set a daily reminder (replaces an existing reminder for the same medication)
+app.post('/api/reminders', (req, res) => {
+  const { sessionId, medication, times, email, timeZone } = req.body;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+  if (!medication || typeof medication !== 'string' || !medication.trim() || medication.length > 100) {
+    return res.status(400).json({ error: 'medication is required (at most 100 characters)' });
+  }
+  if (!Array.isArray(times) || times.length === 0 || times.length > 12 ||
+      !times.every(time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+    return res.status(400).json({ error: 'times must be a list of up to 12 times formatted as HH:MM' });
+  }
+  if (email !== undefined && email !== null && !mailer.isValidEmail(email)) {
+    return res.status(400).json({ error: 'email is not a valid email address' });
+  }
+  if (timeZone !== undefined && timeZone !== null && !reminders.isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'timeZone is not a known IANA time zone (e.g. "America/New_York")' });
+  }
+  const session = sessions.get(sessionId) || database.getSession(sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const { created } = reminders.createReminders(sessionId, {
+    medications: [medication.trim()],
+    times,
+    email: email || null,
+    timeZone: timeZone || session.userInfo?.timeZone || null
   });
+  const reminder = created[0];
+  if (!reminder) {
+    return res.status(500).json({ error: 'Error saving reminder' });
+  }
+
+  database.logEvent('reminder_created', { reminderId: reminder.id, medication: reminder.medication, times: reminder.times, email: Boolean(reminder.email), via: 'api' }, sessionId);
+  res.status(201).json({ success: true, reminder, emailEnabled: mailer.isEnabled() });
+});
+
+// API endpoint to cancel a reminder
+app.delete('/api/reminders/:id', (req, res) => {
+  const reminder = getOwnedReminder(req, res);
+  if (!reminder) return;
+
+  if (!database.cancelReminder(reminder.id)) {
+    return res.status(500).json({ error: 'Error cancelling reminder' });
+  }
+
+  database.logEvent('reminder_cancelled', { reminderId: reminder.id, medication: reminder.medication, via: 'api' }, reminder.session_id);
+  res.json({ success: true, reminder: database.getReminder(reminder.id) });
+});
+
+// Record an appointment change made outside the chat in the session's conversation
+function recordAppointmentUpdate(sessionId, text, appointment) {
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.conversationHistory.push({ role: 'bot', message: text, timestamp: new Date(), intent: 'appointment' });
+  }
+  database.saveMessage(sessionId, 'bot', text, 'appointment', null, null, null);
+  io.to(sessionId).emit('appointment_updated', { sessionId, appointment, message: text, timestamp: new Date() });
+}
+
+// Load an appointment and check it belongs to the caller's session. Changes need a booked appointment;
+// viewing (bookedOnly false) also shows cancelled and past ones.
+function getOwnedAppointment(req, res, { bookedOnly = true } = {}) {
+  const sessionId = req.body?.sessionId || req.query.sessionId;
+  if (!sessionId) {
+    res.status(400).json({ error: 'sessionId is required' });
+    return null;
+  }
+
+  const appointment = database.getAppointment(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ error: 'Appointment not found' });
+    return null;
+  }
+  if (appointment.session_id !== sessionId) {
+    res.status(403).json({ error: 'Appointment does not belong to this session' });
+    return null;
+  }
+  if (bookedOnly && appointment.status !== 'booked') {
+    res.status(409).json({ error: `Appointment is ${appointment.status}` });
+    return null;
+  }
+
+  return appointment;
+}
+
+// API endpoint to list a session's appointments
+app.get('/api/appointments', (req, res) => {
+  const { sessionId, all } = req.query;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+
+  const appointments = scheduler.listAppointments(sessionId, { all: all === 'true' });
+  res.json({ sessionId, appointments, count: appointments.length });
+});
+
+// API endpoint to get a single appointment
+app.get('/api/appointments/:id', (req, res) => {
+  const appointment = getOwnedAppointment(req, res, { bookedOnly: false });
+  if (!appointment) return;
+
+  res.json({ appointment });
+});
+
+// API endpoint to reschedule an appointment or update its reason
+app.patch('/api/appointments/:id', (req, res) => {
+  const appointment = getOwnedAppointment(req, res);
+  if (!appointment) return;
+
+  const { start, providerId, reason } = req.body;
+  if (!start && reason === undefined) {
+    return res.status(400).json({ error: 'Provide a new start time and/or reason' });
+  }
+
+  let updated = appointment;
+  let summary = null;
+
+  if (start) {
+    const normalized = String(start).replace('T', ' ').slice(0, 16);
+    if (!/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test(normalized)) {
+      return res.status(400).json({ error: 'start must be formatted as YYYY-MM-DD HH:MM' });
+    }
+
+    // Prefer the same provider, then anyone in the same specialty
+    const slot = providerId
+      ? scheduler.findSlotAt(normalized, { providerId: Number(providerId) })
+      : scheduler.findSlotAt(normalized, { providerId: appointment.provider_id }) ||
+        scheduler.findSlotAt(normalized, { specialty: appointment.specialty });
+    if (!slot) {
+      return res.status(409).json({ error: 'Requested time is not available' });
+    }
+
+    const result = scheduler.rescheduleToSlot(appointment.id, slot);
+    if (!result.success) {
+      return res.status(409).json({ error: 'Requested time is not available', reason: result.error });
+    }
+
+    updated = result.appointment;
+    summary = `Your appointment ${updated.id} has been rescheduled to ${scheduler.formatSlotTime(scheduler.parseDateTime(updated.start_time))}.`;
+    database.logEvent('appointment_rescheduled', {
+      appointmentId: updated.id,
+      from: appointment.start_time,
+      to: updated.start_time,
+      via: 'api'
+    }, appointment.session_id);
+  }
+
+  if (reason !== undefined) {
+    database.updateAppointmentReason(appointment.id, reason);
+    updated = database.getAppointment(appointment.id);
+    summary = summary || `The reason for your appointment ${updated.id} has been updated to "${reason}".`;
+  }
+
+  recordAppointmentUpdate(appointment.session_id, summary, updated);
+  res.json({ success: true, appointment: updated });
+});
+
+// API endpoint to cancel an appointment
+app.delete('/api/appointments/:id', (req, res) => {
+  const appointment = getOwnedAppointment(req, res);
+  if (!appointment) return;
+
+  const cancelled = scheduler.cancelAppointment(appointment.id);
+  if (!cancelled) {
+    return res.status(500).json({ error: 'Error cancelling appointment' });
+  }
+
+  database.logEvent('appointment_cancelled', { appointmentId: cancelled.id, via: 'api' }, cancelled.session_id);
+  recordAppointmentUpdate(
+    cancelled.session_id,
+    `Your appointment ${cancelled.id} with ${cancelled.provider_name} has been cancelled.`,
+    cancelled
+  );
+  res.json({ success: true, appointment: cancelled });
 });
 
 // Serve the main page
@@ -1441,6 +2983,20 @@ io.on('connection', (socket) => {
     console.log(`Client ${socket.id} joined session ${sessionId}`);
   });
   
+  // Crisis alerts go only to staff who present the crisis staff token
+  socket.on('join_crisis_staff', ({ token, staffId } = {}, ack) => {
+    const joined = crisisProtocol.isStaffToken(token);
+    if (joined) {
+      socket.join(crisisProtocol.STAFF_ROOM);
+      console.log(`🆘 Crisis staff ${staffId || socket.id} joined ${crisisProtocol.STAFF_ROOM}`);
+    } else {
+      console.warn(`⚠️ Rejected crisis staff join from ${socket.id}`);
+    }
+    if (typeof ack === 'function') {
+      ack({ joined, activeCrises: joined ? listActiveCrises() : [] });
+    }
+  });
+  
   socket.on('disconnect', () => {
     console.log('❌ Client disconnected:', socket.id);
   });
@@ -1450,8 +3006,15 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
   console.log(`🏥 Healthcare Chatbot server running on http://localhost:${PORT}`);
   console.log(`📊 Database: SQLite (${database.getStats().totalSessions} sessions)`);
-  console.log(`🤖 AI Service: ${aiService.isAIAvailable() ? 'Enabled (OpenAI)' : 'Disabled (Rule-based)'}`);
+  const aiStatus = aiService.getStatus();
+  console.log(`🤖 AI Service: ${aiStatus.provider !== 'none' ? `Enabled (${aiStatus.provider}: ${aiStatus.model})` : 'Disabled (Rule-based)'}`);
   console.log(`🔌 WebSocket: Enabled`);
+  console.log(`⏰ Reminders: Enabled (email ${mailer.isEnabled() ? `via ${process.env.SMTP_HOST}` : 'disabled - set SMTP_HOST'})`);
+  reminders.start(pushReminder);
+  const corpus = retrieval.syncCorpus();
+  const changed = corpus.added.length + corpus.updated.length + corpus.removed.length;
+  console.log(`📚 Document corpus: ${database.getDocuments().length} documents indexed (${changed} changed${corpus.failed.length > 0 ? `, ${corpus.failed.length} failed` : ''})`);
+  corpus.failed.forEach(failure => console.warn(`⚠️ Could not index ${failure.path}: ${failure.error}`));
   console.log(`💾 Caching: Enabled`);
 });
 
@@ -0,0 +1,351 @@
+// Structured symptom interview: per-symptom slots filled across conversation turns
+const { medicalKnowledge } = require('./knowledge-base');
+const { performTriage } = require('./triage');
+const { isAsserted } = require('./assertions');
+
+// Slots asked for every symptom, in order
+const SLOTS = ['onset', 'duration', 'severity', 'location', 'associated', 'aggravating'];
+
+// Symptoms interviewed in one session before we summarize
+const MAX_SYMPTOMS = 3;
+
+// Raw answers kept for triage keyword checks
+const MAX_ANSWERS = 20;
+
+const SLOT_LABELS = {
+  onset: 'Onset',
+  duration: 'Duration',
+  severity: 'Severity',
+  location: 'Location',
+  associated: 'Associated symptoms',
+  aggravating: 'Worse with'
+};
+
+const SLOT_QUESTIONS = {
+  onset: symptom => `When did the ${symptom} start, and did it come on suddenly or gradually?`,
+  duration: symptom => `How long has the ${symptom} lasted so far? Is it constant, or does it come and go?`,
+  severity: symptom => `On a scale of 1-10, how severe is the ${symptom} right now?`,
+  location: symptom => `Where exactly do you feel the ${symptom}?`,
+  associated: symptom => `Are you having any other symptoms along with the ${symptom}?`,
+  aggravating: symptom => `Does anything make the ${symptom} worse (for example movement, eating, light, or time of day)?`
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  few: 3, 'couple of': 2, several: 3
+};
+const TIME_UNITS = 'minute|hour|day|week|month|year';
+const AMOUNT = `(\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|few|couple of|several)`;
+
+const RELATIVE_ONSETS = /\b(yesterday|last night|this morning|this afternoon|this evening|today|last week|over the weekend)\b/;
+const WEEKDAYS = 'monday|tuesday|wednesday|thursday|friday|saturday|sunday';
+
+const SEVERITY_WORDS = { slight: 2, mild: 3, moderate: 5, severe: 8, intense: 8, extreme: 9, worst: 10, unbearable: 10 };
+
+const LOCATION_TERMS = [
+  'forehead', 'temples', 'temple', 'back of my head', 'back of the head', 'behind my eyes', 'behind the eyes',
+  'left side', 'right side', 'both sides', 'one side', 'upper', 'lower', 'all over', 'everywhere',
+  'side'
+];
+
+const BODY_PARTS = [
+  'head', 'chest', 'stomach', 'abdomen', 'belly', 'back', 'neck', 'shoulder', 'arm', 'elbow', 'wrist', 'hand',
+  'hip', 'leg', 'knee', 'ankle', 'foot', 'throat', 'ear', 'eye', 'nose', 'jaw', 'tooth'
+];
+
+// Symptoms mentioned as "associated" that aren't in the knowledge base
+const OTHER_SYMPTOMS = [
+  'dizziness', 'dizzy', 'fatigue', 'tired', 'vomiting', 'chills', 'sweating', 'rash', 'sore throat',
+  'shortness of breath', 'runny nose', 'body aches', 'diarrhea', 'blurred vision', 'sensitivity to light',
+  'stiff neck', 'confusion', 'congestion', 'loss of appetite', 'weakness', 'numbness'
+];
+
+const PAIN_WORDS = /\b(pain|painful|ache|aches|aching|hurts?|hurting|sore|cramps?)\b/;
+const LOCATED_SYMPTOMS = /pain|ache|sore|rash|cramp|swelling/;
+
+const NEGATIVE_ANSWER = /^(no|nope|none|nothing|not really|no other symptoms|nothing else)\b/;
+const SKIP_ANSWER = /^(skip|not sure|unsure|i'm not sure|i don't know|don't know|no idea)\b/;
+const FINISH_REQUEST = /^(that's all|that is all|done|i'm done|finish|summary|that's it)\b/;
+
+function bodyPartsIn(msg) {
+  return BODY_PARTS.filter(part => new RegExp(`\\b${part}s?\\b`).test(msg));
+}
+
+function normalize(message) {
+  return message.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ').trim();
+}
+
+function toNumber(amount) {
+  return /^\d+$/.test(amount) ? parseInt(amount, 10) : NUMBER_WORDS[amount];
+}
+
+function formatAmount(amount, unit) {
+  const n = toNumber(amount);
+  return `${n} ${unit}${n === 1 ? '' : 's'}`;
+}
+
+// Symptoms named in a message: knowledge base symptoms, or "<body part> pain".
+// Negated, resolved or hypothetical mentions ("no fever anymore") are left out.
+function detectSymptoms(message) {
+  const msg = normalize(message);
+  const symptoms = Object.keys(medicalKnowledge.commonSymptoms)
+    .filter(symptom => msg.includes(symptom) && isAsserted(msg, symptom));
+  if (symptoms.length === 0 && PAIN_WORDS.test(msg)) {
+    bodyPartsIn(msg).filter(part => isAsserted(msg, part)).forEach(part => symptoms.push(`${part} pain`));
+  }
+  return [...new Set(symptoms)].slice(0, MAX_SYMPTOMS);
+}
+
+function parseOnset(msg) {
+  let onset = null;
+  const ago = msg.match(new RegExp(`\\b${AMOUNT}\\s*(${TIME_UNITS})s?\\s+ago\\b`));
+  const since = msg.match(new RegExp(`\\bsince\\s+(yesterday|last night|this morning|last week|${WEEKDAYS})\\b`));
+  const relative = msg.match(RELATIVE_ONSETS);
+  if (ago) onset = `${formatAmount(ago[1], ago[2])} ago`;
+  else if (since) onset = `since ${since[1]}`;
+  else if (relative) onset = relative[1];
+
+  const pattern = /\b(sudden|suddenly|all of a sudden|out of nowhere)\b/.test(msg) ? 'sudden'
+    : /\b(gradual|gradually|slowly|over time)\b/.test(msg) ? 'gradual' : null;
+  if (onset && pattern) return `${onset} (${pattern})`;
+  return onset || pattern;
+}
+
+function parseDuration(msg) {
+  const match = msg.match(new RegExp(`\\b${AMOUNT}\\s*(${TIME_UNITS})s?\\b(?!\\s+ago)`));
+  const ago = msg.match(new RegExp(`\\b${AMOUNT}\\s*(${TIME_UNITS})s?\\s+ago\\b`));
+  const pattern = /\b(constant|constantly|all the time|non-stop|continuous)\b/.test(msg) ? 'constant'
+    : /\b(comes and goes|on and off|off and on|intermittent|every now and then)\b/.test(msg) ? 'comes and goes' : null;
+
+  let duration = null;
+  if (match) duration = formatAmount(match[1], match[2]);
+  else if (ago) duration = formatAmount(ago[1], ago[2]);
+  if (duration && pattern) return `${duration}, ${pattern}`;
+  return duration || pattern;
+}
+
+// Severity on a 1-10 scale; a bare number only counts when we just asked for severity
+function parseSeverity(msg, expecting) {
+  const scale = msg.match(/\b(\d{1,2})\s*(?:\/|out of)\s*10\b/);
+  if (scale && parseInt(scale[1], 10) <= 10) return parseInt(scale[1], 10);
+
+  if (expecting) {
+    const bare = msg.match(/^(?:about|around|maybe|it's|its|a)?\s*(\d{1,2})\b/);
+    if (bare && parseInt(bare[1], 10) >= 1 && parseInt(bare[1], 10) <= 10) return parseInt(bare[1], 10);
+  }
+
+  const word = Object.keys(SEVERITY_WORDS).find(w => new RegExp(`\\b${w}\\b`).test(msg));
+  return word ? SEVERITY_WORDS[word] : null;
+}
+
+function parseLocation(msg) {
+  const terms = LOCATION_TERMS.filter(term => new RegExp(`\\b${term}\\b`).test(msg));
+  const found = [...new Set([...terms, ...bodyPartsIn(msg)])]
+    .filter((term, i, all) => !all.some((other, j) => j !== i && other.includes(term) && other !== term));
+  return found.length > 0 ? found.join(', ') : null;
+}
+
+function parseAssociated(msg, current) {
+  const known = Object.keys(medicalKnowledge.commonSymptoms);
+  return [...known, ...OTHER_SYMPTOMS].filter(symptom =>
+    symptom !== current && new RegExp(`\\b${symptom}\\b`).test(msg) && isAsserted(msg, symptom)
+  );
+}
+
+function parseAggravating(message) {
+  const match = message.match(/\b(?:worse|aggravated|triggered|hurts more|bothers me)\s+(?:when|with|by|after|if|in|during)\s+([^.,;!?]+)/i);
+  return match ? [match[1].trim()] : [];
+}
+
+function newEntry(name) {
+  const entry = { name };
+  SLOTS.forEach(slot => { entry[slot] = null; });
+  return entry;
+}
+
+// Fill whatever empty slots a message answers; returns the slots it filled
+function fillSlots(entry, message, expectingSlot = null) {
+  const msg = normalize(message);
+  const filled = [];
+  const set = (slot, value) => {
+    const empty = entry[slot] === null || (Array.isArray(entry[slot]) && entry[slot].length === 0);
+    if (value !== null && !(Array.isArray(value) && value.length === 0) && empty) {
+      entry[slot] = value;
+      filled.push(slot);
+    }
+  };
+
+  set('onset', parseOnset(msg));
+  set('duration', parseDuration(msg));
+  set('severity', parseSeverity(msg, expectingSlot === 'severity'));
+  if (LOCATED_SYMPTOMS.test(entry.name)) set('location', parseLocation(msg));
+  set('associated', parseAssociated(msg, entry.name));
+  set('aggravating', parseAggravating(message));
+
+  return filled;
+}
+
+function slotApplies(entry, slot) {
+  return slot !== 'location' || LOCATED_SYMPTOMS.test(entry.name);
+}
+
+// Start an interview for the symptoms in the opening message
+function startInterview(symptoms, message) {
+  const state = {
+    status: 'active',
+    symptoms: [],
+    pending: null,
+    answers: [message].slice(-MAX_ANSWERS),
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    summary: null
+  };
+  addSymptoms(state, symptoms, message);
+  return state;
+}
+
+// Add newly mentioned symptoms to the interview queue
+function addSymptoms(state, symptoms, message) {
+  const added = [];
+  symptoms.forEach(name => {
+    if (state.symptoms.length >= MAX_SYMPTOMS || state.symptoms.some(s => s.name === name)) return;
+    const entry = newEntry(name);
+    fillSlots(entry, message);
+    state.symptoms.push(entry);
+    added.push(name);
+  });
+  return added;
+}
+
+// Record the user's reply to the pending question
+function recordAnswer(state, message) {
+  const msg = normalize(message);
+  const pending = state.pending;
+  state.answers = [...state.answers, message].slice(-MAX_ANSWERS);
+  if (!pending) return { filled: [], added: [] };
+
+  const entry = state.symptoms.find(s => s.name === pending.symptom);
+  const filled = fillSlots(entry, message, pending.slot);
+
+  if (!filled.includes(pending.slot)) {
+    // A newly mentioned symptom isn't an answer to an unrelated question
+    const mentioned = detectSymptoms(message).filter(name => !state.symptoms.some(s => s.name === name));
+    if (mentioned.length > 0 && pending.slot !== 'associated') {
+      return { filled, added: addSymptoms(state, mentioned, message), unanswered: true };
+    }
+
+    const listSlot = pending.slot === 'associated' || pending.slot === 'aggravating';
+    if (NEGATIVE_ANSWER.test(msg) && pending.slot !== 'severity') {
+      entry[pending.slot] = listSlot ? ['none'] : 'none';
+    } else if (SKIP_ANSWER.test(msg)) {
+      entry[pending.slot] = listSlot ? ['not sure'] : 'not sure';
+    } else if (pending.slot !== 'severity') {
+      // Keep the user's own words for free-text slots
+      const text = message.trim().replace(/[.!]+$/, '');
+      entry[pending.slot] = listSlot ? [text] : text;
+    } else {
+      return { filled, added: [], unanswered: true };
+    }
+    filled.push(pending.slot);
+  }
+
+  // Known symptoms mentioned along the way get their own questions
+  const knownAssociated = (entry.associated || []).filter(s => medicalKnowledge.commonSymptoms[s]);
+  const added = addSymptoms(state, knownAssociated, message);
+
+  return { filled, added };
+}
+
+// Whether a message answers the pending question (without recording anything)
+function answersPending(state, message) {
+  if (!state.pending) return false;
+  const entry = state.symptoms.find(s => s.name === state.pending.symptom);
+  const copy = JSON.parse(JSON.stringify(entry));
+  return fillSlots(copy, message, state.pending.slot).includes(state.pending.slot);
+}
+
+// Next unanswered slot; updates state.pending and returns the question, or null when complete
+function nextQuestion(state) {
+  for (const entry of state.symptoms) {
+    const slot = SLOTS.find(s => slotApplies(entry, s) && entry[s] === null);
+    if (slot) {
+      state.pending = { symptom: entry.name, slot };
+      return SLOT_QUESTIONS[slot](entry.name);
+    }
+  }
+  state.pending = null;
+  return null;
+}
+
+function isFinishRequest(message) {
+  return FINISH_REQUEST.test(normalize(message));
+}
+
+function isSkipAnswer(message) {
+  return SKIP_ANSWER.test(normalize(message));
+}
+
+function formatSlotValue(entry, slot) {
+  const value = entry[slot];
+  if (slot === 'severity' && typeof value === 'number') return `${value}/10`;
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+// Summary text plus the inputs triage needs
+function buildSummary(state) {
+  const sections = state.symptoms.map(entry => {
+    const lines = SLOTS
+      .filter(slot => slotApplies(entry, slot) && entry[slot] !== null)
+      .map(slot => `- ${SLOT_LABELS[slot]}: ${formatSlotValue(entry, slot)}`);
+    const title = entry.name.charAt(0).toUpperCase() + entry.name.slice(1);
+    return `**${title}**\n${lines.join('\n') || '- No details provided'}`;
+  });
+
+  const scores = state.symptoms.map(s => s.severity).filter(s => typeof s === 'number');
+  const severityScore = scores.length > 0 ? Math.max(...scores) : null;
+  const severity = severityScore === null ? null : severityScore >= 8 ? 'severe' : severityScore >= 4 ? 'moderate' : 'mild';
+  const duration = state.symptoms.map(s => s.duration).find(d => d && /\d/.test(d)) || null;
+
+  const details = state.symptoms.map(entry => [
+    entry.name,
+    ...(entry.associated || []),
+    ...(entry.aggravating || []),
+    entry.location || ''
+  ].join(' '));
+
+  return {
+    text: sections.join('\n\n'),
+    triageMessage: [...details, ...state.answers].join('. '),
+    symptomInfo: {
+      symptoms: state.symptoms.map(s => s.name),
+      duration,
+      severity,
+      severityScore
+    }
+  };
+}
+
+// Close the interview and triage everything it collected (triageContext: history and profile for red-flag rules)
+function completeInterview(state, triageContext = {}) {
+  const summary = buildSummary(state);
+  const triage = performTriage(summary.triageMessage, summary.symptomInfo, triageContext);
+  state.status = 'complete';
+  state.pending = null;
+  state.completedAt = new Date().toISOString();
+  state.summary = { text: summary.text, symptomInfo: summary.symptomInfo, triage };
+  return state.summary;
+}
+
+module.exports = {
+  SLOTS,
+  detectSymptoms,
+  startInterview,
+  addSymptoms,
+  recordAnswer,
+  answersPending,
+  nextQuestion,
+  isFinishRequest,
+  isSkipAnswer,
+  buildSummary,
+  completeInterview
+};
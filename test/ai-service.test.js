@@ -0,0 +1,120 @@
+// Retries, backoff, timeouts and the circuit breaker in ai-service.js, against the mock provider.
+// The settings are read when the module loads, so they are set first with short delays.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MAX_RETRIES = '2';
+process.env.LLM_RETRY_BASE_MS = '50';
+process.env.LLM_BREAKER_THRESHOLD = '2';
+process.env.LLM_BREAKER_COOLDOWN_MS = '300';
+process.env.MOCK_LLM_TIMEOUT_MS = '100';
+delete process.env.MOCK_LLM_MODE;
+process.env.DATABASE_PATH = ':memory:';
+
+const aiService = require('../ai-service');
+
+const NO_ENTITIES = { medications: [], symptoms: [], bodyParts: [], numbers: [], timeExpressions: [] };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Time a call to the provider (entity extraction is the smallest one)
+async function timedCall() {
+  const started = Date.now();
+  const result = await aiService.extractEntitiesAI('I have a headache');
+  return { result, elapsed: Date.now() - started };
+}
+
+// Each test starts with a working provider and a closed circuit
+beforeEach(async () => {
+  delete process.env.MOCK_LLM_MODE;
+  if (aiService.getStatus().circuit.state === 'open') {
+    await sleep(300);
+  }
+  await aiService.extractEntitiesAI('hello');
+});
+
+test('answers through the mock provider with the circuit closed', async () => {
+  const { result } = await timedCall();
+  assert.deepStrictEqual(result, NO_ENTITIES);
+  assert.strictEqual(aiService.isAIAvailable(), true);
+  assert.strictEqual(aiService.getStatus().circuit.state, 'closed');
+  assert.strictEqual(aiService.getStatus().maxRetries, 2);
+});
+
+test('retries a failed attempt after a backoff and returns its answer', async () => {
+  process.env.MOCK_LLM_MODE = 'fail';
+  // The first attempt fails at once; the provider recovers while the call waits to retry
+  setTimeout(() => delete process.env.MOCK_LLM_MODE, 20);
+  const { result, elapsed } = await timedCall();
+  assert.deepStrictEqual(result, NO_ENTITIES);
+  assert.ok(elapsed >= 50, `retried after ${elapsed}ms, before the 50ms backoff`);
+  assert.strictEqual(aiService.getStatus().circuit.failures, 0);
+});
+
+test('gives up after the retries, doubling the wait each time', async () => {
+  process.env.MOCK_LLM_MODE = 'fail';
+  const { result, elapsed } = await timedCall();
+  assert.strictEqual(result, null);
+  // 50ms, then 100ms, each with up to 50ms of jitter
+  assert.ok(elapsed >= 150, `gave up after ${elapsed}ms, before the 150ms of backoff`);
+  assert.ok(elapsed < 1000, `gave up after ${elapsed}ms`);
+  const { circuit } = aiService.getStatus();
+  assert.strictEqual(circuit.failures, 1);
+  assert.strictEqual(circuit.state, 'closed');
+  assert.match(circuit.lastError, /mock provider failure/);
+});
+
+test('times out a slow provider on every attempt', async () => {
+  process.env.MOCK_LLM_MODE = 'slow';
+  const { result, elapsed } = await timedCall();
+  assert.strictEqual(result, null);
+  // Three attempts of 100ms plus the backoff between them
+  assert.ok(elapsed >= 450, `gave up after ${elapsed}ms, before three timeouts and the backoff`);
+  assert.match(aiService.getStatus().circuit.lastError, /timed out after 100ms/);
+});
+
+test('opens the circuit after the threshold and skips calls while it is open', async () => {
+  process.env.MOCK_LLM_MODE = 'fail';
+  await timedCall();
+  await timedCall();
+  assert.strictEqual(aiService.getStatus().circuit.state, 'open');
+  assert.strictEqual(aiService.isAIAvailable(), false);
+
+  // The provider works again, but no call is made until the cooldown is over
+  delete process.env.MOCK_LLM_MODE;
+  const { result, elapsed } = await timedCall();
+  assert.strictEqual(result, null);
+  assert.ok(elapsed < 50, `an open circuit still took ${elapsed}ms`);
+  assert.strictEqual(aiService.getStatus().circuit.state, 'open');
+});
+
+test('closes the circuit when the trial call after the cooldown succeeds', async () => {
+  process.env.MOCK_LLM_MODE = 'fail';
+  await timedCall();
+  await timedCall();
+  assert.strictEqual(aiService.getStatus().circuit.state, 'open');
+
+  delete process.env.MOCK_LLM_MODE;
+  await sleep(300);
+  assert.strictEqual(aiService.isAIAvailable(), true);
+  assert.strictEqual(aiService.getStatus().circuit.state, 'half-open');
+  const { result } = await timedCall();
+  assert.deepStrictEqual(result, NO_ENTITIES);
+  assert.strictEqual(aiService.getStatus().circuit.state, 'closed');
+  assert.strictEqual(aiService.getStatus().circuit.failures, 0);
+});
+
+test('opens the circuit again when the trial call fails, without retrying it', async () => {
+  process.env.MOCK_LLM_MODE = 'fail';
+  await timedCall();
+  await timedCall();
+  await sleep(300);
+
+  const { result, elapsed } = await timedCall();
+  assert.strictEqual(result, null);
+  assert.ok(elapsed < 50, `the trial call took ${elapsed}ms, so it was retried`);
+  assert.strictEqual(aiService.getStatus().circuit.state, 'open');
+});
@@ -0,0 +1,39 @@
+// Negation, time and experiencer of symptom mentions in assertions.js.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { assessMention, isAsserted } = require('../assertions');
+
+const polarity = (message, term) => assessMention(message, term).polarity;
+const status = (message, term) => assessMention(message, term).status;
+
+test('negates a symptom the user denies', () => {
+  assert.strictEqual(polarity('I have no fever', 'fever'), 'negated');
+  assert.strictEqual(polarity('never had chest pain', 'chest pain'), 'negated');
+  assert.strictEqual(isAsserted('I have no fever', 'fever'), false);
+});
+
+test('ends the negation at "but" and similar words', () => {
+  assert.strictEqual(polarity("I don't have a cough, but I have a fever", 'cough'), 'negated');
+  assert.strictEqual(polarity("I don't have a cough, but I have a fever", 'fever'), 'affirmed');
+  assert.strictEqual(isAsserted('no chest pain but a bad headache', 'headache'), true);
+});
+
+test('does not treat pseudo-negations as denials', () => {
+  assert.strictEqual(polarity("I can't stop coughing", 'cough'), 'affirmed');
+  assert.strictEqual(polarity('my headache is not getting better', 'headache'), 'affirmed');
+  assert.strictEqual(polarity('no relief from this headache', 'headache'), 'affirmed');
+});
+
+test('counts "in the past 2 days" as current but "in the past" as past', () => {
+  assert.strictEqual(status('I had a fever in the past 2 days', 'fever'), 'current');
+  assert.strictEqual(status('I had a fever in the past few days', 'fever'), 'current');
+  assert.strictEqual(status('I had migraines in the past', 'migraine'), 'past');
+  assert.strictEqual(isAsserted('I had migraines in the past', 'migraine'), false);
+});
+
+test('marks resolved, hypothetical and other people\'s symptoms', () => {
+  assert.strictEqual(status('my headache went away', 'headache'), 'resolved');
+  assert.strictEqual(status('what are the signs of a stroke', 'stroke'), 'hypothetical');
+  assert.strictEqual(assessMention('my son has a fever', 'fever').experiencer, 'other');
+});
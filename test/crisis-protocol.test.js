@@ -0,0 +1,50 @@
+// Safety replies, the scripted crisis flow and the staff token in crisis-protocol.js.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const crisisProtocol = require('../crisis-protocol');
+
+test('reads answers to "Are you safe right now?"', () => {
+  assert.strictEqual(crisisProtocol.detectSafetyReply("no, I'm okay"), 'safe');
+  assert.strictEqual(crisisProtocol.detectSafetyReply('I am fine thanks'), 'safe');
+  assert.strictEqual(crisisProtocol.detectSafetyReply('not safe'), 'unsafe');
+  assert.strictEqual(crisisProtocol.detectSafetyReply("No, I'm not safe"), 'unsafe');
+  assert.strictEqual(crisisProtocol.detectSafetyReply('no'), 'unsafe');
+  assert.strictEqual(crisisProtocol.detectSafetyReply('what time is it'), null);
+});
+
+test('counts only an unsafe reply when the question was not just asked', () => {
+  assert.strictEqual(crisisProtocol.detectSafetyReply('not safe', false), 'unsafe');
+  assert.strictEqual(crisisProtocol.detectSafetyReply("no, I'm okay", false), null);
+  assert.strictEqual(crisisProtocol.detectSafetyReply('no', false), null);
+});
+
+test('escalates once when the user says they are not safe', () => {
+  const crisis = crisisProtocol.startCrisis('US');
+  assert.strictEqual(crisisProtocol.respond(crisis, 'I want to end it', { isNew: true }).escalate, false);
+
+  const unsafe = crisisProtocol.respond(crisis, 'not safe');
+  assert.strictEqual(unsafe.escalate, true);
+  assert.match(unsafe.response, /call \*\*911\*\*/);
+  assert.deepStrictEqual({ step: crisis.step, safety: crisis.safety }, { step: 'support', safety: 'unsafe' });
+  assert.strictEqual(crisisProtocol.respond(crisis, 'still not safe').escalate, false);
+});
+
+test('moves on to support when the user is safe', () => {
+  const crisis = crisisProtocol.startCrisis('US');
+  const safe = crisisProtocol.respond(crisis, "no, I'm okay");
+  assert.strictEqual(safe.escalate, false);
+  assert.deepStrictEqual({ step: crisis.step, safety: crisis.safety }, { step: 'support', safety: 'safe' });
+});
+
+test('accepts only the configured staff token', () => {
+  delete process.env.CRISIS_STAFF_TOKEN;
+  assert.strictEqual(crisisProtocol.isStaffToken('anything'), false);
+
+  process.env.CRISIS_STAFF_TOKEN = 'staff-secret';
+  assert.strictEqual(crisisProtocol.isStaffToken('staff-secret'), true);
+  assert.strictEqual(crisisProtocol.isStaffToken('staff-secreT'), false);
+  assert.strictEqual(crisisProtocol.isStaffToken(undefined), false);
+});
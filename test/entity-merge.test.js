@@ -0,0 +1,23 @@
+// mergeEntities in entity-merge.js: AI-extracted entities are only kept when the message backs them up.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const { extractEntities } = require('../nlp');
+const { mergeEntities } = require('../entity-merge');
+
+const merge = (message, aiEntities) => mergeEntities(extractEntities(message), aiEntities, message);
+
+test('adds a paraphrased symptom but not one the message never mentions', () => {
+  const result = merge('my head is pounding', { symptoms: [{ name: 'headache' }, { name: 'chest pain' }] });
+  assert.deepStrictEqual(result.entities.symptoms, ['headache']);
+  assert.deepStrictEqual(result.rejected, [{ type: 'symptoms', value: 'chest pain', reason: 'not_in_message' }]);
+});
+
+test('keeps a misspelled medication and rejects an invented one', () => {
+  const result = merge('I took ibuprofin this morning', { medications: ['ibuprofen', 'warfarin'] });
+  assert.ok(result.entities.medications.includes('ibuprofen'));
+  assert.ok(!result.entities.medications.includes('warfarin'));
+  assert.ok(result.rejected.some(entry => entry.value === 'warfarin' && entry.reason === 'not_in_message'));
+});
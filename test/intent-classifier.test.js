@@ -0,0 +1,48 @@
+// Intent scores, the crisis and emergency overrides and clarification in intent-classifier.js.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const classifier = require('../intent-classifier');
+
+test('classifies everyday messages', () => {
+  assert.strictEqual(classifier.detectIntent('hello'), 'greeting');
+  assert.strictEqual(classifier.detectIntent('I have a headache'), 'symptom');
+  assert.strictEqual(classifier.detectIntent('what is metformin used for'), 'medication');
+  assert.strictEqual(classifier.detectIntent('book an appointment with a cardiologist'), 'appointment');
+});
+
+test('puts crisis and emergency messages first', () => {
+  const emergency = classifier.classifyIntent("I have crushing chest pain and can't breathe");
+  assert.strictEqual(emergency.intent, 'emergency');
+  assert.ok(emergency.intents[0].matched.includes('chest pain'));
+  assert.strictEqual(classifier.detectIntent('I want to kill myself'), 'crisis');
+});
+
+test('does not treat a denied emergency symptom as an emergency', () => {
+  assert.strictEqual(classifier.detectIntent("I don't have chest pain"), 'symptom');
+});
+
+test('tells a self-inflicted overdose from an accidental one', () => {
+  assert.strictEqual(classifier.detectIntent('I took too many pills'), 'crisis');
+  const accidental = classifier.classifyIntent('I accidentally took too many pills');
+  assert.strictEqual(accidental.intent, 'emergency');
+  assert.strictEqual(classifier.isPoisoning(accidental), true);
+});
+
+test('asks which intent was meant only when two are close', () => {
+  const unclear = classifier.classifyIntent('can you help me with my medication or an appointment');
+  assert.deepStrictEqual(classifier.clarificationCandidates(unclear), ['appointment', 'medication']);
+  assert.deepStrictEqual(classifier.clarificationCandidates(classifier.classifyIntent('I have a headache')), []);
+  assert.deepStrictEqual(classifier.clarificationCandidates(classifier.classifyIntent('I want to kill myself')), []);
+});
+
+test('maps the answer to a clarifying question to an intent', () => {
+  const candidates = ['medication', 'appointment'];
+  assert.strictEqual(classifier.resolveClarification('2', candidates), 'appointment');
+  assert.strictEqual(classifier.resolveClarification('the second one', candidates), 'appointment');
+  assert.strictEqual(classifier.resolveClarification(classifier.clarificationLabel('medication'), candidates), 'medication');
+  assert.strictEqual(classifier.resolveClarification('yes', ['symptom']), 'symptom');
+  assert.strictEqual(classifier.resolveClarification('I am not sure what I need', candidates), null);
+});
@@ -0,0 +1,83 @@
+// mailer.js against a local SMTP stub that records each message it is sent.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+const received = [];
+
+// Just enough SMTP for nodemailer: greet, accept every command and keep the DATA
+const stub = net.createServer(socket => {
+  let buffer = '';
+  let message = null;
+  socket.write('220 stub ESMTP\r\n');
+  socket.on('data', chunk => {
+    buffer += chunk.toString();
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (message) {
+        if (line === '.') {
+          received.push(message);
+          message = null;
+          socket.write('250 OK queued\r\n');
+        } else {
+          message.data.push(line);
+        }
+        continue;
+      }
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        socket.write('250-stub\r\n250 8BITMIME\r\n');
+      } else if (command === 'DATA') {
+        message = { rcpt: [...(socket.rcpt || [])], data: [] };
+        socket.write('354 go ahead\r\n');
+      } else if (command === 'QUIT') {
+        socket.end('221 bye\r\n');
+      } else {
+        if (command === 'RCPT') socket.rcpt = [...(socket.rcpt || []), line];
+        socket.write('250 OK\r\n');
+      }
+    }
+  });
+});
+
+// After the require, so an SMTP_HOST from .env doesn't send the tests' mail anywhere else
+const mailer = require('../mailer');
+delete process.env.SMTP_HOST;
+
+before(() => new Promise(resolve => stub.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => stub.close(resolve)));
+
+test('is disabled without SMTP_HOST and sends nothing', async () => {
+  assert.strictEqual(mailer.isEnabled(), false);
+  assert.strictEqual(await mailer.sendMail({ to: 'jo@example.com', subject: 'Hi', text: 'Hello' }), null);
+  assert.strictEqual(received.length, 0);
+});
+
+test('sends through the configured SMTP server', async () => {
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(stub.address().port);
+  process.env.MAIL_FROM = 'Clinic <clinic@example.com>';
+  assert.strictEqual(mailer.isEnabled(), true);
+
+  const info = await mailer.sendMail({
+    to: 'jo@example.com',
+    subject: 'Medication reminder: metformin',
+    text: "Reminder: it's 8:00 AM - time to take metformin."
+  });
+  assert.deepStrictEqual(info.accepted, ['jo@example.com']);
+  assert.strictEqual(received.length, 1);
+  assert.deepStrictEqual(received[0].rcpt, ['RCPT TO:<jo@example.com>']);
+  const data = received[0].data.join('\n');
+  assert.match(data, /^From: Clinic <clinic@example\.com>$/m);
+  assert.match(data, /^Subject: Medication reminder: metformin$/m);
+  assert.match(data, /time to take metformin/);
+});
+
+test('checks email addresses', () => {
+  assert.strictEqual(mailer.isValidEmail('jo@example.com'), true);
+  assert.strictEqual(mailer.isValidEmail('jo@example'), false);
+  assert.strictEqual(mailer.isValidEmail('not an email'), false);
+  assert.strictEqual(mailer.isValidEmail(null), false);
+});
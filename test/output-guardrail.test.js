@@ -0,0 +1,60 @@
+// Checks on AI answers in output-guardrail.js, with triage results shaped like triage.js returns them.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const guardrail = require('../output-guardrail');
+
+const URGENT = { triageLevel: 'urgent', urgency: 'HIGH', priority: 2, action: 'See a doctor within 24 hours' };
+const EMERGENCY = { triageLevel: 'emergency', urgency: 'CRITICAL', priority: 1, action: 'Call 911 immediately' };
+
+test('replaces reassurance on an urgent triage with the rule-based reply', () => {
+  const result = guardrail.checkResponse('This is nothing to worry about and will pass on its own.', {
+    message: 'I have a high fever and a stiff neck',
+    triage: URGENT
+  });
+  assert.strictEqual(result.action, 'fallback');
+  assert.strictEqual(result.findings[0].rule, 'triage_contradiction');
+  assert.strictEqual(result.text, guardrail.fallbackResponse(URGENT, '911'));
+  assert.doesNotMatch(result.text, /nothing to worry about/);
+});
+
+test('keeps reassurance when the triage is routine', () => {
+  const result = guardrail.checkResponse('A mild cold is usually nothing serious.', {
+    message: 'I have a runny nose',
+    triage: { triageLevel: 'routine', urgency: 'LOW', priority: 4, action: 'Rest at home' }
+  });
+  assert.strictEqual(result.action, 'pass');
+  assert.strictEqual(result.text, 'A mild cold is usually nothing serious.');
+});
+
+test('takes out doses the user did not mention', () => {
+  const result = guardrail.checkResponse('Ibuprofen can help with the pain. Take 400 mg every 6 hours. Drink plenty of water.', {
+    message: 'What helps with a headache?'
+  });
+  assert.strictEqual(result.action, 'rewrite');
+  assert.deepStrictEqual(result.findings.map(finding => finding.rule), ['dosing']);
+  assert.doesNotMatch(result.text, /400 mg/);
+  assert.match(result.text, /^Ibuprofen can help with the pain\. Drink plenty of water\./);
+  assert.match(result.text, /I have left out specific doses/);
+});
+
+test('keeps a dose the user gave themselves', () => {
+  const result = guardrail.checkResponse('Taking 400 mg with food is gentler on the stomach.', {
+    message: 'I take 400mg ibuprofen, should I eat first?'
+  });
+  assert.strictEqual(result.action, 'pass');
+});
+
+test('adds emergency guidance an emergency answer left out', () => {
+  const result = guardrail.checkResponse('Chest pain can have many causes.', { message: 'crushing chest pain', triage: EMERGENCY });
+  assert.strictEqual(result.action, 'annotate');
+  assert.match(result.text, /^🚨 \*\*This could be an emergency\. Call 911/);
+});
+
+test('holds back streamed sentences that give a dose', () => {
+  const sent = [];
+  const guard = guardrail.createStreamGuard(text => sent.push(text), { message: 'headache' });
+  ['You definitely have a tension ', 'headache. Take 2 tablets ', 'now. Rest.'].forEach(token => guard.push(token));
+  guard.end();
+  assert.strictEqual(sent.join(''), 'You might have a tension headache. Rest.');
+});
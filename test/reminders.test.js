@@ -0,0 +1,46 @@
+// Reminder scheduling in the user's time zone. Due times are stored in the server's local time, so the
+// expected values are built with Date.UTC and formatted the same way.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const reminders = require('../reminders');
+const { formatDateTime } = require('../scheduler');
+
+test('schedules the next daily time in the user\'s time zone', () => {
+  // 13:30 UTC is 09:30 in New York (EDT, UTC-4)
+  const after = new Date(Date.UTC(2026, 9, 19, 13, 30));
+  assert.strictEqual(
+    reminders.nextRunAt(['08:00', '20:00'], after, 'America/New_York'),
+    formatDateTime(new Date(Date.UTC(2026, 9, 20, 0, 0)))
+  );
+  // 13:30 UTC is 22:30 in Tokyo (UTC+9), so 8:00 PM has passed and the next one is 8:00 AM tomorrow
+  assert.strictEqual(
+    reminders.nextRunAt(['08:00', '20:00'], after, 'Asia/Tokyo'),
+    formatDateTime(new Date(Date.UTC(2026, 9, 19, 23, 0)))
+  );
+});
+
+test('keeps the clock time across a daylight saving change', () => {
+  // Clocks in London go back on Oct 25, 2026: 8:00 AM is 07:00 UTC before and 08:00 UTC after
+  const before = new Date(Date.UTC(2026, 9, 24, 12, 0));
+  assert.strictEqual(
+    reminders.nextRunAt(['08:00'], before, 'Europe/London'),
+    formatDateTime(new Date(Date.UTC(2026, 9, 25, 8, 0)))
+  );
+});
+
+test('uses the server\'s time zone when the user\'s is not known', () => {
+  const after = new Date(2026, 9, 19, 9, 30);
+  assert.strictEqual(reminders.nextRunAt(['08:00', '20:00'], after), '2026-10-19 20:00');
+  assert.strictEqual(reminders.nextRunAt(['08:00'], after), '2026-10-20 08:00');
+});
+
+test('accepts only time zones the runtime knows', () => {
+  assert.strictEqual(reminders.isValidTimeZone('Europe/London'), true);
+  assert.strictEqual(reminders.isValidTimeZone('UTC'), true);
+  assert.strictEqual(reminders.isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.strictEqual(reminders.isValidTimeZone(''), false);
+  assert.strictEqual(reminders.isValidTimeZone(-300), false);
+});
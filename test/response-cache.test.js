@@ -0,0 +1,56 @@
+// Which answers response-cache.js keeps, and what keys them, against a real node-cache instance.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const NodeCache = require('node-cache');
+
+delete process.env.RESPONSE_CACHE;
+
+const { createResponseCache } = require('../response-cache');
+
+const context = () => ({ conversationHistory: [], userInfo: {} });
+
+test('never caches emergency, crisis, symptom or triage answers', () => {
+  const responseCache = createResponseCache(new NodeCache());
+  ['emergency', 'crisis', 'symptom', 'triage'].forEach(intent => {
+    assert.strictEqual(responseCache.keyFor({ message: 'I have chest pain', intent, context: context() }), null, intent);
+  });
+});
+
+test('never caches a message that mentions symptoms or comes during a crisis', () => {
+  const responseCache = createResponseCache(new NodeCache());
+  assert.strictEqual(responseCache.keyFor({
+    message: 'can I take ibuprofen for my headache',
+    intent: 'medication',
+    context: context(),
+    entities: { symptoms: ['headache'] }
+  }), null);
+  assert.strictEqual(responseCache.keyFor({
+    message: 'what is a good bedtime routine',
+    intent: 'wellness',
+    context: { ...context(), crisis: { active: true } }
+  }), null);
+});
+
+test('reuses an answer to the same question asked with different punctuation', () => {
+  const responseCache = createResponseCache(new NodeCache());
+  const key = responseCache.keyFor({ message: "What's a good  bedtime routine??", intent: 'wellness', context: context() });
+  assert.ok(key);
+  assert.strictEqual(responseCache.get(key, 'wellness'), null);
+  responseCache.set(key, 'wellness', { text: 'Go to bed at the same time every night.' });
+
+  const again = responseCache.keyFor({ message: "what's a good bedtime routine", intent: 'wellness', context: context() });
+  assert.strictEqual(again, key);
+  assert.deepStrictEqual(responseCache.get(again, 'wellness'), { text: 'Go to bed at the same time every night.', citations: [] });
+});
+
+test('keys answers on the profile and the knowledge base version', () => {
+  const responseCache = createResponseCache(new NodeCache());
+  const question = { message: 'what is metformin used for', intent: 'medication' };
+  const key = responseCache.keyFor({ ...question, context: context(), knowledgeVersion: '1.0.0' });
+  assert.notStrictEqual(responseCache.keyFor({ ...question, context: context(), knowledgeVersion: '1.1.0' }), key);
+  assert.notStrictEqual(responseCache.keyFor({
+    ...question,
+    context: { ...context(), userInfo: { medications: ['warfarin'] } },
+    knowledgeVersion: '1.0.0'
+  }), key);
+});
@@ -0,0 +1,54 @@
+// Date parsing, open slots and booking conflicts in scheduler.js, against an in-memory database.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../database');
+const scheduler = require('../scheduler');
+
+// A Monday morning, so the first slots of the day are still open
+const NOW = new Date(2030, 0, 7, 8, 0);
+const MONDAY = { now: NOW, from: new Date(2030, 0, 7), to: new Date(2030, 0, 8) };
+
+test('refuses dates that do not exist instead of rolling them over', () => {
+  assert.strictEqual(scheduler.parseDateExpression('Feb 30', NOW), null);
+  assert.strictEqual(scheduler.parseDateExpression('13/40', NOW), null);
+  assert.strictEqual(scheduler.parseDateExpression('2/29/2031', NOW), null);
+  assert.deepStrictEqual(scheduler.parseDateExpression('2/29/2032', NOW).from, new Date(2032, 1, 29));
+});
+
+test('reads relative days, times and parts of the day', () => {
+  const tomorrow = scheduler.parseDateExpression('tomorrow at 3pm', NOW);
+  assert.deepStrictEqual(tomorrow.from, new Date(2030, 0, 8));
+  assert.deepStrictEqual(tomorrow.time, { hour: 15, minute: 0 });
+
+  const nextWeek = scheduler.parseDateExpression('next week', NOW);
+  assert.deepStrictEqual([nextWeek.from, nextWeek.to], [new Date(2030, 0, 14), new Date(2030, 0, 21)]);
+
+  const friday = scheduler.parseDateExpression('friday afternoon', NOW);
+  assert.deepStrictEqual(friday.from, new Date(2030, 0, 11));
+  assert.deepStrictEqual(friday.period, { startHour: 12, endHour: 17 });
+});
+
+test('refuses a slot that is already taken and stops offering it', () => {
+  database.createSession('test_scheduler_a');
+  database.createSession('test_scheduler_b');
+  const [slot] = scheduler.findAvailableSlots({ ...MONDAY, limit: 1 });
+  assert.strictEqual(slot.start, '2030-01-07 09:00');
+
+  const booked = scheduler.bookSlot({ sessionId: 'test_scheduler_a', slot, type: 'General Checkup' });
+  assert.strictEqual(booked.success, true);
+
+  assert.deepStrictEqual(scheduler.bookSlot({ sessionId: 'test_scheduler_b', slot }), { success: false, error: 'provider_conflict' });
+  assert.strictEqual(scheduler.findSlotAt(slot.start, { providerId: slot.providerId }), null);
+  assert.ok(!scheduler.findAvailableSlots({ ...MONDAY, limit: 100 })
+    .some(open => open.providerId === slot.providerId && open.start === slot.start));
+});
+
+test('refuses a second appointment for the same session at the same time', () => {
+  database.createSession('test_scheduler_c');
+  const [first, second] = scheduler.findAvailableSlots({ ...MONDAY, time: { hour: 10, minute: 0 }, limit: 2 });
+  assert.strictEqual(scheduler.bookSlot({ sessionId: 'test_scheduler_c', slot: first }).success, true);
+  assert.deepStrictEqual(scheduler.bookSlot({ sessionId: 'test_scheduler_c', slot: second }), { success: false, error: 'session_conflict' });
+});
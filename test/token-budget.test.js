@@ -0,0 +1,39 @@
+// Budget checks in token-budget.js: a used-up budget is refused and logged once a day. The usage is
+// recorded in an in-memory database, not data/chatbot.db.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_SESSION_TOKEN_BUDGET = '100';
+process.env.DATABASE_PATH = ':memory:';
+
+const database = require('../database');
+const tokenBudget = require('../token-budget');
+
+test('refuses a session over its budget and logs it once a day', (t) => {
+  const sessionId = `test_budget_${Date.now()}`;
+  const logEvent = t.mock.method(database, 'logEvent', () => {});
+  const budgetEvents = () => logEvent.mock.calls.filter(call => call.arguments[0] === 'llm_budget_exceeded');
+
+  assert.strictEqual(tokenBudget.checkBudget(sessionId), null);
+  tokenBudget.record({
+    sessionId,
+    purpose: 'response',
+    provider: 'mock',
+    model: 'mock',
+    messages: [{ role: 'user', content: 'hello' }],
+    text: 'hi',
+    usage: { promptTokens: 90, completionTokens: 20 }
+  });
+
+  const refused = tokenBudget.checkBudget(sessionId);
+  assert.deepStrictEqual(refused, { scope: 'session', limit: 100, used: 110 });
+  tokenBudget.checkBudget(sessionId);
+  assert.strictEqual(budgetEvents().length, 1);
+
+  // The next day the list of reported budgets starts again
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 24 * 60 * 60 * 1000 });
+  assert.deepStrictEqual(tokenBudget.checkBudget(sessionId), refused);
+  tokenBudget.checkBudget(sessionId);
+  assert.strictEqual(budgetEvents().length, 2);
+  assert.deepStrictEqual(budgetEvents()[1].arguments, ['llm_budget_exceeded', { scope: 'session', limit: 100, used: 110 }, sessionId]);
+});
@@ -0,0 +1,136 @@
+// Token accounting and budgets for LLM calls. Each call's prompt and completion tokens (as reported by the
+// provider, or estimated from the text when it reports none) are stored in llm_usage with their cost. Once a
+// session's or the day's budget is used up, calls are refused and answers fall back to the rule-based responses.
+const database = require('./database');
+
+// 0 means no limit
+const SESSION_TOKEN_BUDGET = parseInt(process.env.LLM_SESSION_TOKEN_BUDGET) || 0;
+const DAILY_TOKEN_BUDGET = parseInt(process.env.LLM_DAILY_TOKEN_BUDGET) || 0;
+const DAILY_COST_BUDGET = parseFloat(process.env.LLM_DAILY_COST_BUDGET) || 0;
+
+// USD per 1,000 tokens for OpenAI models; dated versions ("gpt-4o-mini-2024-07-18") use their base model's price.
+// LLM_PRICE_PROMPT_PER_1K and LLM_PRICE_COMPLETION_PER_1K override the table for every model.
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': { prompt: 0.0005, completion: 0.0015 },
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'gpt-4o': { prompt: 0.0025, completion: 0.01 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4': { prompt: 0.03, completion: 0.06 }
+};
+
+const PRICE_OVERRIDE = process.env.LLM_PRICE_PROMPT_PER_1K || process.env.LLM_PRICE_COMPLETION_PER_1K
+  ? {
+      prompt: parseFloat(process.env.LLM_PRICE_PROMPT_PER_1K) || 0,
+      completion: parseFloat(process.env.LLM_PRICE_COMPLETION_PER_1K) || 0
+    }
+  : null;
+
+// Budgets already reported as used up today, so each is logged once a day per session or daily budget.
+// The set is emptied when the day changes, so it only ever holds one day's entries.
+const reported = new Set();
+let reportedDay = null;
+
+// UTC date, as stored in llm_usage.day
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Roughly four characters per token for English text, plus a few tokens of overhead per chat message
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function estimatePromptTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(message.content) + 4, 0);
+}
+
+// Local and mock models cost nothing; unknown hosted models are counted at no cost until priced
+function priceFor(providerName, model) {
+  if (providerName !== 'openai') return { prompt: 0, completion: 0 };
+  if (PRICE_OVERRIDE) return PRICE_OVERRIDE;
+  const base = Object.keys(MODEL_PRICES)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? MODEL_PRICES[base] : { prompt: 0, completion: 0 };
+}
+
+function exceeded(scope, key, limit, used, sessionId) {
+  const day = today();
+  if (day !== reportedDay) {
+    reported.clear();
+    reportedDay = day;
+  }
+  if (!reported.has(`${scope}:${key}`)) {
+    reported.add(`${scope}:${key}`);
+    console.log(`💸 LLM ${scope} budget used up (${used} of ${limit}) - using rule-based responses`);
+    database.logEvent('llm_budget_exceeded', { scope, limit, used }, sessionId);
+  }
+  return { scope, limit, used };
+}
+
+// Null when a call for the session is within budget, otherwise { scope, limit, used }
+function checkBudget(sessionId = null) {
+  if (sessionId && SESSION_TOKEN_BUDGET > 0) {
+    const used = database.getSessionLLMUsage(sessionId).tokens;
+    if (used >= SESSION_TOKEN_BUDGET) {
+      return exceeded('session', sessionId, SESSION_TOKEN_BUDGET, used, sessionId);
+    }
+  }
+  if (DAILY_TOKEN_BUDGET > 0 || DAILY_COST_BUDGET > 0) {
+    const day = today();
+    const usage = database.getDailyLLMUsage(day);
+    if (DAILY_TOKEN_BUDGET > 0 && usage.tokens >= DAILY_TOKEN_BUDGET) {
+      return exceeded('daily_tokens', day, DAILY_TOKEN_BUDGET, usage.tokens, sessionId);
+    }
+    if (DAILY_COST_BUDGET > 0 && usage.cost >= DAILY_COST_BUDGET) {
+      return exceeded('daily_cost', day, DAILY_COST_BUDGET, Number(usage.cost.toFixed(4)), sessionId);
+    }
+  }
+  return null;
+}
+
+// Stores one call. usage is { promptTokens, completionTokens } from the provider, or null to estimate it.
+function record({ sessionId = null, purpose, provider, model, messages, text, usage }) {
+  const promptTokens = usage?.promptTokens ?? estimatePromptTokens(messages);
+  const completionTokens = usage?.completionTokens ?? estimateTokens(text);
+  const price = priceFor(provider, model);
+  const cost = (promptTokens * price.prompt + completionTokens * price.completion) / 1000;
+  database.saveLLMUsage({
+    sessionId,
+    day: today(),
+    purpose,
+    provider,
+    model,
+    promptTokens,
+    completionTokens,
+    estimated: !usage,
+    cost
+  });
+  return { promptTokens, completionTokens, cost };
+}
+
+// Today's usage against the budgets and the last seven days, for the admin API
+function getUsage() {
+  const day = today();
+  const todayUsage = database.getDailyLLMUsage(day);
+  const since = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return {
+    today: { day, ...todayUsage },
+    budgets: {
+      sessionTokens: SESSION_TOKEN_BUDGET || null,
+      dailyTokens: DAILY_TOKEN_BUDGET || null,
+      dailyCost: DAILY_COST_BUDGET || null,
+      dailyTokensRemaining: DAILY_TOKEN_BUDGET ? Math.max(0, DAILY_TOKEN_BUDGET - todayUsage.tokens) : null,
+      dailyCostRemaining: DAILY_COST_BUDGET ? Math.max(0, Number((DAILY_COST_BUDGET - todayUsage.cost).toFixed(4))) : null
+    },
+    last7Days: database.getLLMUsageReport(since)
+  };
+}
+
+module.exports = {
+  MODEL_PRICES,
+  estimateTokens,
+  checkBudget,
+  record,
+  getUsage
+};
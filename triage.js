@@ -0,0 +1,245 @@
+// Rule-based symptom triage against the knowledge base triage levels and vital-sign thresholds
+const { medicalKnowledge } = require('./knowledge-base');
+const { extractVitals } = require('./nlp');
+const { isAsserted } = require('./assertions');
+
+const LEVEL_URGENCY = {
+  emergency: 'CRITICAL',
+  urgent: 'HIGH',
+  moderate: 'MEDIUM',
+  routine: 'LOW'
+};
+
+// How each vitalThresholds entry reads its value from extractVitals output
+const VITAL_READINGS = {
+  pain: vitals => vitals.painScore,
+  temperature: vitals => vitals.temperature?.celsius,
+  heartRate: vitals => vitals.heartRate,
+  systolic: vitals => vitals.bloodPressure?.systolic,
+  diastolic: vitals => vitals.bloodPressure?.diastolic,
+  oxygenSaturation: vitals => vitals.oxygenSaturation
+};
+
+// Keyword, severity-word and duration triage
+function assessMessage(message, symptomInfo) {
+  const msg = message.toLowerCase();
+  let triageLevel = 'routine';
+  let priority = 4;
+  let action = 'Schedule routine appointment';
+  // Symptoms recognized in other words (AI entity extraction) count like the keywords themselves
+  const reported = symptomInfo.reportedSymptoms || [];
+  
+  // Check emergency keywords (only affirmed, current mentions escalate)
+  for (const keyword of medicalKnowledge.triageLevels.emergency.keywords) {
+    if ((msg.includes(keyword) && isAsserted(message, keyword)) || reported.includes(keyword)) {
+      triageLevel = 'emergency';
+      priority = 1;
+      action = medicalKnowledge.triageLevels.emergency.action;
+      return { triageLevel, priority, action, urgency: 'CRITICAL', reason: `Mentioned "${keyword}"` };
+    }
+  }
+  
+  // Check urgent keywords
+  for (const keyword of medicalKnowledge.triageLevels.urgent.keywords) {
+    if ((msg.includes(keyword) && isAsserted(message, keyword)) || reported.includes(keyword)) {
+      triageLevel = 'urgent';
+      priority = 2;
+      action = medicalKnowledge.triageLevels.urgent.action;
+      return { triageLevel, priority, action, urgency: 'HIGH', reason: `Mentioned "${keyword}"` };
+    }
+  }
+  
+  // Check severity indicators
+  if (symptomInfo.severity) {
+    if (['severe', 'intense', 'extreme'].includes(symptomInfo.severity.toLowerCase())) {
+      triageLevel = 'urgent';
+      priority = 2;
+      action = medicalKnowledge.triageLevels.urgent.action;
+      return { triageLevel, priority, action, urgency: 'HIGH', reason: `Described as ${symptomInfo.severity.toLowerCase()}` };
+    }
+    if (['moderate'].includes(symptomInfo.severity.toLowerCase())) {
+      triageLevel = 'moderate';
+      priority = 3;
+      action = medicalKnowledge.triageLevels.moderate.action;
+      return { triageLevel, priority, action, urgency: 'MEDIUM', reason: 'Described as moderate' };
+    }
+  }
+  
+  // Check duration
+  if (symptomInfo.duration) {
+    const durationMatch = symptomInfo.duration.match(/(\d+)\s*(day|days|week|weeks|month|months)/i);
+    if (durationMatch) {
+      const num = parseInt(durationMatch[1]);
+      const unit = durationMatch[2].toLowerCase();
+      if ((unit.includes('week') && num >= 2) || (unit.includes('month'))) {
+        triageLevel = 'moderate';
+        priority = 3;
+        action = medicalKnowledge.triageLevels.moderate.action;
+        return { triageLevel, priority, action, urgency: 'MEDIUM', reason: `Symptoms for ${symptomInfo.duration}` };
+      }
+    }
+  }
+  
+  return { triageLevel, priority, action, urgency: 'LOW', reason: null };
+}
+
+// Compare each reading to its configured thresholds; the first matching rule wins
+function assessVitals(vitals) {
+  const thresholds = medicalKnowledge.vitalThresholds || {};
+  const findings = [];
+
+  Object.entries(thresholds).forEach(([vital, config]) => {
+    const value = VITAL_READINGS[vital] ? VITAL_READINGS[vital](vitals) : undefined;
+    if (typeof value !== 'number') return;
+
+    const rule = config.rules.find(r => (r.min !== undefined ? value >= r.min : value <= r.max));
+    if (rule) {
+      findings.push({
+        vital,
+        label: config.label,
+        value,
+        unit: config.unit,
+        level: rule.level,
+        finding: rule.finding,
+        threshold: rule.min !== undefined ? `>= ${rule.min}` : `<= ${rule.max}`
+      });
+    }
+  });
+
+  return findings;
+}
+
+// Profile modifiers: a rule with an age range or conditions only applies to matching users
+function profileModifiers(rule, profile) {
+  const modifiers = [];
+  if (rule.ageMin !== undefined || rule.ageMax !== undefined) {
+    const age = profile.age;
+    if (typeof age !== 'number') return null;
+    if (rule.ageMin !== undefined && age < rule.ageMin) return null;
+    if (rule.ageMax !== undefined && age > rule.ageMax) return null;
+    modifiers.push(age < 1 ? `age ${Math.round(age * 12)} months` : `age ${age}`);
+  }
+  if (rule.conditions) {
+    const conditions = (profile.conditions || []).filter(condition => rule.conditions.includes(condition));
+    if (conditions.length === 0) return null;
+    modifiers.push(...conditions);
+  }
+  return modifiers;
+}
+
+// Red-flag combinations: every term group must be mentioned (affirmed and current), in this message or
+// in earlier messages within the rule's time window. The current message must match at least one group.
+function evaluateRedFlags(message, context = {}) {
+  const rules = medicalKnowledge.redFlagRules || {};
+  const profile = context.profile || {};
+  const now = context.now ? new Date(context.now).getTime() : Date.now();
+  const current = message.toLowerCase();
+  const matches = [];
+
+  Object.entries(rules).forEach(([id, rule]) => {
+    const modifiers = profileModifiers(rule, profile);
+    if (!modifiers) return;
+
+    const earlier = rule.withinHours
+      ? (context.history || [])
+        .filter(entry => entry.message && now - new Date(entry.timestamp).getTime() <= rule.withinHours * 3600000)
+        .map(entry => entry.message.toLowerCase())
+      : [];
+
+    let matchesCurrent = false;
+    const matched = [];
+    for (const terms of rule.match) {
+      const inCurrent = terms.find(term => isAsserted(current, term));
+      const term = inCurrent || terms.find(t => earlier.some(text => isAsserted(text, t)));
+      if (!term) return;
+      matchesCurrent = matchesCurrent || Boolean(inCurrent);
+      matched.push(term);
+    }
+    if (!matchesCurrent) return;
+
+    matches.push({
+      rule: id,
+      description: rule.description,
+      level: rule.level,
+      rationale: rule.rationale,
+      matched,
+      modifiers
+    });
+  });
+
+  return matches;
+}
+
+// Advanced Symptom Triage System: keywords first, then escalate on vital signs and red-flag rules.
+// context: { history: earlier user messages [{ message, timestamp }], profile: { age, conditions } }
+function performTriage(message, symptomInfo, context = {}) {
+  const vitals = { ...(symptomInfo.vitals || extractVitals(message)) };
+  if (vitals.painScore === undefined && typeof symptomInfo.severityScore === 'number') {
+    vitals.painScore = symptomInfo.severityScore;
+  }
+
+  const { reason, ...result } = assessMessage(message, symptomInfo);
+  const vitalFindings = assessVitals(vitals);
+  const redFlags = evaluateRedFlags(message, context);
+  const priorityOf = level => medicalKnowledge.triageLevels[level].priority;
+
+  // Why the level is what it is, most urgent first
+  const rationale = [
+    ...(reason ? [{ source: 'keywords', level: result.triageLevel, label: reason, reason }] : []),
+    ...vitalFindings.map(f => ({
+      source: 'vitals',
+      level: f.level,
+      label: `${f.label} ${formatReading(f)}`,
+      reason: f.finding
+    })),
+    ...redFlags.map(flag => {
+      const modifiers = flag.modifiers.filter(modifier => !flag.description.toLowerCase().includes(modifier));
+      return {
+        source: 'redFlag',
+        rule: flag.rule,
+        level: flag.level,
+        label: modifiers.length > 0 ? `${flag.description} (${modifiers.join(', ')})` : flag.description,
+        reason: flag.rationale
+      };
+    })
+  ].sort((a, b) => priorityOf(a.level) - priorityOf(b.level));
+
+  const mostUrgent = rationale[0];
+  if (mostUrgent && priorityOf(mostUrgent.level) < result.priority) {
+    const level = mostUrgent.level;
+    Object.assign(result, {
+      triageLevel: level,
+      priority: priorityOf(level),
+      action: medicalKnowledge.triageLevels[level].action,
+      urgency: LEVEL_URGENCY[level]
+    });
+  }
+
+  return { ...result, vitals, vitalFindings, redFlags, rationale };
+}
+
+function formatReading(finding) {
+  if (finding.vital === 'pain') return `${finding.value}/10`;
+  if (finding.vital === 'temperature') {
+    return `${finding.value}°C (${Math.round((finding.value * 9 / 5 + 32) * 10) / 10}°F)`;
+  }
+  if (finding.vital === 'oxygenSaturation') return `${finding.value}%`;
+  return `${finding.value} ${finding.unit}`;
+}
+
+// One line per abnormal reading, for chat responses
+function describeVitalFindings(findings) {
+  return findings.map(f => `- ${f.label}: ${formatReading(f)} - ${f.finding} (${f.level})`);
+}
+
+// One line per red flag, for chat responses
+function describeRedFlags(redFlags) {
+  return redFlags.map(flag => `- **${flag.description}**: ${flag.rationale}`);
+}
+
+module.exports = {
+  performTriage,
+  evaluateRedFlags,
+  describeVitalFindings,
+  describeRedFlags
+};